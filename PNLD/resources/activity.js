@@ -9,8 +9,14 @@ import { validateInputs } from './modules/activities/validation.js';
 import { preparefillInBlank } from './modules/activities/fill_in_blank.js';
 import { prepareFillInTable } from './modules/activities/fill_in_table.js';
 import { prepareOpenEnded } from './modules/activities/open_ended.js';
+import { prepareSequencing } from './modules/activities/sequencing.js';
+import { prepareWordBankCloze } from './modules/activities/word_bank_cloze.js';
+import { prepareImageHotspot } from './modules/activities/image_hotspot.js';
+import { prepareDrawing } from './modules/activities/drawing.js';
 import { translateText } from './modules/translations.js';
 import { nextPage } from './modules/navigation.js';
+import { storage } from './modules/storage.js';
+import { recordActivityAttempt } from './modules/xapi.js';
 
 // Constants for class names and selectors
 const CLASS_NAMES = {
@@ -51,7 +57,7 @@ const activityHasUserData = (activityType) => {
     const activityId = getActivityIdFromPath();
     
     // Common checks for localStorage data
-    const hasLocalStorageData = Object.keys(localStorage).some(key => 
+    const hasLocalStorageData = storage.keys().some(key => 
         key.startsWith(`${activityId}_`) && 
         key !== `${activityId}_success`
     );
@@ -81,6 +87,18 @@ const activityHasUserData = (activityType) => {
             const matchedItems = document.querySelectorAll('section .matching-item.matched');
             return matchedItems.length > 0 || hasLocalStorageData;
         }
+        else if (activityType === 'activity_sequencing') {
+            return hasLocalStorageData;
+        }
+        else if (activityType === 'activity_word_bank_cloze') {
+            return document.querySelectorAll('section .cloze-blank[data-chip-id]').length > 0;
+        }
+        else if (activityType === 'activity_image_hotspot') {
+            return hasLocalStorageData;
+        }
+        else if (activityType === 'activity_drawing') {
+            return hasLocalStorageData;
+        }
     } else {
         // If localStorage has data, we assume user data exists
         return true;
@@ -121,7 +139,7 @@ const resetInputs = (inputs, activityId) => {
         const inputId = input.getAttribute("data-aria-id") || input.getAttribute("data-activity-item");
         if (inputId) {
             const localStorageKey = `${activityId}_${inputId}`;
-            localStorage.removeItem(localStorageKey);
+            storage.removeItem(localStorageKey);
         }
     });
 };
@@ -145,9 +163,9 @@ const resetSelectionInputs = (radioButtons) => {
 
 // Clear localStorage for an activity
 const clearActivityLocalStorage = (activityId) => {
-    Object.keys(localStorage)
+    storage.keys()
         .filter(key => key.startsWith(`${activityId}_`))
-        .forEach(key => localStorage.removeItem(key));
+        .forEach(key => storage.removeItem(key));
 };
 
 // Helper function to reset the submit button
@@ -282,7 +300,7 @@ function initializeActivityHandlers() {
             if (srText) srText.remove();
         });
 
-        localStorage.removeItem(`${activityId}_selectedOption`);
+        storage.removeItem(`${activityId}_selectedOption`);
     };
 
     activityResetHandlers[ActivityTypes.TRUE_FALSE] = (activityId) => {
@@ -303,9 +321,9 @@ function initializeActivityHandlers() {
             if (icon) icon.remove();
         });
 
-        Object.keys(localStorage)
+        storage.keys()
             .filter(key => key.startsWith(`${activityId}_tf_`))
-            .forEach(key => localStorage.removeItem(key));
+            .forEach(key => storage.removeItem(key));
     };
 
     activityResetHandlers[ActivityTypes.OPEN_ENDED_ANSWER] = (activityId) => {
@@ -331,6 +349,38 @@ function initializeActivityHandlers() {
         });
     };
 
+    activityResetHandlers[ActivityTypes.SEQUENCING] = (activityId) => {
+        import('./modules/activities/sequencing.js').then(module => {
+            if (module.resetActivity) {
+                module.resetActivity(activityId);
+            }
+        });
+    };
+
+    activityResetHandlers[ActivityTypes.WORD_BANK_CLOZE] = (activityId) => {
+        import('./modules/activities/word_bank_cloze.js').then(module => {
+            if (module.resetActivity) {
+                module.resetActivity(activityId);
+            }
+        });
+    };
+
+    activityResetHandlers[ActivityTypes.IMAGE_HOTSPOT] = (activityId) => {
+        import('./modules/activities/image_hotspot.js').then(module => {
+            if (module.resetActivity) {
+                module.resetActivity(activityId);
+            }
+        });
+    };
+
+    activityResetHandlers[ActivityTypes.DRAWING] = (activityId) => {
+        import('./modules/activities/drawing.js').then(module => {
+            if (module.resetActivity) {
+                module.resetActivity(activityId);
+            }
+        });
+    };
+
     // Define activity setup handlers
     const activityHandlers = {};
 
@@ -369,6 +419,26 @@ function initializeActivityHandlers() {
         validate: () => validateInputs(ActivityTypes.FILL_IN_A_TABLE)
     };
 
+    activityHandlers[ActivityTypes.SEQUENCING] = {
+        setup: prepareSequencing,
+        validate: () => validateInputs(ActivityTypes.SEQUENCING)
+    };
+
+    activityHandlers[ActivityTypes.WORD_BANK_CLOZE] = {
+        setup: prepareWordBankCloze,
+        validate: () => validateInputs(ActivityTypes.WORD_BANK_CLOZE)
+    };
+
+    activityHandlers[ActivityTypes.IMAGE_HOTSPOT] = {
+        setup: prepareImageHotspot,
+        validate: () => validateInputs(ActivityTypes.IMAGE_HOTSPOT)
+    };
+
+    activityHandlers[ActivityTypes.DRAWING] = {
+        setup: prepareDrawing,
+        validate: () => validateInputs(ActivityTypes.DRAWING)
+    };
+
     return { activityResetHandlers, activityHandlers };
 }
 
@@ -442,6 +512,15 @@ export const prepareActivity = () => {
     const submitButton = document.getElementById("submit-button");
     const resetButton = document.getElementById("reset-button");
 
+    // Detach the previous page's handlers when content is swapped in place
+    if (submitButton) {
+        submitButton.removeEventListener("click", state.validateHandler);
+        submitButton.removeEventListener("click", state.retryHandler);
+        submitButton.removeEventListener("click", nextPage);
+        submitButton.style.display = "";
+    }
+    setState('validateHandler', null);
+
     if (activitySections.length === 0) {
         if (submitButton) submitButton.style.display = "none";
         if (resetButton) resetButton.style.display = "none";
@@ -456,9 +535,11 @@ export const prepareActivity = () => {
     activitySections.forEach((section) => {
         const activityType = section.dataset.sectionType;
         setupActivitySection(section, activityType, submitButton);
+        recordActivityAttempt(activityType);
     });
 
     if (resetButton) {
+        resetButton.removeEventListener("click", handleResetActivity);
         resetButton.addEventListener("click", handleResetActivity);
     }
 
@@ -51,7 +51,13 @@ import {
   toggleNav,
   previousPage,
   setupClickOutsideHandler,
+  renderNavigationList,
+  updateNavigationBoundaries,
+  getDefaultNavigationMarkup,
+  initializeSpaNavigation,
+  scrollToFragment,
 } from "./modules/navigation.js";
+import { loadPublication } from "./modules/publication.js";
 import { setState, state } from "./modules/state.js";
 import { setupTranslations } from "./modules/translations.js";
 import {
@@ -59,6 +65,7 @@ import {
   loadAutoplayState,
   loadDescribeImagesState,
   loadGlossaryState,
+  loadSyllablesState,
   toggleAutoplay,
   toggleDescribeImages,
   toggleEli5Mode,
@@ -78,11 +85,26 @@ import {
   saveNotes,
   loadSavedNotes,
   loadNotepad,
-  initializeNotepad
+  initializeNotepad,
+  toggleNotesList,
+  exportNotes
 } from "./modules/notepad.js";
 import { prepareActivity } from "./activity.js";
+import { renderActivityDefinitions } from "./modules/activities/definition_renderer.js";
 import { initCharacterDisplay } from "./modules/character-display.js"
 import { initMatomo } from "./modules/analytics.js";
+import { initializeOffline } from "./modules/offline.js";
+import { initializeStorage, storage } from "./modules/storage.js";
+import { initializeStateBindings } from "./modules/state_bindings.js";
+import { initializeScorm, isScormSession, resumeScormLocation } from "./modules/scorm.js";
+import { initializeProgressDashboard } from "./modules/progress.js";
+import { initializeBackup } from "./modules/backup.js";
+import { initializeAnnotations } from "./modules/annotations.js";
+import { initializeSearch } from "./modules/search.js";
+import { initializeFlashcards } from "./modules/flashcards.js";
+import { initializeWordBank } from "./modules/word_bank.js";
+import { initializeReadBook, loadReadBookState, resumeReadingBook, toggleReadBook } from "./modules/read_book.js";
+import { initializeSyllables } from "./modules/syllables.js";
 
 // Constants
 const PLACEHOLDER_TITLE = "Accessible Digital Textbook";
@@ -323,6 +345,11 @@ async function initializeCoreFunctionality() {
       });
     }
 
+    // Select the publication's storage namespace before anything reads saved data
+    const publication = await loadPublication();
+    initializeStorage(publication?.metadata?.identifier);
+    initializeStateBindings();
+
     // Initialize language before other components
     initializeLanguage();
     loadAtkinsonFont();
@@ -331,6 +358,12 @@ async function initializeCoreFunctionality() {
     // Initialize components after HTML is definitely loaded
     await fetchAndInjectComponents();
 
+    // Connect to the LMS (if any) before activities read their saved state
+    if (isFeatureEnabled('scorm')) {
+      initializeScorm();
+    }
+    setState("currentPageUrl", window.location.href);
+
     // Try to initialize language dropdown
     const dropdownInitialized = await initializeLanguageDropdown();
     if (!dropdownInitialized) {
@@ -342,6 +375,10 @@ async function initializeCoreFunctionality() {
     formatNavigationItems();
     // Initialize page numbering
     updatePageNumber();
+    updateNavigationBoundaries();
+    if (isFeatureEnabled('activities', true)) {
+      await renderActivityDefinitions();
+    }
     await setupTranslations();
     
     return true;
@@ -369,11 +406,17 @@ const handleResponse = async (response) => {
 
 async function fetchAndInjectComponents() {
   try {
-    // Fetch interface and navigation
-    const [interfaceHTML, navHTML] = await Promise.all([
+    // Fetch interface, the optional nav.html and the manifest navigation model
+    const [interfaceHTML, navFileHTML] = await Promise.all([
       fetch(`${RESOURCE_PATH}interface.html`).then(response => response.text()),
-      fetch(`${getNavPath()}navigation/nav.html`).then(response => response.text())
+      fetch(`${getNavPath()}navigation/nav.html`)
+        .then(response => (response.ok ? response.text() : null))
+        .catch(() => null),
+      loadPublication()
     ]);
+
+    // nav.html is optional: build the popup shell and fill it from the manifest
+    const navHTML = navFileHTML || getDefaultNavigationMarkup();
     
     // Fetch config as JSON instead of HTML
     const configResponse = await fetch(`${RESOURCE_PATH}config.json`);
@@ -413,6 +456,7 @@ async function injectComponents(interfaceHTML, navHTML, config) {
       cacheInterfaceElements();
     }
 
+    renderNavigationList();
     setupConfig(config);
   } catch (error) {
     console.error("Error injecting components:", error);
@@ -479,6 +523,13 @@ function applyFeatureFlags(features) {
           container.classList.toggle('hidden', !enabled);
         }
       }
+    } else if (feature === 'offline') {
+      // Hide/show the offline reading status row
+      const offlineStatusRow = document.getElementById('offline-status-row');
+
+      if (offlineStatusRow) {
+        offlineStatusRow.classList.toggle('hidden', !enabled);
+      }
     } else if (feature === 'characterDisplay') {
       // Hide/show the character profile row
       const characterProfileRow = document.getElementById('character-profile-row');
@@ -527,6 +578,7 @@ function setupEventListeners() {
     "toggle-syllables": toggleSyllablesMode,
     "toggle-glossary": toggleGlossaryMode,
     "toggle-autoplay": toggleAutoplay,
+    "toggle-read-book": toggleReadBook,
     "toggle-describe-images": toggleDescribeImages,
     "toggle-state": toggleStateMode,
     "back-button": previousPage,
@@ -540,6 +592,9 @@ function setupEventListeners() {
     clickHandlers["notepad-button"] = toggleNotepad;
     clickHandlers["close-notepad"] = toggleNotepad;
     clickHandlers["save-notepad"] = saveNotes;
+    clickHandlers["notepad-list-button"] = toggleNotesList;
+    clickHandlers["notepad-export-html"] = () => exportNotes("html");
+    clickHandlers["notepad-export-text"] = () => exportNotes("text");
   }
   
   // Attach all click handlers
@@ -572,7 +627,7 @@ function setupEventListeners() {
   const purpleLinks = elementCache.getAll('.purple-link-button');
   purpleLinks.forEach(link => {
     link.addEventListener('click', () => {
-      localStorage.setItem('originatingPage', window.location.href);
+      storage.setItem('originatingPage', window.location.href);
     });
   });
   
@@ -631,6 +686,36 @@ async function initializeUIComponents() {
       if (isFeatureEnabled('glossary')) {
         initializeGlossary();
       }
+
+      // Progress panel
+      if (isFeatureEnabled('progress')) {
+        initializeProgressDashboard();
+      }
+
+      // Export and import of learner data
+      if (isFeatureEnabled('backup')) {
+        initializeBackup();
+      }
+
+      // Highlights and bookmarks
+      if (isFeatureEnabled('annotations')) {
+        initializeAnnotations();
+      }
+
+      // Full-text search
+      if (isFeatureEnabled('search')) {
+        initializeSearch();
+      }
+
+      // Glossary flashcards
+      if (isFeatureEnabled('flashcards')) {
+        initializeFlashcards();
+      }
+
+      // "My words" word bank
+      if (isFeatureEnabled('wordBank')) {
+        initializeWordBank();
+      }
       
       // ELI5
       if (isFeatureEnabled('eli5')) {
@@ -653,10 +738,25 @@ async function initializeUIComponents() {
         initializeWordByWordHighlighter();
       }
 
+      // Offline reading (service worker precache)
+      if (isFeatureEnabled('offline')) {
+        initializeOffline();
+      }
+
+      // Single-page navigation (swap #content instead of reloading). Always used in an
+      // LMS so the SCORM session is not closed on every page change
+      if (isFeatureEnabled('spaNavigation') || isScormSession()) {
+        initializeSpaNavigation();
+      }
+
       // Load state modes - only if features are enabled
       const stateInitTasks = [];
       
       if (isFeatureEnabled('easyRead')) stateInitTasks.push(loadEasyReadMode);
+      if (isFeatureEnabled('syllables')) {
+        initializeSyllables();
+        stateInitTasks.push(loadSyllablesState);
+      }
       // Always load state mode to maintain consistency, regardless of button visibility
       stateInitTasks.push(loadStateMode);
       if (isFeatureEnabled('signLanguage')) {
@@ -673,11 +773,15 @@ async function initializeUIComponents() {
       } else {
         setAutoplayContainerVisibility(false);
       }
+      if (isFeatureEnabled('readAloud') && isFeatureEnabled('readBook')) {
+        initializeReadBook();
+        stateInitTasks.push(loadReadBookState);
+      }
       if (isFeatureEnabled('describeImages')){
         setDescribeImagesContainerVisibility(true);
         stateInitTasks.push(loadDescribeImagesState);
       }
-      if (isFeatureEnabled("autoplay") || isFeatureEnabled("describeImages")) {
+      if (isFeatureEnabled("autoplay") || isFeatureEnabled("describeImages") || isFeatureEnabled("readBook")) {
         updateTtsOptionsContainerVisibility(true);
       } else {
         updateTtsOptionsContainerVisibility(false);
@@ -721,6 +825,11 @@ const finalizeInitialization = async () => {
     if (isFeatureEnabled('readAloud') && isFeatureEnabled('autoplay')) {
       initializeAutoplay();
     }
+
+    // Keep reading when "read the whole book" turned the page
+    if (isFeatureEnabled('readAloud') && isFeatureEnabled('readBook')) {
+      resumeReadingBook();
+    }
     
     // Run these tasks in parallel
     const finalTasks = [
@@ -764,7 +873,29 @@ const finalizeInitialization = async () => {
           const analyticsModule = await lazyLoad.load('analytics', () => import('./modules/analytics.js'));
           analyticsModule.initMatomo(window.appConfig.analytics);
         }
-}
+      },
+
+      // Scroll to the paragraph a link pointed at (e.g. a bookmark on another page)
+      () => scrollToFragment(),
+
+      // Resume an LMS attempt on the page where the learner left off
+      () => resumeScormLocation(),
+
+      // Learning records (xAPI)
+      async () => {
+        if (window.appConfig?.xapi?.enabled) {
+          const xapiModule = await lazyLoad.load('xapi', () => import('./modules/xapi.js'));
+          xapiModule.initializeXapi();
+        }
+      },
+
+      // Answer submissions queued while offline
+      async () => {
+        if (window.appConfig?.submission?.enabled) {
+          const submissionModule = await lazyLoad.load('submission', () => import('./modules/submission.js'));
+          submissionModule.initializeSubmission();
+        }
+      }
     ];
     
     // Execute all tasks in parallel
@@ -776,9 +907,9 @@ const finalizeInitialization = async () => {
  * Displays character information in the settings menu
  */
 function displayCharacterInSettings() {
-  // Get the character information from localStorage
-  const characterInfo = localStorage.getItem('characterInfo');
-  const studentID = localStorage.getItem('studentID');
+  // Get the character information from storage
+  const characterInfo = storage.getItem('characterInfo');
+  const studentID = storage.getItem('studentID');
 
   // Show the entire character-profile-row if it is hidden
   const profileRow = document.getElementById('character-profile-row');
@@ -795,7 +926,7 @@ function displayCharacterInSettings() {
       
       if (emojiElement && nameElement) {
         emojiElement.textContent = character.emoji || '👤';
-        nameElement.textContent = character.fullName || localStorage.getItem('nameUser') || 'Guest';
+        nameElement.textContent = character.fullName || storage.getItem('nameUser') || 'Guest';
       }
       
       // Update any student ID elements in the settings
@@ -0,0 +1,577 @@
+/**
+ * @module activities/definition_renderer
+ * @description
+ * Renders activities declared in JSON instead of hand-written HTML. A page opts in with
+ * `<section data-activity-definition="activities/p12.json"></section>`; the file is fetched,
+ * validated (see definition_schema.js) and turned into the same markup and answer key
+ * (`correctAnswers`, `interchangeablePairs`) the activity modules already expect, before
+ * translations are applied and the activity is prepared. A definition with errors is not
+ * rendered: the section lists the errors for the author instead.
+ */
+
+import { state } from '../state.js';
+import { ActivityTypes } from '../utils.js';
+import { translateText } from '../translations.js';
+import { showErrorToast } from '../error_utils.js';
+import { ActivityDefinitionError, validateActivityDefinition } from './definition_schema.js';
+
+const DEFINITION_SELECTOR = "section[data-activity-definition]";
+const OPTION_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * Fallback text of a definition text.
+ * @private
+ * @param {string|{id: string, text?: string}} value
+ * @returns {string}
+ */
+const plainText = (value) => (typeof value === "string" ? value : value?.text ?? "");
+
+/**
+ * Creates an element holding a definition text. Texts given with an id keep it in data-id,
+ * so they are translated and read aloud like the rest of the page.
+ * @private
+ * @param {string} tagName
+ * @param {string|{id: string, text?: string}} value
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+const createText = (tagName, value, className = "") => {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (value && typeof value === "object") {
+        element.dataset.id = value.id;
+    }
+    element.textContent = plainText(value);
+    return element;
+};
+
+/**
+ * Creates an image; src is relative to the definition file.
+ * @private
+ * @param {{src: string, alt: string|Object}} image
+ * @param {string} baseUrl - URL of the definition file
+ * @param {string} [className]
+ * @returns {HTMLImageElement}
+ */
+const createImage = (image, baseUrl, className = "max-h-40 object-contain") => {
+    const img = document.createElement("img");
+    img.className = className;
+    img.src = new URL(image.src, baseUrl).href;
+    img.alt = plainText(image.alt);
+    if (typeof image.alt === "object") img.dataset.id = image.alt.id;
+    return img;
+};
+
+/**
+ * Appends the image and text of an option, card or target.
+ * @private
+ */
+const appendContent = (element, entry, baseUrl, textClassName = "") => {
+    if (entry.image) element.appendChild(createImage(entry.image, baseUrl));
+    if (entry.text !== undefined) element.appendChild(createText("span", entry.text, textClassName));
+};
+
+/**
+ * Renders the media shown above the activity.
+ * @private
+ */
+const renderMedia = (media, baseUrl) => {
+    const container = document.createElement("div");
+    container.className = "flex flex-wrap justify-center gap-4 mb-6";
+
+    media.forEach((entry) => {
+        const figure = document.createElement("figure");
+        figure.className = "flex flex-col items-center";
+        if (entry.type === "image") {
+            figure.appendChild(createImage(entry, baseUrl, "max-h-64 rounded-lg object-contain"));
+        } else {
+            const player = document.createElement(entry.type);
+            player.controls = true;
+            player.preload = "metadata";
+            player.src = new URL(entry.src, baseUrl).href;
+            if (entry.alt) player.setAttribute("aria-label", plainText(entry.alt));
+            if (entry.type === "video") player.className = "max-h-64 rounded-lg";
+            figure.appendChild(player);
+        }
+        if (entry.caption) figure.appendChild(createText("figcaption", entry.caption, "text-gray-700 mt-2"));
+        container.appendChild(figure);
+    });
+    return container;
+};
+
+/**
+ * Renders the lines of a cloze and its answer key.
+ * @private
+ * @param {Object} definition
+ * @param {(item: Object) => HTMLElement} createBlank - Creates the blank of an item
+ * @returns {{list: HTMLOListElement, correctAnswers: Object, interchangeablePairs: Object}}
+ */
+const renderBlanks = (definition, createBlank) => {
+    const list = document.createElement("ol");
+    list.className = "space-y-4";
+    const correctAnswers = {};
+
+    definition.items.forEach((item) => {
+        const line = document.createElement("li");
+        line.className = "flex flex-wrap items-center gap-2 text-xl";
+        if (item.before !== undefined) line.appendChild(createText("span", item.before));
+        line.appendChild(createBlank(item));
+        if (item.after !== undefined) line.appendChild(createText("span", item.after));
+        list.appendChild(line);
+
+        // Accepted answers are separated by | (see fill_in_blank.js)
+        correctAnswers[item.id] = [].concat(definition.answers[item.id]).join("|");
+    });
+
+    const interchangeablePairs = {};
+    (definition.interchangeable || []).forEach((group) => {
+        group.forEach((itemId) => {
+            interchangeablePairs[itemId] = group.filter((other) => other !== itemId);
+        });
+    });
+
+    return { list, correctAnswers, interchangeablePairs };
+};
+
+/**
+ * Type-specific renderers. Each fills the section and returns its answer key.
+ * @private
+ */
+const renderers = {
+    [ActivityTypes.MULTIPLE_CHOICE]: (section, definition, baseUrl) => {
+        const question = createText("h2", definition.question, "text-2xl font-bold mb-4");
+        question.id = "question-label";
+        section.appendChild(question);
+
+        const group = document.createElement("div");
+        group.className = "grid gap-4 md:grid-cols-2";
+        group.setAttribute("role", "group");
+        group.setAttribute("aria-labelledby", "question-label");
+
+        const answers = [].concat(definition.answers);
+        const correctAnswers = {};
+        definition.options.forEach((option, index) => {
+            const label = document.createElement("label");
+            label.className = "activity-option flex items-center gap-4 p-4 border-2 border-gray-300 rounded-lg";
+            label.dataset.activityItem = option.id;
+            label.tabIndex = 0;
+
+            const input = document.createElement("input");
+            input.type = "radio";
+            input.name = "multiple-choice";
+            input.value = option.id;
+            input.className = "hidden";
+            input.dataset.activityItem = option.id;
+
+            const letterCircle = document.createElement("div");
+            letterCircle.className = "w-8 h-8 rounded-full border-2 border-gray-300 flex items-center justify-center";
+            const letter = document.createElement("span");
+            letter.className = "option-letter";
+            letter.textContent = OPTION_LETTERS[index] ?? String(index + 1);
+            letterCircle.appendChild(letter);
+
+            const content = document.createElement("div");
+            content.className = "flex flex-col items-center gap-2 flex-grow";
+            appendContent(content, option, baseUrl, "text-xl");
+
+            const feedback = document.createElement("div");
+            feedback.className = "feedback-container hidden";
+            feedback.append(document.createElement("span"), document.createElement("span"));
+            feedback.firstChild.className = "feedback-icon";
+            feedback.lastChild.className = "feedback-text";
+
+            // The first span of an option is styled as its label (see multiple_choice.js)
+            label.append(input, content, letterCircle, feedback);
+            group.appendChild(label);
+            correctAnswers[option.id] = answers.includes(option.id);
+        });
+
+        section.appendChild(group);
+        return { correctAnswers };
+    },
+
+    [ActivityTypes.TRUE_FALSE]: (section, definition) => {
+        const choices = [
+            ["yes", "activity-true"],
+            ["no", "activity-false"],
+        ];
+        const correctAnswers = {};
+
+        definition.items.forEach((item, index) => {
+            const fieldset = document.createElement("fieldset");
+            fieldset.className = "mb-6";
+            const legend = document.createElement("legend");
+            legend.className = "mb-2";
+            legend.appendChild(createText("span", item.text, "text-xl"));
+
+            const buttons = document.createElement("div");
+            buttons.className = "flex gap-4";
+            choices.forEach(([value, labelKey]) => {
+                const label = document.createElement("label");
+                label.className = "relative cursor-pointer";
+
+                const input = document.createElement("input");
+                input.type = "radio";
+                input.name = `question${index + 1}`;
+                input.value = value;
+                input.className = "peer absolute opacity-0";
+                input.dataset.activityItem = item.id;
+
+                const button = document.createElement("div");
+                button.className =
+                    "flex items-center gap-2 px-6 py-3 rounded-lg bg-gray-200 peer-checked:bg-blue-500 peer-checked:text-white peer-focus:ring-2 peer-focus:ring-blue-500";
+                const text = createText("span", { id: labelKey, text: translateText(labelKey) });
+                const validationMark = document.createElement("span");
+                validationMark.className = "validation-mark hidden";
+                button.append(text, validationMark);
+
+                label.append(input, button);
+                buttons.appendChild(label);
+            });
+
+            fieldset.append(legend, buttons);
+            section.appendChild(fieldset);
+            correctAnswers[item.id] = definition.answers[item.id] ? "yes" : "no";
+        });
+
+        return { correctAnswers };
+    },
+
+    [ActivityTypes.FILL_IN_THE_BLANK]: (section, definition) => {
+        const { list, correctAnswers, interchangeablePairs } = renderBlanks(definition, (item) => {
+            const input = document.createElement("input");
+            input.type = "text";
+            input.className = "blank-input border-2 border-gray-300 rounded px-2 py-1";
+            input.dataset.activityItem = item.id;
+            input.dataset.ariaId = item.id;
+            input.setAttribute("aria-label", [plainText(item.before), "___", plainText(item.after)].join(" ").trim());
+            return input;
+        });
+
+        section.appendChild(list);
+        return { correctAnswers, interchangeablePairs };
+    },
+
+    [ActivityTypes.WORD_BANK_CLOZE]: (section, definition) => {
+        const { list, correctAnswers, interchangeablePairs } = renderBlanks(definition, (item) => {
+            const blank = document.createElement("span");
+            blank.className = "cloze-blank inline-flex items-center justify-center min-w-24 min-h-12 px-2 border-b-4 border-gray-400";
+            blank.dataset.activityItem = item.id;
+            return blank;
+        });
+
+        // The first accepted answer of each blank, and the distractors, in alphabetical order
+        const words = definition.items
+            .map((item) => [].concat(definition.answers[item.id])[0])
+            .concat(definition.distractors || [])
+            .sort((a, b) => a.localeCompare(b, state.currentLanguage));
+
+        const bank = document.createElement("div");
+        bank.className = "word-bank-chips flex flex-wrap justify-center gap-3 mb-6 p-4 bg-gray-100 rounded-lg";
+        words.forEach((word) => {
+            const chip = document.createElement("button");
+            chip.type = "button";
+            chip.className = "word-chip px-4 py-2 text-xl bg-white border-2 border-gray-300 rounded-full";
+            chip.textContent = word;
+            const audio = definition.audio?.[word];
+            if (audio) chip.dataset.audio = audio;
+            bank.appendChild(chip);
+        });
+
+        section.append(bank, list);
+        return { correctAnswers, interchangeablePairs };
+    },
+
+    [ActivityTypes.OPEN_ENDED_ANSWER]: (section, definition) => {
+        definition.items.forEach((item) => {
+            const label = document.createElement("label");
+            label.className = "block mb-6";
+            label.appendChild(createText("span", item.prompt, "block text-xl mb-2"));
+
+            const textarea = document.createElement("textarea");
+            textarea.className = "w-full border-2 border-gray-300 rounded-lg p-2";
+            textarea.rows = item.rows ?? 3;
+            textarea.dataset.ariaId = item.id;
+            label.appendChild(textarea);
+            section.appendChild(label);
+        });
+        return { correctAnswers: {} };
+    },
+
+    [ActivityTypes.FILL_IN_A_TABLE]: (section, definition) => {
+        const table = document.createElement("table");
+        table.className = "w-full border-collapse text-xl";
+
+        const headerRow = table.createTHead().insertRow();
+        definition.columns.forEach((column) => {
+            const header = createText("th", column, "border border-gray-300 bg-gray-100 p-2");
+            header.scope = "col";
+            headerRow.appendChild(header);
+        });
+
+        const body = table.createTBody();
+        definition.items.forEach((row) => {
+            const tableRow = body.insertRow();
+            row.cells.forEach((cell, index) => {
+                const tableCell = tableRow.insertCell();
+                tableCell.className = "border border-gray-300 p-2";
+                if (cell && typeof cell === "object" && "input" in cell) {
+                    const input = document.createElement("input");
+                    input.type = "text";
+                    input.className = "w-full border-2 border-gray-300 rounded px-2 py-1";
+                    input.dataset.activityItem = cell.input;
+                    input.dataset.ariaId = cell.input;
+                    input.setAttribute("aria-label", plainText(definition.columns[index]));
+                    tableCell.appendChild(input);
+                } else {
+                    tableCell.appendChild(createText("span", cell));
+                }
+            });
+        });
+
+        section.appendChild(table);
+        return { correctAnswers: { ...(definition.answers || {}) } };
+    },
+
+    [ActivityTypes.SORTING]: (section, definition, baseUrl) => {
+        const cards = document.createElement("div");
+        cards.className = "flex flex-wrap justify-center gap-4 mb-6";
+        definition.items.forEach((item) => {
+            const card = document.createElement("div");
+            card.className = "word-card flex flex-col items-center gap-2 p-4 bg-white border-2 border-gray-300 rounded-lg";
+            card.draggable = true;
+            card.dataset.activityItem = item.id;
+            appendContent(card, item, baseUrl, "word-text text-xl");
+            cards.appendChild(card);
+        });
+
+        const categories = document.createElement("div");
+        categories.className = "grid gap-4 md:grid-cols-2";
+        definition.options.forEach((option) => {
+            const column = document.createElement("div");
+            // The category is labelled by the heading right before it (see sorting.js)
+            const heading = createText("h3", option.text, "text-xl font-bold mb-2");
+            const category = document.createElement("div");
+            category.className = "category min-h-32 p-2 border-2 border-dashed border-gray-400 rounded-lg";
+            category.dataset.activityCategory = option.id;
+            category.setAttribute("aria-label", plainText(option.text));
+            const wordList = document.createElement("div");
+            wordList.className = "word-list flex flex-wrap gap-2";
+            category.appendChild(wordList);
+            column.append(heading, category);
+            categories.appendChild(column);
+        });
+
+        section.append(cards, categories);
+        return { correctAnswers: { ...definition.answers } };
+    },
+
+    [ActivityTypes.MATCHING]: (section, definition, baseUrl) => {
+        const items = document.createElement("div");
+        items.className = "original-word-list flex flex-wrap justify-center gap-4 mb-6";
+        definition.items.forEach((item) => {
+            const card = document.createElement("div");
+            card.className = "activity-item flex flex-col items-center gap-2 p-4 bg-white border-2 border-gray-300 rounded-lg";
+            card.draggable = true;
+            card.dataset.activityItem = item.id;
+            appendContent(card, item, baseUrl, "text-xl");
+            items.appendChild(card);
+        });
+
+        // Ids are prefixed so they cannot clash with the rest of the page
+        const regionId = (targetId) => `match-${targetId}`;
+        const targets = document.createElement("div");
+        targets.className = "grid gap-4 md:grid-cols-2";
+        definition.options.forEach((option) => {
+            const dropzone = document.createElement("div");
+            dropzone.className = "dropzone flex items-center gap-4 p-4 border-2 border-dashed border-gray-400 rounded-lg";
+            dropzone.id = `dropzone-${option.id}`;
+
+            const content = document.createElement("div");
+            content.className = "flex flex-col items-center gap-2";
+            appendContent(content, option, baseUrl, "text-xl");
+
+            const region = document.createElement("div");
+            region.className = "flex-grow min-h-16";
+            region.id = regionId(option.id);
+            region.setAttribute("role", "region");
+            region.setAttribute("aria-label", plainText(option.text) || plainText(option.image?.alt));
+
+            dropzone.append(content, region);
+            targets.appendChild(dropzone);
+        });
+
+        section.append(items, targets);
+        const correctAnswers = Object.fromEntries(
+            Object.entries(definition.answers).map(([itemId, targetId]) => [itemId, regionId(targetId)])
+        );
+        return { correctAnswers };
+    },
+
+    [ActivityTypes.SEQUENCING]: (section, definition, baseUrl) => {
+        const items = new Map(definition.items.map((item) => [item.id, item]));
+        // Without a starting order, every card starts one place away from its position
+        const start = definition.start || [...items.keys()].slice(1).concat(definition.items[0].id);
+
+        const list = document.createElement("ol");
+        list.className = "sequence-list flex flex-col gap-3";
+        start.forEach((itemId) => {
+            const card = document.createElement("li");
+            card.className = "sequence-card flex items-center gap-4 p-4 bg-white border-2 border-gray-300 rounded-lg";
+            card.dataset.activityItem = itemId;
+            appendContent(card, items.get(itemId), baseUrl, "sequence-text text-xl");
+            list.appendChild(card);
+        });
+
+        section.appendChild(list);
+        const correctAnswers = Object.fromEntries(definition.items.map((item, index) => [item.id, index + 1]));
+        return { correctAnswers };
+    },
+
+    [ActivityTypes.IMAGE_HOTSPOT]: (section, definition, baseUrl) => {
+        section.dataset.hotspotMode = definition.mode || "identify";
+
+        const items = document.createElement("div");
+        items.className = "hotspot-items flex flex-wrap justify-center gap-3 mb-6";
+        definition.items.forEach((item) => {
+            const button = createText("button", item.text, "hotspot-item px-4 py-2 text-xl bg-white border-2 border-gray-300 rounded-full");
+            button.type = "button";
+            button.dataset.activityItem = item.id;
+            items.appendChild(button);
+        });
+
+        const picture = document.createElement("div");
+        picture.className = "hotspot-image relative mx-auto max-w-3xl";
+        picture.appendChild(createImage(definition.image, baseUrl, "w-full h-auto rounded-lg"));
+        definition.options.forEach((region) => {
+            // Drawn by image_hotspot.js; the text is the label when texts.json has none
+            const element = document.createElement("div");
+            element.className = "hotspot-region";
+            element.dataset.region = region.id;
+            element.dataset.shape = region.shape || "rect";
+            element.dataset.coords = region.coords.join(",");
+            if (typeof region.label === "object") element.dataset.labelId = region.label.id;
+            element.textContent = plainText(region.label);
+            picture.appendChild(element);
+        });
+
+        section.append(items, picture);
+        return { correctAnswers: { ...definition.answers } };
+    },
+
+    [ActivityTypes.DRAWING]: (section, definition, baseUrl) => {
+        if (definition.colors) section.dataset.colors = definition.colors.join(",");
+
+        const area = document.createElement("div");
+        area.className = "drawing-area mx-auto max-w-3xl";
+        if (definition.background) {
+            area.appendChild(createImage(definition.background, baseUrl, "drawing-background"));
+        }
+        section.appendChild(area);
+        return { correctAnswers: {} };
+    },
+};
+
+/**
+ * Fetches and validates a definition.
+ * @private
+ * @param {string} url - Absolute URL of the definition file
+ * @returns {Promise<Object>} Valid definition
+ * @throws {ActivityDefinitionError} When the file is missing, is not JSON or is invalid
+ */
+const loadDefinition = async (url) => {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new ActivityDefinitionError(url, [`could not be loaded (${error.message})`]);
+    }
+    if (!response.ok) {
+        throw new ActivityDefinitionError(url, [`could not be loaded (HTTP ${response.status})`]);
+    }
+
+    let definition;
+    try {
+        definition = await response.json();
+    } catch (error) {
+        throw new ActivityDefinitionError(url, [`is not valid JSON (${error.message})`]);
+    }
+
+    const errors = validateActivityDefinition(definition);
+    if (errors.length > 0) {
+        throw new ActivityDefinitionError(url, errors);
+    }
+    return definition;
+};
+
+/**
+ * Replaces the section with the list of errors of its definition.
+ * @private
+ * @param {HTMLElement} section
+ * @param {ActivityDefinitionError} error
+ */
+const renderErrors = (section, error) => {
+    section.removeAttribute("role");
+    section.removeAttribute("data-section-type");
+
+    const alert = document.createElement("div");
+    alert.className = "activity-definition-error m-4 p-4 border-2 border-red-300 bg-red-100 rounded-lg";
+    alert.setAttribute("role", "alert");
+    alert.appendChild(createText("p", `Invalid activity definition ${error.source}`, "font-bold mb-2"));
+    const list = document.createElement("ul");
+    list.className = "list-disc pl-6 font-mono text-sm";
+    error.errors.forEach((message) => list.appendChild(createText("li", message)));
+    alert.appendChild(list);
+    section.replaceChildren(alert);
+};
+
+/**
+ * Renders one section from its definition.
+ * @private
+ * @param {HTMLElement} section
+ * @returns {Promise<Object|null>} Answer key of the activity, or null when it has errors
+ */
+const renderSection = async (section) => {
+    const url = new URL(section.dataset.activityDefinition, window.location.href).href;
+    try {
+        const definition = await loadDefinition(url);
+
+        section.replaceChildren();
+        section.setAttribute("role", "activity");
+        section.dataset.sectionType = definition.type;
+        section.dataset.ariaId = url.split("/").pop().split(".")[0];
+        if (definition.feedback?.correct) section.dataset.feedbackCorrect = definition.feedback.correct;
+        if (definition.feedback?.incorrect) section.dataset.feedbackIncorrect = definition.feedback.incorrect;
+        section.classList.add("p-4");
+
+        if (definition.instructions) {
+            section.appendChild(createText("p", definition.instructions, "text-xl mb-4"));
+        }
+        if (definition.media?.length) {
+            section.appendChild(renderMedia(definition.media, url));
+        }
+        return renderers[definition.type](section, definition, url);
+    } catch (error) {
+        const definitionError =
+            error instanceof ActivityDefinitionError ? error : new ActivityDefinitionError(url, [error.message]);
+        console.error(definitionError.message);
+        renderErrors(section, definitionError);
+        showErrorToast(translateText("activity-definition-error"));
+        return null;
+    }
+};
+
+/**
+ * Renders the activities declared in JSON on the page and sets their answer key. Pages
+ * without definitions, and their hand-written answer keys, are left untouched.
+ * @param {ParentNode} [root=document] - Content to render
+ * @returns {Promise<void>}
+ */
+export const renderActivityDefinitions = async (root = document) => {
+    const sections = Array.from(root.querySelectorAll(DEFINITION_SELECTOR));
+    if (sections.length === 0) return;
+
+    const keys = await Promise.all(sections.map(renderSection));
+    window.correctAnswers = Object.assign({}, ...keys.map((key) => key?.correctAnswers));
+    window.interchangeablePairs = Object.assign({}, ...keys.map((key) => key?.interchangeablePairs));
+};
@@ -0,0 +1,536 @@
+/**
+ * @module activities/definition_schema
+ * @description
+ * Schema of the declarative activity definitions (one JSON file per activity page) and
+ * their validation. Errors name the offending field with its path ("options[2].id") so an
+ * author can fix the file without reading the renderer.
+ *
+ * Every definition has a `type` (an ActivityTypes value) and may have `instructions`,
+ * `media` and `feedback` ({ correct, incorrect } translation keys). Texts are either plain
+ * strings or `{ "id": "<texts.json key>", "text": "<fallback>" }`, so they are translated and
+ * read aloud like the rest of the page. The other fields depend on the type:
+ * - activity_multiple_choice: `question`, `options` [{ id, text?, image? }], `answers`: option id(s)
+ * - activity_true_false: `items` [{ id, text }], `answers`: { itemId: true|false }
+ * - activity_fill_in_the_blank: `items` [{ id, before?, after? }], `answers`: { itemId: "a"|["a", "b"] },
+ *   `interchangeable`: [[itemId, itemId], ...] for blanks that accept each other's answers
+ * - activity_word_bank_cloze: the fields of fill in the blank, plus `distractors` [words] shown in the
+ *   word bank with the answers, and `audio`: { word: "<file in i18n/<lang>/audio>" }
+ * - activity_open_ended_answer: `items` [{ id, prompt, rows? }]
+ * - activity_fill_in_a_table: `columns` [text], `items` (rows) [{ cells: [text | { input: id }] }],
+ *   `answers`: { inputId: "a" } (inputs without an answer accept any text)
+ * - activity_sorting: `options` (categories) [{ id, text }], `items` [{ id, text?, image? }],
+ *   `answers`: { itemId: categoryId }
+ * - activity_matching: `options` (targets) [{ id, text?, image? }], `items` [{ id, text?, image? }],
+ *   `answers`: { itemId: targetId }, one item per target
+ * - activity_sequencing: `items` [{ id, text?, image? }] in story order, `start`: item ids in the
+ *   order the cards are shown (defaults to the story order moved by one card)
+ * - activity_image_hotspot: `image` { src, alt }, `mode`: "identify" (default) or "label",
+ *   `options` (regions) [{ id, label, shape: "rect"|"polygon", coords }] with coordinates in
+ *   percent of the image ([x, y, width, height] for a rect, [x1, y1, x2, y2, ...] for a polygon),
+ *   `items` (prompts or labels) [{ id, text }], `answers`: { itemId: regionId }, one label per
+ *   region in label mode
+ * - activity_drawing: `background` { src, alt } line art to color in, `colors` [CSS colors] replacing
+ *   the palette
+ */
+
+import { ActivityTypes } from '../utils.js';
+
+/**
+ * Newest version of the definition format this runtime understands.
+ * @type {number}
+ */
+export const DEFINITION_SCHEMA_VERSION = 1;
+
+const MEDIA_TYPES = ["image", "audio", "video"];
+const HOTSPOT_MODES = ["identify", "label"];
+
+// Ids end up in element ids, data attributes and CSS selectors
+const ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Error raised for a definition that cannot be rendered, with every problem found.
+ */
+export class ActivityDefinitionError extends Error {
+    /**
+     * @param {string} source - URL of the definition file
+     * @param {string[]} errors - Problems, each prefixed with the path of the field
+     */
+    constructor(source, errors) {
+        super(`Invalid activity definition ${source}:\n- ${errors.join("\n- ")}`);
+        this.name = "ActivityDefinitionError";
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Whether a value is a plain object.
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Whether a value is a non-empty string.
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+/**
+ * Collects the problems of one definition.
+ * @private
+ */
+class DefinitionChecker {
+    constructor() {
+        this.errors = [];
+    }
+
+    fail(path, message) {
+        this.errors.push(`${path}: ${message}`);
+    }
+
+    /**
+     * Checks a text: a string, or { id, text? } with a texts.json key.
+     * @returns {boolean} Whether a text is present
+     */
+    text(value, path, { required = false } = {}) {
+        if (value === undefined) {
+            if (required) this.fail(path, "is required");
+            return false;
+        }
+        if (typeof value === "string") {
+            if (required && value.trim() === "") this.fail(path, "must not be empty");
+            return value.trim() !== "";
+        }
+        if (isObject(value)) {
+            if (!isNonEmptyString(value.id)) this.fail(`${path}.id`, "must be the key of the text in texts.json");
+            if (value.text !== undefined && typeof value.text !== "string") this.fail(`${path}.text`, "must be a string");
+            return true;
+        }
+        this.fail(path, 'must be a string or an object like { "id": "txt_key", "text": "Fallback" }');
+        return false;
+    }
+
+    /**
+     * Checks an image: { src, alt }.
+     */
+    image(value, path) {
+        if (!isObject(value)) {
+            this.fail(path, 'must be an object like { "src": "images/cat.png", "alt": "A cat" }');
+            return;
+        }
+        if (!isNonEmptyString(value.src)) this.fail(`${path}.src`, "must be the path of the image");
+        this.text(value.alt, `${path}.alt`, { required: true });
+    }
+
+    /**
+     * Checks a list of objects with unique ids.
+     * @returns {string[]} The ids found
+     */
+    idList(value, path, { min = 1, check } = {}) {
+        if (!Array.isArray(value)) {
+            this.fail(path, "must be a list");
+            return [];
+        }
+        if (value.length < min) this.fail(path, `must have at least ${min} ${min === 1 ? "entry" : "entries"}`);
+
+        const ids = [];
+        value.forEach((entry, index) => {
+            const entryPath = `${path}[${index}]`;
+            if (!isObject(entry)) {
+                this.fail(entryPath, "must be an object");
+                return;
+            }
+            if (!isNonEmptyString(entry.id) || !ID_PATTERN.test(entry.id)) {
+                this.fail(`${entryPath}.id`, "must start with a letter and contain only letters, digits, - and _");
+            } else if (ids.includes(entry.id)) {
+                this.fail(`${entryPath}.id`, `"${entry.id}" is used twice`);
+            } else {
+                ids.push(entry.id);
+            }
+            check?.(entry, entryPath);
+        });
+        return ids;
+    }
+
+    /**
+     * Checks an entry shown as text, image or both.
+     */
+    textOrImage(entry, path) {
+        const hasText = this.text(entry.text, `${path}.text`);
+        if (entry.image !== undefined) this.image(entry.image, `${path}.image`);
+        if (!hasText && entry.image === undefined) this.fail(path, "needs a text or an image");
+    }
+
+    /**
+     * Checks an answer map: one valid answer per item, and no unknown items.
+     */
+    answerMap(answers, path, itemIds, { isValid, expected, requireAll = true }) {
+        if (!isObject(answers)) {
+            this.fail(path, "must be an object with one answer per item id");
+            return;
+        }
+        Object.entries(answers).forEach(([itemId, answer]) => {
+            if (!itemIds.includes(itemId)) {
+                this.fail(`${path}.${itemId}`, "is not the id of an item");
+            } else if (!isValid(answer)) {
+                this.fail(`${path}.${itemId}`, `must be ${expected}`);
+            }
+        });
+        if (requireAll) {
+            itemIds
+                .filter((itemId) => !(itemId in answers))
+                .forEach((itemId) => this.fail(`${path}.${itemId}`, "is missing"));
+        }
+    }
+}
+
+/**
+ * Checks the blanks shared by fill in the blank and the word bank cloze.
+ * @private
+ */
+const checkBlanks = (checker, definition) => {
+    const itemIds = checker.idList(definition.items, "items", {
+        check: (item, path) => {
+            const hasBefore = checker.text(item.before, `${path}.before`);
+            const hasAfter = checker.text(item.after, `${path}.after`);
+            if (!hasBefore && !hasAfter) checker.fail(path, "needs a text before or after the blank");
+        },
+    });
+    checker.answerMap(definition.answers, "answers", itemIds, {
+        isValid: (answer) =>
+            isNonEmptyString(answer) ||
+            (Array.isArray(answer) && answer.length > 0 && answer.every(isNonEmptyString)),
+        expected: "the answer, or a list of accepted answers",
+    });
+
+    if (definition.interchangeable !== undefined) {
+        if (!Array.isArray(definition.interchangeable)) {
+            checker.fail("interchangeable", "must be a list of groups of item ids");
+            return;
+        }
+        definition.interchangeable.forEach((group, index) => {
+            if (!Array.isArray(group) || group.length < 2) {
+                checker.fail(`interchangeable[${index}]`, "must list at least two item ids");
+                return;
+            }
+            group
+                .filter((itemId) => !itemIds.includes(itemId))
+                .forEach((itemId) => checker.fail(`interchangeable[${index}]`, `"${itemId}" is not the id of an item`));
+        });
+    }
+};
+
+/**
+ * Checks the shape and coordinates of an image hotspot region.
+ * @private
+ */
+const checkRegionShape = (checker, region, path) => {
+    const shape = region.shape ?? "rect";
+    if (shape !== "rect" && shape !== "polygon") {
+        checker.fail(`${path}.shape`, 'must be "rect" or "polygon"');
+        return;
+    }
+    if (!Array.isArray(region.coords) || !region.coords.every((value) => typeof value === "number" && value >= 0 && value <= 100)) {
+        checker.fail(`${path}.coords`, "must be a list of numbers from 0 to 100 (percent of the image)");
+        return;
+    }
+    if (shape === "rect" && region.coords.length !== 4) {
+        checker.fail(`${path}.coords`, "must be [x, y, width, height] for a rect");
+    } else if (shape === "polygon" && (region.coords.length < 6 || region.coords.length % 2 !== 0)) {
+        checker.fail(`${path}.coords`, "must be at least three x, y pairs for a polygon");
+    }
+};
+
+/**
+ * Type-specific checks.
+ * @private
+ */
+const typeCheckers = {
+    [ActivityTypes.MULTIPLE_CHOICE]: (checker, definition) => {
+        checker.text(definition.question, "question", { required: true });
+        const optionIds = checker.idList(definition.options, "options", {
+            min: 2,
+            check: (option, path) => checker.textOrImage(option, path),
+        });
+        const answers = Array.isArray(definition.answers) ? definition.answers : [definition.answers];
+        if (definition.answers === undefined || answers.length === 0) {
+            checker.fail("answers", "must be the id of the correct option (or a list of ids)");
+        }
+        answers.forEach((answer) => {
+            if (definition.answers !== undefined && !optionIds.includes(answer)) {
+                checker.fail("answers", `"${answer}" is not the id of an option`);
+            }
+        });
+    },
+
+    [ActivityTypes.TRUE_FALSE]: (checker, definition) => {
+        const itemIds = checker.idList(definition.items, "items", {
+            check: (item, path) => checker.text(item.text, `${path}.text`, { required: true }),
+        });
+        checker.answerMap(definition.answers, "answers", itemIds, {
+            isValid: (answer) => typeof answer === "boolean",
+            expected: "true or false",
+        });
+    },
+
+    [ActivityTypes.FILL_IN_THE_BLANK]: (checker, definition) => {
+        checkBlanks(checker, definition);
+    },
+
+    [ActivityTypes.WORD_BANK_CLOZE]: (checker, definition) => {
+        checkBlanks(checker, definition);
+
+        if (definition.distractors !== undefined) {
+            if (!Array.isArray(definition.distractors)) {
+                checker.fail("distractors", "must be a list of words");
+            } else {
+                definition.distractors.forEach((word, index) => {
+                    if (!isNonEmptyString(word)) checker.fail(`distractors[${index}]`, "must be a word");
+                });
+            }
+        }
+        if (definition.audio !== undefined) {
+            if (!isObject(definition.audio)) {
+                checker.fail("audio", 'must map words to audio files, like { "jump": "jump.mp3" }');
+            } else {
+                Object.entries(definition.audio)
+                    .filter(([, file]) => !isNonEmptyString(file))
+                    .forEach(([word]) => checker.fail(`audio.${word}`, "must be the name of an audio file"));
+            }
+        }
+    },
+
+    [ActivityTypes.OPEN_ENDED_ANSWER]: (checker, definition) => {
+        checker.idList(definition.items, "items", {
+            check: (item, path) => {
+                checker.text(item.prompt, `${path}.prompt`, { required: true });
+                if (item.rows !== undefined && !(Number.isInteger(item.rows) && item.rows > 0)) {
+                    checker.fail(`${path}.rows`, "must be a positive whole number");
+                }
+            },
+        });
+    },
+
+    [ActivityTypes.FILL_IN_A_TABLE]: (checker, definition) => {
+        if (!Array.isArray(definition.columns) || definition.columns.length === 0) {
+            checker.fail("columns", "must list the column headers");
+        } else {
+            definition.columns.forEach((column, index) => checker.text(column, `columns[${index}]`));
+        }
+
+        const inputIds = [];
+        if (!Array.isArray(definition.items) || definition.items.length === 0) {
+            checker.fail("items", "must list the rows of the table");
+        } else {
+            definition.items.forEach((row, rowIndex) => {
+                const path = `items[${rowIndex}].cells`;
+                if (!isObject(row) || !Array.isArray(row.cells)) {
+                    checker.fail(path, "must be a list of cells");
+                    return;
+                }
+                if (Array.isArray(definition.columns) && row.cells.length !== definition.columns.length) {
+                    checker.fail(path, `has ${row.cells.length} cells but the table has ${definition.columns.length} columns`);
+                }
+                row.cells.forEach((cell, cellIndex) => {
+                    const cellPath = `${path}[${cellIndex}]`;
+                    if (isObject(cell) && "input" in cell) {
+                        if (!isNonEmptyString(cell.input) || !ID_PATTERN.test(cell.input)) {
+                            checker.fail(`${cellPath}.input`, "must start with a letter and contain only letters, digits, - and _");
+                        } else if (inputIds.includes(cell.input)) {
+                            checker.fail(`${cellPath}.input`, `"${cell.input}" is used twice`);
+                        } else {
+                            inputIds.push(cell.input);
+                        }
+                    } else {
+                        checker.text(cell, cellPath);
+                    }
+                });
+            });
+        }
+        if (inputIds.length === 0 && Array.isArray(definition.items)) {
+            checker.fail("items", 'must have at least one cell like { "input": "cell-1" }');
+        }
+
+        if (definition.answers !== undefined) {
+            checker.answerMap(definition.answers, "answers", inputIds, {
+                isValid: isNonEmptyString,
+                expected: "the expected text",
+                requireAll: false,
+            });
+        }
+    },
+
+    [ActivityTypes.SORTING]: (checker, definition) => {
+        const categoryIds = checker.idList(definition.options, "options", {
+            min: 2,
+            check: (category, path) => checker.text(category.text, `${path}.text`, { required: true }),
+        });
+        const itemIds = checker.idList(definition.items, "items", {
+            check: (item, path) => checker.textOrImage(item, path),
+        });
+        checker.answerMap(definition.answers, "answers", itemIds, {
+            isValid: (answer) => categoryIds.includes(answer),
+            expected: `the id of a category (${categoryIds.join(", ")})`,
+        });
+    },
+
+    [ActivityTypes.MATCHING]: (checker, definition) => {
+        const targetIds = checker.idList(definition.options, "options", {
+            check: (target, path) => checker.textOrImage(target, path),
+        });
+        const itemIds = checker.idList(definition.items, "items", {
+            check: (item, path) => checker.textOrImage(item, path),
+        });
+        checker.answerMap(definition.answers, "answers", itemIds, {
+            isValid: (answer) => targetIds.includes(answer),
+            expected: `the id of a target (${targetIds.join(", ")})`,
+        });
+
+        // A target holds a single card
+        if (isObject(definition.answers)) {
+            const seen = new Map();
+            Object.entries(definition.answers).forEach(([itemId, targetId]) => {
+                if (seen.has(targetId)) {
+                    checker.fail(`answers.${itemId}`, `target "${targetId}" is already the answer of "${seen.get(targetId)}"`);
+                }
+                seen.set(targetId, itemId);
+            });
+        }
+    },
+
+    [ActivityTypes.SEQUENCING]: (checker, definition) => {
+        const itemIds = checker.idList(definition.items, "items", {
+            min: 2,
+            check: (item, path) => checker.textOrImage(item, path),
+        });
+
+        if (definition.start !== undefined) {
+            if (!Array.isArray(definition.start)) {
+                checker.fail("start", "must list the item ids in the order the cards are shown");
+                return;
+            }
+            definition.start
+                .filter((itemId) => !itemIds.includes(itemId))
+                .forEach((itemId) => checker.fail("start", `"${itemId}" is not the id of an item`));
+            itemIds
+                .filter((itemId) => !definition.start.includes(itemId))
+                .forEach((itemId) => checker.fail("start", `"${itemId}" is missing`));
+            if (new Set(definition.start).size !== definition.start.length) {
+                checker.fail("start", "lists an item twice");
+            }
+        }
+    },
+
+    [ActivityTypes.IMAGE_HOTSPOT]: (checker, definition) => {
+        checker.image(definition.image, "image");
+        if (definition.mode !== undefined && !HOTSPOT_MODES.includes(definition.mode)) {
+            checker.fail("mode", `must be one of ${HOTSPOT_MODES.join(", ")}`);
+        }
+
+        const regionIds = checker.idList(definition.options, "options", {
+            check: (region, path) => {
+                checker.text(region.label, `${path}.label`, { required: true });
+                checkRegionShape(checker, region, path);
+            },
+        });
+        const itemIds = checker.idList(definition.items, "items", {
+            check: (item, path) => checker.text(item.text, `${path}.text`, { required: true }),
+        });
+        checker.answerMap(definition.answers, "answers", itemIds, {
+            isValid: (answer) => regionIds.includes(answer),
+            expected: `the id of a region (${regionIds.join(", ")})`,
+        });
+
+        // A region holds a single label
+        if (definition.mode === "label" && isObject(definition.answers)) {
+            const seen = new Map();
+            Object.entries(definition.answers).forEach(([itemId, regionId]) => {
+                if (seen.has(regionId)) {
+                    checker.fail(`answers.${itemId}`, `region "${regionId}" is already the answer of "${seen.get(regionId)}"`);
+                }
+                seen.set(regionId, itemId);
+            });
+        }
+    },
+
+    [ActivityTypes.DRAWING]: (checker, definition) => {
+        if (definition.background !== undefined) checker.image(definition.background, "background");
+        if (definition.colors !== undefined) {
+            if (!Array.isArray(definition.colors) || definition.colors.length === 0) {
+                checker.fail("colors", 'must be a list of CSS colors, like ["#000000", "red"]');
+            } else {
+                definition.colors.forEach((color, index) => {
+                    // Commas would split the list in data-colors
+                    if (!isNonEmptyString(color) || color.includes(",")) checker.fail(`colors[${index}]`, "must be a CSS color without commas");
+                });
+            }
+        }
+    },
+};
+
+/**
+ * Validates an activity definition.
+ * @param {*} definition - Parsed JSON
+ * @returns {string[]} Problems found, each prefixed with the path of the field; empty when valid
+ */
+export const validateActivityDefinition = (definition) => {
+    const checker = new DefinitionChecker();
+
+    if (!isObject(definition)) {
+        checker.fail("(root)", "must be a JSON object");
+        return checker.errors;
+    }
+
+    if (definition.schemaVersion !== undefined) {
+        if (!Number.isInteger(definition.schemaVersion) || definition.schemaVersion < 1) {
+            checker.fail("schemaVersion", "must be a positive whole number");
+        } else if (definition.schemaVersion > DEFINITION_SCHEMA_VERSION) {
+            checker.fail("schemaVersion", `${definition.schemaVersion} is newer than this runtime (${DEFINITION_SCHEMA_VERSION})`);
+        }
+    }
+
+    const typeChecker = typeCheckers[definition.type];
+    if (!typeChecker) {
+        checker.fail("type", `must be one of ${Object.values(ActivityTypes).join(", ")}`);
+    }
+
+    checker.text(definition.instructions, "instructions");
+
+    if (definition.media !== undefined) {
+        if (!Array.isArray(definition.media)) {
+            checker.fail("media", "must be a list");
+        } else {
+            definition.media.forEach((media, index) => {
+                const path = `media[${index}]`;
+                if (!isObject(media) || !MEDIA_TYPES.includes(media.type)) {
+                    checker.fail(`${path}.type`, `must be one of ${MEDIA_TYPES.join(", ")}`);
+                    return;
+                }
+                if (!isNonEmptyString(media.src)) checker.fail(`${path}.src`, "must be the path of the file");
+                checker.text(media.alt, `${path}.alt`, { required: media.type === "image" });
+                checker.text(media.caption, `${path}.caption`);
+            });
+        }
+    }
+
+    if (definition.feedback !== undefined) {
+        if (!isObject(definition.feedback)) {
+            checker.fail("feedback", "must be an object with correct and incorrect translation keys");
+        } else {
+            Object.entries(definition.feedback).forEach(([key, value]) => {
+                if (!["correct", "incorrect"].includes(key)) {
+                    checker.fail(`feedback.${key}`, "is not supported (use correct and incorrect)");
+                } else if (!isNonEmptyString(value)) {
+                    checker.fail(`feedback.${key}`, "must be a translation key");
+                }
+            });
+        }
+    }
+
+    typeChecker?.(checker, definition);
+    return checker.errors;
+};
@@ -0,0 +1,402 @@
+/**
+ * @module activities/drawing
+ * @description
+ * Drawing and coloring canvas ("draw your favorite part of the story").
+ *
+ * Markup: `section[data-section-type="activity_drawing"]` with a `.drawing-area`. An optional
+ * `img.drawing-background` inside it is line art to color in: it is shown over the drawing, so
+ * the lines stay visible, and the canvas takes its proportions. `data-colors` on the section
+ * replaces the palette with a comma-separated list of CSS colors.
+ *
+ * The toolbar has a palette, three brush sizes, an eraser and undo. The drawing is saved as a PNG
+ * data URL under the activity's storage key, so it is part of backups and submissions. The
+ * activity is completed when something has been drawn.
+ */
+
+import { subscribe } from '../state.js';
+import { playActivitySound } from '../audio.js';
+import { ActivityTypes, updateSubmitButtonAndToast } from '../utils.js';
+import { translateText } from '../translations.js';
+import { announceToScreenReader } from '../ui_utils.js';
+import { submitAnswers } from '../submission.js';
+import { updateResetButtonVisibility } from '../../activity.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+const MAX_UNDO_STEPS = 15;
+
+const DEFAULT_COLORS = [
+    { id: "black", value: "#1f2937" },
+    { id: "red", value: "#dc2626" },
+    { id: "orange", value: "#f97316" },
+    { id: "yellow", value: "#facc15" },
+    { id: "green", value: "#16a34a" },
+    { id: "blue", value: "#2563eb" },
+    { id: "purple", value: "#9333ea" },
+    { id: "brown", value: "#92400e" },
+];
+
+const BRUSH_SIZES = [
+    { id: "small", value: 4 },
+    { id: "medium", value: 12 },
+    { id: "large", value: 24 },
+];
+
+const PRESSED_CLASSES = ["ring-4", "ring-blue-500"];
+
+// Current tool and the canvas snapshots taken before each stroke
+let tool = { color: DEFAULT_COLORS[0].value, size: BRUSH_SIZES[1].value, eraser: false };
+let undoStack = [];
+let unsubscribeTranslations = null;
+
+const getActivityId = () => location.pathname
+    .substring(location.pathname.lastIndexOf("/") + 1)
+    .split(".")[0];
+
+const getSection = () => document.querySelector(`section[data-section-type="${ActivityTypes.DRAWING}"]`);
+
+const getCanvas = () => getSection()?.querySelector(".drawing-canvas");
+
+const getStorageKey = () => {
+    const areaId = getSection()?.getAttribute("data-aria-id") || "drawing";
+    return `${getActivityId()}_${areaId}`;
+};
+
+const getColors = (section) => {
+    const custom = (section.getAttribute("data-colors") || "").split(",").map(color => color.trim()).filter(Boolean);
+    return custom.length > 0 ? custom.map(value => ({ value })) : DEFAULT_COLORS;
+};
+
+const getColorLabel = (color) => color.id
+    ? translateText(`drawing-color-${color.id}`)
+    : translateText("drawing-color", { color: color.value });
+
+export const prepareDrawing = (section) => {
+    const area = section.querySelector(".drawing-area");
+    if (!area) {
+        console.error("Drawing activity has no .drawing-area");
+        return;
+    }
+
+    tool = { color: getColors(section)[0].value, size: BRUSH_SIZES[1].value, eraser: false };
+    undoStack = [];
+
+    area.classList.add("relative");
+    area.querySelector(".drawing-canvas")?.remove();
+    section.querySelector(".drawing-toolbar")?.remove();
+
+    const canvas = document.createElement("canvas");
+    canvas.className = "drawing-canvas block w-full h-auto bg-white border-2 border-gray-300 rounded-lg touch-none cursor-crosshair";
+    canvas.setAttribute("role", "img");
+    area.prepend(canvas);
+    setupCanvas(canvas);
+
+    const background = area.querySelector("img.drawing-background");
+    if (background) {
+        // Above the canvas so coloring does not cover the lines, and transparent to the pointer
+        background.classList.add("absolute", "inset-0", "w-full", "h-full", "pointer-events-none", "mix-blend-multiply", "rounded-lg");
+    }
+
+    area.before(createToolbar(section));
+    updateLabels();
+
+    // The canvas takes the proportions of the line art, so wait until its size is known
+    if (background && !background.complete) {
+        background.addEventListener("load", () => sizeCanvas(canvas, background), { once: true });
+        background.addEventListener("error", () => sizeCanvas(canvas, null), { once: true });
+    } else {
+        sizeCanvas(canvas, background);
+    }
+
+    unsubscribeTranslations?.();
+    unsubscribeTranslations = subscribe("translations", () => {
+        if (getSection()) updateLabels();
+    });
+};
+
+const sizeCanvas = (canvas, background) => {
+    const section = getSection();
+    const width = parseInt(section?.getAttribute("data-width"), 10) || DEFAULT_WIDTH;
+    let height = parseInt(section?.getAttribute("data-height"), 10) || DEFAULT_HEIGHT;
+    if (background?.naturalWidth) {
+        height = Math.round(width * background.naturalHeight / background.naturalWidth);
+    }
+
+    canvas.width = width;
+    canvas.height = height;
+    restoreDrawing(canvas);
+};
+
+const createToolButton = (className, onClick) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `${className} w-10 h-10 rounded-full border-2 border-gray-300 flex items-center justify-center`;
+    button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        onClick();
+        updateToolbar();
+        playActivitySound('click');
+    });
+    return button;
+};
+
+const createToolbar = (section) => {
+    const toolbar = document.createElement("div");
+    toolbar.className = "drawing-toolbar flex flex-wrap items-center gap-4 mb-4";
+
+    const palette = document.createElement("div");
+    palette.className = "drawing-palette flex flex-wrap gap-2";
+    palette.setAttribute("role", "group");
+    getColors(section).forEach((color) => {
+        const button = createToolButton("drawing-color", () => {
+            tool.color = color.value;
+            tool.eraser = false;
+        });
+        button.style.backgroundColor = color.value;
+        button.dataset.color = color.value;
+        button.dataset.labelKey = color.id ? `drawing-color-${color.id}` : "";
+        palette.appendChild(button);
+    });
+
+    const sizes = document.createElement("div");
+    sizes.className = "drawing-sizes flex gap-2";
+    sizes.setAttribute("role", "group");
+    BRUSH_SIZES.forEach((size) => {
+        const button = createToolButton("drawing-size bg-white", () => {
+            tool.size = size.value;
+        });
+        button.dataset.size = size.value;
+        button.dataset.labelKey = `drawing-brush-${size.id}`;
+
+        const dot = document.createElement("span");
+        dot.className = "rounded-full bg-gray-800";
+        dot.style.width = `${Math.min(size.value, 28)}px`;
+        dot.style.height = `${Math.min(size.value, 28)}px`;
+        dot.setAttribute("aria-hidden", "true");
+        button.appendChild(dot);
+        sizes.appendChild(button);
+    });
+
+    const eraser = createToolButton("drawing-eraser bg-white", () => {
+        tool.eraser = !tool.eraser;
+    });
+    eraser.dataset.labelKey = "drawing-eraser";
+    eraser.innerHTML = '<i class="fa-solid fa-eraser" aria-hidden="true"></i>';
+
+    const undo = createToolButton("drawing-undo bg-white", undoStroke);
+    undo.dataset.labelKey = "drawing-undo";
+    undo.innerHTML = '<i class="fa-solid fa-rotate-left" aria-hidden="true"></i>';
+
+    toolbar.append(palette, sizes, eraser, undo);
+    return toolbar;
+};
+
+// Accessible names of the canvas and the tools, in the current language
+const updateLabels = () => {
+    const section = getSection();
+    if (!section) return;
+
+    getCanvas()?.setAttribute("aria-label", translateText("drawing-canvas"));
+    section.querySelector(".drawing-palette")?.setAttribute("aria-label", translateText("drawing-palette"));
+    section.querySelector(".drawing-sizes")?.setAttribute("aria-label", translateText("drawing-brush-sizes"));
+    section.querySelectorAll(".drawing-toolbar button").forEach((button) => {
+        const label = button.dataset.labelKey
+            ? translateText(button.dataset.labelKey)
+            : getColorLabel({ value: button.dataset.color });
+        button.setAttribute("aria-label", label);
+        button.title = label;
+    });
+    updateToolbar();
+};
+
+// Shows which color, size and tool are in use
+const updateToolbar = () => {
+    const section = getSection();
+    if (!section) return;
+
+    const setPressed = (button, pressed) => {
+        button.setAttribute("aria-pressed", String(pressed));
+        PRESSED_CLASSES.forEach(className => button.classList.toggle(className, pressed));
+    };
+    section.querySelectorAll(".drawing-color").forEach(button => setPressed(button, !tool.eraser && button.dataset.color === tool.color));
+    section.querySelectorAll(".drawing-size").forEach(button => setPressed(button, Number(button.dataset.size) === tool.size));
+    section.querySelectorAll(".drawing-eraser").forEach(button => setPressed(button, tool.eraser));
+    section.querySelectorAll(".drawing-undo").forEach((button) => {
+        button.disabled = undoStack.length === 0;
+        button.classList.toggle("opacity-50", undoStack.length === 0);
+    });
+};
+
+const setupCanvas = (canvas) => {
+    let lastPoint = null;
+
+    const getPoint = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * canvas.width / rect.width,
+            y: (event.clientY - rect.top) * canvas.height / rect.height
+        };
+    };
+
+    const drawSegment = (from, to) => {
+        const context = canvas.getContext("2d");
+        context.globalCompositeOperation = tool.eraser ? "destination-out" : "source-over";
+        context.strokeStyle = tool.color;
+        context.lineWidth = tool.size;
+        context.lineCap = "round";
+        context.lineJoin = "round";
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x, to.y);
+        context.stroke();
+    };
+
+    canvas.addEventListener("pointerdown", (event) => {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        canvas.setPointerCapture(event.pointerId);
+        pushUndoStep(canvas);
+        clearValidation();
+
+        lastPoint = getPoint(event);
+        // A tap leaves a dot
+        drawSegment(lastPoint, lastPoint);
+    });
+
+    canvas.addEventListener("pointermove", (event) => {
+        if (!lastPoint) return;
+        // Coalesced events keep fast strokes smooth on touch screens
+        const events = event.getCoalescedEvents?.() || [event];
+        events.forEach((pointerEvent) => {
+            const point = getPoint(pointerEvent);
+            drawSegment(lastPoint, point);
+            lastPoint = point;
+        });
+    });
+
+    const endStroke = () => {
+        if (!lastPoint) return;
+        lastPoint = null;
+        saveDrawing();
+        updateToolbar();
+        updateResetButtonVisibility();
+    };
+    canvas.addEventListener("pointerup", endStroke);
+    canvas.addEventListener("pointercancel", endStroke);
+};
+
+const pushUndoStep = (canvas) => {
+    const context = canvas.getContext("2d");
+    undoStack.push(context.getImageData(0, 0, canvas.width, canvas.height));
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+};
+
+const undoStroke = () => {
+    const canvas = getCanvas();
+    const snapshot = undoStack.pop();
+    if (!canvas || !snapshot) return;
+
+    canvas.getContext("2d").putImageData(snapshot, 0, 0);
+    clearValidation();
+    saveDrawing();
+    announceToScreenReader(translateText("drawing-undone"));
+};
+
+// Whether any pixel of the canvas has been painted
+const hasDrawing = () => {
+    const canvas = getCanvas();
+    if (!canvas || canvas.width === 0 || canvas.height === 0) return false;
+
+    const { data } = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 0) return true;
+    }
+    return false;
+};
+
+const saveDrawing = () => {
+    const canvas = getCanvas();
+    if (!canvas) return;
+
+    if (hasDrawing()) {
+        storage.setItem(getStorageKey(), canvas.toDataURL("image/png"));
+    } else {
+        storage.removeItem(getStorageKey());
+    }
+};
+
+const restoreDrawing = (canvas) => {
+    const saved = storage.getItem(getStorageKey());
+    if (!saved?.startsWith("data:image/png")) return;
+
+    const image = new Image();
+    image.addEventListener("load", () => {
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+    });
+    image.addEventListener("error", () => console.warn("Could not restore the saved drawing"));
+    image.src = saved;
+};
+
+const clearValidation = () => {
+    const canvas = getCanvas();
+    canvas?.classList.remove("border-green-500", "border-red-500");
+    canvas?.removeAttribute("aria-invalid");
+};
+
+export const checkDrawing = () => {
+    const canvas = getCanvas();
+    clearValidation();
+
+    const activityId = getActivityId();
+    const attemptsKey = activityId + "-intentos";
+    const attempts = (parseInt(storage.getItem(attemptsKey), 10) || 0) + 1;
+    storage.setItem(attemptsKey, attempts.toString());
+
+    const isDrawn = hasDrawing();
+    canvas?.classList.add(isDrawn ? "border-green-500" : "border-red-500");
+    canvas?.setAttribute("aria-invalid", isDrawn ? "false" : "true");
+
+    // The picture itself is in the saved answers; the xAPI response only says it exists
+    recordActivityResult({
+        activityType: ActivityTypes.DRAWING,
+        success: isDrawn
+    });
+
+    playActivitySound(isDrawn ? 'success' : 'error');
+
+    if (isDrawn) {
+        saveDrawing();
+
+        const storedActivities = storage.getItem("completedActivities");
+        let completedActivities = storedActivities ? JSON.parse(storedActivities) : [];
+        const namePage = document.querySelector("h1")?.innerText || document.title;
+        const timeDone = new Date().toLocaleString("es-ES");
+
+        completedActivities = completedActivities.filter(id => !id.startsWith(`${activityId}-`));
+        completedActivities.push(`${activityId}-${namePage}-${attempts}-${timeDone}`);
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("namePage", namePage);
+
+        submitAnswers(ActivityTypes.DRAWING);
+    }
+
+    updateSubmitButtonAndToast(
+        isDrawn,
+        translateText("next-activity"),
+        ActivityTypes.DRAWING,
+        isDrawn ? 0 : 1,
+        isDrawn ? {} : { message: translateText("drawing-empty"), emoji: '✏️', toastType: 'warning' }
+    );
+};
+
+export const resetActivity = () => {
+    const canvas = getCanvas();
+    canvas?.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+    undoStack = [];
+    clearValidation();
+    updateToolbar();
+    storage.removeItem(getStorageKey());
+    playActivitySound('click');
+};
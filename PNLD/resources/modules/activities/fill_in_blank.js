@@ -2,8 +2,10 @@ import { playActivitySound } from '../audio.js';
 import { updateSubmitButtonAndToast, provideFeedback, ActivityTypes } from '../utils.js';
 import { loadInputState } from './open_ended.js';
 import { translateText } from '../translations.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
 import { findAppropriateParentForFeedback } from './validation.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 //import { correctAnswers } from './correct_answers.js';
 
 
@@ -154,6 +156,13 @@ export const checkFillInTheBlank = () => {
 
     const validationResult = validateAllInputs(inputs);
 
+    recordActivityResult({
+        activityType: ActivityTypes.FILL_IN_THE_BLANK,
+        success: validationResult.allCorrect,
+        response: Array.from(inputs).map(input => input.value.trim()),
+        score: { raw: validationResult.correctCount, max: inputs.length }
+    });
+
     handleValidationResult(validationResult);
 };
 
@@ -166,10 +175,13 @@ const validateAllInputs = (inputs) => {
     let allCorrect = true;
     let firstIncorrectInput = null;
     let unfilledCount = 0;
+    let correctCount = 0;
     inputs.forEach((input) => {
         const validation = validateSingleInput(input);
         console.log(validation)
-        if (!validation.isCorrect) {
+        if (validation.isCorrect) {
+            correctCount++;
+        } else {
             allCorrect = false;
 
             if (!firstIncorrectInput && !validation.isFilled) {
@@ -182,55 +194,72 @@ const validateAllInputs = (inputs) => {
         }
     });
 
-    return { allCorrect, firstIncorrectInput, unfilledCount };
+    return { allCorrect, firstIncorrectInput, unfilledCount, correctCount };
 };
 
-// Fixed version of validateSingleInput function
-const validateSingleInput = (input) => {
-    const dataActivityItem = input.getAttribute("data-activity-item");
+/**
+ * Checks the value of a blank against the answer key: alternatives separated by |, and the
+ * answers of interchangeable blanks (which must then hold different values).
+ * Shared with the word bank cloze, whose blanks are filled with chips.
+ * @param {string} dataActivityItem - Item of the blank
+ * @param {string} value - Value of the blank, trimmed and lowercased
+ * @param {(item: string) => string} getValue - Value of another blank, trimmed and lowercased
+ * @returns {{isCorrect: boolean, isDuplicate: boolean}}
+ */
+export const checkBlankAnswer = (dataActivityItem, value, getValue) => {
     const correctAnswer = correctAnswers[dataActivityItem];
-    const inputValue = input.value.trim().toLowerCase();
-    let isCorrect = false;
-    const isFilled = inputValue !== "";
+    const isFilled = value !== "";
 
     if (correctAnswer && correctAnswer.includes('|')) {
         // Multiple correct answers separated by |
         const acceptableAnswers = correctAnswer.split('|');
-        isCorrect = isFilled && acceptableAnswers.some(answer => 
-            inputValue === answer.trim().toLowerCase());
-    } else if (window.interchangeablePairs && window.interchangeablePairs[dataActivityItem]) {
+        const isCorrect = isFilled && acceptableAnswers.some(answer =>
+            value === answer.trim().toLowerCase());
+        return { isCorrect, isDuplicate: false };
+    }
+
+    if (window.interchangeablePairs && window.interchangeablePairs[dataActivityItem]) {
         // This is part of an interchangeable pair
         const alternateItems = window.interchangeablePairs[dataActivityItem];
         const alternateAnswers = alternateItems.map(item => correctAnswers[item]);
-        
+
         // Check against correct answer or any alternate answers
-        isCorrect = (isFilled && correctAnswer && inputValue === correctAnswer.toLowerCase()) || 
-                    alternateAnswers.some(alt => alt && inputValue === alt.toLowerCase());
-                    
-        // Check for duplicates if this field is valid
-        if (isCorrect && alternateItems.length > 0) {
-            // Get the paired fields
-            for (const alternateItem of alternateItems) {
-                const pairedInput = document.querySelector(`[data-activity-item="${alternateItem}"]`);
-                if (pairedInput && pairedInput.value.trim().toLowerCase() === inputValue) {
-                    // Found duplicate answer - mark as incorrect
-                    isCorrect = false;
-                    // Add special feedback for duplicate answers
-                    provideFeedback(
-                        input,
-                        false,
-                        "No puedes usar la misma palabra en ambos campos",
-                        ActivityTypes.FILL_IN_THE_BLANK
-                    );
-                    return { isCorrect: false, isFilled };
-                }
-            }
+        const isCorrect = (isFilled && correctAnswer && value === correctAnswer.toLowerCase()) ||
+                    alternateAnswers.some(alt => alt && value === alt.toLowerCase());
+
+        // The same word in two paired fields only counts once
+        if (isCorrect && alternateItems.some(item => getValue(item) === value)) {
+            return { isCorrect: false, isDuplicate: true };
         }
-    } else {
-        // Regular validation with a single correct answer
-        isCorrect = isFilled && 
-            correctAnswer &&
-            correctAnswer.toLowerCase() === inputValue;
+        return { isCorrect: Boolean(isCorrect), isDuplicate: false };
+    }
+
+    // Regular validation with a single correct answer
+    const isCorrect = isFilled &&
+        correctAnswer &&
+        correctAnswer.toLowerCase() === value;
+    return { isCorrect: Boolean(isCorrect), isDuplicate: false };
+};
+
+// Fixed version of validateSingleInput function
+const validateSingleInput = (input) => {
+    const dataActivityItem = input.getAttribute("data-activity-item");
+    const correctAnswer = correctAnswers[dataActivityItem];
+    const inputValue = input.value.trim().toLowerCase();
+    const isFilled = inputValue !== "";
+
+    const { isCorrect, isDuplicate } = checkBlankAnswer(dataActivityItem, inputValue, (item) =>
+        document.querySelector(`[data-activity-item="${item}"]`)?.value.trim().toLowerCase());
+
+    if (isDuplicate) {
+        // Add special feedback for duplicate answers
+        provideFeedback(
+            input,
+            false,
+            "No puedes usar la misma palabra en ambos campos",
+            ActivityTypes.FILL_IN_THE_BLANK
+        );
+        return { isCorrect: false, isFilled };
     }
 
     provideFeedback(
@@ -267,26 +296,26 @@ const handleValidationResult = (validationResult) => {
     .substring(location.pathname.lastIndexOf("/") + 1)
     .split(".")[0];
     let key = activityId + "-intentos";
-    let intentCount = localStorage.getItem(key);
+    let intentCount = storage.getItem(key);
     if (intentCount === null) {
-            localStorage.setItem(key, "0");
+            storage.setItem(key, "0");
             intentCount = 0;
         } else {
             intentCount = parseInt(intentCount, 10);
         }
 
         intentCount++;
-        localStorage.setItem(key, intentCount.toString());
+        storage.setItem(key, intentCount.toString());
         
     playActivitySound(allCorrect ? 'success' : 'error');
 
     if (allCorrect) {
     
         // Recuperar el arreglo de actividades completadas del localStorage
-        const storedActivities = localStorage.getItem("completedActivities");
+        const storedActivities = storage.getItem("completedActivities");
         let completedActivities = storedActivities ? JSON.parse(storedActivities) : []; 
     
-        const namePage = localStorage.getItem("namePage");
+        const namePage = storage.getItem("namePage");
         const timeDone = new Date().toLocaleString("es-ES");
         const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
     
@@ -297,11 +326,11 @@ const handleValidationResult = (validationResult) => {
         completedActivities.push(newActivityId);
     
         // Guardar en localStorage
-        localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
     
         
-        localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
-        executeMail(ActivityTypes.FILL_IN_THE_BLANK);
+        storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+        submitAnswers(ActivityTypes.FILL_IN_THE_BLANK);
     }
 
     updateSubmitButtonAndToast(
@@ -405,7 +434,7 @@ export const saveInputState = (input) => {
     const inputId = input.getAttribute("data-aria-id");
     const localStorageKey = `${activityId}_${inputId}`;
 
-    localStorage.setItem(localStorageKey, input.value);
+    storage.setItem(localStorageKey, input.value);
 };
 
 export const autofillCorrectAnswers = () => {
@@ -3,8 +3,10 @@ import { ActivityTypes, updateSubmitButtonAndToast, provideFeedback } from '../u
 import { countUnfilledInputs } from './fill_in_blank.js';
 import { translateText } from '../translations.js';
 import { checkForGibberish } from './validation.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
 import TextValidator from './textvalidator.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 
 export const prepareFillInTable = (section) => {
     const inputs = section.querySelectorAll('input[type="text"]:not(#filter-input), textarea:not(#filter-input)');
@@ -102,6 +104,13 @@ export const checkTableInputs = () => {
         isValid: validationResult.allFilled && hasGibberish
     };
 
+    recordActivityResult({
+        activityType: ActivityTypes.FILL_IN_A_TABLE,
+        success: Boolean(enhancedValidationResult.allFilled && enhancedValidationResult.isValid),
+        response: Array.from(inputs).map(input => input.value.trim()),
+        score: { raw: validationResult.correctCount, max: inputs.length }
+    });
+
     handleTableValidationResult(enhancedValidationResult);
 };
 
@@ -120,16 +129,16 @@ const validateTableInputs = (inputs) => {
     .substring(location.pathname.lastIndexOf("/") + 1)
     .split(".")[0];
     let key = activityId + "-intentos";
-    let intentCount = localStorage.getItem(key);
+    let intentCount = storage.getItem(key);
     if (intentCount === null) {
-            localStorage.setItem(key, "0");
+            storage.setItem(key, "0");
             intentCount = 0;
         } else {
             intentCount = parseInt(intentCount, 10);
         }
 
         intentCount++;
-        localStorage.setItem(key, intentCount.toString()); 
+        storage.setItem(key, intentCount.toString()); 
     
     // Check filled-not-required class is on the table.
     const filledNotRequired = document.getElementsByClassName("filled-not-required").length > 0;
@@ -280,7 +289,7 @@ const handleTableValidationResult = (validationResult) => {
 
     if (allFilled && isValid) {
         playActivitySound('success');
-        localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+        storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
 
         // Obtener el ID de la actividad desde la URL
         const activityId = location.pathname
@@ -290,11 +299,11 @@ const handleTableValidationResult = (validationResult) => {
 
          // Recuperar el arreglo de actividades completadas del localStorage
          let key = activityId + "-intentos";
-         let intentCount = localStorage.getItem(key);
-         const storedActivities = localStorage.getItem("completedActivities");
+         let intentCount = storage.getItem(key);
+         const storedActivities = storage.getItem("completedActivities");
          let completedActivities = storedActivities ? JSON.parse(storedActivities) : []; 
      
-         const namePage = localStorage.getItem("namePage");
+         const namePage = storage.getItem("namePage");
          const timeDone = new Date().toLocaleString("es-ES");
          const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
      
@@ -305,9 +314,9 @@ const handleTableValidationResult = (validationResult) => {
          completedActivities.push(newActivityId);
          console.log("hola")
          // Guardar en localStorage
-         localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+         storage.setItem("completedActivities", JSON.stringify(completedActivities));
      
-         executeMail(ActivityTypes.FILL_IN_A_TABLE);
+         submitAnswers(ActivityTypes.FILL_IN_A_TABLE);
     } else {
         playActivitySound('error');
     }
@@ -365,7 +374,7 @@ const saveTableInputState = (input) => {
     }
     
     const localStorageKey = `${activityId}_${inputId}`;
-    localStorage.setItem(localStorageKey, input.value);
+    storage.setItem(localStorageKey, input.value);
 };
 
 const loadInputState = (inputs) => {
@@ -383,7 +392,7 @@ const loadInputState = (inputs) => {
         }
         
         const localStorageKey = `${activityId}_${inputId}`;
-        const savedValue = localStorage.getItem(localStorageKey);
+        const savedValue = storage.getItem(localStorageKey);
         
         if (savedValue !== null) {
             input.value = savedValue;
@@ -395,7 +404,7 @@ const loadInputState = (inputs) => {
     });
     
     // Store the page name for activity completion tracking
-    localStorage.setItem("namePage", document.querySelector("h1")?.innerText || document.title);
+    storage.setItem("namePage", document.querySelector("h1")?.innerText || document.title);
 };
 
 const highlightRelatedCells = (input) => {
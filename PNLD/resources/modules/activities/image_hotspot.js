@@ -0,0 +1,451 @@
+/**
+ * @module activities/image_hotspot
+ * @description
+ * Image hotspots: regions of a picture that the learner identifies or labels.
+ *
+ * Markup: `section[data-section-type="activity_image_hotspot"]` with a `.hotspot-items` list of
+ * `button.hotspot-item[data-activity-item]` and a `.hotspot-image` holding the `img` and one
+ * `.hotspot-region` per region:
+ * `<div class="hotspot-region" data-region="head" data-shape="rect" data-coords="10,5,30,20"
+ * data-label-id="txt_p16_head">Head</div>`. Coordinates are percentages of the image: x, y,
+ * width and height for `rect`, and x,y pairs for `polygon`. The label of a region is its
+ * texts.json entry (`data-label-id`), or its text.
+ *
+ * `data-hotspot-mode` picks the task:
+ * - `identify` (default): the items are prompts ("Tap the head"); the learner picks a prompt, or
+ *   takes the next one, and taps its region.
+ * - `label`: the items are labels that are dragged, or tapped and then placed, onto the regions.
+ *   A region holds one label.
+ *
+ * `correctAnswers` maps each item to its region. The regions are drawn as an SVG overlay whose
+ * shapes are focusable buttons, so the task works with a keyboard and a screen reader.
+ */
+
+import { state, setState, subscribe } from '../state.js';
+import { playActivitySound } from '../audio.js';
+import { ActivityTypes, updateSubmitButtonAndToast } from '../utils.js';
+import { translateText } from '../translations.js';
+import { announceToScreenReader } from '../ui_utils.js';
+import { submitAnswers } from '../submission.js';
+import { updateResetButtonVisibility } from '../../activity.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const SELECTED_CLASSES = ["border-4", "border-blue-500"];
+const RESULT_CLASSES = ["border-green-500", "border-red-500", "bg-green-50", "bg-red-50"];
+
+// Item -> region chosen by the learner
+let answers = {};
+// Order of the items in the markup, to put placed labels back in their place
+let itemOrder = [];
+let unsubscribeTranslations = null;
+
+const getActivityId = () => location.pathname
+    .substring(location.pathname.lastIndexOf("/") + 1)
+    .split(".")[0];
+
+const getSection = () => document.querySelector(`section[data-section-type="${ActivityTypes.IMAGE_HOTSPOT}"]`);
+
+const isLabelMode = () => getSection()?.getAttribute("data-hotspot-mode") === "label";
+
+const getItems = () => Array.from(getSection()?.querySelectorAll(".hotspot-item") || []);
+
+const getItem = (item) => getItems().find(element => element.getAttribute("data-activity-item") === item);
+
+const getShapes = () => Array.from(getSection()?.querySelectorAll(".hotspot-shape") || []);
+
+const getShape = (region) => getShapes().find(shape => shape.getAttribute("data-region") === region);
+
+const getRegion = (region) => Array.from(getSection()?.querySelectorAll(".hotspot-region") || [])
+    .find(element => element.getAttribute("data-region") === region);
+
+const getStorageKey = () => {
+    const areaId = getSection()?.getAttribute("data-aria-id") || "hotspot";
+    return `${getActivityId()}_${areaId}`;
+};
+
+const getItemText = (item) => item.textContent.replace(/[✓✗]/g, "").trim();
+
+// Label of a region from texts.json, or the text of its markup
+const getRegionLabel = (region) => {
+    const labelId = region.getAttribute("data-label-id");
+    const translated = labelId ? translateText(labelId) : null;
+    return translated && translated !== labelId ? translated : region.textContent.trim() || region.getAttribute("data-region");
+};
+
+/**
+ * Parses the coordinates of a region.
+ * @param {HTMLElement} region
+ * @returns {{shape: string, points: number[][]}|null} Corners in image percentages
+ */
+const parseRegion = (region) => {
+    const shape = region.getAttribute("data-shape") || "rect";
+    const coords = (region.getAttribute("data-coords") || "").split(/[\s,]+/).filter(Boolean).map(Number);
+    if (coords.some(Number.isNaN)) return null;
+
+    if (shape === "rect" && coords.length === 4) {
+        const [x, y, width, height] = coords;
+        return { shape, points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]] };
+    }
+    if (shape === "polygon" && coords.length >= 6 && coords.length % 2 === 0) {
+        const points = [];
+        for (let i = 0; i < coords.length; i += 2) points.push([coords[i], coords[i + 1]]);
+        return { shape, points };
+    }
+    return null;
+};
+
+const injectStyles = () => {
+    if (document.getElementById("hotspot-styles")) return;
+    const style = document.createElement("style");
+    style.id = "hotspot-styles";
+    style.textContent = `
+        .hotspot-shape { fill: rgba(59, 130, 246, 0.12); stroke: #1d4ed8; stroke-width: 2; cursor: pointer; }
+        .hotspot-shape:hover, .hotspot-shape:focus { fill: rgba(59, 130, 246, 0.3); stroke-width: 4; outline: none; }
+        .hotspot-shape.hotspot-correct { fill: rgba(34, 197, 94, 0.3); stroke: #15803d; }
+        .hotspot-shape.hotspot-incorrect { fill: rgba(239, 68, 68, 0.3); stroke: #b91c1c; }
+    `;
+    document.head.appendChild(style);
+};
+
+export const prepareImageHotspot = (section) => {
+    const container = section.querySelector(".hotspot-image");
+    const image = container?.querySelector("img");
+    if (!container || !image) {
+        console.error("Image hotspot activity has no .hotspot-image with an image");
+        return;
+    }
+
+    injectStyles();
+    setState('selectedWord', null);
+    container.classList.add("relative");
+
+    section.querySelector(".hotspot-overlay")?.remove();
+    const overlay = document.createElementNS(SVG_NAMESPACE, "svg");
+    overlay.setAttribute("class", "hotspot-overlay absolute inset-0 w-full h-full");
+    overlay.setAttribute("viewBox", "0 0 100 100");
+    overlay.setAttribute("preserveAspectRatio", "none");
+    overlay.setAttribute("role", "group");
+    overlay.setAttribute("aria-label", image.alt);
+
+    container.querySelectorAll(".hotspot-region").forEach((region) => {
+        region.classList.add("hidden");
+        const geometry = parseRegion(region);
+        if (!geometry) {
+            console.error(`Hotspot region "${region.getAttribute("data-region")}" has invalid coordinates`);
+            return;
+        }
+        overlay.appendChild(createShape(region, geometry));
+    });
+    container.appendChild(overlay);
+
+    // Placed labels and identify badges sit over the picture
+    section.querySelector(".hotspot-markers")?.remove();
+    const markers = document.createElement("div");
+    markers.className = "hotspot-markers absolute inset-0 pointer-events-none";
+    container.appendChild(markers);
+
+    itemOrder = getItems().map(item => item.getAttribute("data-activity-item"));
+    getItems().forEach((item) => {
+        const newItem = item.cloneNode(true);
+        item.replaceWith(newItem);
+        setupItem(newItem);
+    });
+
+    answers = storage.getJSON(getStorageKey(), {});
+    renderAnswers();
+
+    unsubscribeTranslations?.();
+    unsubscribeTranslations = subscribe("translations", () => {
+        if (getSection()) renderAnswers();
+    });
+};
+
+const createShape = (region, { shape, points }) => {
+    const element = document.createElementNS(SVG_NAMESPACE, shape === "rect" ? "rect" : "polygon");
+    if (shape === "rect") {
+        const [[x, y], , [right, bottom]] = points;
+        element.setAttribute("x", x);
+        element.setAttribute("y", y);
+        element.setAttribute("width", right - x);
+        element.setAttribute("height", bottom - y);
+    } else {
+        element.setAttribute("points", points.map(point => point.join(",")).join(" "));
+    }
+
+    element.setAttribute("class", "hotspot-shape");
+    element.setAttribute("vector-effect", "non-scaling-stroke");
+    element.setAttribute("data-region", region.getAttribute("data-region"));
+    element.setAttribute("tabindex", "0");
+    element.setAttribute("role", "button");
+
+    // Centre of the region, where its label or badge is shown
+    element.dataset.centerX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+    element.dataset.centerY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+
+    element.addEventListener("click", () => chooseRegion(element));
+    element.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            chooseRegion(element);
+        }
+    });
+    element.addEventListener("dragover", (event) => event.preventDefault());
+    element.addEventListener("drop", (event) => {
+        event.preventDefault();
+        const item = getItem(event.dataTransfer.getData("text"));
+        if (item) {
+            selectItem(item);
+            chooseRegion(element);
+        }
+    });
+    return element;
+};
+
+const setupItem = (item) => {
+    item.setAttribute("type", "button");
+    item.classList.add("cursor-pointer");
+
+    // Buttons turn Enter and Space into clicks, so this also covers the keyboard
+    item.addEventListener("click", (event) => {
+        event.stopPropagation();
+        if (isLabelMode() && answers[item.getAttribute("data-activity-item")] && state.selectedWord !== item) {
+            // Tapping a placed label takes it off the picture
+            removeAnswer(item);
+            return;
+        }
+        selectItem(item);
+    });
+
+    if (isLabelMode()) {
+        item.setAttribute("draggable", "true");
+        item.addEventListener("dragstart", (event) => {
+            event.dataTransfer.setData("text", item.getAttribute("data-activity-item"));
+        });
+    }
+};
+
+const selectItem = (item) => {
+    if (state.selectedWord) {
+        state.selectedWord.classList.remove(...SELECTED_CLASSES);
+        state.selectedWord.setAttribute("aria-pressed", "false");
+    }
+    item.classList.add(...SELECTED_CLASSES);
+    item.setAttribute("aria-pressed", "true");
+    setState('selectedWord', item);
+    playActivitySound('click');
+};
+
+const deselectItem = () => {
+    if (state.selectedWord) {
+        state.selectedWord.classList.remove(...SELECTED_CLASSES);
+        state.selectedWord.setAttribute("aria-pressed", "false");
+    }
+    setState('selectedWord', null);
+};
+
+// Identify mode works through the prompts: without a selection, the next unanswered one is used
+const getCurrentItem = () => {
+    const selected = state.selectedWord;
+    if (selected?.classList.contains("hotspot-item")) return selected;
+    return isLabelMode() ? null : getItems().find(item => !answers[item.getAttribute("data-activity-item")]) || null;
+};
+
+const chooseRegion = (shape) => {
+    const item = getCurrentItem();
+    const region = shape.getAttribute("data-region");
+    const regionLabel = shape.getAttribute("aria-label");
+    if (!item) {
+        announceToScreenReader(translateText(isLabelMode() ? "hotspot-select-label" : "hotspot-all-answered"));
+        return;
+    }
+
+    const itemId = item.getAttribute("data-activity-item");
+    if (isLabelMode()) {
+        // A region holds one label: the one already there goes back to the list
+        Object.keys(answers)
+            .filter(other => other !== itemId && answers[other] === region)
+            .forEach(other => delete answers[other]);
+    }
+    answers[itemId] = region;
+
+    deselectItem();
+    saveAnswers();
+    renderAnswers();
+    updateResetButtonVisibility();
+    playActivitySound('drop');
+
+    // Identify mode moves on to the next prompt, which is read out with the answer
+    const next = getCurrentItem();
+    const placed = translateText("hotspot-placed", { item: getItemText(item), region: regionLabel });
+    announceToScreenReader(next
+        ? `${placed} ${translateText("hotspot-next-prompt", { item: getItemText(next) })}`
+        : placed);
+};
+
+const removeAnswer = (item) => {
+    delete answers[item.getAttribute("data-activity-item")];
+    deselectItem();
+    saveAnswers();
+    renderAnswers();
+    playActivitySound('click');
+    announceToScreenReader(translateText("hotspot-removed", { item: getItemText(item) }));
+};
+
+const saveAnswers = () => {
+    if (Object.keys(answers).length > 0) {
+        storage.setJSON(getStorageKey(), answers);
+    } else {
+        storage.removeItem(getStorageKey());
+    }
+};
+
+/**
+ * Shows the chosen regions: placed labels (label mode) or prompt numbers (identify mode) at the
+ * centre of their region, and in the accessible names of the regions and items.
+ */
+const renderAnswers = () => {
+    const section = getSection();
+    const itemList = section?.querySelector(".hotspot-items");
+    const markers = section?.querySelector(".hotspot-markers");
+    if (!itemList || !markers) return;
+
+    clearValidation();
+    markers.replaceChildren();
+
+    const items = itemOrder.map(getItem).filter(Boolean);
+    items.forEach((item) => {
+        if (isLabelMode()) itemList.appendChild(item);
+        item.classList.remove("absolute", "pointer-events-auto", "-translate-x-1/2", "-translate-y-1/2");
+        item.style.left = "";
+        item.style.top = "";
+        item.setAttribute("aria-pressed", String(state.selectedWord === item));
+    });
+
+    section.querySelectorAll(".hotspot-region").forEach((region) => {
+        const shape = getShape(region.getAttribute("data-region"));
+        if (!shape) return;
+
+        const regionLabel = getRegionLabel(region);
+        const placed = items.filter(item => answers[item.getAttribute("data-activity-item")] === region.getAttribute("data-region"));
+        shape.setAttribute("aria-label", placed.length > 0
+            ? translateText("hotspot-region-filled", { region: regionLabel, items: placed.map(getItemText).join(", ") })
+            : regionLabel);
+
+        placed.forEach((item) => {
+            if (isLabelMode()) {
+                // The label itself moves onto the picture and can be tapped to take it off
+                item.classList.add("absolute", "pointer-events-auto", "-translate-x-1/2", "-translate-y-1/2");
+                item.style.left = `${shape.dataset.centerX}%`;
+                item.style.top = `${shape.dataset.centerY}%`;
+                markers.appendChild(item);
+            } else {
+                const badge = document.createElement("span");
+                badge.className = "hotspot-badge absolute -translate-x-1/2 -translate-y-1/2 w-8 h-8 rounded-full bg-blue-700 text-white font-bold flex items-center justify-center";
+                badge.setAttribute("aria-hidden", "true");
+                badge.style.left = `${shape.dataset.centerX}%`;
+                badge.style.top = `${shape.dataset.centerY}%`;
+                badge.textContent = String(items.indexOf(item) + 1);
+                markers.appendChild(badge);
+            }
+        });
+    });
+
+    if (!isLabelMode()) {
+        items.forEach((item) => {
+            const region = getRegion(answers[item.getAttribute("data-activity-item")]);
+            item.setAttribute("aria-label", region
+                ? translateText("hotspot-prompt-answered", { item: getItemText(item), region: getRegionLabel(region) })
+                : getItemText(item));
+        });
+    }
+};
+
+const clearValidation = () => {
+    getShapes().forEach(shape => shape.classList.remove("hotspot-correct", "hotspot-incorrect"));
+    getItems().forEach((item) => {
+        item.classList.remove(...RESULT_CLASSES);
+        item.removeAttribute("aria-invalid");
+        item.querySelector(".validation-mark")?.remove();
+    });
+};
+
+const markItem = (item, isCorrect) => {
+    item.classList.add(isCorrect ? "border-green-500" : "border-red-500", isCorrect ? "bg-green-50" : "bg-red-50");
+    item.setAttribute("aria-invalid", isCorrect ? "false" : "true");
+    getShape(answers[item.getAttribute("data-activity-item")])
+        ?.classList.add(isCorrect ? "hotspot-correct" : "hotspot-incorrect");
+
+    const mark = document.createElement("span");
+    mark.className = `validation-mark ml-2 font-bold ${isCorrect ? "text-green-700" : "text-red-700"}`;
+    mark.textContent = isCorrect ? "✓" : "✗";
+    mark.setAttribute("aria-hidden", "true");
+    item.appendChild(mark);
+};
+
+export const checkImageHotspot = () => {
+    deselectItem();
+    renderAnswers();
+
+    const activityId = getActivityId();
+    const attemptsKey = activityId + "-intentos";
+    const attempts = (parseInt(storage.getItem(attemptsKey), 10) || 0) + 1;
+    storage.setItem(attemptsKey, attempts.toString());
+
+    const items = getItems();
+    const responses = [];
+    let correctCount = 0;
+    let unfilledCount = 0;
+
+    items.forEach((item) => {
+        const itemId = item.getAttribute("data-activity-item");
+        if (!answers[itemId]) {
+            unfilledCount++;
+            return;
+        }
+        responses.push([itemId, answers[itemId]]);
+        const isCorrect = answers[itemId] === correctAnswers[itemId];
+        if (isCorrect) correctCount++;
+        markItem(item, isCorrect);
+    });
+
+    const isAllCorrect = correctCount === items.length;
+    recordActivityResult({
+        activityType: ActivityTypes.IMAGE_HOTSPOT,
+        success: isAllCorrect,
+        response: responses,
+        score: { raw: correctCount, max: items.length }
+    });
+
+    playActivitySound(isAllCorrect ? 'success' : 'error');
+
+    if (isAllCorrect) {
+        const storedActivities = storage.getItem("completedActivities");
+        let completedActivities = storedActivities ? JSON.parse(storedActivities) : [];
+        const namePage = document.querySelector("h1")?.innerText || document.title;
+        const timeDone = new Date().toLocaleString("es-ES");
+
+        completedActivities = completedActivities.filter(id => !id.startsWith(`${activityId}-`));
+        completedActivities.push(`${activityId}-${namePage}-${attempts}-${timeDone}`);
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("namePage", namePage);
+
+        submitAnswers(ActivityTypes.IMAGE_HOTSPOT);
+    }
+
+    updateSubmitButtonAndToast(
+        isAllCorrect,
+        translateText("next-activity"),
+        ActivityTypes.IMAGE_HOTSPOT,
+        unfilledCount
+    );
+};
+
+export const resetActivity = () => {
+    answers = {};
+    deselectItem();
+    storage.removeItem(getStorageKey());
+    renderAnswers();
+    playActivitySound('click');
+};
@@ -3,7 +3,9 @@ import { playActivitySound } from '../audio.js';
 import { updateSubmitButtonAndToast } from '../utils.js';
 import { translateText } from '../translations.js';
 import { ActivityTypes } from '../utils.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 
 const applyCardStyling = (card, isInDropzone = false) => {
     // Basic styling for all cards - now with scale effect for all cards
@@ -21,6 +23,8 @@ export const prepareMatching = (section) => {
     setupWordButtons(section);
     setupDropzones(section);
     setupDragListeners();
+    // Restore saved placements once storage has been initialized
+    loadDropzoneState();
 };
 
 const setupWordButtons = (section) => {
@@ -230,7 +234,7 @@ const getActivityLocalStorageKey = () => {
 const saveDropzoneState = (dropzoneId, wordElement) => {
     const localStorageKey = getActivityLocalStorageKey();
 
-    let storedData = JSON.parse(localStorage.getItem(localStorageKey)) || {};
+    let storedData = JSON.parse(storage.getItem(localStorageKey)) || {};
 
     const wordId = wordElement.getAttribute("data-activity-item") || wordElement.getAttribute("data-id");
 
@@ -244,13 +248,13 @@ const saveDropzoneState = (dropzoneId, wordElement) => {
 
     storedData[dropzoneId] = [wordId];
 
-    localStorage.setItem(localStorageKey, JSON.stringify(storedData));
+    storage.setItem(localStorageKey, JSON.stringify(storedData));
 };
 
 // Add this new function to remove a word from localStorage
 const removeDropzoneStateForWord = (wordId) => {
     const localStorageKey = getActivityLocalStorageKey();
-    let storedData = JSON.parse(localStorage.getItem(localStorageKey)) || {};
+    let storedData = JSON.parse(storage.getItem(localStorageKey)) || {};
     
     // Find and remove the word from any dropzone where it exists
     Object.keys(storedData).forEach(dropzoneId => {
@@ -261,11 +265,11 @@ const removeDropzoneStateForWord = (wordId) => {
         }
     });
     
-    localStorage.setItem(localStorageKey, JSON.stringify(storedData));
+    storage.setItem(localStorageKey, JSON.stringify(storedData));
 };
 
 export const loadDropzoneState = () => {
-    const storedDataRaw = localStorage.getItem(getActivityLocalStorageKey());
+    const storedDataRaw = storage.getItem(getActivityLocalStorageKey());
     let storedData = {};
     if (storedDataRaw) {
         try {
@@ -318,9 +322,6 @@ export const loadDropzoneState = () => {
     });
 };
 
-//  load data the localstorage
-loadDropzoneState();
-
 
 
 const handleDropExchange = (existingWord, newWordElement, target) => {
@@ -437,17 +438,18 @@ export const checkMatching = () => {
         .substring(location.pathname.lastIndexOf("/") + 1)
         .split(".")[0];
     let key = activityId + "-intentos";
-    let intentCount = localStorage.getItem(key);
+    let intentCount = storage.getItem(key);
     if (intentCount === null) {
-        localStorage.setItem(key, "0");
+        storage.setItem(key, "0");
         intentCount = 0;
     } else {
         intentCount = parseInt(intentCount, 10);
     }
 
     intentCount++;
-    localStorage.setItem(key, intentCount.toString());
+    storage.setItem(key, intentCount.toString());
 
+    const responses = [];
     Object.keys(correctAnswers).forEach((item) => {
         const wordElement = document.querySelector(
             `.activity-item[data-activity-item='${item}']`
@@ -455,10 +457,20 @@ export const checkMatching = () => {
 
         if (wordElement) {
             const parentDropzone = wordElement.closest(".dropzone");
+            const targetId = parentDropzone?.querySelector("div[role='region']")?.id;
+            if (targetId) responses.push([item, targetId]);
             handleDropzoneValidation(parentDropzone, item, correctAnswers[item], () => correctCount++);
         }
     });
 
+    const totalItems = Object.keys(correctAnswers).length;
+    recordActivityResult({
+        activityType: ActivityTypes.MATCHING,
+        success: correctCount === totalItems,
+        response: responses,
+        score: { raw: correctCount, max: totalItems }
+    });
+
     updateFeedback(correctCount);
 };
 
@@ -548,12 +560,12 @@ const updateFeedback = (correctCount) => {
         const activityId = location.pathname
             .substring(location.pathname.lastIndexOf("/") + 1)
             .split(".")[0];
-        const storedActivities = localStorage.getItem("completedActivities");
+        const storedActivities = storage.getItem("completedActivities");
         let key = activityId + "-intentos";
-        let intentCount = localStorage.getItem(key);
+        let intentCount = storage.getItem(key);
         let completedActivities = storedActivities ? JSON.parse(storedActivities) : [];
 
-        const namePage = localStorage.getItem("namePage");
+        const namePage = storage.getItem("namePage");
         const timeDone = new Date().toLocaleString("es-ES");
         const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
 
@@ -564,11 +576,11 @@ const updateFeedback = (correctCount) => {
         completedActivities.push(newActivityId);
 
         // Guardar en localStorage
-        localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
 
-        localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+        storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
 
-        executeMail(ActivityTypes.MATCHING);
+        submitAnswers(ActivityTypes.MATCHING);
     }
 
     if (feedback) {
@@ -634,7 +646,7 @@ export const resetActivity = () => {
     
     // Clear local storage for this activity
     const localStorageKey = getActivityLocalStorageKey();
-    localStorage.removeItem(localStorageKey);  // Replace setItem with removeItem
+    storage.removeItem(localStorageKey);  // Replace setItem with removeItem
     
     // Reset feedback message if present
     const feedback = document.getElementById("feedback");
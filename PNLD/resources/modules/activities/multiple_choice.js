@@ -2,8 +2,10 @@ import { state, setState } from '../state.js';
 import { playActivitySound } from '../audio.js';
 import { updateSubmitButtonAndToast, ActivityTypes } from '../utils.js';
 import { translateText } from '../translations.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
 import { updateResetButtonVisibility } from '../../activity.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 
 export const prepareMultipleChoice = (section) => {
     restorePreviousSelection(section); // Restaurar selección previa
@@ -85,7 +87,7 @@ const saveSelectionState = (option) => {
         areaId: areaId
     };
 
-    localStorage.setItem(storageKey, JSON.stringify(selectedData));
+    storage.setItem(storageKey, JSON.stringify(selectedData));
 
     console.log(`Selection saved: ${storageKey}`, selectedData);
 };
@@ -98,7 +100,7 @@ const restorePreviousSelection = (section) => {
     const areaId = section.querySelector("[data-area-id]")?.getAttribute("data-area-id") || "default";
     const storageKey = `${activityId}_${areaId}_multipleChoice`;
 
-    const savedSelection = localStorage.getItem(storageKey);
+    const savedSelection = storage.getItem(storageKey);
     if (savedSelection) {
         const { value } = JSON.parse(savedSelection);
 
@@ -305,6 +307,12 @@ export const checkMultipleChoice = () => {
 
     styleSelectedOption(state.selectedOption, isCorrect);
     showFeedback(state.selectedOption, isCorrect);
+    recordActivityResult({
+        activityType: ActivityTypes.MULTIPLE_CHOICE,
+        success: Boolean(isCorrect),
+        response: dataActivityItem,
+        score: { raw: isCorrect ? 1 : 0, max: 1 }
+    });
     // Add this line to update reset button visibility
     if (typeof updateResetButtonVisibility === 'function') {
         updateResetButtonVisibility();
@@ -340,16 +348,16 @@ const showFeedback = (option, isCorrect) => {
     .substring(location.pathname.lastIndexOf("/") + 1)
     .split(".")[0];
     let key = activityId + "-intentos";
-    let intentCount = localStorage.getItem(key);
+    let intentCount = storage.getItem(key);
     if (intentCount === null) {
-            localStorage.setItem(key, "0");
+            storage.setItem(key, "0");
             intentCount = 0;
         } else {
             intentCount = parseInt(intentCount, 10);
         }
 
         intentCount++;
-        localStorage.setItem(key, intentCount.toString()); 
+        storage.setItem(key, intentCount.toString()); 
 
     if (isCorrect) {
         feedbackIcon.className = 'feedback-icon w-5 h-5 rounded-full flex items-center justify-center text-sm bg-green-100 text-green-700';
@@ -364,10 +372,10 @@ const showFeedback = (option, isCorrect) => {
         playActivitySound('success');
 
         // Recuperar el arreglo de actividades completadas del localStorage
-        const storedActivities = localStorage.getItem("completedActivities");
+        const storedActivities = storage.getItem("completedActivities");
         let completedActivities = storedActivities ? JSON.parse(storedActivities) : []; 
     
-        const namePage = localStorage.getItem("namePage");
+        const namePage = storage.getItem("namePage");
         const timeDone = new Date().toLocaleString("es-ES");
         const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
     
@@ -378,10 +386,10 @@ const showFeedback = (option, isCorrect) => {
         completedActivities.push(newActivityId);
     
         // Guardar en localStorage
-        localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
     
-        localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
-        executeMail(ActivityTypes.MULTIPLE_CHOICE);
+        storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+        submitAnswers(ActivityTypes.MULTIPLE_CHOICE);
     } else {
         feedbackIcon.className = 'feedback-icon w-5 h-5 rounded-full flex items-center justify-center text-sm bg-red-100 text-red-700';
         feedbackIcon.textContent = '✗';
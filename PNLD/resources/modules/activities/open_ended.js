@@ -2,6 +2,7 @@ import { playActivitySound } from '../audio.js';
 import { updateSubmitButtonAndToast, provideFeedback, ActivityTypes } from '../utils.js';
 import { clearInputValidationFeedback } from './fill_in_blank.js';
 import TextValidator from './textvalidator.js';
+import { storage } from '../storage.js';
 
 const validator = new TextValidator();
 
@@ -64,7 +65,7 @@ const saveInputState = (input) => {
     const inputId = input.getAttribute("data-aria-id");
     const localStorageKey = `${activityId}_${inputId}`;
 
-    localStorage.setItem(localStorageKey, input.value);
+    storage.setItem(localStorageKey, input.value);
 };
 
 export const loadInputState = (inputs) => {
@@ -76,13 +77,13 @@ export const loadInputState = (inputs) => {
         const localStorageKey = `${activityId}_${inputId}`;
 
         // Only replace content if there's a saved value in localStorage
-        const savedValue = localStorage.getItem(localStorageKey);
+        const savedValue = storage.getItem(localStorageKey);
         if (savedValue !== null) {
             input.value = savedValue;
         }
         // Otherwise, keep the pre-filled content
     });
-    localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+    storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
 };
 
 export const countUnfilledInputs = (inputs) => {
@@ -0,0 +1,365 @@
+/**
+ * @module activities/sequencing
+ * @description
+ * Story sequencing: the learner puts cards (pictures or sentences) in story order.
+ *
+ * Markup: `section[data-section-type="activity_sequencing"]` with an `.sequence-list` holding
+ * `.sequence-card[data-activity-item]` elements in their starting order. `correctAnswers` maps
+ * each card to its position in the story, starting at 1.
+ *
+ * Cards are moved by drag and drop, by tapping a card and then the place it should go, or with
+ * the keyboard: Space or Enter picks a card up, the arrow keys (Home/End) move it, and Space,
+ * Enter or Escape put it down. The order is kept in storage until the activity is reset.
+ */
+
+import { state, setState } from '../state.js';
+import { playActivitySound } from '../audio.js';
+import { ActivityTypes, updateSubmitButtonAndToast } from '../utils.js';
+import { translateText } from '../translations.js';
+import { announceToScreenReader } from '../ui_utils.js';
+import { submitAnswers } from '../submission.js';
+import { updateResetButtonVisibility } from '../../activity.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
+
+const SELECTED_CLASSES = ["border-blue-500", "ring-4", "ring-blue-300"];
+const RESULT_CLASSES = ["border-green-500", "border-red-500", "bg-green-50", "bg-red-50"];
+
+// Order of the cards when the page was opened, to put them back on reset
+let initialOrder = [];
+
+const getActivityId = () => location.pathname
+    .substring(location.pathname.lastIndexOf("/") + 1)
+    .split(".")[0];
+
+const getSection = () => document.querySelector(`section[data-section-type="${ActivityTypes.SEQUENCING}"]`);
+
+const getList = (section = getSection()) => section?.querySelector(".sequence-list");
+
+const getCards = (section = getSection()) => Array.from(section?.querySelectorAll(".sequence-card") || []);
+
+const getStorageKey = () => {
+    const areaId = getSection()?.getAttribute("data-aria-id") || "sequence";
+    return `${getActivityId()}_${areaId}`;
+};
+
+const getCardLabel = (card) => card.querySelector(".sequence-text")?.textContent.trim()
+    || card.querySelector("img")?.alt
+    || card.getAttribute("data-activity-item");
+
+export const prepareSequencing = (section) => {
+    const list = getList(section);
+    if (!list) {
+        console.error("Sequencing activity has no .sequence-list");
+        return;
+    }
+
+    initialOrder = getCards(section).map(card => card.getAttribute("data-activity-item"));
+    setState('selectedSequenceCard', null);
+
+    list.setAttribute("role", "list");
+    if (!list.hasAttribute("aria-describedby")) {
+        const help = document.createElement("p");
+        help.id = "sequence-help";
+        help.className = "sequence-help text-gray-700 mb-2";
+        help.setAttribute("data-id", "sequencing-help");
+        help.textContent = translateText("sequencing-help");
+        list.before(help);
+        list.setAttribute("aria-describedby", help.id);
+    }
+
+    getCards(section).forEach((card) => {
+        // Drop listeners of a previous preparation of the same markup
+        const newCard = card.cloneNode(true);
+        card.replaceWith(newCard);
+        setupCard(newCard);
+    });
+
+    restoreOrder(section);
+    updatePositions(section);
+};
+
+const setupCard = (card) => {
+    card.setAttribute("role", "listitem");
+    card.setAttribute("tabindex", "0");
+    card.setAttribute("draggable", "true");
+    card.classList.add("cursor-pointer", "transition-transform", "duration-200", "hover:scale-105");
+
+    if (!card.querySelector(".sequence-position")) {
+        const position = document.createElement("span");
+        position.className = "sequence-position w-8 h-8 rounded-full bg-blue-700 text-white font-bold flex items-center justify-center flex-shrink-0";
+        position.setAttribute("aria-hidden", "true");
+        card.prepend(position);
+    }
+
+    card.addEventListener("click", () => handleCardClick(card));
+    card.addEventListener("keydown", (event) => handleCardKeydown(event, card));
+    card.addEventListener("dragstart", (event) => {
+        event.dataTransfer.setData("text", card.getAttribute("data-activity-item"));
+        event.dataTransfer.effectAllowed = "move";
+        card.classList.add("opacity-50");
+    });
+    card.addEventListener("dragend", () => card.classList.remove("opacity-50"));
+    card.addEventListener("dragover", (event) => {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "move";
+    });
+    card.addEventListener("drop", (event) => {
+        event.preventDefault();
+        const item = event.dataTransfer.getData("text");
+        const draggedCard = getCards().find(other => other.getAttribute("data-activity-item") === item);
+        if (!draggedCard || draggedCard === card) return;
+
+        // Dropped on the lower half of a card: the dragged card goes after it
+        const rect = card.getBoundingClientRect();
+        const after = event.clientY > rect.top + rect.height / 2;
+        const cards = getCards();
+        const insertAt = cards.indexOf(card) + (after ? 1 : 0);
+        moveCardTo(draggedCard, insertAt > cards.indexOf(draggedCard) ? insertAt - 1 : insertAt);
+    });
+};
+
+// Tap a card to pick it up, then tap the card whose place it should take
+const handleCardClick = (card) => {
+    const selectedCard = state.selectedSequenceCard;
+    if (!selectedCard) {
+        selectCard(card);
+        return;
+    }
+    if (selectedCard !== card) {
+        moveCardTo(selectedCard, getCards().indexOf(card));
+    }
+    deselectCard();
+};
+
+const handleCardKeydown = (event, card) => {
+    const cards = getCards();
+    const index = cards.indexOf(card);
+    const isSelected = state.selectedSequenceCard === card;
+
+    const targets = {
+        ArrowUp: index - 1,
+        ArrowLeft: index - 1,
+        ArrowDown: index + 1,
+        ArrowRight: index + 1,
+        Home: 0,
+        End: cards.length - 1
+    };
+
+    if (event.key in targets) {
+        // Arrow keys would otherwise turn the page
+        event.preventDefault();
+        event.stopPropagation();
+
+        const target = Math.max(0, Math.min(cards.length - 1, targets[event.key]));
+        if (isSelected) {
+            moveCardTo(card, target);
+            card.focus();
+        } else {
+            cards[target].focus();
+        }
+        return;
+    }
+
+    if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        if (isSelected) {
+            deselectCard();
+            announceToScreenReader(translateText("sequencing-dropped", {
+                item: getCardLabel(card),
+                position: index + 1,
+                total: cards.length
+            }));
+        } else {
+            if (state.selectedSequenceCard) deselectCard();
+            selectCard(card);
+            announceToScreenReader(translateText("sequencing-grabbed", { item: getCardLabel(card) }));
+        }
+    } else if (event.key === "Escape" && isSelected) {
+        event.preventDefault();
+        deselectCard();
+    }
+};
+
+const selectCard = (card) => {
+    card.classList.add(...SELECTED_CLASSES);
+    setState('selectedSequenceCard', card);
+    playActivitySound('click');
+};
+
+const deselectCard = () => {
+    const card = state.selectedSequenceCard;
+    if (card) {
+        card.classList.remove(...SELECTED_CLASSES);
+    }
+    setState('selectedSequenceCard', null);
+};
+
+/**
+ * Moves a card to a position of the list, saves the order and announces the new position.
+ * @param {HTMLElement} card
+ * @param {number} targetIndex - New position of the card, 0-based
+ */
+const moveCardTo = (card, targetIndex) => {
+    const list = getList();
+    const cards = getCards();
+    const currentIndex = cards.indexOf(card);
+    if (!list || currentIndex === -1) return;
+
+    const others = cards.filter(other => other !== card);
+    const index = Math.max(0, Math.min(others.length, targetIndex));
+    if (index === currentIndex) return;
+
+    list.insertBefore(card, others[index] || null);
+
+    clearValidation();
+    updatePositions();
+    saveOrder();
+    updateResetButtonVisibility();
+    playActivitySound('drop');
+
+    announceToScreenReader(translateText("sequencing-moved", {
+        item: getCardLabel(card),
+        position: index + 1,
+        total: cards.length
+    }));
+};
+
+// Shows the current position on each card and in its accessible name
+const updatePositions = (section = getSection()) => {
+    const cards = getCards(section);
+    cards.forEach((card, index) => {
+        const position = card.querySelector(".sequence-position");
+        if (position) position.textContent = String(index + 1);
+        card.setAttribute("aria-label", translateText("sequencing-card-label", {
+            item: getCardLabel(card),
+            position: index + 1,
+            total: cards.length
+        }));
+    });
+};
+
+const saveOrder = () => {
+    storage.setJSON(getStorageKey(), getCards().map(card => card.getAttribute("data-activity-item")));
+};
+
+const restoreOrder = (section) => {
+    const savedOrder = storage.getJSON(getStorageKey(), null);
+    const list = getList(section);
+    if (!Array.isArray(savedOrder) || !list) return;
+
+    const cards = getCards(section);
+    savedOrder.forEach((item) => {
+        const card = cards.find(other => other.getAttribute("data-activity-item") === item);
+        if (card) list.appendChild(card);
+    });
+};
+
+const clearValidation = () => {
+    getCards().forEach((card) => {
+        card.classList.remove(...RESULT_CLASSES);
+        card.removeAttribute("aria-invalid");
+        card.querySelector(".validation-mark")?.remove();
+    });
+
+    const feedback = document.getElementById("feedback");
+    if (feedback) {
+        feedback.textContent = "";
+        feedback.classList.remove("text-red-500", "text-green-500");
+    }
+};
+
+const markCard = (card, isCorrect) => {
+    card.classList.add(isCorrect ? "border-green-500" : "border-red-500", isCorrect ? "bg-green-50" : "bg-red-50");
+    card.setAttribute("aria-invalid", isCorrect ? "false" : "true");
+
+    const mark = document.createElement("span");
+    mark.className = `validation-mark ml-auto font-bold text-2xl ${isCorrect ? "text-green-700" : "text-red-700"}`;
+    mark.textContent = isCorrect ? "✓" : "✗";
+    mark.setAttribute("aria-label", translateText(isCorrect ? "sequencing-position-correct" : "sequencing-position-incorrect"));
+    card.appendChild(mark);
+};
+
+export const checkSequencing = () => {
+    deselectCard();
+    clearValidation();
+
+    const activityId = getActivityId();
+    const attemptsKey = activityId + "-intentos";
+    const attempts = (parseInt(storage.getItem(attemptsKey), 10) || 0) + 1;
+    storage.setItem(attemptsKey, attempts.toString());
+
+    const cards = getCards();
+    const correctPositions = [];
+    cards.forEach((card, index) => {
+        const item = card.getAttribute("data-activity-item");
+        const isCorrect = Number(correctAnswers[item]) === index + 1;
+        if (isCorrect) correctPositions.push(index + 1);
+        markCard(card, isCorrect);
+    });
+
+    const isAllCorrect = correctPositions.length === cards.length;
+    recordActivityResult({
+        activityType: ActivityTypes.SEQUENCING,
+        success: isAllCorrect,
+        response: cards.map(card => card.getAttribute("data-activity-item")),
+        score: { raw: correctPositions.length, max: cards.length }
+    });
+
+    playActivitySound(isAllCorrect ? 'success' : 'error');
+
+    if (isAllCorrect) {
+        const storedActivities = storage.getItem("completedActivities");
+        let completedActivities = storedActivities ? JSON.parse(storedActivities) : [];
+        const namePage = document.querySelector("h1")?.innerText || document.title;
+        const timeDone = new Date().toLocaleString("es-ES");
+
+        completedActivities = completedActivities.filter(id => !id.startsWith(`${activityId}-`));
+        completedActivities.push(`${activityId}-${namePage}-${attempts}-${timeDone}`);
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("namePage", namePage);
+
+        submitAnswers(ActivityTypes.SEQUENCING);
+    }
+
+    // Name the positions that are already right so the learner knows what to keep
+    const message = isAllCorrect
+        ? translateText("sequencing-correct")
+        : translateText("sequencing-correct-count", {
+            correctCount: correctPositions.length,
+            total: cards.length,
+            positions: correctPositions.join(", ") || "-"
+        });
+
+    const feedback = document.getElementById("feedback");
+    if (feedback) {
+        feedback.textContent = message;
+        feedback.classList.add(isAllCorrect ? "text-green-500" : "text-red-500");
+    }
+
+    updateSubmitButtonAndToast(
+        isAllCorrect,
+        translateText("next-activity"),
+        ActivityTypes.SEQUENCING,
+        0,
+        isAllCorrect ? {} : { message }
+    );
+};
+
+export const resetActivity = () => {
+    deselectCard();
+    clearValidation();
+
+    const list = getList();
+    const cards = getCards();
+    if (list) {
+        initialOrder.forEach((item) => {
+            const card = cards.find(other => other.getAttribute("data-activity-item") === item);
+            if (card) list.appendChild(card);
+        });
+    }
+
+    storage.removeItem(getStorageKey());
+    updatePositions();
+    playActivitySound('click');
+};
@@ -3,8 +3,10 @@ import { playActivitySound } from '../audio.js';
 import { ActivityTypes, updateSubmitButtonAndToast } from '../utils.js';
 import { announceToScreenReader } from '../ui_utils.js';
 import { translateText } from '../translations.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
 import { updateResetButtonVisibility } from '../../activity.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 
 /**
  * Helper function to strip emojis and clean up whitespace from text for accessibility
@@ -53,9 +55,9 @@ const activity = () => {
 
   const localStorageKey = `${activityId}_${activity}`;
   if (document.getElementsByTagName("h1").length < 0) {
-    localStorage.setItem("namePage", document.getElementsByTagName("h2")[0].innerText);
+    storage.setItem("namePage", document.getElementsByTagName("h2")[0].innerText);
 } else if (document.getElementsByTagName("h1").length > 0) {
-    localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText);
+    storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText);
 }
 
   
@@ -423,19 +425,19 @@ const clearSortingLocalStorage = () => {
       .split(".")[0];
     
     // Get all localStorage keys for this activity
-    const localStorageKeys = Object.keys(localStorage).filter(key => 
+    const localStorageKeys = storage.keys().filter(key => 
       key.startsWith(`${activityId}_`)
     );
     
     // Remove all matching localStorage items
     localStorageKeys.forEach(key => {
-      localStorage.removeItem(key);
+      storage.removeItem(key);
     });
     
     // Also try to remove the activity-specific item
     const activityKey = activity();
     if (activityKey) {
-      localStorage.removeItem(activityKey);
+      storage.removeItem(activityKey);
     }
     
     console.log(`Cleared ${localStorageKeys.length + (activityKey ? 1 : 0)} localStorage items for activity ${activityId}`);
@@ -550,13 +552,13 @@ const removeWord = (listItem) => {
   const parentCategory = listItem.closest('[data-activity-category]');
   const categoryName = parentCategory.getAttribute('data-activity-category');
 
-  const savedData = JSON.parse(localStorage.getItem('wordPlacement')) || {};
+  const savedData = JSON.parse(storage.getItem('wordPlacement')) || {};
   if (savedData[categoryName]) {
     savedData[categoryName] = savedData[categoryName].filter(word => word !== placedItemId);
     if (savedData[categoryName].length === 0) {
       delete savedData[categoryName];
     }
-    localStorage.setItem('wordPlacement', JSON.stringify(savedData));
+    storage.setItem('wordPlacement', JSON.stringify(savedData));
   }
 
   console.log("\nRemoving placed card from category");
@@ -950,17 +952,18 @@ export function checkSorting() {
 
   let correctCount = 0;
   let incorrectCount = 0;
+  const responses = [];
   let key = activityId + "-intentos";
-  let intentCount = localStorage.getItem(key);
+  let intentCount = storage.getItem(key);
   if (intentCount === null) {
-    localStorage.setItem(key, "0");
+    storage.setItem(key, "0");
     intentCount = 0;
   } else {
     intentCount = parseInt(intentCount, 10);
   }
 
   intentCount++;
-  localStorage.setItem(key, intentCount.toString()); 
+  storage.setItem(key, intentCount.toString()); 
 
   console.log("Starting validation check...");
 
@@ -974,6 +977,7 @@ export function checkSorting() {
     placedWords.forEach(placedWord => {
       const wordKey = placedWord.getAttribute('data-activity-item');
       const correctCategory = correctAnswers[wordKey];
+      responses.push([wordKey, categoryType]);
 
       // Remove any existing validation marks
       const existingMark = placedWord.querySelector('.validation-mark');
@@ -1118,6 +1122,13 @@ export function checkSorting() {
   const allWordsPlaced = totalPlacedWords === totalWords;
   const allCorrect = correctCount === totalWords;
 
+  recordActivityResult({
+    activityType: ActivityTypes.SORTING,
+    success: allCorrect,
+    response: responses,
+    score: { raw: correctCount, max: totalWords }
+  });
+
   // Handle incomplete placement case with improved toast
   if (!allWordsPlaced) {
     const message = translateText("sorting-not-complete", { cardsPlaced: totalPlacedWords, totalCards: totalWords });
@@ -1161,18 +1172,18 @@ export function checkSorting() {
       .substring(location.pathname.lastIndexOf("/") + 1)
       .split(".")[0];
     // Activity tracking code (unchanged)
-    const storedActivities = localStorage.getItem("completedActivities");
+    const storedActivities = storage.getItem("completedActivities");
     let completedActivities = storedActivities ? JSON.parse(storedActivities) : []; 
-    const namePage = localStorage.getItem("namePage");
+    const namePage = storage.getItem("namePage");
     const timeDone = new Date().toLocaleString("es-ES")
     const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
 
     if (!completedActivities.includes(activityId)) {
       completedActivities.push(newActivityId);
-      localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+      storage.setItem("completedActivities", JSON.stringify(completedActivities));
     }
     feedbackMessage = translateText("sorting-correct-answer");
-    executeMail(ActivityTypes.SORTING);
+    submitAnswers(ActivityTypes.SORTING);
 
     // Announce overall success to screen reader
     setTimeout(() => {
@@ -1222,14 +1233,14 @@ const saveToLocalStorage = () => {
     data[categoryName] = words;
   });
 
-  localStorage.setItem(activity(), JSON.stringify(data));
+  storage.setItem(activity(), JSON.stringify(data));
 
 };
 
 // Modify loadFromLocalStorage to handle errors gracefully
 const loadFromLocalStorage = () => {
   try {
-    const savedDataRaw = localStorage.getItem(activity());
+    const savedDataRaw = storage.getItem(activity());
     if (!savedDataRaw) return;
     
     let savedData = {};
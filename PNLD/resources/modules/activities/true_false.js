@@ -3,7 +3,9 @@ import { playActivitySound } from '../audio.js';
 import { updateSubmitButtonAndToast } from '../utils.js';
 import { translateText } from '../translations.js';
 import { ActivityTypes } from '../utils.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 
 
 export const prepareTrueFalse = (section) => {
@@ -21,9 +23,9 @@ const initializeAudio = () => {
 };
 
 if (document.getElementsByTagName("h1").length < 0) {
-    localStorage.setItem("namePage", document.getElementsByTagName("h2")[0].innerText);
+    storage.setItem("namePage", document.getElementsByTagName("h2")[0].innerText);
 } else if (document.getElementsByTagName("h1").length > 0) {
-    localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText);
+    storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText);
 }
 
 // Inside the enhanceKeyboardAccessibility function
@@ -163,7 +165,7 @@ const restorePreviousSelection = (button) => {
     const storageKey = `${activityId}_${areaId}_${button.name}`;
 
 
-    const savedSelection = localStorage.getItem(storageKey);
+    const savedSelection = storage.getItem(storageKey);
     if (savedSelection) {
         const { value } = JSON.parse(savedSelection);
         if (button.value === value) {
@@ -206,7 +208,7 @@ const addButtonListener = (button) => {
         console.log("Button clicked:", selectedData);
 
         // Guardar en localStorage con `activityId` y `data-area-id`
-        localStorage.setItem(storageKey, JSON.stringify(selectedData));
+        storage.setItem(storageKey, JSON.stringify(selectedData));
 
         setState('selectedButton', button);
     });
@@ -276,24 +278,34 @@ const clearFeedbackForQuestion = (questionName) => {
 
 export const checkTrueFalse = () => {
     clearPreviousFeedback();
-    const allQuestions = [1, 2, 3, 4, 5];
+    // Question numbers come from the radio names (question1, question2, ...)
+    const allQuestions = [...new Set(
+        Array.from(document.querySelectorAll('section input[type="radio"][name^="question"]'))
+            .map(radio => radio.name.replace("question", ""))
+    )];
     const validationResults = validateAllQuestions(allQuestions);
 
     playAppropriateSound(validationResults.allCorrect);
+    recordActivityResult({
+        activityType: ActivityTypes.TRUE_FALSE,
+        success: validationResults.allCorrect,
+        response: validationResults.responses,
+        score: { raw: validationResults.correctCount, max: allQuestions.length }
+    });
     const activityId = location.pathname
     .substring(location.pathname.lastIndexOf("/") + 1)
     .split(".")[0];
     let key = activityId + "-intentos";
-    let intentCount = localStorage.getItem(key);
+    let intentCount = storage.getItem(key);
     if (intentCount === null) {
-            localStorage.setItem(key, "0");
+            storage.setItem(key, "0");
             intentCount = 0;
         } else {
             intentCount = parseInt(intentCount, 10);
         }
 
         intentCount++;
-        localStorage.setItem(key, intentCount.toString()); 
+        storage.setItem(key, intentCount.toString()); 
     
     // Announce results to screen readers
     const resultsAnnouncement = document.getElementById('validation-results-announcement') || 
@@ -307,10 +319,10 @@ export const checkTrueFalse = () => {
             .split(".")[0];
 
          // Recuperar el arreglo de actividades completadas del localStorage
-         const storedActivities = localStorage.getItem("completedActivities");
+         const storedActivities = storage.getItem("completedActivities");
          let completedActivities = storedActivities ? JSON.parse(storedActivities) : []; 
      
-         const namePage = localStorage.getItem("namePage");
+         const namePage = storage.getItem("namePage");
          const timeDone = new Date().toLocaleString("es-ES");
          const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
      
@@ -321,12 +333,12 @@ export const checkTrueFalse = () => {
          completedActivities.push(newActivityId);
      
          // Guardar en localStorage
-         localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+         storage.setItem("completedActivities", JSON.stringify(completedActivities));
      
-        localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+        storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
         console.log(document.getElementsByTagName("h1")[0].innerText);
 
-        executeMail(ActivityTypes.TRUE_FALSE);
+        submitAnswers(ActivityTypes.TRUE_FALSE);
 
     } else {
         // Count incorrect answers
@@ -370,6 +382,8 @@ const validateAllQuestions = (allQuestions) => {
     let allCorrect = true;
     let allAnswered = true;
     const incorrectQuestions = [];
+    const responses = [];
+    let correctCount = 0;
 
     allQuestions.forEach(questionNum => {
         const selectedButton = document.querySelector(
@@ -383,14 +397,18 @@ const validateAllQuestions = (allQuestions) => {
             return;
         }
 
+        responses.push([selectedButton.getAttribute("data-activity-item"), selectedButton.value]);
+
         const validationResult = validateQuestion(selectedButton);
         if (!validationResult) {
             allCorrect = false;
             incorrectQuestions.push(questionNum);
+        } else {
+            correctCount++;
         }
     });
 
-    return { allCorrect, allAnswered, incorrectQuestions };
+    return { allCorrect, allAnswered, incorrectQuestions, responses, correctCount };
 };
 
 const validateQuestion = (selectedButton) => {
@@ -7,10 +7,16 @@ import { checkMatching } from './matching.js';
 import { checkSorting } from './sorting.js';
 import { checkTrueFalse } from './true_false.js';
 import { checkTableInputs } from './fill_in_table.js';
+import { checkSequencing } from './sequencing.js';
+import { checkWordBankCloze } from './word_bank_cloze.js';
+import { checkImageHotspot } from './image_hotspot.js';
+import { checkDrawing } from './drawing.js';
 import { isLikelySpanish } from './gibberish_detector.js';
-import { executeMail } from './send-email.js';
+import { submitAnswers } from '../submission.js';
 import { containsProfanity } from './profanity_detector.js';
 import TextValidator from './textvalidator.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
 
 /**
  * Central validation handler for all activity types
@@ -50,6 +56,22 @@ export const validateInputs = (activityType) => {
                 checkTableInputs();
                 break;
 
+            case ActivityTypes.SEQUENCING:
+                checkSequencing();
+                break;
+
+            case ActivityTypes.WORD_BANK_CLOZE:
+                checkWordBankCloze();
+                break;
+
+            case ActivityTypes.IMAGE_HOTSPOT:
+                checkImageHotspot();
+                break;
+
+            case ActivityTypes.DRAWING:
+                checkDrawing();
+                break;
+
             default:
                 console.error("Unknown validation type:", activityType);
                 throw new Error(`Unsupported activity type: ${activityType}`);
@@ -107,20 +129,25 @@ const validateOpenEndedAnswer = async () => {
     const allValid = unfilledCount === 0 && !hasInvalidContent;
 
     playActivityFeedback(allValid);
+    recordActivityResult({
+        activityType: ActivityTypes.OPEN_ENDED_ANSWER,
+        success: allValid,
+        response: Array.from(textInputs).map(input => input.value.trim())
+    });
     const activityId = location.pathname
     .substring(location.pathname.lastIndexOf("/") + 1)
     .split(".")[0];
     let key = activityId + "-intentos";
-    let intentCount = localStorage.getItem(key);
+    let intentCount = storage.getItem(key);
     if (intentCount === null) {
-            localStorage.setItem(key, "0");
+            storage.setItem(key, "0");
             intentCount = 0;
         } else {
             intentCount = parseInt(intentCount, 10);
         }
 
         intentCount++;
-        localStorage.setItem(key, intentCount.toString()); 
+        storage.setItem(key, intentCount.toString()); 
 
     if (allValid) {
         const activityId = location.pathname
@@ -128,10 +155,10 @@ const validateOpenEndedAnswer = async () => {
         .split(".")[0];
 
          // Recuperar el arreglo de actividades completadas del localStorage
-         const storedActivities = localStorage.getItem("completedActivities");
+         const storedActivities = storage.getItem("completedActivities");
          let completedActivities = storedActivities ? JSON.parse(storedActivities) : []; 
      
-         const namePage = localStorage.getItem("namePage");
+         const namePage = storage.getItem("namePage");
          const timeDone = new Date().toLocaleString("es-ES");
          const newActivityId = `${activityId}-${namePage}-${intentCount}-${timeDone}`;
      
@@ -142,12 +169,12 @@ const validateOpenEndedAnswer = async () => {
          completedActivities.push(newActivityId);
      
          // Guardar en localStorage
-         localStorage.setItem("completedActivities", JSON.stringify(completedActivities));
+         storage.setItem("completedActivities", JSON.stringify(completedActivities));
      
          
-         localStorage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
+         storage.setItem("namePage", document.getElementsByTagName("h1")[0].innerText)
 
-        executeMail(ActivityTypes.OPEN_ENDED_ANSWER);
+        submitAnswers(ActivityTypes.OPEN_ENDED_ANSWER);
     }
 
     updateActivityFeedback(allValid, unfilledCount, hasInvalidContent);
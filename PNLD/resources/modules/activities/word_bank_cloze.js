@@ -0,0 +1,341 @@
+/**
+ * @module activities/word_bank_cloze
+ * @description
+ * Cloze with a word bank, for learners who cannot spell the answers yet: the blanks of the text
+ * are filled with word chips instead of typing.
+ *
+ * Markup: `section[data-section-type="activity_word_bank_cloze"]` with a `.word-bank-chips`
+ * container of `button.word-chip` elements (answers and distractors, with an optional
+ * `data-audio` file name in the language audio folder) and `.cloze-blank[data-activity-item]`
+ * blanks in the text. `correctAnswers` and `interchangeablePairs` have the same form as for
+ * fill in the blank.
+ *
+ * A chip is dragged to a blank, or tapped (Enter/Space) and then the blank is tapped, as in the
+ * matching activity. Selecting a chip reads it aloud. A placed chip is hidden in the bank and its
+ * word is written in the blank, so the blank stays the only control there: tapping a filled blank
+ * puts the word back in the bank, and a filled blank can be dragged to another one. The placement
+ * is kept in storage until the activity is reset.
+ */
+
+import { state, setState } from '../state.js';
+import { playActivitySound } from '../audio.js';
+import { ActivityTypes, updateSubmitButtonAndToast } from '../utils.js';
+import { translateText } from '../translations.js';
+import { announceToScreenReader } from '../ui_utils.js';
+import { submitAnswers } from '../submission.js';
+import { updateResetButtonVisibility } from '../../activity.js';
+import { storage } from '../storage.js';
+import { recordActivityResult } from '../xapi.js';
+import { playTerm } from '../flashcards.js';
+import { checkBlankAnswer } from './fill_in_blank.js';
+
+const SELECTED_CLASSES = ["border-4", "border-blue-500"];
+const RESULT_CLASSES = ["border-green-500", "border-red-500", "bg-green-50", "bg-red-50"];
+
+const getActivityId = () => location.pathname
+    .substring(location.pathname.lastIndexOf("/") + 1)
+    .split(".")[0];
+
+const getSection = () => document.querySelector(`section[data-section-type="${ActivityTypes.WORD_BANK_CLOZE}"]`);
+
+const getBank = () => getSection()?.querySelector(".word-bank-chips");
+
+const getBlanks = () => Array.from(getSection()?.querySelectorAll(".cloze-blank") || []);
+
+const getChip = (chipId) => getSection()?.querySelector(`.word-chip[data-chip-id="${chipId}"]`);
+
+// Chip whose word is in a blank
+const getBlankChip = (blank) => (blank.dataset.chipId ? getChip(blank.dataset.chipId) : null);
+
+const getStorageKey = () => {
+    const areaId = getSection()?.getAttribute("data-aria-id") || "cloze";
+    return `${getActivityId()}_${areaId}`;
+};
+
+const getChipWord = (chip) => chip.textContent.trim();
+
+// Word in a blank, as compared with the answer key
+const getBlankValue = (blank) => {
+    const chip = blank ? getBlankChip(blank) : null;
+    return chip ? getChipWord(chip).toLowerCase() : "";
+};
+
+export const prepareWordBankCloze = (section) => {
+    const bank = section.querySelector(".word-bank-chips");
+    if (!bank) {
+        console.error("Word bank cloze has no .word-bank-chips container");
+        return;
+    }
+    setState('selectedWord', null);
+
+    bank.setAttribute("role", "group");
+    bank.setAttribute("aria-label", translateText("word-bank-cloze-chips"));
+
+    section.querySelectorAll(".word-chip").forEach((chip, index) => {
+        // Chips may repeat a word, so they are told apart by their place in the markup
+        if (!chip.dataset.chipId) chip.dataset.chipId = `chip-${index + 1}`;
+        const newChip = chip.cloneNode(true);
+        chip.replaceWith(newChip);
+        setupChip(newChip);
+    });
+
+    section.querySelectorAll(".cloze-blank").forEach((blank) => {
+        const newBlank = blank.cloneNode(true);
+        blank.replaceWith(newBlank);
+        setupBlank(newBlank);
+    });
+
+    restoreState();
+};
+
+const setupChip = (chip) => {
+    chip.setAttribute("type", "button");
+    chip.setAttribute("draggable", "true");
+    chip.classList.add("cursor-pointer", "transition-transform", "duration-200", "hover:scale-105");
+
+    // Buttons turn Enter and Space into clicks, so this also covers the keyboard
+    chip.addEventListener("click", (event) => {
+        event.stopPropagation();
+        selectWord(chip);
+    });
+    chip.addEventListener("dragstart", (event) => {
+        event.dataTransfer.setData("text", chip.dataset.chipId);
+        selectWord(chip);
+    });
+};
+
+const setupBlank = (blank) => {
+    blank.setAttribute("role", "button");
+    blank.setAttribute("tabindex", "0");
+    blank.classList.add("cursor-pointer");
+
+    blank.addEventListener("click", () => handleBlankClick(blank));
+    blank.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            handleBlankClick(blank);
+        }
+    });
+    // A filled blank is dragged to move its word to another blank
+    blank.addEventListener("dragstart", (event) => {
+        const chip = getBlankChip(blank);
+        if (!chip) {
+            event.preventDefault();
+            return;
+        }
+        event.dataTransfer.setData("text", chip.dataset.chipId);
+    });
+    blank.addEventListener("dragover", (event) => event.preventDefault());
+    blank.addEventListener("drop", (event) => {
+        event.preventDefault();
+        const chip = getChip(event.dataTransfer.getData("text"));
+        if (chip) {
+            setState('selectedWord', chip);
+            dropWord(blank);
+        }
+    });
+};
+
+const handleBlankClick = (blank) => {
+    const chip = getBlankChip(blank);
+    // A chip selected in the bank fills the blank, or replaces its word
+    if (!chip || (state.selectedWord && state.selectedWord !== chip)) {
+        dropWord(blank);
+        return;
+    }
+    returnChipToBank(chip);
+    saveState();
+    playActivitySound('click');
+    announceToScreenReader(translateText("word-bank-cloze-removed", { word: getChipWord(chip) }));
+};
+
+// Selects a chip to place, as selectWord() in matching.js, and reads it aloud
+const selectWord = (chip) => {
+    if (state.selectedWord) {
+        state.selectedWord.classList.remove(...SELECTED_CLASSES);
+    }
+    chip.classList.add(...SELECTED_CLASSES);
+    setState('selectedWord', chip);
+
+    playTerm({ word: getChipWord(chip), audio: chip.dataset.audio || null });
+};
+
+// Places the selected chip in a blank, as dropWord() in matching.js
+const dropWord = (blank) => {
+    const chip = state.selectedWord;
+    if (!chip || !chip.classList.contains("word-chip")) return;
+
+    const existingChip = getBlankChip(blank);
+    if (existingChip === chip) return;
+
+    // A chip moved from another blank leaves it empty; the chip that was here goes back to the bank
+    const previousBlank = findBlankOf(chip);
+    if (previousBlank) fillBlank(previousBlank, null);
+    if (existingChip) returnChipToBank(existingChip);
+
+    chip.classList.remove(...SELECTED_CLASSES);
+    fillBlank(blank, chip);
+    setState('selectedWord', null);
+    clearValidation();
+    saveState();
+    updateResetButtonVisibility();
+    playActivitySound('drop');
+
+    announceToScreenReader(translateText("word-bank-cloze-placed", {
+        word: getChipWord(chip),
+        number: getBlanks().indexOf(blank) + 1
+    }));
+};
+
+const findBlankOf = (chip) => getBlanks().find(blank => blank.dataset.chipId === chip.dataset.chipId);
+
+// Writes the word of a chip in a blank (or empties it with null) and hides the placed chip
+const fillBlank = (blank, chip) => {
+    if (chip) {
+        blank.dataset.chipId = chip.dataset.chipId;
+        blank.textContent = getChipWord(chip);
+        blank.setAttribute("draggable", "true");
+        chip.classList.add("hidden");
+    } else {
+        delete blank.dataset.chipId;
+        blank.textContent = "";
+        blank.removeAttribute("draggable");
+    }
+    updateBlankLabel(blank);
+};
+
+const returnChipToBank = (chip) => {
+    const blank = findBlankOf(chip);
+    chip.classList.remove("hidden", ...SELECTED_CLASSES);
+    if (state.selectedWord === chip) setState('selectedWord', null);
+
+    if (blank) {
+        fillBlank(blank, null);
+        clearValidation();
+    }
+};
+
+const updateBlankLabel = (blank) => {
+    const number = getBlanks().indexOf(blank) + 1;
+    const chip = getBlankChip(blank);
+    blank.setAttribute("aria-label", chip
+        ? translateText("word-bank-cloze-blank-filled", { number, word: getChipWord(chip) })
+        : translateText("word-bank-cloze-blank", { number }));
+};
+
+const saveState = () => {
+    const placements = {};
+    getBlanks().forEach((blank) => {
+        if (blank.dataset.chipId) placements[blank.getAttribute("data-activity-item")] = blank.dataset.chipId;
+    });
+
+    if (Object.keys(placements).length > 0) {
+        storage.setJSON(getStorageKey(), placements);
+    } else {
+        storage.removeItem(getStorageKey());
+    }
+};
+
+const restoreState = () => {
+    const placements = storage.getJSON(getStorageKey(), {});
+    getSection()?.querySelectorAll(".word-chip").forEach(chip => chip.classList.remove("hidden"));
+    getBlanks().forEach((blank) => {
+        fillBlank(blank, getChip(placements[blank.getAttribute("data-activity-item")]) || null);
+    });
+};
+
+const clearValidation = () => {
+    getBlanks().forEach((blank) => {
+        blank.classList.remove(...RESULT_CLASSES);
+        blank.removeAttribute("aria-invalid");
+        blank.parentElement?.querySelector(`.validation-mark[data-for="${blank.getAttribute("data-activity-item")}"]`)?.remove();
+    });
+};
+
+const markBlank = (blank, isCorrect) => {
+    blank.classList.add(isCorrect ? "border-green-500" : "border-red-500", isCorrect ? "bg-green-50" : "bg-red-50");
+    blank.setAttribute("aria-invalid", isCorrect ? "false" : "true");
+
+    const mark = document.createElement("span");
+    mark.className = `validation-mark ml-1 font-bold ${isCorrect ? "text-green-700" : "text-red-700"}`;
+    mark.dataset.for = blank.getAttribute("data-activity-item");
+    mark.textContent = isCorrect ? "✓" : "✗";
+    mark.setAttribute("aria-hidden", "true");
+    blank.after(mark);
+};
+
+export const checkWordBankCloze = () => {
+    if (state.selectedWord) {
+        state.selectedWord.classList.remove(...SELECTED_CLASSES);
+        setState('selectedWord', null);
+    }
+    clearValidation();
+
+    const activityId = getActivityId();
+    const attemptsKey = activityId + "-intentos";
+    const attempts = (parseInt(storage.getItem(attemptsKey), 10) || 0) + 1;
+    storage.setItem(attemptsKey, attempts.toString());
+
+    const blanks = getBlanks();
+    const valueOf = (item) => getBlankValue(blanks.find(blank => blank.getAttribute("data-activity-item") === item));
+    const responses = [];
+    let correctCount = 0;
+    let unfilledCount = 0;
+
+    blanks.forEach((blank) => {
+        const item = blank.getAttribute("data-activity-item");
+        const value = getBlankValue(blank);
+        if (!value) {
+            unfilledCount++;
+            return;
+        }
+
+        responses.push([item, value]);
+        const { isCorrect } = checkBlankAnswer(item, value, valueOf);
+        if (isCorrect) correctCount++;
+        markBlank(blank, isCorrect);
+    });
+
+    const isAllCorrect = correctCount === blanks.length;
+    recordActivityResult({
+        activityType: ActivityTypes.WORD_BANK_CLOZE,
+        success: isAllCorrect,
+        response: responses,
+        score: { raw: correctCount, max: blanks.length }
+    });
+
+    playActivitySound(isAllCorrect ? 'success' : 'error');
+
+    if (isAllCorrect) {
+        const storedActivities = storage.getItem("completedActivities");
+        let completedActivities = storedActivities ? JSON.parse(storedActivities) : [];
+        const namePage = document.querySelector("h1")?.innerText || document.title;
+        const timeDone = new Date().toLocaleString("es-ES");
+
+        completedActivities = completedActivities.filter(id => !id.startsWith(`${activityId}-`));
+        completedActivities.push(`${activityId}-${namePage}-${attempts}-${timeDone}`);
+        storage.setItem("completedActivities", JSON.stringify(completedActivities));
+        storage.setItem("namePage", namePage);
+
+        submitAnswers(ActivityTypes.WORD_BANK_CLOZE);
+    }
+
+    updateSubmitButtonAndToast(
+        isAllCorrect,
+        translateText("next-activity"),
+        ActivityTypes.WORD_BANK_CLOZE,
+        unfilledCount
+    );
+};
+
+export const resetActivity = () => {
+    getBlanks().map(getBlankChip).filter(Boolean).forEach(returnChipToBank);
+    if (state.selectedWord) {
+        state.selectedWord.classList.remove(...SELECTED_CLASSES);
+        setState('selectedWord', null);
+    }
+    clearValidation();
+    getBlanks().forEach(updateBlankLabel);
+    storage.removeItem(getStorageKey());
+    playActivitySound('click');
+};
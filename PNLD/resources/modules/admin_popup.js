@@ -1,11 +1,12 @@
-import { state, setState, getFullState } from './state.js';
-import { setCookie } from './cookies.js';
+import { state, setState, getFullState, subscribe } from './state.js';
 
 let adminPopupVisible = false;
 
 export const initializeAdminPopup = () => {
     createPopupElement();
     setupKeyboardShortcut();
+    // Keep the open popup in sync with changes made elsewhere (sidebar toggles, shortcuts)
+    subscribe('*', (value, previousValue, { key }) => syncStateControl(key, value));
 };
 
 const createPopupElement = () => {
@@ -183,16 +184,13 @@ const handleStateChange = (event) => {
         value = event.target.checked;
         
         // Update toggle appearance immediately
-        const toggleSpan = event.target.nextElementSibling;
-        toggleSpan.style.backgroundColor = value ? '#2563eb' : '#e5e7eb';
-        toggleSpan.querySelector('span').style.transform = value ? 'translateX(20px)' : 'translateX(0)';
+        applyToggleAppearance(event.target, value);
     } else if (type === 'number') {
         value = parseFloat(event.target.value) || 0;
     }
 
-    // Update state and cookie
+    // Persistence and UI updates follow the state change (see state_bindings.js)
     setState(key, value);
-    setCookie(key, value.toString(), 7);
 
     // Visual feedback
     const row = event.target.closest('div');
@@ -203,6 +201,25 @@ const handleStateChange = (event) => {
     }, 300);
 };
 
+const applyToggleAppearance = (input, value) => {
+    const toggleSpan = input.nextElementSibling;
+    toggleSpan.style.backgroundColor = value ? '#2563eb' : '#e5e7eb';
+    toggleSpan.querySelector('span').style.transform = value ? 'translateX(20px)' : 'translateX(0)';
+};
+
+const syncStateControl = (key, value) => {
+    if (!adminPopupVisible) return;
+    const input = document.querySelector(`#admin-state-container input[data-key="${key}"]`);
+    if (!input) return;
+
+    if (input.dataset.type === 'boolean') {
+        input.checked = Boolean(value);
+        applyToggleAppearance(input, Boolean(value));
+    } else if (input.dataset.type === 'number' && document.activeElement !== input) {
+        input.value = value;
+    }
+};
+
 const adjustNumberValue = (input, delta) => {
     const currentValue = parseFloat(input.value) || 0;
     const newValue = Math.round((currentValue + delta) * 10) / 10;
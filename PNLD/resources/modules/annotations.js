@@ -0,0 +1,584 @@
+/**
+ * @module annotations
+ * @description
+ * Highlights and bookmarks made by selecting text on a page. Each one is stored as a
+ * Readium Locator: the manifest href of the page, a CSS selector for the paragraph's
+ * data-id and the character offsets of the selection within the paragraph text. They are
+ * drawn again every time applyTranslations() re-renders the paragraphs; when a paragraph
+ * no longer contains the selected text (another language, easy-read mode), the whole
+ * paragraph is marked instead. Also renders the "Highlights and bookmarks" sidebar panel.
+ */
+
+import { state, subscribe } from "./state.js";
+import { storage } from "./storage.js";
+import { getPages, getPageIndex } from "./publication.js";
+import { translateText } from "./translations.js";
+import { navigateToPage, scrollToFragment } from "./navigation.js";
+import { announceToScreenReader } from "./ui_utils.js";
+import { scheduleSyllables } from "./syllables.js";
+
+const ANNOTATIONS_KEY = "annotations";
+
+const COLORS = ["yellow", "green", "blue", "pink"];
+
+// Characters kept before and after a highlight to find it again in changed text
+const CONTEXT_LENGTH = 32;
+
+// Parts of a page whose text belongs to an activity rather than to the reading
+const EXCLUDED_SELECTOR = 'section[role="activity"], .word-card, [data-activity-item], .activity-text';
+
+const STYLES = `
+  .annotation-highlight { color: inherit; border-radius: 0.125rem; }
+  .annotation-yellow { background-color: rgba(253, 224, 71, 0.6); }
+  .annotation-green { background-color: rgba(134, 239, 172, 0.6); }
+  .annotation-blue { background-color: rgba(147, 197, 253, 0.6); }
+  .annotation-pink { background-color: rgba(249, 168, 212, 0.6); }
+  .annotation-paragraph { border-radius: 0.25rem; }
+  .annotation-bookmark { border-left: 0.25rem solid #1d4ed8; padding-left: 0.5rem; }
+  #annotation-toolbar { position: fixed; z-index: 60; display: flex; gap: 0.25rem; padding: 0.25rem;
+    background: #fff; border: 1px solid #d1d5db; border-radius: 9999px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); }
+  #annotation-toolbar button { width: 2.25rem; height: 2.25rem; border-radius: 9999px; display: flex;
+    align-items: center; justify-content: center; }
+  #annotation-toolbar.hidden, #annotation-toolbar button[hidden] { display: none; }
+  #annotation-toolbar button:focus-visible { outline: 2px solid #1d4ed8; outline-offset: 2px; }
+`;
+
+let annotationsInitialized = false;
+let toolbar = null;
+// What the toolbar acts on: a selection ({element, start, end}) or an annotation ({annotationId})
+let toolbarTarget = null;
+
+/**
+ * Returns every annotation of the book, by id.
+ * @returns {Object<string, Object>} Annotations
+ */
+export const getAnnotations = () => storage.getJSON(ANNOTATIONS_KEY, {});
+
+/**
+ * Saves the annotations and redraws them.
+ * @private
+ * @param {Object<string, Object>} annotations - Annotations by id
+ */
+const saveAnnotations = (annotations) => {
+  storage.setJSON(ANNOTATIONS_KEY, annotations);
+  applyAnnotations();
+  if (isPanelOpen()) renderAnnotationsPanel();
+};
+
+/**
+ * Returns the data-id of the paragraph an annotation is anchored to.
+ * @private
+ * @param {Object} annotation - Annotation
+ * @returns {string} data-id
+ */
+const getDataId = (annotation) => annotation.locator.locations.cssSelector.match(/data-id="(.+)"/)?.[1] || "";
+
+/**
+ * Returns the element an annotation can be made in: a translatable element of the page
+ * content that is not part of an activity.
+ * @private
+ * @param {Node} node - Node inside the element
+ * @returns {HTMLElement|null}
+ */
+const findAnnotatableElement = (node) => {
+  const element = (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest("[data-id]");
+  if (!element || element.tagName === "IMG" || !element.closest("#content") || element.closest(EXCLUDED_SELECTOR)) {
+    return null;
+  }
+  return element;
+};
+
+/**
+ * Returns the character offset of a boundary point within an element's text.
+ * @private
+ * @param {HTMLElement} element - Paragraph
+ * @param {Node} container - Boundary container
+ * @param {number} offset - Boundary offset
+ * @returns {number}
+ */
+const getTextOffset = (element, container, offset) => {
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  range.setEnd(container, offset);
+  return range.toString().length;
+};
+
+/**
+ * Returns the current selection when it lies within a single annotatable element.
+ * @private
+ * @returns {{element: HTMLElement, start: number, end: number}|null}
+ */
+const getSelectionTarget = () => {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  const element = findAnnotatableElement(range.startContainer);
+  if (!element || element !== findAnnotatableElement(range.endContainer)) return null;
+
+  const start = getTextOffset(element, range.startContainer, range.startOffset);
+  const end = getTextOffset(element, range.endContainer, range.endOffset);
+  if (!element.textContent.slice(start, end).trim()) return null;
+
+  return { element, start, end };
+};
+
+/**
+ * Builds the Readium Locator of a text range in a paragraph of the current page.
+ * @private
+ * @param {{element: HTMLElement, start: number, end: number}} target - Selected range
+ * @param {Object} page - Current page of the reading order
+ * @returns {Object} Locator
+ */
+const createLocator = ({ element, start, end }, page) => {
+  const text = element.textContent;
+  const height = document.documentElement.scrollHeight || 1;
+
+  return {
+    href: page.href,
+    type: "text/html",
+    title: page.title || document.title,
+    locations: {
+      position: page.index + 1,
+      progression: Math.min(1, Math.round((element.offsetTop / height) * 10000) / 10000),
+      cssSelector: `[data-id="${element.getAttribute("data-id")}"]`,
+      textOffsets: { start, end },
+    },
+    text: {
+      before: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      highlight: text.slice(start, end),
+      after: text.slice(end, end + CONTEXT_LENGTH),
+    },
+  };
+};
+
+/**
+ * Creates a highlight or bookmark from a selected range of the current page.
+ * @param {{element: HTMLElement, start: number, end: number}} target - Selected range
+ * @param {"highlight"|"bookmark"} kind - Kind of annotation
+ * @param {string} [color="yellow"] - Highlight color
+ * @returns {Object|null} The annotation, or null outside the reading order
+ */
+export const addAnnotation = (target, kind, color = COLORS[0]) => {
+  const page = getPages()[getPageIndex()];
+  if (!page) return null;
+
+  const annotation = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    color: kind === "highlight" ? color : null,
+    language: state.currentLanguage,
+    easyRead: Boolean(state.easyReadMode),
+    created: new Date().toISOString(),
+    locator: createLocator(target, page),
+  };
+
+  saveAnnotations({ ...getAnnotations(), [annotation.id]: annotation });
+  announceToScreenReader(translateText(kind === "bookmark" ? "annotations-bookmark-added" : "annotations-highlight-added"));
+  return annotation;
+};
+
+/**
+ * Deletes a highlight or bookmark.
+ * @param {string} annotationId - Annotation id
+ */
+export const removeAnnotation = (annotationId) => {
+  const annotations = getAnnotations();
+  if (!annotations[annotationId]) return;
+
+  delete annotations[annotationId];
+  saveAnnotations(annotations);
+  announceToScreenReader(translateText("annotations-removed"));
+};
+
+/**
+ * Finds the offsets of a highlight in the current text of its paragraph: the saved
+ * offsets when the text there is unchanged, otherwise the occurrence of the highlighted
+ * text closest to them.
+ * @private
+ * @param {Object} annotation - Highlight
+ * @param {string} text - Current paragraph text
+ * @returns {{start: number, end: number}|null} Offsets, or null when the text is gone
+ */
+const resolveOffsets = (annotation, text) => {
+  const { locations, text: quote } = annotation.locator;
+  const { start, end } = locations.textOffsets || {};
+  const highlight = quote?.highlight || "";
+  if (!highlight) return null;
+
+  if (text.slice(start, end) === highlight) return { start, end };
+
+  let bestStart = -1;
+  for (let index = text.indexOf(highlight); index !== -1; index = text.indexOf(highlight, index + 1)) {
+    if (bestStart === -1 || Math.abs(index - start) < Math.abs(bestStart - start)) bestStart = index;
+  }
+  return bestStart === -1 ? null : { start: bestStart, end: bestStart + highlight.length };
+};
+
+/**
+ * Wraps a range of an element's text in <mark> elements, one per text node it spans,
+ * so the paragraph markup (glossary terms, links) is kept.
+ * @private
+ * @param {HTMLElement} element - Paragraph
+ * @param {{start: number, end: number}} offsets - Range to wrap
+ * @param {Object} annotation - Highlight
+ */
+const wrapTextRange = (element, { start, end }, annotation) => {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  let position = 0;
+  textNodes.forEach((node) => {
+    const nodeStart = position;
+    const nodeEnd = position + node.length;
+    position = nodeEnd;
+    if (nodeEnd <= start || nodeStart >= end) return;
+
+    let target = node;
+    if (start > nodeStart) target = target.splitText(start - nodeStart);
+    if (end < nodeEnd) target.splitText(end - Math.max(start, nodeStart));
+
+    const mark = document.createElement("mark");
+    mark.className = `annotation-highlight annotation-${annotation.color}`;
+    mark.dataset.annotationId = annotation.id;
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  });
+};
+
+/**
+ * Removes every drawn highlight and bookmark from the page.
+ * @private
+ */
+const clearAnnotationMarks = () => {
+  document.querySelectorAll("mark.annotation-highlight").forEach((mark) => {
+    const parent = mark.parentNode;
+    mark.replaceWith(...mark.childNodes);
+    parent?.normalize();
+  });
+
+  document.querySelectorAll(".annotation-paragraph, .annotation-bookmark").forEach((element) => {
+    element.classList.remove("annotation-paragraph", "annotation-bookmark", ...COLORS.map((color) => `annotation-${color}`));
+    delete element.dataset.annotationId;
+  });
+};
+
+/**
+ * Draws the highlights and bookmarks of the current page. Called by applyTranslations()
+ * after it re-renders the text, and whenever annotations change.
+ */
+export const applyAnnotations = () => {
+  if (!annotationsInitialized) return;
+  clearAnnotationMarks();
+
+  const page = getPages()[getPageIndex()];
+  if (!page) return;
+
+  Object.values(getAnnotations())
+    .filter((annotation) => annotation.locator?.href === page.href)
+    .forEach((annotation) => {
+      const element = document.querySelector(`#content [data-id="${CSS.escape(getDataId(annotation))}"]`);
+      if (!element) return;
+
+      if (annotation.kind === "bookmark") {
+        element.classList.add("annotation-bookmark");
+        return;
+      }
+
+      const offsets = resolveOffsets(annotation, element.textContent);
+      if (offsets) {
+        wrapTextRange(element, offsets, annotation);
+      } else {
+        element.classList.add("annotation-paragraph", `annotation-${annotation.color}`);
+        element.dataset.annotationId = annotation.id;
+      }
+    });
+
+  // Wrapping moved text into <mark> elements
+  scheduleSyllables();
+};
+
+/**
+ * Places the toolbar above a rectangle, or below it when there is no room.
+ * @private
+ * @param {DOMRect} rect - Selected text or highlight
+ */
+const positionToolbar = (rect) => {
+  const { offsetWidth, offsetHeight } = toolbar;
+  const top = rect.top - offsetHeight - 8 >= 0 ? rect.top - offsetHeight - 8 : rect.bottom + 8;
+  const left = Math.min(
+    Math.max(8, rect.left + rect.width / 2 - offsetWidth / 2),
+    window.innerWidth - offsetWidth - 8
+  );
+  toolbar.style.top = `${top}px`;
+  toolbar.style.left = `${left}px`;
+};
+
+/**
+ * Shows the toolbar for a selection (color and bookmark buttons) or for an existing
+ * highlight (remove button).
+ * @private
+ * @param {Object} target - Selection or annotation the toolbar acts on
+ * @param {DOMRect} rect - Where to show it
+ */
+const showToolbar = (target, rect) => {
+  toolbarTarget = target;
+  const forAnnotation = Boolean(target.annotationId);
+
+  toolbar.setAttribute("aria-label", translateText("annotations-toolbar"));
+  toolbar.querySelectorAll("button").forEach((button) => {
+    const isRemove = button.dataset.action === "remove";
+    button.hidden = forAnnotation !== isRemove;
+    const label = translateText(button.dataset.label);
+    button.setAttribute("aria-label", label);
+    button.title = label;
+  });
+
+  toolbar.classList.remove("hidden");
+  positionToolbar(rect);
+};
+
+/**
+ * Hides the toolbar.
+ * @private
+ */
+const hideToolbar = () => {
+  toolbarTarget = null;
+  toolbar?.classList.add("hidden");
+};
+
+/**
+ * Runs the toolbar button that was pressed.
+ * @private
+ * @param {HTMLButtonElement} button - Pressed button
+ */
+const handleToolbarAction = (button) => {
+  const target = toolbarTarget;
+  hideToolbar();
+  if (!target) return;
+
+  if (button.dataset.action === "remove") {
+    removeAnnotation(target.annotationId);
+  } else {
+    addAnnotation(target, button.dataset.action, button.dataset.color);
+    window.getSelection()?.removeAllRanges();
+  }
+};
+
+/**
+ * Creates the floating toolbar shown over selected text.
+ * @private
+ * @returns {HTMLElement}
+ */
+const createToolbar = () => {
+  const element = document.createElement("div");
+  element.id = "annotation-toolbar";
+  element.className = "hidden";
+  element.setAttribute("role", "toolbar");
+
+  const addButton = (action, label, content, color) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.action = action;
+    button.dataset.label = label;
+    if (color) {
+      button.dataset.color = color;
+      button.classList.add(`annotation-${color}`);
+    }
+    button.innerHTML = content;
+    element.appendChild(button);
+  };
+
+  COLORS.forEach((color) => addButton("highlight", `annotations-color-${color}`, "", color));
+  addButton("bookmark", "annotations-bookmark", '<i class="fas fa-bookmark text-blue-700" aria-hidden="true"></i>');
+  addButton("remove", "annotations-remove", '<i class="fas fa-trash-alt text-gray-700" aria-hidden="true"></i>');
+
+  // Keep the text selected while a button is pressed
+  element.addEventListener("mousedown", (event) => event.preventDefault());
+  element.addEventListener("click", (event) => {
+    const button = event.target.closest("button");
+    if (button) handleToolbarAction(button);
+  });
+
+  document.body.appendChild(element);
+  return element;
+};
+
+/**
+ * Shows the toolbar after the learner selects text or clicks a highlight.
+ * @private
+ * @param {Event} event - mouseup, touchend or keyup event
+ */
+const handlePointerUp = (event) => {
+  if (toolbar.contains(event.target) || event.key === "Escape") return;
+
+  // Let the browser finish updating the selection first
+  setTimeout(() => {
+    const target = getSelectionTarget();
+    if (target) {
+      showToolbar(target, window.getSelection().getRangeAt(0).getBoundingClientRect());
+      return;
+    }
+
+    const marked = event.target.closest?.("[data-annotation-id]");
+    if (marked && window.getSelection()?.isCollapsed) {
+      showToolbar({ annotationId: marked.dataset.annotationId }, marked.getBoundingClientRect());
+      return;
+    }
+
+    hideToolbar();
+  }, 0);
+};
+
+/**
+ * Whether the annotations panel is visible.
+ * @private
+ * @returns {boolean}
+ */
+const isPanelOpen = () => {
+  const panel = document.getElementById("annotations-content");
+  return Boolean(panel && !panel.classList.contains("hidden"));
+};
+
+/**
+ * Builds the list item of one annotation.
+ * @private
+ * @param {Object} annotation - Annotation
+ * @param {Object} page - Page of the reading order it belongs to
+ * @returns {HTMLLIElement}
+ */
+const renderAnnotationItem = (annotation, page) => {
+  const item = document.createElement("li");
+  item.className = "flex items-start gap-3 py-3 border-b border-gray-300";
+
+  const icon = document.createElement("span");
+  icon.setAttribute("aria-hidden", "true");
+  if (annotation.kind === "bookmark") {
+    icon.className = "fas fa-bookmark text-blue-700 mt-1";
+  } else {
+    icon.className = `annotation-${annotation.color} inline-block w-4 h-4 rounded-full mt-1`;
+  }
+
+  const details = document.createElement("div");
+  details.className = "flex-grow";
+
+  const kind = translateText(annotation.kind === "bookmark" ? "annotations-kind-bookmark" : "annotations-kind-highlight");
+  const pageLabel = translateText("annotations-page-number", { number: page.index });
+
+  const link = document.createElement("a");
+  link.className = "text-lg text-blue-700 hover:underline";
+  link.href = `${page.url}#${getDataId(annotation)}`;
+  link.textContent = `${kind} · ${pageLabel}`;
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    if (page.index === getPageIndex()) {
+      scrollToFragment(link.href);
+    } else {
+      navigateToPage(link.href);
+    }
+  });
+
+  const quote = document.createElement("p");
+  quote.className = "text-sm text-gray-700";
+  quote.textContent = `“${annotation.locator.text?.highlight || ""}”`;
+
+  details.append(link, quote);
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.className = "p-2 rounded-lg text-gray-600 hover:text-red-700 focus:outline-none focus:ring-2 focus:ring-blue-700";
+  removeButton.setAttribute("aria-label", `${translateText("annotations-remove")}: ${kind} · ${pageLabel}`);
+  removeButton.innerHTML = '<i class="fas fa-trash-alt" aria-hidden="true"></i>';
+  removeButton.addEventListener("click", () => {
+    removeAnnotation(annotation.id);
+    document.getElementById("annotations-title")?.focus();
+  });
+
+  item.append(icon, details, removeButton);
+  return item;
+};
+
+/**
+ * Renders the annotations panel: every highlight and bookmark of the book, in reading
+ * order.
+ */
+export const renderAnnotationsPanel = () => {
+  const list = document.getElementById("annotations-list");
+  const empty = document.getElementById("annotations-empty");
+  if (!list) return;
+
+  const pages = getPages();
+  const items = Object.values(getAnnotations())
+    .map((annotation) => ({ annotation, page: pages.find((page) => page.href === annotation.locator?.href) }))
+    .filter(({ page }) => page)
+    .sort(
+      (a, b) =>
+        a.page.index - b.page.index ||
+        (a.annotation.locator.locations.progression || 0) - (b.annotation.locator.locations.progression || 0) ||
+        a.annotation.created.localeCompare(b.annotation.created)
+    );
+
+  list.replaceChildren(...items.map(({ annotation, page }) => renderAnnotationItem(annotation, page)));
+  empty?.classList.toggle("hidden", items.length > 0);
+};
+
+/**
+ * Shows or hides the annotations panel in place of the sidebar tabs.
+ * @private
+ * @param {boolean} open - Whether to show the panel
+ */
+const setPanelOpen = (open) => {
+  const sidebarContent = document.getElementById("sidebar-content");
+  const panel = document.getElementById("annotations-content");
+  if (!sidebarContent || !panel) return;
+
+  sidebarContent.classList.toggle("hidden", open);
+  panel.classList.toggle("hidden", !open);
+  document.getElementById("annotations-button")?.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    renderAnnotationsPanel();
+    document.getElementById("annotations-title")?.focus();
+  } else {
+    document.getElementById("annotations-button")?.focus();
+  }
+};
+
+/**
+ * Enables highlighting and bookmarking: adds the selection toolbar, shows the
+ * "Highlights and bookmarks" entry in the sidebar and draws the saved annotations.
+ */
+export const initializeAnnotations = () => {
+  if (annotationsInitialized) return;
+  annotationsInitialized = true;
+
+  if (!document.getElementById("annotation-styles")) {
+    const style = document.createElement("style");
+    style.id = "annotation-styles";
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  toolbar = createToolbar();
+  ["mouseup", "touchend", "keyup"].forEach((type) => document.addEventListener(type, handlePointerUp));
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") hideToolbar();
+  });
+  window.addEventListener("scroll", hideToolbar, { passive: true });
+
+  const openButton = document.getElementById("annotations-button");
+  const backButton = document.getElementById("annotations-back-to-sidebar");
+  if (openButton && backButton) {
+    openButton.closest(".annotations-button-row")?.classList.remove("hidden");
+    openButton.addEventListener("click", () => setPanelOpen(true));
+    backButton.addEventListener("click", () => setPanelOpen(false));
+  }
+
+  subscribe("currentPageUrl", hideToolbar);
+  subscribe("translations", () => {
+    if (isPanelOpen()) renderAnnotationsPanel();
+  });
+
+  applyAnnotations();
+};
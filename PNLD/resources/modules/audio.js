@@ -6,7 +6,7 @@
  */
 
 import { state, setState } from './state.js';
-import { getCookie, setCookie } from './cookies.js';
+import { getCookie } from './cookies.js';
 import { 
     updatePlayPauseIcon, 
     deactivateAudioElements, 
@@ -15,10 +15,10 @@ import {
     unhighlightElement,
     unhighlightAllElements
 } from './ui_utils.js';
-import { toggleButtonColor, toggleButtonState } from './utils.js';
 import { togglePlayBarSettings, toggleSignLanguageMode } from './interface.js';
-import { trackToggleEvent } from './analytics.js';
 import { isFeatureEnabled } from '../base.js';
+import { SpeechPlayer, canSpeak, onVoicesChanged } from './speech.js';
+import { continueReadingBook } from './read_book.js';
 
 /**
  * Maps speed class names to playback rates.
@@ -35,6 +35,7 @@ const SPEED_MAPPING = {
 let hasUserInteracted = true;
 let activityAudio = null;
 let isProcessingAudio = false;
+let watchingVoices = false;
 
 /**
  * Function to determine the correct resource path based on current location
@@ -93,13 +94,47 @@ export const playActivitySound = async (soundKey) => {
     }
 };
 
+/**
+ * Returns the text speech synthesis reads for an element without narration.
+ * @private
+ * @param {HTMLElement} el - Element to read.
+ * @returns {string} Text to read ("" when there is nothing to read).
+ */
+const getSpeechText = (el) => {
+    const tagName = el.tagName.toLowerCase();
+    if (tagName === 'img') return (el.getAttribute('alt') || '').trim();
+    if (tagName === 'textarea' || tagName === 'input') return (el.getAttribute('placeholder') || '').trim();
+    return el.textContent.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Whether elements without narration can be read with speech synthesis in the current
+ * language. The voice list often arrives late, so the elements are gathered again then.
+ * @private
+ * @param {string} language - Current language.
+ * @returns {boolean}
+ */
+const isSpeechFallbackAvailable = (language) => {
+    if (!isFeatureEnabled('speechSynthesis', true)) return false;
+    if (!watchingVoices) {
+        watchingVoices = true;
+        onVoicesChanged(() => {
+            if (!state.isPlaying) gatherAudioElements();
+        });
+    }
+    return canSpeak(language);
+};
+
 /**
  * Gathers all audio elements from the page for TTS.
+ * Elements without a narration file get a `speechText` read by speech synthesis instead,
+ * when a voice for the current language is available.
  * @returns {Array} Array of audio element objects.
  */
 export const gatherAudioElements = () => {
     // Get the current language from state or a global config
     const currentLanguage = state.currentLanguage || (window.appConfig && window.appConfig.languages && window.appConfig.languages.default) || 'es';
+    const speechFallback = isSpeechFallbackAvailable(currentLanguage);
 
     // Determine the correct content path based on current location
     const currentPath = window.location.pathname;
@@ -125,21 +160,28 @@ export const gatherAudioElements = () => {
                     return {
                         element: el,
                         id: placeholderId,
+                        audioKey: placeholderId,
                         audioSrc: audioBasePath + state.audioFiles[placeholderId]
                     };
                 }
+                if (placeholderId && speechFallback) {
+                    return { element: el, id: placeholderId, speechText: getSpeechText(el) };
+                }
                 return null;
             }
 
             // Default logic for everything else
             const id = el.getAttribute('data-id');
             let audioSrc = state.audioFiles[id] ? audioBasePath + state.audioFiles[id] : undefined;
+            // Key of the narration actually played (also the key of its text and timecodes)
+            let audioKey = id;
 
             // If it's an image with a data-aria-id, use that audio instead
             if (tagName === 'img') {
                 const ariaId = el.getAttribute('data-aria-id');
                 if (ariaId && state.audioFiles[ariaId]) {
                     audioSrc = audioBasePath + state.audioFiles[ariaId];
+                    audioKey = ariaId;
                 }
             }
 
@@ -162,13 +204,18 @@ export const gatherAudioElements = () => {
                     const easyReadAudioId = `${id}_easy_read`;
                     if (state.audioFiles.hasOwnProperty(easyReadAudioId)) {
                         audioSrc = audioBasePath + state.audioFiles[easyReadAudioId];
+                        audioKey = easyReadAudioId;
                     }
                 }
             }
 
-            return { element: el, id, audioSrc };
+            if (!audioSrc && speechFallback) {
+                return { element: el, id, speechText: getSpeechText(el) };
+            }
+
+            return { element: el, id, audioKey, audioSrc };
         })
-        .filter(item => item && item.audioSrc);
+        .filter(item => item && (item.audioSrc || item.speechText));
 
     setState('audioElements', elements);
     return elements;
@@ -237,10 +284,10 @@ export const playCurrentAudio = async () => {
         return;
     }
 
-    const { element, audioSrc } = audioElements[currentIndex];
+    const { element } = audioElements[currentIndex];
     try {
         highlightElement(element);
-        await playAudioWithPromise(audioSrc, audioSpeed);
+        await playAudioWithPromise(audioElements[currentIndex], audioSpeed);
         unhighlightElement(element);
         stopAudio();
     } catch (error) {
@@ -258,16 +305,21 @@ const processAudioQueue = async () => {
 
     if (currentIndex < 0 || currentIndex >= audioElements.length) {
         console.log(`Audio index: ${state.currentIndex} out of bounds in elements of length ${audioElements.length}`);
+        // Reading reached the end of the page: "read the whole book" may turn it
+        const finishedPage = currentIndex >= audioElements.length && state.isPlaying;
         stopAudio();
         state.currentIndex = 0; // Reset index if out of bounds
         state.navigationDirection = 'forward'; // Reset navigation direction
+        if (finishedPage && isFeatureEnabled('readBook')) {
+            continueReadingBook();
+        }
         return;
     }
 
     // Clear leftover highlights first
     unhighlightAllElements(); 
 
-    const { element, audioSrc } = audioElements[currentIndex];
+    const { element } = audioElements[currentIndex];
     
     // Check if current element is an image and should be skipped
     const isImage = element.tagName.toLowerCase() === 'img';
@@ -291,7 +343,7 @@ const processAudioQueue = async () => {
     
     try {
         highlightElement(element);
-        await playAudioWithPromise(audioSrc, audioSpeed);
+        await playAudioWithPromise(audioElements[currentIndex], audioSpeed);
         unhighlightElement(element);
 
         if (state.isPlaying) {
@@ -315,20 +367,23 @@ const processAudioQueue = async () => {
 };
 
 /**
- * Play a single audio file with promise.
+ * Play a single audio element with promise: its narration file, or speech synthesis
+ * when it has none.
  * @private
- * @param {string} src - Audio source URL.
+ * @param {Object} item - Audio element object ({ audioSrc } or { speechText }).
  * @param {string|number} speed - Playback speed.
  * @returns {Promise<void>}
  */
-const playAudioWithPromise = (src, speed) => {
+const playAudioWithPromise = (item, speed) => {
     return new Promise((resolve, reject) => {
         if (!state.isPlaying) {
             resolve();
             return;
         }
 
-        const audio = new Audio(src);
+        const audio = item.audioSrc
+            ? new Audio(item.audioSrc)
+            : new SpeechPlayer(item.speechText, state.currentLanguage);
         setState('currentAudio', audio);
         audio.playbackRate = parseFloat(speed);
 
@@ -372,7 +427,7 @@ export const playNextAudio = () => {
 export const initializeAudioSpeed = () => {
     const savedSpeed = getCookie('audioSpeed');
     if (savedSpeed) {
-        setState('audioSpeed', savedSpeed);
+        setState('audioSpeed', savedSpeed, { origin: 'restore' });
         updateSpeedDisplay(savedSpeed);
         updateSpeedButtons(savedSpeed);
     }
@@ -388,7 +443,6 @@ export const changeAudioSpeed = (event) => {
     const newSpeed = SPEED_MAPPING[speedClass];
     
     setState('audioSpeed', newSpeed);
-    setCookie('audioSpeed', newSpeed, 7);
     
     updateAudioSpeed(newSpeed);
     updateSpeedDisplay(newSpeed);
@@ -459,11 +513,6 @@ export const toggleReadAloud = ({ stopCalls = false } = {}) => {
     
     const newState = !state.readAloudMode;
     setState('readAloudMode', newState);
-    setCookie('readAloudMode', newState.toString(), 7);
-    toggleButtonColor("tts-quick-toggle-button", newState);
-
-    // Track the toggle event
-    trackToggleEvent('ReadAloud', newState);
     
     // Toggle UI elements
     const playBar = document.getElementById("play-bar");
@@ -475,7 +524,7 @@ export const toggleReadAloud = ({ stopCalls = false } = {}) => {
     if (newState) {
         if (playBar) playBar.classList.remove("hidden");
         if (ttsQuickToggleButton) ttsQuickToggleButton.classList.remove("hidden");
-        if ((isFeatureEnabled("autoplay") ||isFeatureEnabled("describeImages")) && ttsOptionsContainer) {
+        if ((isFeatureEnabled("autoplay") ||isFeatureEnabled("describeImages") || isFeatureEnabled("readBook")) && ttsOptionsContainer) {
             ttsOptionsContainer.classList.remove("hidden");
             if (isFeatureEnabled("autoplay")) autoplayContainer?.classList.remove("hidden");
             if (isFeatureEnabled("describeImages")) describeImagesContainer?.classList.remove("hidden");
@@ -490,7 +539,6 @@ export const toggleReadAloud = ({ stopCalls = false } = {}) => {
         }
     }
 
-    toggleButtonState("toggle-read-aloud", newState);
     if (!stopCalls && state.signLanguageMode) {
         toggleSignLanguageMode({ stopCalls: true });
     }
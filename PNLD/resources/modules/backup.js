@@ -0,0 +1,361 @@
+/**
+ * @module backup
+ * @description
+ * "Export my work" and "Import" for shared tablets and wiped browsers. The export is a
+ * single JSON file with everything this book keeps in storage (notepad, activity answers
+ * and results, character, preferences); the import validates such a file and merges it
+ * back, asking the learner what to do when it disagrees with data already on the device.
+ */
+
+import { storage, STORAGE_SCHEMA_VERSION, getStorageSchemaVersion } from "./storage.js";
+import { getPublication } from "./publication.js";
+import { translateText } from "./translations.js";
+import { showErrorToast } from "./error_utils.js";
+
+const BACKUP_FORMAT = "adt-learner-backup";
+
+// Pending network requests: importing them on another device would send them twice
+const EXCLUDED_KEYS = ["xapi:queue", "submission:queue"];
+
+// Lists and maps that are combined instead of replaced when both sides have them
+const MERGEABLE_LIST_KEYS = ["completedActivities", "visitedPages"];
+const MERGEABLE_MAP_KEYS = ["activityResults", "annotations", "flashcards", "notes", "wordBank"];
+
+/**
+ * Error raised for files that cannot be imported, with a translation key for the learner.
+ */
+class BackupError extends Error {
+  constructor(translationKey, details = "") {
+    super(`${translationKey}${details ? `: ${details}` : ""}`);
+    this.name = "BackupError";
+    this.translationKey = translationKey;
+  }
+}
+
+/**
+ * Shows a message in the status line of the settings row (announced to screen readers).
+ * @private
+ * @param {string} message - Message to show
+ */
+const setBackupStatus = (message) => {
+  const status = document.getElementById("backup-status");
+  if (status) status.textContent = message;
+};
+
+/**
+ * Returns the identifier of this book (the storage namespace).
+ * @private
+ * @returns {string|null}
+ */
+const getBookIdentifier = () => getPublication()?.metadata?.identifier || null;
+
+/**
+ * Builds the backup of everything stored for this book.
+ * @returns {Object} Backup object
+ */
+export const createBackup = () => {
+  const metadata = getPublication()?.metadata || {};
+  const data = {};
+  storage
+    .keys()
+    .filter((key) => !EXCLUDED_KEYS.includes(key))
+    .sort()
+    .forEach((key) => {
+      data[key] = storage.getItem(key);
+    });
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: getStorageSchemaVersion() || STORAGE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    publication: {
+      identifier: metadata.identifier || null,
+      title: metadata.title || document.title,
+      modified: metadata.modified || null,
+    },
+    data,
+  };
+};
+
+/**
+ * Downloads the backup as a JSON file.
+ */
+export const exportLearnerData = () => {
+  try {
+    const backup = createBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+    const student = (storage.getItem("studentID") || "learner").replace(/[^\w-]+/g, "_");
+    const book = (backup.publication.identifier || "book").replace(/[^\w-]+/g, "_");
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `my-work-${book}-${student}-${backup.exportedAt.substring(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    setBackupStatus(translateText("backup-exported"));
+  } catch (error) {
+    console.error("Error exporting learner data:", error);
+    showErrorToast(translateText("backup-export-failed"));
+  }
+};
+
+/**
+ * Checks that a parsed file is a backup of this book that this version can read.
+ * @param {*} backup - Parsed file content
+ * @returns {Object} The backup
+ * @throws {BackupError} When the file cannot be imported
+ */
+export const validateBackup = (backup) => {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.data !== "object" || backup.data === null) {
+    throw new BackupError("backup-import-invalid");
+  }
+
+  const identifier = getBookIdentifier();
+  if (identifier && backup.publication?.identifier && backup.publication.identifier !== identifier) {
+    throw new BackupError("backup-import-other-book", backup.publication.identifier);
+  }
+
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > STORAGE_SCHEMA_VERSION) {
+    throw new BackupError("backup-import-newer", String(backup.schemaVersion));
+  }
+
+  const invalidKey = Object.entries(backup.data).find(
+    ([key, value]) => typeof value !== "string" || key.startsWith("__")
+  );
+  if (invalidKey) {
+    throw new BackupError("backup-import-invalid", invalidKey[0]);
+  }
+
+  return backup;
+};
+
+/**
+ * Parses a JSON value, returning null when it is not valid JSON.
+ * @private
+ * @param {string} value - Stored string
+ * @returns {*}
+ */
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a value is a plain object (the stored maps).
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isMap = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Combines two stored values of a mergeable key. Lists are joined; maps get the entries
+ * that are only in the file, and entries both sides have with different values are
+ * returned as conflicts (the merged value keeps the one on this device).
+ * @private
+ * @param {string} key - Storage key
+ * @param {string} current - Value on this device
+ * @param {string} imported - Value from the file
+ * @returns {{merged: string, conflicts: Array<Object>}|null} Merge, or null when the key is not mergeable
+ */
+const mergeValues = (key, current, imported) => {
+  const currentValue = parseJson(current);
+  const importedValue = parseJson(imported);
+
+  if (MERGEABLE_LIST_KEYS.includes(key) && Array.isArray(currentValue) && Array.isArray(importedValue)) {
+    return { merged: JSON.stringify([...new Set([...currentValue, ...importedValue])]), conflicts: [] };
+  }
+  if (MERGEABLE_MAP_KEYS.includes(key) && isMap(currentValue) && isMap(importedValue)) {
+    const merged = { ...currentValue };
+    const conflicts = [];
+    Object.entries(importedValue).forEach(([entry, value]) => {
+      if (!(entry in currentValue)) {
+        merged[entry] = value;
+        return;
+      }
+      const currentEntry = JSON.stringify(currentValue[entry]);
+      const importedEntry = JSON.stringify(value);
+      if (currentEntry !== importedEntry) {
+        conflicts.push({ key, entry, current: currentEntry, imported: importedEntry });
+      }
+    });
+    return { merged: JSON.stringify(merged), conflicts };
+  }
+  return null;
+};
+
+/**
+ * Compares a backup with the data on this device. A conflict names the storage key and,
+ * for mergeable maps, the entry of the map that differs.
+ * @param {Object} backup - Validated backup
+ * @returns {{additions: Object, merges: Object, conflicts: Array<{key: string, entry?: string, current: string, imported: string}>}}
+ */
+export const planImport = (backup) => {
+  const additions = {};
+  const merges = {};
+  const conflicts = [];
+
+  Object.entries(backup.data)
+    .filter(([key]) => !EXCLUDED_KEYS.includes(key))
+    .forEach(([key, imported]) => {
+      const current = storage.getItem(key);
+      if (current === null) {
+        additions[key] = imported;
+      } else if (current !== imported) {
+        const merge = mergeValues(key, current, imported);
+        if (merge !== null) {
+          if (merge.merged !== current) merges[key] = merge.merged;
+          conflicts.push(...merge.conflicts);
+        } else {
+          conflicts.push({ key, current, imported });
+        }
+      }
+    });
+
+  return { additions, merges, conflicts };
+};
+
+/**
+ * Writes an import plan to storage.
+ * @param {Object} plan - Result of planImport
+ * @param {boolean} overwriteConflicts - Use the file's values for conflicting keys and entries
+ * @returns {number} Number of keys written
+ */
+export const applyImport = (plan, overwriteConflicts) => {
+  const writes = { ...plan.additions, ...plan.merges };
+  if (overwriteConflicts) {
+    plan.conflicts.forEach(({ key, entry, imported }) => {
+      if (entry === undefined) {
+        writes[key] = imported;
+        return;
+      }
+      const map = parseJson(writes[key] ?? storage.getItem(key)) || {};
+      map[entry] = parseJson(imported);
+      writes[key] = JSON.stringify(map);
+    });
+  }
+
+  Object.entries(writes).forEach(([key, value]) => storage.setItem(key, value));
+  return Object.keys(writes).length;
+};
+
+/**
+ * Asks how to resolve conflicts between the file and this device.
+ * @private
+ * @param {number} conflictCount - Number of conflicting items
+ * @returns {Promise<"keep"|"replace"|"cancel">} The learner's choice
+ */
+const askConflictResolution = (conflictCount) =>
+  new Promise((resolve) => {
+    const previousFocus = document.activeElement;
+    const dialog = document.createElement("dialog");
+    dialog.id = "backup-conflict-dialog";
+    dialog.className = "rounded-lg shadow-xl p-6 max-w-md w-full";
+    dialog.setAttribute("aria-labelledby", "backup-conflict-title");
+    dialog.setAttribute("aria-describedby", "backup-conflict-message");
+
+    const title = document.createElement("h2");
+    title.id = "backup-conflict-title";
+    title.className = "text-xl font-bold mb-2";
+    title.textContent = translateText("backup-conflict-title");
+
+    const message = document.createElement("p");
+    message.id = "backup-conflict-message";
+    message.className = "mb-4 text-gray-700";
+    message.textContent = translateText("backup-conflict-message", { count: conflictCount });
+
+    const actions = document.createElement("div");
+    actions.className = "flex flex-wrap justify-end gap-2";
+
+    let choice = "cancel";
+    const addButton = (value, className) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `px-4 py-2 rounded-md ${className}`;
+      button.textContent = translateText(`backup-conflict-${value}`);
+      button.addEventListener("click", () => {
+        choice = value;
+        dialog.close();
+      });
+      actions.appendChild(button);
+      return button;
+    };
+
+    addButton("cancel", "bg-gray-200 text-gray-800 hover:bg-gray-300");
+    addButton("replace", "bg-gray-200 text-gray-800 hover:bg-gray-300");
+    const keepButton = addButton("keep", "bg-blue-700 text-white hover:bg-blue-800");
+
+    dialog.append(title, message, actions);
+    document.body.appendChild(dialog);
+    dialog.addEventListener("close", () => {
+      dialog.remove();
+      previousFocus?.focus?.();
+      resolve(choice);
+    });
+
+    dialog.showModal();
+    keepButton.focus();
+  });
+
+/**
+ * Imports a backup file chosen by the learner, then reloads the page so every module
+ * picks up the restored data.
+ * @param {File} file - Selected file
+ * @returns {Promise<boolean>} True when data was imported
+ */
+export const importLearnerData = async (file) => {
+  try {
+    const backup = validateBackup(parseJson(await file.text()));
+    const plan = planImport(backup);
+
+    let overwriteConflicts = false;
+    if (plan.conflicts.length > 0) {
+      console.warn(
+        "Backup conflicts with data on this device:",
+        plan.conflicts.map(({ key, entry }) => (entry === undefined ? key : `${key}.${entry}`))
+      );
+      const choice = await askConflictResolution(plan.conflicts.length);
+      if (choice === "cancel") return false;
+      overwriteConflicts = choice === "replace";
+    }
+
+    const written = applyImport(plan, overwriteConflicts);
+    if (written === 0) {
+      setBackupStatus(translateText("backup-import-nothing-new"));
+      return false;
+    }
+
+    setBackupStatus(translateText("backup-imported", { count: written }));
+    setTimeout(() => window.location.reload(), 1500);
+    return true;
+  } catch (error) {
+    console.error("Error importing learner data:", error);
+    showErrorToast(translateText(error instanceof BackupError ? error.translationKey : "backup-import-invalid"));
+    return false;
+  }
+};
+
+/**
+ * Wires the export and import buttons of the settings tab.
+ */
+export const initializeBackup = () => {
+  const exportButton = document.getElementById("backup-export-button");
+  const importButton = document.getElementById("backup-import-button");
+  const fileInput = document.getElementById("backup-import-input");
+  if (!exportButton || !importButton || !fileInput) return;
+
+  document.getElementById("backup-row")?.classList.remove("hidden");
+  exportButton.addEventListener("click", exportLearnerData);
+  importButton.addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", async () => {
+    const [file] = fileInput.files;
+    if (file) await importLearnerData(file);
+    fileInput.value = "";
+  });
+};
@@ -3,20 +3,21 @@ import { generateRandomCharacterName, getCharacterGreeting, generateStudentID }
 import { setState } from './state.js';
 import { announceToScreenReader } from './ui_utils.js';
 import { translateText } from './translations.js';
+import { storage } from './storage.js';
 
 /**
- * Generate a new character and update the display and localStorage
+ * Generate a new character and update the display and storage
  */
 function regenerateCharacter() {
   // Generate a new character
   const character = generateRandomCharacterName();
   
   // Get the existing student ID (don't regenerate it)
-  const studentID = localStorage.getItem('studentID');
+  const studentID = storage.getItem('studentID');
   
-  // Save to localStorage
-  localStorage.setItem('characterInfo', JSON.stringify(character));
-  localStorage.setItem('nameUser', character.fullName);
+  // Save to storage
+  storage.setItem('characterInfo', JSON.stringify(character));
+  storage.setItem('nameUser', character.fullName);
   
   // Update state
   setState('characterName', character.fullName);
@@ -109,32 +110,32 @@ function updateSidebarCharacter(character, studentID) {
  * Initializes the character display on the index page
  */
 function initCharacterDisplay() {
-  // Check if we already have a student ID in localStorage
-  let studentID = localStorage.getItem('studentID');
+  // Check if we already have a student ID in storage
+  let studentID = storage.getItem('studentID');
   
   // If no student ID exists, generate and save one
   if (!studentID) {
     studentID = generateStudentID();
-    localStorage.setItem('studentID', studentID);
+    storage.setItem('studentID', studentID);
   }
   
   // Store the student ID in state
   setState('studentID', studentID);
   
-  // Check if we already have a character in localStorage
-  const existingCharacter = localStorage.getItem('characterInfo');
+  // Check if we already have a character in storage
+  const existingCharacter = storage.getItem('characterInfo');
   let character;
   
   if (existingCharacter) {
     // Use the existing character
     character = JSON.parse(existingCharacter);
   } else {
-    // Generate a new character and save to localStorage
+    // Generate a new character and save to storage
     character = generateRandomCharacterName();
-    localStorage.setItem('characterInfo', JSON.stringify(character));
+    storage.setItem('characterInfo', JSON.stringify(character));
     
-    // Also save the character name as nameUser for the send-email.js function
-    localStorage.setItem('nameUser', character.fullName);
+    // Also save the character name as nameUser for answer submissions
+    storage.setItem('nameUser', character.fullName);
   }
   
   // Store the character in state for use across the application
@@ -0,0 +1,460 @@
+/**
+ * @module flashcards
+ * @description
+ * "Practice words": flashcards built from glossary.json, shown in a panel of the sidebar.
+ * Terms are scheduled with the SM-2 spaced-repetition algorithm from the learner's ratings
+ * (again, hard, good, easy), which are kept in storage with the rest of the learner data.
+ * A session shows the terms that are due first, then new terms from the pages the learner
+ * has already read, then new terms from the rest of the book. A term is read with the audio
+ * file named in its `audio` field, or with speech synthesis when it has none.
+ */
+
+import { state, subscribe } from "./state.js";
+import { storage } from "./storage.js";
+import { getVisitedPages } from "./publication.js";
+import { foldText, loadPageMap, getContentPath, fetchLanguageFile } from "./search.js";
+import { translateText } from "./translations.js";
+import { stopAudio } from "./audio.js";
+import { SpeechPlayer, canSpeak } from "./speech.js";
+import { isFeatureEnabled } from "../base.js";
+
+const STORAGE_KEY = "flashcards";
+const RATINGS = ["again", "hard", "good", "easy"];
+
+// SM-2 quality of each rating (0-5); below 3 the term is learned again
+const RATING_QUALITY = { again: 2, hard: 3, good: 4, easy: 5 };
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const EASY_BONUS = 1.3;
+const DAY = 24 * 60 * 60 * 1000;
+
+// A forgotten term is due again after this delay, and comes back a few cards later
+const RELEARN_DELAY = 10 * 60 * 1000;
+const RELEARN_OFFSET = 3;
+
+// Cards in a session, and new terms among them
+const SESSION_SIZE = 20;
+const NEW_PER_SESSION = 10;
+
+let flashcardsInitialized = false;
+// Terms of the current language: { language, terms }
+let termsPromise = null;
+let session = [];
+let termAudio = null;
+
+/**
+ * Computes the next review of a term after the learner rated it (SM-2).
+ * @param {Object|undefined} card - Stored card of the term, undefined for a new term
+ * @param {"again"|"hard"|"good"|"easy"} rating - How well the learner remembered it
+ * @param {number} [now=Date.now()] - Time of the review
+ * @returns {{ease: number, interval: number, repetitions: number, lapses: number, due: number, reviewed: number, ratings: Object}}
+ *   The updated card; interval is in days
+ */
+export const scheduleCard = (card, rating, now = Date.now()) => {
+  const previous = { ease: DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0, ratings: {}, ...card };
+  const quality = RATING_QUALITY[rating];
+  const ease = Math.max(MIN_EASE, previous.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  const ratings = { ...previous.ratings, [rating]: (previous.ratings[rating] || 0) + 1 };
+
+  if (quality < 3) {
+    return {
+      ease,
+      interval: 0,
+      repetitions: 0,
+      lapses: previous.lapses + 1,
+      due: now + RELEARN_DELAY,
+      reviewed: now,
+      ratings,
+    };
+  }
+
+  let interval;
+  if (previous.repetitions === 0) {
+    interval = 1;
+  } else if (previous.repetitions === 1) {
+    interval = 6;
+  } else {
+    interval = previous.interval * (rating === "hard" ? 1.2 : ease);
+  }
+  if (rating === "easy") interval *= EASY_BONUS;
+  interval = Math.max(1, Math.round(interval));
+
+  return {
+    ease,
+    interval,
+    repetitions: previous.repetitions + 1,
+    lapses: previous.lapses,
+    due: now + interval * DAY,
+    reviewed: now,
+    ratings,
+  };
+};
+
+/**
+ * Chooses the cards of a practice session: due terms, most overdue first, then new terms
+ * from the pages already read, then the other new terms, in reading order.
+ * @param {Array<Object>} terms - Terms with their `cardKey`, `readIndex` and `pageIndex`
+ *   (index of the first read page and of the first page that uses them, or null)
+ * @param {Object} cards - Stored cards by card key
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Object>} Terms to practice
+ */
+export const pickCards = (terms, cards, now = Date.now()) => {
+  const order = (index) => (index === null ? Number.MAX_SAFE_INTEGER : index);
+
+  const due = terms
+    .filter((term) => cards[term.cardKey] && cards[term.cardKey].due <= now)
+    .sort((a, b) => cards[a.cardKey].due - cards[b.cardKey].due);
+
+  const fresh = terms
+    .filter((term) => !cards[term.cardKey])
+    .sort((a, b) => order(a.readIndex) - order(b.readIndex) || order(a.pageIndex) - order(b.pageIndex))
+    .slice(0, NEW_PER_SESSION);
+
+  return [...due, ...fresh].slice(0, SESSION_SIZE);
+};
+
+/**
+ * Builds a pattern matching any form of a term as whole words, in folded text.
+ * @private
+ * @param {Object} entry - Glossary entry
+ * @returns {RegExp}
+ */
+const getTermPattern = (entry) => {
+  const forms = [entry.word, ...(entry.variations || [])]
+    .map((form) => foldText(String(form)).folded.trim())
+    .filter(Boolean)
+    .map((form) => form.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`(?:^|[^\\p{L}\\p{N}])(?:${forms.join("|")})(?=$|[^\\p{L}\\p{N}])`, "u");
+};
+
+/**
+ * Loads the glossary terms of a language with the pages of the reading order that use them.
+ * @private
+ * @param {string} language - Language code
+ * @returns {Promise<Array<Object>>} Terms: { key, cardKey, word, definition, emoji, audio, pages }
+ */
+const loadTerms = async (language) => {
+  const [pageMap, texts, glossary] = await Promise.all([
+    loadPageMap(),
+    fetchLanguageFile(language, "texts.json"),
+    fetchLanguageFile(language, "glossary.json"),
+  ]);
+
+  // Folded text of every paragraph, with the page it is on
+  const paragraphs = [];
+  Object.entries(texts).forEach(([key, value]) => {
+    const page = pageMap.get(key.replace(/_(easy_read|eli5)$/, ""));
+    if (!page) return;
+    const text = new DOMParser().parseFromString(String(value), "text/html").body.textContent;
+    paragraphs.push({ page, folded: foldText(text).folded });
+  });
+
+  return Object.entries(glossary)
+    .filter(([, entry]) => entry?.word)
+    .map(([key, entry]) => {
+      const pattern = getTermPattern(entry);
+      const pages = new Set(paragraphs.filter(({ folded }) => pattern.test(folded)).map(({ page }) => page));
+      return {
+        key,
+        cardKey: `${language}:${key}`,
+        word: entry.word,
+        definition: entry.definition || "",
+        emoji: entry.emoji || "",
+        audio: entry.audio || null,
+        pages: [...pages],
+      };
+    });
+};
+
+/**
+ * Returns the terms of the current language, loading them on first use.
+ * @private
+ * @returns {Promise<Array<Object>>}
+ */
+const getTerms = () => {
+  const language = state.currentLanguage;
+  if (!termsPromise || termsPromise.language !== language) {
+    termsPromise = { language, terms: loadTerms(language) };
+  }
+  return termsPromise.terms;
+};
+
+/**
+ * Adds to every term the first page that uses it and the first of those already read.
+ * @private
+ * @param {Array<Object>} terms
+ * @returns {Array<Object>}
+ */
+const withReadingOrder = (terms) => {
+  const visitedPages = new Set(getVisitedPages());
+  const firstIndex = (pages) => (pages.length > 0 ? Math.min(...pages.map((page) => page.index)) : null);
+  return terms.map((term) => ({
+    ...term,
+    pageIndex: firstIndex(term.pages),
+    readIndex: firstIndex(term.pages.filter((page) => visitedPages.has(page.href))),
+  }));
+};
+
+/**
+ * Whether a term can be read aloud. Also used by the "My words" panel.
+ * @param {{word: string, audio?: string|null}} term - Term, with the file name of its audio
+ * @returns {boolean}
+ */
+export const canPlayTerm = (term) =>
+  Boolean(term.audio) || (isFeatureEnabled("speechSynthesis", true) && canSpeak(state.currentLanguage));
+
+/**
+ * Stops the term being read.
+ */
+export const stopTerm = () => {
+  if (!termAudio) return;
+  termAudio.onended = null;
+  termAudio.onerror = null;
+  termAudio.pause();
+  termAudio = null;
+};
+
+/**
+ * Reads a term: its audio file, or speech synthesis when it has none or the file fails.
+ * @param {{word: string, audio?: string|null}} term - Term, with the file name of its audio
+ * @returns {Promise<void>}
+ */
+export const playTerm = async (term) => {
+  stopAudio();
+  stopTerm();
+
+  const speak = () => {
+    if (!isFeatureEnabled("speechSynthesis", true) || !canSpeak(state.currentLanguage)) return;
+    termAudio = new SpeechPlayer(term.word, state.currentLanguage);
+    termAudio.play();
+  };
+
+  if (!term.audio) {
+    speak();
+    return;
+  }
+
+  termAudio = new Audio(`${getContentPath()}i18n/${state.currentLanguage}/audio/${term.audio}`);
+  termAudio.onended = () => {
+    termAudio = null;
+  };
+  try {
+    await termAudio.play();
+  } catch (error) {
+    console.warn(`Could not play the audio of "${term.word}":`, error);
+    stopTerm();
+    speak();
+  }
+};
+
+/**
+ * Stores the rating of the first card of the session and moves to the next one.
+ * A forgotten term comes back a few cards later.
+ * @private
+ * @param {string} rating
+ */
+const rateCard = (rating) => {
+  const term = session.shift();
+  if (!term) return;
+
+  const cards = storage.getJSON(STORAGE_KEY, {});
+  cards[term.cardKey] = scheduleCard(cards[term.cardKey], rating);
+  storage.setJSON(STORAGE_KEY, cards);
+
+  if (rating === "again") session.splice(RELEARN_OFFSET, 0, term);
+  stopTerm();
+  renderCard();
+  document.getElementById("flashcards-word")?.focus();
+};
+
+/**
+ * Creates a button of the card.
+ * @private
+ * @param {string} labelKey - Translation key of the label
+ * @param {string} className
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+const createButton = (labelKey, className, onClick) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `${className} focus:outline-none focus:ring-2 focus:ring-blue-500`;
+  button.textContent = translateText(labelKey);
+  button.addEventListener("click", onClick);
+  return button;
+};
+
+/**
+ * Shows the meaning of the card and the rating buttons.
+ * @private
+ * @param {HTMLElement} card
+ */
+const revealCard = (card) => {
+  card.querySelector("#flashcards-show")?.remove();
+  card.querySelector("#flashcards-definition")?.classList.remove("hidden");
+
+  const group = document.createElement("div");
+  group.setAttribute("role", "group");
+  group.setAttribute("aria-labelledby", "flashcards-rate-label");
+  group.className = "mt-4";
+
+  const prompt = document.createElement("p");
+  prompt.id = "flashcards-rate-label";
+  prompt.className = "text-gray-700 mb-2";
+  prompt.textContent = translateText("flashcards-rate");
+
+  const buttons = document.createElement("div");
+  buttons.className = "grid grid-cols-2 gap-2";
+  RATINGS.forEach((rating) => {
+    buttons.appendChild(
+      createButton(`flashcards-${rating}`, "px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100", () =>
+        rateCard(rating)
+      )
+    );
+  });
+
+  group.append(prompt, buttons);
+  card.appendChild(group);
+  buttons.firstElementChild?.focus();
+};
+
+/**
+ * Renders the first card of the session, or a message when there is none left.
+ * @private
+ */
+const renderCard = () => {
+  const container = document.getElementById("flashcards-card");
+  const status = document.getElementById("flashcards-status");
+  if (!container) return;
+
+  const term = session[0];
+  if (!term) {
+    container.replaceChildren();
+    if (status) status.textContent = translateText(container.dataset.practiced ? "flashcards-done" : "flashcards-none-due");
+    return;
+  }
+
+  container.dataset.practiced = "true";
+  if (status) status.textContent = translateText("flashcards-remaining", { count: session.length });
+
+  const card = document.createElement("article");
+  card.className = "border border-gray-300 rounded-lg p-6 text-center";
+
+  if (term.emoji) {
+    const emoji = document.createElement("p");
+    emoji.className = "text-5xl mb-2";
+    emoji.setAttribute("aria-hidden", "true");
+    emoji.textContent = term.emoji;
+    card.appendChild(emoji);
+  }
+
+  const word = document.createElement("h4");
+  word.id = "flashcards-word";
+  word.className = "text-3xl font-bold";
+  word.tabIndex = -1;
+  word.textContent = term.word;
+  card.appendChild(word);
+
+  if (canPlayTerm(term)) {
+    const listenButton = createButton("flashcards-listen", "mt-3 px-3 py-1 rounded-md text-blue-700 hover:bg-gray-100", () =>
+      playTerm(term)
+    );
+    listenButton.insertAdjacentHTML("afterbegin", '<i class="fas fa-volume-up mr-2" aria-hidden="true"></i>');
+    card.appendChild(listenButton);
+  }
+
+  const definition = document.createElement("p");
+  definition.id = "flashcards-definition";
+  definition.className = "hidden mt-4 text-xl";
+  definition.textContent = term.definition;
+  card.appendChild(definition);
+
+  card.appendChild(
+    createButton("flashcards-show", "mt-4 px-4 py-2 rounded-md bg-blue-700 text-white hover:bg-blue-800", () =>
+      revealCard(card)
+    )
+  );
+  card.lastElementChild.id = "flashcards-show";
+
+  container.replaceChildren(card);
+};
+
+/**
+ * Starts a new practice session in the current language.
+ * @private
+ */
+const startSession = async () => {
+  const status = document.getElementById("flashcards-status");
+  const container = document.getElementById("flashcards-card");
+  if (status) status.textContent = translateText("flashcards-loading");
+  container?.replaceChildren();
+  delete container?.dataset.practiced;
+
+  const language = state.currentLanguage;
+  const terms = await getTerms();
+  if (language !== state.currentLanguage) return;
+
+  if (terms.length === 0) {
+    session = [];
+    if (status) status.textContent = translateText("flashcards-empty");
+    return;
+  }
+
+  session = pickCards(withReadingOrder(terms), storage.getJSON(STORAGE_KEY, {}));
+  renderCard();
+};
+
+/**
+ * Whether the flashcards panel is visible.
+ * @private
+ * @returns {boolean}
+ */
+const isPanelOpen = () => {
+  const flashcardsContent = document.getElementById("flashcards-content");
+  return Boolean(flashcardsContent && !flashcardsContent.classList.contains("hidden"));
+};
+
+/**
+ * Shows or hides the flashcards panel in place of the sidebar tabs.
+ * @private
+ * @param {boolean} open - Whether to show the panel
+ */
+const setPanelOpen = (open) => {
+  const sidebarContent = document.getElementById("sidebar-content");
+  const flashcardsContent = document.getElementById("flashcards-content");
+  if (!sidebarContent || !flashcardsContent) return;
+
+  sidebarContent.classList.toggle("hidden", open);
+  flashcardsContent.classList.toggle("hidden", !open);
+  document.getElementById("flashcards-button")?.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    startSession();
+    document.getElementById("flashcards-title")?.focus();
+  } else {
+    stopTerm();
+    document.getElementById("flashcards-button")?.focus();
+  }
+};
+
+/**
+ * Shows the "Practice words" entry in the sidebar and wires the flashcards panel.
+ * A new session starts when the panel opens or the language changes.
+ */
+export const initializeFlashcards = () => {
+  const flashcardsButton = document.getElementById("flashcards-button");
+  const backButton = document.getElementById("flashcards-back-to-sidebar");
+  if (!flashcardsButton || !backButton || flashcardsInitialized) return;
+  flashcardsInitialized = true;
+
+  flashcardsButton.closest(".flashcards-button-row")?.classList.remove("hidden");
+  flashcardsButton.addEventListener("click", () => setPanelOpen(true));
+  backButton.addEventListener("click", () => setPanelOpen(false));
+
+  // Start again in the new language once its texts are loaded
+  subscribe("translations", () => {
+    stopTerm();
+    if (isPanelOpen()) startSession();
+  });
+};
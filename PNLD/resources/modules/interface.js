@@ -8,7 +8,6 @@ import { getCookie, setCookie } from "./cookies.js";
 import { showErrorToast } from "./error_utils.js";
 import { setState, state } from "./state.js";
 import { fetchTranslations, translateText } from "./translations.js";
-import { toggleButtonState, toggleButtonColor } from "./utils.js";
 import { populateGlossaryTerms } from './ui_utils.js';
 import { stopSLVideo, startSLVideo, toggleBottomContainer } from './video.js';
 // Replace previous zoom imports with the new controller functions
@@ -21,8 +20,11 @@ import {
   initializeZoomController,
   createZoomControls
 } from './browser_zoom_controller.js';
-import { trackToggleEvent } from './analytics.js';
 import { toggleNav } from './navigation.js';
+import { getPageIndex } from './publication.js';
+import { storage } from './storage.js';
+import { removeSyllables, scheduleSyllables } from './syllables.js';
+import { createSaveWordButton } from './word_bank.js';
 
 
 let glossaryTerms = {};
@@ -212,6 +214,13 @@ export const updatePageNumber = () => {
   if (!pageElement) return;
   state.currentPage = pageSectionMetaTag?.getAttribute('content') || '0';
 
+  // Prefer the position in the manifest reading order (the cover is page 0)
+  const pageIndex = getPageIndex();
+  if (pageIndex >= 0) {
+    pageElement.innerHTML = `<span data-id="page"></span> ${pageIndex}`;
+    return;
+  }
+
   // Default to page 0 if no meta tag is found
   if (!pageSectionMetaTag) {
     pageElement.innerHTML = '<span data-id="page"></span> 0';
@@ -453,18 +462,14 @@ export const switchLanguage = async () => {
 };
 
 /**
- * Toggles Easy Read mode, updates state and cookie, and fetches translations.
+ * Toggles Easy Read mode and fetches translations. Persistence, the toggle switch and
+ * analytics follow the state change (see state_bindings.js).
  * @param {Object} [options]
  * @param {boolean} [options.stopCalls=false]
  * @async
  */
 export const toggleEasyReadMode = async ({ stopCalls = false } = {}) => {
   setState("easyReadMode", !state.easyReadMode);
-  setCookie("easyReadMode", state.easyReadMode, 7);
-  toggleButtonState("toggle-easy-read", state.easyReadMode);
-
-  // Track the toggle event
-  trackToggleEvent('EasyReadMode', state.easyReadMode);
 
   /*if (!stopCalls && state.readAloudMode) {
     toggleReadAloud({ stopCalls: true });
@@ -482,12 +487,10 @@ export const toggleEasyReadMode = async ({ stopCalls = false } = {}) => {
 };
 
 /**
- * Toggles syllables mode and updates state and cookie.
+ * Toggles syllables mode.
  */
 export const toggleSyllablesMode = () => {
   setState("syllablesMode", !state.syllablesMode);
-  setCookie("syllablesMode", state.syllablesMode, 7);
-  toggleButtonState("toggle-syllables", state.syllablesMode);
 };
 
 /**
@@ -502,22 +505,16 @@ export const initializeSignLanguage = () => {
 };
 
 /**
- * Toggles Sign Language mode, updates state and cookie, and manages video and layout.
+ * Toggles Sign Language mode and manages video and layout.
  * @param {Object} [options]
  * @param {boolean} [options.stopCalls=false]
  */
 export const toggleSignLanguageMode = ({ stopCalls = false } = {}) => {
   setState("signLanguageMode", !state.signLanguageMode);
-  setCookie("signLanguageMode", state.signLanguageMode ? "true" : "false", 7);
-  toggleButtonState("toggle-sign-language", state.signLanguageMode);
-  toggleButtonColor("sl-quick-toggle-button", state.signLanguageMode);
 
   // Toggle the bottom container
   toggleBottomContainer(state.signLanguageMode);
 
-  // Track the toggle event
-  trackToggleEvent('SignLanguageMode', state.signLanguageMode);
-
   adjustLayout();
 
   if (state.signLanguageMode) {
@@ -534,16 +531,14 @@ export const toggleSignLanguageMode = ({ stopCalls = false } = {}) => {
 }
 
 /**
- * Loads Sign Language mode from cookies and applies state.
- * Updates UI and video as needed.
+ * Loads Sign Language mode from saved preferences and applies state.
+ * Updates layout and video as needed.
  */
 export const loadSignLanguageMode = () => {
-  const signLanguageModeCookie = getCookie("signLanguageMode") === "true";
+  const savedSignLanguageMode = getCookie("signLanguageMode");
 
-  if (signLanguageModeCookie !== "") {
-    setState("signLanguageMode", signLanguageModeCookie);
-    toggleButtonState("toggle-sign-language", state.signLanguageMode);
-    toggleButtonColor("sl-quick-toggle-button", state.signLanguageMode);
+  if (savedSignLanguageMode !== null && savedSignLanguageMode !== "") {
+    setState("signLanguageMode", savedSignLanguageMode === "true", { origin: "restore" });
 
     // Toggle the bottom container based on saved state
     toggleBottomContainer(state.signLanguageMode);
@@ -579,12 +574,10 @@ export const loadGlossaryTerms = async () => {
 }
 
 /**
- * Toggles glossary mode, updates state and cookie, and highlights or removes glossary terms.
+ * Toggles glossary mode and highlights or removes glossary terms.
  */
 export const toggleGlossaryMode = () => {
   setState("glossaryMode", !state.glossaryMode);
-  setCookie("glossaryMode", state.glossaryMode, 7);
-  toggleButtonState("toggle-glossary", state.glossaryMode);
 
   if (state.glossaryMode) {
     loadGlossaryTerms().then(() => {
@@ -605,6 +598,8 @@ export const highlightGlossaryTerms = () => {
   console.log("Starting glossary highlighting");
   // Remove any existing highlights first
   removeGlossaryHighlights();
+  // Terms are matched in whole text nodes, which syllable wrappers would split
+  removeSyllables();
 
   // Extract terms from the current page
   const pageTerms = extractPageTerms();
@@ -788,6 +783,8 @@ export const highlightGlossaryTerms = () => {
       textNode.parentNode.replaceChild(fragment, textNode);
     }
   });
+
+  scheduleSyllables();
 };
 
 /**
@@ -980,6 +977,13 @@ export const showGlossaryDefinition = async (event) => {
 
   footer.appendChild(viewInGlossaryButton);
 
+  // "Add to My words" button, when the word bank is enabled
+  const saveWordButton = createSaveWordButton(originalTerm);
+  if (saveWordButton) {
+    footer.classList.add('flex-wrap', 'gap-2');
+    footer.appendChild(saveWordButton);
+  }
+
   // Assemble popup
   popup.appendChild(headerContainer);
   popup.appendChild(content);
@@ -1082,6 +1086,8 @@ export const removeGlossaryHighlights = () => {
       }
     }
   });
+
+  scheduleSyllables();
 };
 
 /**
@@ -1093,8 +1099,7 @@ export const loadEasyReadMode = async () => {
   const easyReadModeCookie = getCookie("easyReadMode");
 
   if (easyReadModeCookie !== "") {
-    setState("easyReadMode", easyReadModeCookie === "true");
-    toggleButtonState("toggle-easy-read", state.easyReadMode);
+    setState("easyReadMode", easyReadModeCookie === "true", { origin: "restore" });
 
     stopAudio();
     /*setState(
@@ -1105,12 +1110,10 @@ export const loadEasyReadMode = async () => {
 };
 
 /**
- * Toggles state mode and updates state and cookie.
+ * Toggles state mode.
  */
 export const toggleStateMode = () => {
   setState("stateMode", !state.stateMode);
-  setCookie("stateMode", state.stateMode ? "true" : "false", 7);
-  toggleButtonState("toggle-state", state.stateMode);
 };
 
 /**
@@ -1121,15 +1124,10 @@ export const loadStateMode = () => {
   
   // Only apply state if the cookie has a value and the feature is enabled
   if (stateModeCookie !== "" && stateModeCookie !== null) {
-    const isEnabled = stateModeCookie === "true";
-    setState("stateMode", isEnabled);
-    setCookie("stateMode", isEnabled ? "true" : "false", 7);
-    toggleButtonState("toggle-state", isEnabled);
+    setState("stateMode", stateModeCookie === "true", { origin: "restore" });
   } else {
     // Set default state - auto-hide disabled by default
-    setState("stateMode", false);
-    setCookie("stateMode", "false", 7);
-    toggleButtonState("toggle-state", false);
+    setState("stateMode", false, { origin: "restore" });
   }
 };
 
@@ -1143,7 +1141,7 @@ export const initializePlayBar = () => {
     const playBarVisible = getCookie("playBarVisible") === "true";
     const readAloudMode = getCookie("readAloudMode") === "true";
     // Set initial state
-    setState("readAloudMode", readAloudMode);
+    setState("readAloudMode", readAloudMode, { origin: "restore" });
 
     // Get play bar element
     const playBar = document.getElementById("play-bar");
@@ -1256,6 +1254,8 @@ export const formatNavigationItems = () => {
     // Get section and page numbers from href
     const href = link.getAttribute("href");
     const textId = link.getAttribute("data-text-id");
+    const pageIndex = link.getAttribute("data-page-index");
+    const pageFilename = href.split("/").pop();
 
     // Check for both patterns - either "6_0" format or just "6" format
     const pageSectionMatch = href.match(/(\d+)_(\d+)/);
@@ -1265,8 +1265,8 @@ export const formatNavigationItems = () => {
     let itemIcon = "";
     let itemSubtitle = "";
     if (item.classList.contains("activity")) {
-      const activityId = href.split(".")[0];
-      const success = JSON.parse(localStorage.getItem(`${activityId}_success`)) || false;
+      const activityId = pageFilename.split(".")[0];
+      const success = JSON.parse(storage.getItem(`${activityId}_success`)) || false;
 
       if (success) {
         itemIcon = `<i class="${activityId} fas fa-check-square text-green-500 mt-1"></i>`;
@@ -1309,19 +1309,37 @@ export const formatNavigationItems = () => {
       humanReadablePage = Number(pageOnlyMatch[1]) - 1;
     }
 
+    // Links built from the manifest carry their reading order position
+    if (pageIndex !== null) {
+      humanReadablePage = pageIndex;
+    }
+
+    // Without a translation id, fall back to the manifest toc title (set as text below)
+    const label = textId
+      ? `<span class='inline text-gray-800' data-id='${textId}'></span>`
+      : "<span class='inline text-gray-800 nav-item-title'></span>";
+
     link.innerHTML =
       "<div class='flex items-top space-x-2'>" +
       itemIcon +
       "<div>" +
-      `<div>${humanReadablePage}: <span class='inline text-gray-800' data-id='${textId}'></span></div>` +
+      `<div>${humanReadablePage}: ${label}</div>` +
       "<div class='text-sm text-gray-500'>" +
       itemSubtitle +
       "</div>" +
       "</div>" +
       "</div>";
 
+    const titleLabel = link.querySelector(".nav-item-title");
+    if (titleLabel) {
+      titleLabel.textContent = link.getAttribute("data-title") || "";
+    }
+
     // Highlight current page
-    if (href === window.location.pathname.split("/").pop()) {
+    const isCurrentPage = pageIndex !== null
+      ? Number(pageIndex) === getPageIndex()
+      : pageFilename === window.location.pathname.split("/").pop();
+    if (isCurrentPage) {
       item.classList.add("min-h-[3rem]");
       link.classList.add(
         "border-l-4",
@@ -1329,6 +1347,10 @@ export const formatNavigationItems = () => {
         "bg-blue-100",
         "p-2"
       );
+    } else {
+      // Clear the highlight left by a previous page (single-page navigation)
+      item.classList.remove("min-h-[3rem]");
+      link.classList.remove("border-l-4", "border-blue-500", "bg-blue-100");
     }
   });
 }
@@ -4,9 +4,29 @@
  * Handles navigation events, state saving/restoring, keyboard shortcuts, and navigation UI logic.
  */
 import { setCookie, getCookie } from "./cookies.js";
-import { cacheInterfaceElements, toggleSidebar, setNavVisibility } from "./interface.js";
+import {
+  cacheInterfaceElements,
+  toggleSidebar,
+  setNavVisibility,
+  updatePageNumber,
+  formatNavigationItems,
+} from "./interface.js";
 import { trackNavigation } from "./analytics.js";
-import { cycleLanguage } from "./translations.js";
+import { cycleLanguage, applyTranslations } from "./translations.js";
+import { getPages, getPageIndex } from "./publication.js";
+import { state, setState } from "./state.js";
+import { stopAudio, playAudioSequentially } from "./audio.js";
+import { initializeAudioElements, handleEli5ModeToggle, announceToScreenReader } from "./ui_utils.js";
+import { prepareActivity } from "../activity.js";
+import { renderActivityDefinitions } from "./activities/definition_renderer.js";
+import { sessionStore } from "./storage.js";
+import { resumeReadingBook } from "./read_book.js";
+
+// Set once initializeSpaNavigation has run (feature flag or SCORM session)
+let spaNavigationActive = false;
+
+// Page being opened with a full load, so pagehide can tell it from leaving the book
+let pendingPageUrl = null;
 
 /**
  * Handles navigation link/button clicks, saves state, and transitions to the target page.
@@ -50,14 +70,12 @@ export const handleNavigation = (event) => {
       mainContent.classList.add("opacity-0");
     }
 
-    setTimeout(() => {
-      window.location.href = targetHref;
-    }, 150);
+    openPage(targetHref);
   }
 };
 
 /**
- * Saves the current page state (sidebar, scroll positions) to sessionStorage.
+ * Saves the current page state (sidebar, scroll positions) to the session store.
  */
 export const savePageState = () => {
   const state = {
@@ -66,15 +84,15 @@ export const savePageState = () => {
     navScrollPosition: document.querySelector(".nav__list")?.scrollTop || 0,
   };
 
-  sessionStorage.setItem("pageState", JSON.stringify(state));
+  sessionStore.setItem("pageState", JSON.stringify(state));
 };
 
 /**
- * Restores the page state (sidebar, scroll positions) from sessionStorage.
+ * Restores the page state (sidebar, scroll positions) from the session store.
  */
 export const restorePageState = () => {
   try {
-    const savedState = sessionStorage.getItem("pageState");
+    const savedState = sessionStore.getItem("pageState");
     if (!savedState) return;
 
     const state = JSON.parse(savedState);
@@ -191,8 +209,11 @@ export const toggleNav = (newState = null) => {
 const handleActiveLink = (isNavOpen, currentPath, navLinks, navList) => {
   if (!isNavOpen) return;
 
-  const activeLink = Array.from(navLinks).find(
-    (link) => link.getAttribute("href") === currentPath
+  const currentIndex = getPageIndex();
+  const activeLink = Array.from(navLinks).find((link) =>
+    currentIndex >= 0
+      ? getPageIndex(link.href) === currentIndex
+      : link.getAttribute("href") === currentPath
   );
 
   if (activeLink) {
@@ -224,99 +245,367 @@ const handleActiveLink = (isNavOpen, currentPath, navLinks, navList) => {
 }; */
 
 /**
- * Navigates to the next page in the navigation list.
+ * Returns the ordered list of page URLs used for next/previous navigation.
+ * Uses the manifest reading order, falling back to the nav.html links when the
+ * manifest could not be loaded.
+ * @returns {string[]} Absolute page URLs in reading order.
+ * @private
  */
-export const nextPage = () => {
+const getNavigationUrls = () => {
+  const pages = getPages();
+  if (pages.length > 0) {
+    return pages.map((page) => page.url);
+  }
+
+  return Array.from(document.querySelectorAll(".nav__list-link")).map(
+    (link) => new URL(link.getAttribute("href"), window.location.href).href
+  );
+};
+
+/**
+ * Finds the index of the current page in a list of page URLs.
+ * @param {string[]} urls - Absolute page URLs.
+ * @returns {number} Index of the current page, or -1.
+ * @private
+ */
+const findCurrentIndex = (urls) => {
+  if (getPages().length > 0) return getPageIndex();
+
+  const currentFilename = window.location.pathname.split("/").pop() || "index.html";
+  return urls.findIndex((url) => new URL(url).pathname.split("/").pop() === currentFilename);
+};
+
+/**
+ * Saves navigation state, fades out the content and loads the target page.
+ * @param {string} targetUrl - URL of the page to load.
+ * @private
+ */
+const goToPage = (targetUrl) => {
   const currentHref = window.location.href.split("/").pop() || "index.html";
-  console.log("Current page:", currentHref); // Debug log
+  const navList = document.querySelector(".nav__list");
+  const scrollPosition = navList?.scrollTop || 0;
+  const basePath = window.location.pathname.substring(
+    0,
+    window.location.pathname.lastIndexOf("/") + 1
+  );
 
-  // Get all nav links in order
-  const navItems = Array.from(document.querySelectorAll(".nav__list-link"));
-  console.log(
-    "Available nav items:",
-    navItems.map((item) => item.getAttribute("href"))
-  ); // Debug log
-
-  // Find current page index by comparing just the filename
-  const currentIndex = navItems.findIndex((item) => {
-    const navHref = item.getAttribute("href");
-    const navFilename = navHref.split("/").pop();
-    return navFilename === currentHref;
+  // Save scroll position
+  setCookie("navScrollPosition", scrollPosition, 7, basePath);
+
+  // Cache interface state
+  cacheInterfaceElements();
+
+  // Fade out content
+  const mainContent = document.querySelector('body > .container');
+  if (mainContent) {
+    mainContent.classList.add("opacity-0");
+  }
+
+  const targetPageId = targetUrl.split("/").pop().split(".")[0];
+  trackNavigation(currentHref, targetPageId);
+
+  openPage(targetUrl);
+};
+
+/**
+ * Navigates to any page of the book (e.g. from the progress panel), saving the
+ * navigation state like the next/previous buttons do.
+ * @param {string} targetUrl - URL of the page to open.
+ */
+export const navigateToPage = (targetUrl) => goToPage(targetUrl);
+
+/**
+ * Opens a page of the book with a full page load.
+ * @param {string} targetUrl - URL of the page to open.
+ * @private
+ */
+const leaveForPage = (targetUrl) => {
+  pendingPageUrl = new URL(targetUrl, window.location.href).href;
+  window.location.href = targetUrl;
+};
+
+/**
+ * URL of the book page the browser is leaving for, e.g. for pagehide handlers.
+ * @returns {string|null} Absolute URL, or null when no page of the book is being opened
+ */
+export const getPendingPageUrl = () => pendingPageUrl;
+
+/**
+ * Opens a page after the fade-out, swapping the content in place when
+ * single-page navigation is enabled.
+ * @param {string} targetUrl - URL of the page to open.
+ * @private
+ */
+const openPage = (targetUrl) => {
+  setTimeout(() => {
+    if (spaNavigationActive) {
+      loadPageContent(targetUrl);
+    } else {
+      leaveForPage(targetUrl);
+    }
+  }, 150);
+};
+
+/**
+ * Rewrites relative src/href attributes so content fetched from another
+ * page keeps pointing at the right files.
+ * @param {HTMLElement} root - Imported content element.
+ * @param {string} pageUrl - URL the content was fetched from.
+ * @private
+ */
+const resolveContentUrls = (root, pageUrl) => {
+  ["src", "href", "poster"].forEach((attribute) => {
+    root.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      const value = element.getAttribute(attribute);
+      if (!value || value.startsWith("#") || /^[a-z]+:/i.test(value)) return;
+      element.setAttribute(attribute, new URL(value, pageUrl).href);
+    });
   });
-  console.log("Current index:", currentIndex); // Debug log
+};
 
-  if (currentIndex >= 0 && currentIndex < navItems.length - 1) {
-    const navList = document.querySelector(".nav__list");
-    const scrollPosition = navList?.scrollTop || 0;
-    const basePath = window.location.pathname.substring(
-      0,
-      window.location.pathname.lastIndexOf("/") + 1
-    );
+/**
+ * Copies the page meta tags (title-id, page-section-id) from a fetched document.
+ * @param {Document} newDocument - Parsed target page.
+ * @private
+ */
+const updatePageMeta = (newDocument) => {
+  ["title-id", "page-section-id"].forEach((name) => {
+    const newMeta = newDocument.querySelector(`meta[name="${name}"]`);
+    let meta = document.querySelector(`meta[name="${name}"]`);
 
-    // Save scroll position
-    setCookie("navScrollPosition", scrollPosition, 7, basePath);
+    if (!newMeta) {
+      meta?.remove();
+      return;
+    }
+    if (!meta) {
+      meta = document.createElement("meta");
+      meta.name = name;
+      document.head.appendChild(meta);
+    }
+    meta.content = newMeta.getAttribute("content");
+  });
 
-    // Cache interface state
-    cacheInterfaceElements();
+  document.title = newDocument.title;
+};
 
-    // Fade out content
-    const mainContent = document.querySelector('body > .container');
-    if (mainContent) {
-      mainContent.classList.add("opacity-0");
+/**
+ * Scrolls to the element named by the fragment of a URL: an element id or the data-id
+ * of a paragraph (as used by annotation and search links, e.g.
+ * "sec_p6_s0.html#txt_p6_t0"), and briefly flashes it so the eye finds it.
+ * @param {string} [url=window.location.href] - URL with the fragment.
+ * @returns {boolean} True when an element was found.
+ */
+export const scrollToFragment = (url = window.location.href) => {
+  const fragment = decodeURIComponent(new URL(url, window.location.href).hash.slice(1));
+  if (!fragment) return false;
+
+  const target =
+    document.getElementById(fragment) ||
+    document.querySelector(`#content [data-id="${CSS.escape(fragment)}"]`);
+  if (!target) return false;
+
+  target.scrollIntoView({ block: "center" });
+  target.animate?.(
+    [{ backgroundColor: "rgba(253, 224, 71, 0.8)" }, { backgroundColor: "transparent" }],
+    { duration: 2000, easing: "ease-out" }
+  );
+  return true;
+};
+
+/**
+ * Loads a page without a full reload: fetches it, replaces the #content
+ * container and re-runs the per-page setup (translations, audio, activity).
+ * The sidebar, player bar and sign language video stay in place.
+ * Falls back to a normal page load when either page has no #content.
+ * @param {string} targetUrl - URL of the page to load.
+ * @param {Object} [options]
+ * @param {boolean} [options.updateHistory=true] - Push a history entry (false on popstate).
+ * @returns {Promise<void>}
+ */
+export const loadPageContent = async (targetUrl, { updateHistory = true } = {}) => {
+  const currentContent = document.getElementById("content");
+
+  try {
+    if (!currentContent) {
+      throw new Error("Current page has no #content container");
     }
 
-    // Navigate to next page
-    const nextPage = navItems[currentIndex + 1].getAttribute("href");
-    const nextPageId = nextPage.split('/').pop();
-    trackNavigation(currentHref, nextPageId);
-    console.log("Navigating to:", nextPage); // Debug log
+    const response = await fetch(targetUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
 
-    setTimeout(() => {
-      window.location.href = nextPage;
-    }, 150);
+    const html = await response.text();
+    const newDocument = new DOMParser().parseFromString(html, "text/html");
+    const newContent = newDocument.getElementById("content");
+    if (!newContent) {
+      throw new Error("Target page has no #content container");
+    }
+
+    // Keep read-aloud going on the new page if it was playing
+    const wasPlaying = state.isPlaying;
+    stopAudio();
+    setState("currentIndex", 0);
+
+    resolveContentUrls(newContent, response.url || targetUrl);
+    const importedContent = document.importNode(newContent, true);
+    currentContent.replaceWith(importedContent);
+
+    if (updateHistory) {
+      history.pushState({ url: targetUrl }, "", targetUrl);
+    }
+    setState("currentPageUrl", window.location.href);
+
+    updatePageMeta(newDocument);
+    updatePageNumber();
+    formatNavigationItems();
+    updateNavigationBoundaries();
+
+    await renderActivityDefinitions(importedContent);
+    await applyTranslations();
+    initializeAudioElements();
+    handleEli5ModeToggle();
+    prepareActivity();
+
+    if (window.MathJax) {
+      window.MathJax.typeset();
+    }
+
+    if (!scrollToFragment(targetUrl)) {
+      window.scrollTo(0, 0);
+    }
+    importedContent.setAttribute("tabindex", "-1");
+    importedContent.focus({ preventScroll: true });
+    announceToScreenReader(document.title);
+
+    if (wasPlaying) {
+      setState("isPlaying", true);
+      playAudioSequentially();
+    } else {
+      resumeReadingBook();
+    }
+  } catch (error) {
+    console.error("Error loading page content, falling back to full navigation:", error);
+    leaveForPage(targetUrl);
   }
 };
 
 /**
- * Navigates to the previous page in the navigation list.
+ * Enables single-page navigation: records the current page in history and
+ * swaps content on back/forward browser navigation.
  */
-export const previousPage = () => {
-  const currentHref = window.location.href.split("/").pop() || "index.html";
-  const navItems = Array.from(document.querySelectorAll(".nav__list-link"));
-  
-  // Find current page index by comparing just the filename
-  const currentIndex = navItems.findIndex((item) => {
-    const navHref = item.getAttribute("href");
-    const navFilename = navHref.split("/").pop();
-    return navFilename === currentHref;
+export const initializeSpaNavigation = () => {
+  if (spaNavigationActive) return;
+  spaNavigationActive = true;
+  history.replaceState({ url: window.location.href }, "", window.location.href);
+
+  window.addEventListener("popstate", (event) => {
+    const targetUrl = event.state?.url || window.location.href;
+    loadPageContent(targetUrl, { updateHistory: false });
   });
+};
 
-  if (currentIndex > 0) {
-    const navList = document.querySelector(".nav__list");
-    const scrollPosition = navList?.scrollTop || 0;
-    const basePath = window.location.pathname.substring(
-      0,
-      window.location.pathname.lastIndexOf("/") + 1
-    );
-
-    setCookie("navScrollPosition", scrollPosition, 7, basePath);
-    cacheInterfaceElements();
+/**
+ * Navigates to the next page in the reading order.
+ */
+export const nextPage = () => {
+  const urls = getNavigationUrls();
+  const currentIndex = findCurrentIndex(urls);
 
-    const mainContent = document.querySelector('body > .container');
-    if (mainContent) {
-      mainContent.classList.add("opacity-0");
-    }
+  if (currentIndex >= 0 && currentIndex < urls.length - 1) {
+    goToPage(urls[currentIndex + 1]);
+  }
+};
 
-    const prevPage = navItems[currentIndex - 1].getAttribute("href");
-    const nextPageId = prevPage.split('/').pop().split('.')[0];
-    trackNavigation(currentHref, nextPageId);
+/**
+ * Navigates to the previous page in the reading order.
+ */
+export const previousPage = () => {
+  const urls = getNavigationUrls();
+  const currentIndex = findCurrentIndex(urls);
 
-    setTimeout(() => {
-      window.location.href = prevPage;
-    }, 150);
+  if (currentIndex > 0) {
+    goToPage(urls[currentIndex - 1]);
   }
 };
 
+/**
+ * Disables the back/forward buttons on the first and last pages of the reading order.
+ */
+export const updateNavigationBoundaries = () => {
+  const urls = getNavigationUrls();
+  const currentIndex = findCurrentIndex(urls);
+  const boundaries = [
+    ["back-button", currentIndex <= 0],
+    ["forward-button", currentIndex < 0 || currentIndex >= urls.length - 1],
+  ];
+
+  boundaries.forEach(([id, atBoundary]) => {
+    const button = document.getElementById(id);
+    if (!button) return;
+
+    button.disabled = atBoundary;
+    button.setAttribute("aria-disabled", atBoundary ? "true" : "false");
+    button.classList.toggle("opacity-30", atBoundary);
+    button.classList.toggle("cursor-not-allowed", atBoundary);
+  });
+};
+
+/**
+ * Returns the navigation popup markup used when nav.html is not available.
+ * @returns {string} Navigation popup HTML.
+ */
+export const getDefaultNavigationMarkup = () => `
+<nav aria-label="Content Index Menu" aria-labelledby="navPopupTitle" class="fixed w-64 sm:w-80 bg-white shadow-lg p-5 border-r border-gray-300 transform -translate-x-full transition-transform duration-300 ease-in-out z-20 hidden rounded-lg top-2 left-0 bottom-2 h-[calc(100vh-5rem)]" id="navPopup" role="navigation">
+    <div class="nav__toggle flex justify-between items-center mb-4">
+        <h3 class="text-xl font-semibold" data-id="toc-title" id="navPopupTitle">Index</h3>
+        <button aria-label="Close navigation" data-aria-id="nav-close-label" class="nav__toggle text-gray-700 text-xl p-2" id="nav-close" type="button"><i class="fas fa-close"></i></button>
+    </div>
+    <ol class="nav__list overflow-y-auto h-[calc(100vh-10rem)] text-base pr-2" data-id="nav-list" id="nav__list"></ol>
+</nav>`;
+
+/**
+ * Rebuilds the navigation popup list from the manifest reading order.
+ * Keeps the translation ids and activity markers of matching nav.html links.
+ */
+export const renderNavigationList = () => {
+  const pages = getPages();
+  const navList = document.querySelector(".nav__list");
+  if (!navList || pages.length === 0) return;
+
+  // Index the existing nav.html items by page so their data-text-id and classes survive
+  const existingItems = new Map();
+  navList.querySelectorAll(".nav__list-item").forEach((item) => {
+    const link = item.querySelector(".nav__list-link");
+    if (!link) return;
+    const index = getPageIndex(new URL(link.getAttribute("href"), window.location.href).href);
+    if (index >= 0) existingItems.set(index, item);
+  });
+
+  navList.innerHTML = "";
+
+  pages.forEach((page) => {
+    const existingItem = existingItems.get(page.index);
+    const existingLink = existingItem?.querySelector(".nav__list-link");
+
+    const item = document.createElement("li");
+    item.className = existingItem?.className || "nav__list-item";
+
+    const link = document.createElement("a");
+    link.className = "nav__list-link";
+    link.setAttribute("href", page.url);
+    link.setAttribute("data-page-index", page.index.toString());
+    link.setAttribute("data-title", page.title);
+    if (existingLink?.hasAttribute("data-text-id")) {
+      link.setAttribute("data-text-id", existingLink.getAttribute("data-text-id"));
+    }
+    link.textContent = page.title;
+
+    item.appendChild(link);
+    navList.appendChild(item);
+  });
+};
+
 /**
  * Handles keyboard shortcuts for navigation and sidebar toggling.
  * @param {KeyboardEvent} event - The keyboard event.
@@ -375,8 +664,7 @@ export function handleKeyboardShortcuts(event) {
     event.preventDefault();
 
     // Check if navigation is possible before proceeding
-    const navItems = document.querySelectorAll(".nav__list-link");
-    if (!navItems.length) return;
+    if (!getNavigationUrls().length) return;
 
     if (event.key === "ArrowRight") {
       nextPage();
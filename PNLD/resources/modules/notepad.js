@@ -1,13 +1,198 @@
 import { setCookie, getCookie } from "./cookies.js";
-import { state } from "./state.js";
+import { state, subscribe } from "./state.js";
 import { translateText } from "./translations.js";
+import { storage } from "./storage.js";
+import { getPages, getPageIndex, getPublication } from "./publication.js";
+import { navigateToPage, scrollToFragment } from "./navigation.js";
+import { showErrorToast } from "./error_utils.js";
 
 /**
  * @module notepad
  * @description
  * Utilities for managing the user notepad: toggling visibility, saving/loading notes, and persisting state.
+ * Notes are written for the whole book (the former single notepad, `user_notepad`), for the
+ * current page or for one paragraph of it (`notes`, keyed by page href and data-id). The
+ * notepad also lists every note grouped by page and exports them as HTML or plain text.
  */
 
+// Notes for the whole book, kept under the key the single notepad always used
+const BOOK_NOTES_KEY = "user_notepad";
+const NOTES_KEY = "notes";
+
+// Length of the paragraph excerpt shown in the scope list and next to saved notes
+const EXCERPT_LENGTH = 60;
+
+// Parts of a page whose text belongs to an activity rather than to the reading
+const EXCLUDED_SELECTOR = 'section[role="activity"], .word-card, [data-activity-item], .activity-text';
+
+// "book", "page" or "paragraph:<data-id>"
+let currentScope = "page";
+// Note shown in the textarea, resolved when it was loaded
+let activeNote = null;
+let notepadInitialized = false;
+
+/**
+ * Returns the notes written for pages and paragraphs, by "<href>#<data-id>".
+ * @returns {Object<string, Object>} Notes
+ */
+export const getNotes = () => storage.getJSON(NOTES_KEY, {});
+
+/**
+ * Returns the current page of the reading order.
+ * @private
+ * @returns {Object|null}
+ */
+const getCurrentPage = () => getPages()[getPageIndex()] || null;
+
+/**
+ * Shortens a text for display.
+ * @private
+ * @param {string} text - Text to shorten
+ * @returns {string}
+ */
+const toExcerpt = (text) => {
+  const normalized = (text || "").replace(/\s+/g, " ").trim();
+  return normalized.length > EXCERPT_LENGTH ? `${normalized.slice(0, EXCERPT_LENGTH - 1)}…` : normalized;
+};
+
+/**
+ * Returns the paragraphs of the current page a note can be attached to.
+ * @private
+ * @returns {HTMLElement[]}
+ */
+const getNoteParagraphs = () =>
+  Array.from(document.querySelectorAll("#content p[data-id], #content li[data-id]")).filter(
+    (element) => !element.closest(EXCLUDED_SELECTOR) && element.textContent.trim()
+  );
+
+/**
+ * Resolves a scope of the current page to the note it stands for.
+ * @private
+ * @param {string} scope - "book", "page" or "paragraph:<data-id>"
+ * @returns {{scope: string, page: Object|null, dataId: string, excerpt: string}}
+ */
+const resolveNote = (scope) => {
+  const page = getCurrentPage();
+  if (scope === "book" || !page) return { scope: "book", page: null, dataId: "", excerpt: "" };
+
+  const dataId = scope.startsWith("paragraph:") ? scope.slice("paragraph:".length) : "";
+  const paragraph = dataId ? document.querySelector(`#content [data-id="${CSS.escape(dataId)}"]`) : null;
+  return { scope, page, dataId, excerpt: paragraph ? toExcerpt(paragraph.textContent) : "" };
+};
+
+/**
+ * Builds the Readium Locator of a page or paragraph note, as used by annotations.js.
+ * @private
+ * @param {Object} note - Resolved note
+ * @returns {Object} Locator
+ */
+const createNoteLocator = ({ page, dataId, excerpt }) => ({
+  href: page.href,
+  type: "text/html",
+  title: page.title || document.title,
+  locations: {
+    position: page.index + 1,
+    ...(dataId ? { cssSelector: `[data-id="${dataId}"]` } : {}),
+  },
+  ...(excerpt ? { text: { highlight: excerpt } } : {}),
+});
+
+/**
+ * Reads the text of a note.
+ * @private
+ * @param {Object} note - Resolved note
+ * @returns {string} Note text ("" when there is none)
+ */
+const readNote = (note) => {
+  if (!note.page) return storage.getItem(BOOK_NOTES_KEY) || "";
+  return getNotes()[`${note.page.href}#${note.dataId}`]?.text || "";
+};
+
+/**
+ * Writes the text of a note. Empty page and paragraph notes are removed.
+ * @private
+ * @param {Object} note - Resolved note
+ * @param {string} text - Note text
+ */
+const writeNote = (note, text) => {
+  if (!note.page) {
+    storage.setItem(BOOK_NOTES_KEY, text);
+    return;
+  }
+
+  const key = `${note.page.href}#${note.dataId}`;
+  const notes = getNotes();
+  if (!text.trim()) {
+    if (!notes[key]) return;
+    delete notes[key];
+  } else {
+    notes[key] = {
+      href: note.page.href,
+      dataId: note.dataId || null,
+      text,
+      updated: new Date().toISOString(),
+      locator: createNoteLocator(note),
+    };
+  }
+  storage.setJSON(NOTES_KEY, notes);
+};
+
+/**
+ * Saves the textarea into the note it was loaded from, if it changed. The note is
+ * resolved when it is loaded so a late auto-save never lands on another page.
+ * @private
+ */
+const flushActiveNote = () => {
+  const textarea = document.getElementById("notepad-textarea");
+  if (!textarea) return;
+  if (!activeNote) activeNote = resolveNote(currentScope);
+  if (textarea.value !== readNote(activeNote)) writeNote(activeNote, textarea.value);
+};
+
+/**
+ * Fills the scope list: the whole book, the current page and each of its paragraphs.
+ * @private
+ */
+const renderScopeOptions = () => {
+  const select = document.getElementById("notepad-scope");
+  if (!select) return;
+
+  const page = getCurrentPage();
+  const options = [["book", translateText("notepad-scope-book")]];
+  if (page) {
+    options.push(["page", translateText("notepad-scope-page", { number: page.index })]);
+    getNoteParagraphs().forEach((paragraph) => {
+      const dataId = paragraph.getAttribute("data-id");
+      options.push([`paragraph:${dataId}`, `¶ ${toExcerpt(paragraph.textContent)}`]);
+    });
+  }
+
+  if (!options.some(([value]) => value === currentScope)) {
+    currentScope = page ? "page" : "book";
+  }
+
+  select.replaceChildren(
+    ...options.map(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === currentScope;
+      return option;
+    })
+  );
+};
+
+/**
+ * Switches the notepad to another scope, saving the note being written first.
+ * @param {string} scope - "book", "page" or "paragraph:<data-id>"
+ */
+export const setNoteScope = (scope) => {
+  flushActiveNote();
+  currentScope = scope;
+  renderScopeOptions();
+  loadSavedNotes();
+};
+
 /**
  * Initializes the notepad button by making it visible if present.
  */
@@ -17,6 +202,24 @@ export const initializeNotepad = () => {
   if (notepadButton) {
     notepadButton.classList.remove("hidden");
   }
+
+  if (notepadInitialized) return;
+  notepadInitialized = true;
+
+  document.getElementById("notepad-scope")?.addEventListener("change", (event) => setNoteScope(event.target.value));
+
+  // Keep the page note in step with single-page navigation and the paragraph list with the language
+  subscribe("currentPageUrl", () => {
+    flushActiveNote();
+    if (currentScope !== "book") currentScope = "page";
+    renderScopeOptions();
+    loadSavedNotes();
+    if (isNotesListOpen()) renderNotesList();
+  });
+  subscribe("translations", () => {
+    renderScopeOptions();
+    if (isNotesListOpen()) renderNotesList();
+  });
 }
 
 /**
@@ -52,21 +255,23 @@ export const toggleNotepad = () => {
       }
 
       // Load notes
+      renderScopeOptions();
       loadSavedNotes();
     }
   }
 }
 
 /**
- * Saves the current notes from the textarea to localStorage and shows a confirmation message.
+ * Saves the current notes from the textarea to storage and shows a confirmation message.
  */
 export const saveNotes = () => {
   const textarea = document.getElementById("notepad-textarea");
   const saveStatus = document.getElementById("notepad-save-status");
 
   if (textarea) {
-    // Save to localStorage
-    localStorage.setItem("user_notepad", textarea.value);
+    // Save to storage
+    flushActiveNote();
+    if (isNotesListOpen()) renderNotesList();
 
     // Show save confirmation
     if (saveStatus) {
@@ -84,16 +289,14 @@ export const saveNotes = () => {
 }
 
 /**
- * Loads saved notes from localStorage into the textarea, if any exist.
+ * Loads the saved note of the current scope into the textarea.
  */
 export const loadSavedNotes = () => {
   const textarea = document.getElementById("notepad-textarea");
 
   if (textarea) {
-    const savedNotes = localStorage.getItem("user_notepad");
-    if (savedNotes !== null) {
-      textarea.value = savedNotes;
-    }
+    activeNote = resolveNote(currentScope);
+    textarea.value = readNote(activeNote);
   }
 }
 
@@ -105,4 +308,218 @@ export const loadNotepad = () => {
   if (notepadOpen) {
     toggleNotepad();
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Returns every note grouped by page in reading order, the book notes first.
+ * @returns {Array<{page: Object|null, notes: Array<Object>}>} Groups (page is null for the book notes)
+ */
+export const getNotesByPage = () => {
+  const groups = [];
+  const bookNotes = storage.getItem(BOOK_NOTES_KEY) || "";
+  if (bookNotes.trim()) groups.push({ page: null, notes: [{ text: bookNotes, dataId: null }] });
+
+  const notes = Object.values(getNotes());
+  getPages().forEach((page) => {
+    const pageNotes = notes
+      .filter((note) => note.href === page.href)
+      // Page note first, then paragraph notes in the order they were last edited
+      .sort((a, b) => Boolean(a.dataId) - Boolean(b.dataId) || a.updated.localeCompare(b.updated));
+    if (pageNotes.length > 0) groups.push({ page, notes: pageNotes });
+  });
+
+  return groups;
+};
+
+/**
+ * Returns the heading of a group of notes.
+ * @private
+ * @param {Object|null} page - Page of the group (null for the book notes)
+ * @returns {string}
+ */
+const getGroupTitle = (page) => {
+  if (!page) return translateText("notepad-scope-book");
+  const pageLabel = translateText("notepad-scope-page", { number: page.index });
+  return page.title ? `${pageLabel}: ${page.title}` : pageLabel;
+};
+
+/**
+ * Opens the page or paragraph a note belongs to and selects its scope in the notepad.
+ * @private
+ * @param {Object} page - Page of the note
+ * @param {Object} note - Note
+ */
+const openNote = (page, note) => {
+  const url = note.dataId ? `${page.url}#${note.dataId}` : page.url;
+  if (page.index !== getPageIndex()) {
+    navigateToPage(url);
+    return;
+  }
+  if (note.dataId) scrollToFragment(url);
+  setNoteScope(note.dataId ? `paragraph:${note.dataId}` : "page");
+  document.getElementById("notepad-textarea")?.focus();
+};
+
+/**
+ * Whether the list of all notes is visible.
+ * @private
+ * @returns {boolean}
+ */
+const isNotesListOpen = () => {
+  const list = document.getElementById("notepad-list");
+  return Boolean(list && !list.classList.contains("hidden"));
+};
+
+/**
+ * Renders the list of all notes, grouped by page, with links to their pages.
+ */
+export const renderNotesList = () => {
+  const list = document.getElementById("notepad-list");
+  if (!list) return;
+
+  const groups = getNotesByPage();
+  if (groups.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "text-gray-700";
+    empty.textContent = translateText("notepad-list-empty");
+    list.replaceChildren(empty);
+    return;
+  }
+
+  list.replaceChildren(
+    ...groups.map(({ page, notes }) => {
+      const section = document.createElement("section");
+      section.className = "py-2 border-b border-gray-300";
+
+      const heading = document.createElement("h4");
+      heading.className = "font-bold";
+      heading.textContent = getGroupTitle(page);
+      section.appendChild(heading);
+
+      notes.forEach((note) => {
+        const item = document.createElement("div");
+        item.className = "mt-1";
+
+        if (page) {
+          const link = document.createElement("a");
+          link.className = "text-sm text-blue-700 hover:underline";
+          link.href = note.dataId ? `${page.url}#${note.dataId}` : page.url;
+          link.textContent = note.dataId
+            ? `¶ ${note.locator?.text?.highlight || note.dataId}`
+            : translateText("notepad-open-page");
+          link.addEventListener("click", (event) => {
+            event.preventDefault();
+            openNote(page, note);
+          });
+          item.appendChild(link);
+        }
+
+        const text = document.createElement("p");
+        text.className = "whitespace-pre-wrap text-gray-800";
+        text.textContent = note.text;
+        item.appendChild(text);
+        section.appendChild(item);
+      });
+
+      return section;
+    })
+  );
+};
+
+/**
+ * Shows or hides the list of all notes.
+ */
+export const toggleNotesList = () => {
+  const list = document.getElementById("notepad-list");
+  if (!list) return;
+
+  saveNotes();
+  const open = !isNotesListOpen();
+  list.classList.toggle("hidden", !open);
+  document.getElementById("notepad-list-button")?.setAttribute("aria-expanded", String(open));
+  if (open) renderNotesList();
+};
+
+/**
+ * Escapes text for the exported HTML document.
+ * @private
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Builds the export of all notes.
+ * @private
+ * @param {"html"|"text"} format - Document format
+ * @returns {string} Document content
+ */
+const buildNotesDocument = (format) => {
+  const bookTitle = getPublication()?.metadata?.title || document.title;
+  const title = translateText("notepad-export-title", { title: bookTitle });
+  const groups = getNotesByPage();
+  const noteLabel = (note) => (note.dataId ? `¶ ${note.locator?.text?.highlight || note.dataId}` : "");
+
+  if (format === "text") {
+    const sections = groups.map(({ page, notes }) => {
+      const heading = getGroupTitle(page);
+      const body = notes.map((note) => [noteLabel(note), note.text].filter(Boolean).join("\n")).join("\n\n");
+      return `${heading}\n${"-".repeat(heading.length)}\n${body}`;
+    });
+    return [title, "=".repeat(title.length), ...sections].join("\n\n") + "\n";
+  }
+
+  const sections = groups
+    .map(({ page, notes }) => {
+      const items = notes
+        .map((note) => {
+          const label = noteLabel(note);
+          return `<div class="note">${label ? `<p class="paragraph">${escapeHtml(label)}</p>` : ""}<p>${escapeHtml(note.text)}</p></div>`;
+        })
+        .join("\n");
+      return `<section><h2>${escapeHtml(getGroupTitle(page))}</h2>\n${items}</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html><html lang="${escapeHtml(state.currentLanguage)}"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; line-height: 1.5; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+section { break-inside: avoid; }
+.note { margin-bottom: 1rem; }
+.note p { white-space: pre-wrap; margin: 0; }
+.paragraph { color: #555; font-style: italic; }
+</style></head><body><h1>${escapeHtml(title)}</h1>
+${sections || `<p>${escapeHtml(translateText("notepad-list-empty"))}</p>`}
+</body></html>`;
+};
+
+/**
+ * Downloads all notes as a printable HTML document or a plain-text file.
+ * @param {"html"|"text"} format - Document format
+ */
+export const exportNotes = (format) => {
+  try {
+    saveNotes();
+    const asHtml = format === "html";
+    const blob = new Blob([buildNotesDocument(format)], {
+      type: asHtml ? "text/html" : "text/plain",
+    });
+    const book = (getPublication()?.metadata?.identifier || "book").replace(/[^\w-]+/g, "_");
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `notes-${book}.${asHtml ? "html" : "txt"}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (error) {
+    console.error("Error exporting notes:", error);
+    showErrorToast(translateText("notepad-export-failed"));
+  }
+};
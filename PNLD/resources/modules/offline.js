@@ -0,0 +1,113 @@
+import { setState } from "./state.js";
+import { translateText } from "./translations.js";
+import { getRootPath } from "./publication.js";
+
+/**
+ * @module offline
+ * @description
+ * Registers the publication service worker (sw.js at the book root), asks it to precache
+ * the whole book and mirrors its download progress in the sidebar "Offline reading" row.
+ */
+
+/**
+ * Lists the same-origin files this page has already loaded (modules, styles, fonts)
+ * so the service worker can store them alongside the manifest entries.
+ * @private
+ * @returns {string[]} Absolute URLs
+ */
+const getLoadedResourceUrls = () => {
+  const urls = performance
+    .getEntriesByType("resource")
+    .map((entry) => entry.name)
+    .filter((url) => url.startsWith(window.location.origin));
+
+  return [window.location.href.split("#")[0], ...urls];
+};
+
+/**
+ * Updates the sidebar offline status text and progress bar.
+ * @private
+ * @param {string} status - One of "downloading", "ready", "error" or "unsupported"
+ * @param {number} [done=0] - Files downloaded so far
+ * @param {number} [total=0] - Total number of files
+ */
+const updateOfflineStatus = (status, done = 0, total = 0) => {
+  setState("offlineStatus", status);
+
+  const statusText = document.getElementById("offline-status-text");
+  const progress = document.getElementById("offline-progress");
+  const progressBar = document.getElementById("offline-progress-bar");
+  const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+
+  if (statusText) {
+    const key = `offline-status-${status}`;
+    // Only static messages can be re-translated by applyTranslations on language change
+    if (status === "downloading") {
+      statusText.removeAttribute("data-id");
+    } else {
+      statusText.setAttribute("data-id", key);
+    }
+    statusText.textContent = translateText(key, { done, total, percent });
+    statusText.classList.toggle("text-green-700", status === "ready");
+    statusText.classList.toggle("text-red-600", status === "error");
+  }
+
+  if (progress && progressBar) {
+    progress.classList.toggle("hidden", status !== "downloading");
+    progress.setAttribute("aria-valuenow", percent.toString());
+    progressBar.style.width = `${percent}%`;
+  }
+};
+
+/**
+ * Handles progress messages sent by the service worker.
+ * @private
+ * @param {MessageEvent} event - Message from the service worker
+ */
+const handleServiceWorkerMessage = (event) => {
+  const { type, done, total } = event.data || {};
+
+  switch (type) {
+    case "precache-progress":
+      updateOfflineStatus("downloading", done, total);
+      break;
+    case "precache-complete":
+      updateOfflineStatus("ready");
+      break;
+    case "precache-error":
+      updateOfflineStatus("error", done, total);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Registers the service worker and starts precaching the publication.
+ * Shows an "unsupported" status when service workers are unavailable (e.g. file://).
+ * @returns {Promise<void>}
+ */
+export const initializeOffline = async () => {
+  const offlineRow = document.getElementById("offline-status-row");
+  if (offlineRow) offlineRow.classList.remove("hidden");
+
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) {
+    updateOfflineStatus("unsupported");
+    return;
+  }
+
+  try {
+    navigator.serviceWorker.addEventListener("message", handleServiceWorkerMessage);
+
+    await navigator.serviceWorker.register(`${getRootPath()}sw.js`);
+    const registration = await navigator.serviceWorker.ready;
+
+    registration.active?.postMessage({
+      type: "precache",
+      urls: getLoadedResourceUrls(),
+    });
+  } catch (error) {
+    console.error("Error registering service worker:", error);
+    updateOfflineStatus("unsupported");
+  }
+};
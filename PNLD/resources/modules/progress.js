@@ -0,0 +1,275 @@
+/**
+ * @module progress
+ * @description
+ * Learner progress: which pages of the reading order were read and which activities were
+ * completed, with attempts and scores. Renders the "My progress" panel of the sidebar,
+ * whose links lead back into unread pages and incomplete activities.
+ */
+
+import { subscribe } from "./state.js";
+import { storage } from "./storage.js";
+import { getPages, getPageIndex, getVisitedPages } from "./publication.js";
+import { translateText } from "./translations.js";
+import { navigateToPage } from "./navigation.js";
+
+let dashboardInitialized = false;
+
+/**
+ * Returns the activity id of a page (its file name without extension).
+ * @private
+ * @param {string} href - Page href or URL
+ * @returns {string} Activity id
+ */
+const toActivityId = (href) => href.split(/[?#]/)[0].split("/").pop().split(".")[0];
+
+/**
+ * Returns the ids of the activities in the book: pages marked as activities in the
+ * navigation, the current page when it has an activity, and any activity the learner
+ * has already attempted.
+ * @returns {Set<string>} Activity ids (page file names without extension)
+ */
+export const getActivityIds = () => {
+  const ids = new Set();
+
+  document.querySelectorAll(".nav__list-item.activity .nav__list-link").forEach((link) => {
+    ids.add(toActivityId(link.getAttribute("href") || ""));
+  });
+
+  if (document.querySelector('section[role="activity"]')) {
+    ids.add(toActivityId(window.location.pathname));
+  }
+
+  storage.keys().forEach((key) => {
+    const match = key.match(/^(.+?)(?:-intentos|_success)$/);
+    if (match) ids.add(match[1]);
+  });
+  Object.keys(storage.getJSON("activityResults", {})).forEach((id) => ids.add(id));
+
+  ids.delete("");
+  return ids;
+};
+
+/**
+ * Whether an activity has been completed successfully.
+ * @param {string} activityId - Activity id
+ * @returns {boolean}
+ */
+export const isActivityCompleted = (activityId) =>
+  storage.getItem(`${activityId}_success`) === "true" ||
+  storage.getJSON("activityResults", {})[activityId]?.success === true;
+
+/**
+ * Builds the progress of every page of the reading order.
+ * @returns {{pages: Array<Object>, visitedCount: number, activityCount: number, completedCount: number}}
+ */
+export const getProgress = () => {
+  const visitedPages = new Set(getVisitedPages());
+  const activityIds = getActivityIds();
+  const results = storage.getJSON("activityResults", {});
+  const currentIndex = getPageIndex();
+
+  const pages = getPages().map((page) => {
+    const activityId = toActivityId(page.href);
+    const isActivity = activityIds.has(activityId);
+    return {
+      ...page,
+      activityId,
+      isActivity,
+      isCurrent: page.index === currentIndex,
+      visited: visitedPages.has(page.href),
+      completed: isActivity && isActivityCompleted(activityId),
+      attempts: isActivity ? parseInt(storage.getItem(`${activityId}-intentos`), 10) || 0 : 0,
+      score: results[activityId]?.score || null,
+    };
+  });
+
+  const activities = pages.filter((page) => page.isActivity);
+  return {
+    pages,
+    visitedCount: pages.filter((page) => page.visited).length,
+    activityCount: activities.length,
+    completedCount: activities.filter((page) => page.completed).length,
+  };
+};
+
+/**
+ * Formats a score as a percentage.
+ * @private
+ * @param {{raw: number, max: number}|null} score - Items correct out of total
+ * @returns {string} e.g. "80%", or "" without a score
+ */
+const formatScore = (score) => (score && score.max > 0 ? `${Math.round((score.raw / score.max) * 100)}%` : "");
+
+/**
+ * Creates an element with classes and text.
+ * @private
+ * @param {string} tagName - Element name
+ * @param {string} className - Classes
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ */
+const createElement = (tagName, className, text) => {
+  const element = document.createElement(tagName);
+  element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+/**
+ * Creates a link that opens a page of the book.
+ * @private
+ * @param {Object} page - Page progress
+ * @param {string} text - Link text
+ * @param {string} className - Classes
+ * @returns {HTMLAnchorElement}
+ */
+const createPageLink = (page, text, className) => {
+  const link = createElement("a", className, text);
+  link.href = page.url;
+  if (page.isCurrent) link.setAttribute("aria-current", "page");
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    if (!page.isCurrent) navigateToPage(page.url);
+  });
+  return link;
+};
+
+/**
+ * Builds the list item of one page.
+ * @private
+ * @param {Object} page - Page progress
+ * @returns {HTMLLIElement}
+ */
+const renderPageItem = (page) => {
+  const item = createElement("li", "flex items-start gap-3 py-3 border-b border-gray-300");
+  const done = page.isActivity ? page.completed : page.visited;
+
+  const icon = createElement(
+    "i",
+    done ? "fas fa-check-circle text-green-600 mt-1" : "far fa-circle text-gray-400 mt-1"
+  );
+  icon.setAttribute("aria-hidden", "true");
+
+  const details = createElement("div", "flex-grow");
+  const pageLabel = translateText("progress-page-number", { number: page.index });
+  const title = page.title ? `${pageLabel}: ${page.title}` : pageLabel;
+  details.appendChild(createPageLink(page, title, "text-lg text-blue-700 hover:underline"));
+
+  const readStatus = translateText(page.visited ? "progress-page-read" : "progress-page-unread");
+  details.appendChild(createElement("p", "text-sm text-gray-600", readStatus));
+
+  if (page.isActivity) {
+    const parts = [
+      translateText(page.completed ? "progress-activity-completed" : "progress-activity-incomplete"),
+      translateText("progress-activity-attempts", { count: page.attempts }),
+    ];
+    const score = formatScore(page.score);
+    if (score) parts.push(translateText("progress-activity-score", { score }));
+
+    const activityStatus = createElement(
+      "p",
+      page.completed ? "text-sm text-green-700" : "text-sm text-gray-800",
+      parts.join(" · ")
+    );
+    details.appendChild(activityStatus);
+
+    if (!page.completed && !page.isCurrent) {
+      details.appendChild(
+        createPageLink(
+          page,
+          translateText("progress-activity-continue"),
+          "inline-block mt-2 px-3 py-1 rounded-md bg-blue-700 text-white text-sm hover:bg-blue-800"
+        )
+      );
+    }
+  }
+
+  item.append(icon, details);
+  return item;
+};
+
+/**
+ * Renders the progress panel (summary, bar and page list).
+ */
+export const renderProgressDashboard = () => {
+  const list = document.getElementById("progress-list");
+  const summary = document.getElementById("progress-summary");
+  const bar = document.getElementById("progress-bar");
+  if (!list) return;
+
+  const progress = getProgress();
+  const parts = [
+    translateText("progress-pages-read", { count: progress.visitedCount, total: progress.pages.length }),
+  ];
+  if (progress.activityCount > 0) {
+    parts.push(
+      translateText("progress-activities-completed", {
+        count: progress.completedCount,
+        total: progress.activityCount,
+      })
+    );
+  }
+  if (summary) summary.textContent = parts.join(" · ");
+
+  if (bar) {
+    const total = progress.pages.length + progress.activityCount;
+    const percent = total > 0 ? Math.round(((progress.visitedCount + progress.completedCount) / total) * 100) : 0;
+    bar.style.width = `${percent}%`;
+    bar.parentElement?.setAttribute("aria-valuenow", String(percent));
+  }
+
+  list.replaceChildren(...progress.pages.map(renderPageItem));
+};
+
+/**
+ * Shows or hides the progress panel in place of the sidebar tabs.
+ * @private
+ * @param {boolean} open - Whether to show the panel
+ */
+const setDashboardOpen = (open) => {
+  const sidebarContent = document.getElementById("sidebar-content");
+  const progressContent = document.getElementById("progress-content");
+  if (!sidebarContent || !progressContent) return;
+
+  sidebarContent.classList.toggle("hidden", open);
+  progressContent.classList.toggle("hidden", !open);
+  document.getElementById("progress-button")?.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    renderProgressDashboard();
+    document.getElementById("progress-title")?.focus();
+  } else {
+    document.getElementById("progress-button")?.focus();
+  }
+};
+
+/**
+ * Whether the progress panel is visible.
+ * @private
+ * @returns {boolean}
+ */
+const isDashboardOpen = () => {
+  const progressContent = document.getElementById("progress-content");
+  return Boolean(progressContent && !progressContent.classList.contains("hidden"));
+};
+
+/**
+ * Shows the "My progress" entry in the sidebar and wires the panel. The panel is
+ * refreshed when the page changes, an activity is checked or the language changes.
+ */
+export const initializeProgressDashboard = () => {
+  const progressButton = document.getElementById("progress-button");
+  const backButton = document.getElementById("progress-back-to-sidebar");
+  if (!progressButton || !backButton || dashboardInitialized) return;
+  dashboardInitialized = true;
+
+  progressButton.closest(".progress-button-row")?.classList.remove("hidden");
+  progressButton.addEventListener("click", () => setDashboardOpen(true));
+  backButton.addEventListener("click", () => setDashboardOpen(false));
+
+  ["currentPageUrl", "lastActivityResult", "translations"].forEach((key) => {
+    subscribe(key, () => {
+      if (isDashboardOpen()) renderProgressDashboard();
+    });
+  });
+};
@@ -0,0 +1,153 @@
+/**
+ * @module publication
+ * @description
+ * Navigation model built from the Readium manifest.json. Exposes the reading order,
+ * table of contents titles and page numbers so navigation does not depend on nav.html.
+ * Also remembers which pages of the reading order the learner has visited.
+ */
+
+import { storage } from "./storage.js";
+
+const VISITED_PAGES_KEY = "visitedPages";
+
+let publication = null;
+
+/**
+ * Returns the path from the current page to the publication root.
+ * @returns {string} Relative path ending with a slash
+ */
+export const getRootPath = () => {
+  const currentPath = window.location.pathname;
+  return currentPath.includes("/content/") ? "../../" : "./";
+};
+
+/**
+ * Normalizes a URL for comparison (drops query, hash and a trailing index.html).
+ * @private
+ * @param {string} url - Absolute URL
+ * @returns {string} Normalized pathname
+ */
+const normalizePath = (url) => {
+  const { pathname } = new URL(url, window.location.href);
+  return decodeURIComponent(pathname).replace(/\/index\.html$/, "/");
+};
+
+/**
+ * Builds the page list from the manifest reading order, taking titles from the toc.
+ * @private
+ * @param {Object} manifest - Parsed Readium manifest
+ * @param {string} manifestUrl - Absolute URL the manifest was loaded from
+ * @returns {Array<Object>} Pages in reading order
+ */
+const buildPages = (manifest, manifestUrl) => {
+  const tocTitles = new Map(
+    (manifest.toc || []).map((entry) => [new URL(entry.href, manifestUrl).href, entry.title])
+  );
+
+  return (manifest.readingOrder || [])
+    .filter((link) => link.href && (!link.type || link.type === "text/html"))
+    .map((link, index) => {
+      const url = new URL(link.href, manifestUrl).href;
+      return {
+        index,
+        href: link.href,
+        url,
+        title: tocTitles.get(url) || link.title || "",
+        inToc: tocTitles.has(url),
+      };
+    });
+};
+
+/**
+ * Loads manifest.json and builds the navigation model. Safe to call more than once.
+ * @returns {Promise<Object|null>} The publication model, or null if the manifest is unavailable
+ */
+export const loadPublication = async () => {
+  if (publication) return publication;
+
+  try {
+    const manifestUrl = new URL(`${getRootPath()}manifest.json`, window.location.href).href;
+    const response = await fetch(manifestUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const manifest = await response.json();
+
+    publication = {
+      metadata: manifest.metadata || {},
+      pages: buildPages(manifest, manifestUrl),
+    };
+    return publication;
+  } catch (error) {
+    console.error("Error loading publication manifest:", error);
+    return null;
+  }
+};
+
+/**
+ * Returns the loaded publication model.
+ * @returns {Object|null} The publication model or null if not loaded yet
+ */
+export const getPublication = () => publication;
+
+/**
+ * Returns the pages of the reading order.
+ * @returns {Array<Object>} Pages (empty when the manifest is not loaded)
+ */
+export const getPages = () => publication?.pages || [];
+
+/**
+ * Finds the reading order index of a URL.
+ * @param {string} [url=window.location.href] - URL to look up
+ * @returns {number} Index in the reading order, or -1 if the page is not part of it
+ */
+export const getPageIndex = (url = window.location.href) => {
+  const path = normalizePath(url);
+  return getPages().findIndex((page) => normalizePath(page.url) === path);
+};
+
+/**
+ * Returns the page at an offset from the current page.
+ * @param {number} offset - Offset from the current page (1 for next, -1 for previous)
+ * @returns {Object|null} The page, or null when outside the reading order
+ */
+export const getAdjacentPage = (offset) => {
+  const currentIndex = getPageIndex();
+  if (currentIndex < 0) return null;
+  return getPages()[currentIndex + offset] || null;
+};
+
+/**
+ * Whether the current page is the first page of the reading order.
+ * @returns {boolean}
+ */
+export const isFirstPage = () => getPageIndex() === 0;
+
+/**
+ * Whether the current page is the last page of the reading order.
+ * @returns {boolean}
+ */
+export const isLastPage = () => {
+  const pages = getPages();
+  return pages.length > 0 && getPageIndex() === pages.length - 1;
+};
+
+/**
+ * Returns the hrefs (as in the manifest) of the pages the learner has visited.
+ * @returns {string[]} Visited page hrefs
+ */
+export const getVisitedPages = () => storage.getJSON(VISITED_PAGES_KEY, []);
+
+/**
+ * Marks a page of the reading order as visited.
+ * @param {string} [url=window.location.href] - URL of the visited page
+ */
+export const recordPageVisit = (url = window.location.href) => {
+  const page = getPages()[getPageIndex(url)];
+  if (!page) return;
+
+  const visitedPages = getVisitedPages();
+  if (!visitedPages.includes(page.href)) {
+    storage.setJSON(VISITED_PAGES_KEY, [...visitedPages, page.href]);
+  }
+};
@@ -0,0 +1,199 @@
+/**
+ * @module read_book
+ * @description
+ * "Read the whole book": when read-aloud finishes the last text of a page, a countdown
+ * with a cancel button is shown and the next page of the reading order is opened, where
+ * read-aloud starts again by itself. It stops on the last page and on pages with an
+ * activity, so the learner is never carried past an exercise.
+ */
+
+import { state, setState, subscribe } from "./state.js";
+import { getCookie } from "./cookies.js";
+import { sessionStore } from "./storage.js";
+import { gatherAudioElements, playAudioSequentially } from "./audio.js";
+import { navigateToPage } from "./navigation.js";
+import { getAdjacentPage } from "./publication.js";
+import { translateText } from "./translations.js";
+import { announceToScreenReader } from "./ui_utils.js";
+
+// Seconds before turning the page when config.json has no readBook.pageDelay
+const DEFAULT_PAGE_DELAY = 5;
+
+// Session flag telling the next page to start reading aloud when it opens
+const RESUME_KEY = "readBook:resume";
+
+let countdownTimer = null;
+let countdown = null;
+
+/**
+ * Returns the pause before turning the page, from config.json.
+ * @private
+ * @returns {number} Seconds (0 turns the page at once)
+ */
+const getPageDelay = () => {
+  const delay = Number(window.appConfig?.readBook?.pageDelay);
+  return Number.isFinite(delay) && delay >= 0 ? Math.round(delay) : DEFAULT_PAGE_DELAY;
+};
+
+/**
+ * Whether the current page contains an activity.
+ * @private
+ * @returns {boolean}
+ */
+const hasActivity = () => document.querySelector('section[role="activity"]') !== null;
+
+/**
+ * Creates the countdown banner shown above the play bar.
+ * @private
+ * @returns {{element: HTMLElement, message: HTMLElement}}
+ */
+const createCountdown = () => {
+  const element = document.createElement("div");
+  element.id = "read-book-countdown";
+  element.setAttribute("role", "status");
+  element.className =
+    "fixed bottom-24 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-white border border-gray-300 rounded-lg shadow-lg px-4 py-3 text-lg";
+
+  const message = document.createElement("span");
+  message.id = "read-book-countdown-message";
+
+  const cancelButton = document.createElement("button");
+  cancelButton.type = "button";
+  cancelButton.id = "read-book-cancel";
+  cancelButton.className =
+    "px-4 py-2 rounded-md bg-blue-700 text-white hover:bg-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500";
+  cancelButton.textContent = translateText("read-book-cancel");
+  cancelButton.addEventListener("click", () => {
+    cancelReadBookCountdown();
+    announceToScreenReader(translateText("read-book-cancelled"));
+  });
+
+  element.append(message, cancelButton);
+  document.body.appendChild(element);
+  return { element, message };
+};
+
+/**
+ * Cancels the countdown when Escape is pressed.
+ * @private
+ * @param {KeyboardEvent} event
+ */
+const handleCountdownKeydown = (event) => {
+  if (event.key === "Escape") {
+    cancelReadBookCountdown();
+    announceToScreenReader(translateText("read-book-cancelled"));
+  }
+};
+
+/**
+ * Hides the countdown and stops it from turning the page.
+ */
+export const cancelReadBookCountdown = () => {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  document.removeEventListener("keydown", handleCountdownKeydown);
+  countdown?.element.remove();
+  countdown = null;
+};
+
+/**
+ * Opens the next page and asks it to continue reading aloud.
+ * @private
+ * @param {Object} page - Next page of the reading order
+ */
+const turnPage = (page) => {
+  cancelReadBookCountdown();
+  sessionStore.setItem(RESUME_KEY, "true");
+  navigateToPage(page.url);
+};
+
+/**
+ * Called by audio.js when read-aloud has played the last text of the page. Counts down
+ * and opens the next page, unless the mode is off, this page has an activity or it is the
+ * last page.
+ */
+export const continueReadingBook = () => {
+  if (!state.readBookMode || !state.readAloudMode || countdownTimer) return;
+
+  if (hasActivity()) return;
+
+  const nextPage = getAdjacentPage(1);
+  if (!nextPage) {
+    announceToScreenReader(translateText("read-book-finished"));
+    return;
+  }
+
+  let seconds = getPageDelay();
+  if (seconds === 0) {
+    turnPage(nextPage);
+    return;
+  }
+
+  countdown = createCountdown();
+  countdown.message.textContent = translateText("read-book-countdown", { seconds });
+  document.addEventListener("keydown", handleCountdownKeydown);
+
+  countdownTimer = setInterval(() => {
+    seconds -= 1;
+    if (seconds <= 0) {
+      turnPage(nextPage);
+    } else if (countdown) {
+      countdown.message.textContent = translateText("read-book-countdown", { seconds });
+    }
+  }, 1000);
+};
+
+/**
+ * Starts reading aloud on a page opened by the countdown. Pages with an activity are not
+ * read, so the learner can do the activity.
+ */
+export const resumeReadingBook = () => {
+  if (sessionStore.getItem(RESUME_KEY) !== "true") return;
+  sessionStore.removeItem(RESUME_KEY);
+
+  if (!state.readBookMode || !state.readAloudMode || state.isPlaying) return;
+
+  if (hasActivity()) {
+    announceToScreenReader(translateText("read-book-stopped-activity"));
+    return;
+  }
+
+  gatherAudioElements();
+  setState("currentIndex", 0);
+  setState("isPlaying", true);
+  playAudioSequentially();
+};
+
+/**
+ * Loads the read-the-whole-book preference.
+ */
+export const loadReadBookState = () => {
+  const readBookModeCookie = getCookie("readBookMode");
+  if (readBookModeCookie !== null) {
+    setState("readBookMode", readBookModeCookie === "true", { origin: "restore" });
+  }
+};
+
+/**
+ * Toggles the read-the-whole-book mode.
+ */
+export const toggleReadBook = () => {
+  cancelReadBookCountdown();
+  setState("readBookMode", !state.readBookMode);
+};
+
+/**
+ * Shows the setting and cancels the countdown when playback starts again, read-aloud is
+ * turned off or the learner leaves the page.
+ */
+export const initializeReadBook = () => {
+  document.getElementById("read-book-container")?.classList.remove("hidden");
+
+  subscribe("isPlaying", (isPlaying) => {
+    if (isPlaying) cancelReadBookCountdown();
+  });
+  subscribe("readAloudMode", (readAloudMode) => {
+    if (!readAloudMode) cancelReadBookCountdown();
+  });
+  subscribe("currentPageUrl", cancelReadBookCountdown);
+};
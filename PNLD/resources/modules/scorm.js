@@ -0,0 +1,425 @@
+/**
+ * @module scorm
+ * @description
+ * SCORM 1.2 and SCORM 2004 runtime adapter. When the book is launched by an LMS (e.g.
+ * Moodle), finds the LMS API object and reports the current page as the lesson location,
+ * the saved activity state as suspend_data, and a score and status aggregated from all
+ * activities. Does nothing when no LMS API is found.
+ */
+
+import { subscribe } from "./state.js";
+import { storage, sessionStore } from "./storage.js";
+import { getPages, getPageIndex, getVisitedPages } from "./publication.js";
+import { loadPageContent, getPendingPageUrl } from "./navigation.js";
+import { getActivityIds, isActivityCompleted } from "./progress.js";
+
+const SCORM_12 = "1.2";
+const SCORM_2004 = "2004";
+
+// How far up the frame hierarchy to look for the API (the value suggested by ADL)
+const MAX_API_SEARCH_DEPTH = 7;
+
+const SUSPEND_DATA_VERSION = 1;
+
+// Session store key telling the next page of the book that the LMS session is still open
+const OPEN_SESSION_KEY = "scorm:openSession";
+
+// Maximum suspend_data length the LMS has to accept
+const SUSPEND_DATA_LIMITS = {
+  [SCORM_12]: 4096,
+  [SCORM_2004]: 64000,
+};
+
+// Storage prefixes that are not learner progress (preferences, queued statements and answers)
+const EXCLUDED_KEY_PREFIXES = ["pref:", "xapi:", "submission:"];
+
+const API_METHODS = {
+  [SCORM_12]: {
+    initialize: "LMSInitialize",
+    terminate: "LMSFinish",
+    getValue: "LMSGetValue",
+    setValue: "LMSSetValue",
+    commit: "LMSCommit",
+    getLastError: "LMSGetLastError",
+  },
+  [SCORM_2004]: {
+    initialize: "Initialize",
+    terminate: "Terminate",
+    getValue: "GetValue",
+    setValue: "SetValue",
+    commit: "Commit",
+    getLastError: "GetLastError",
+  },
+};
+
+const DATA_MODEL = {
+  [SCORM_12]: {
+    entry: "cmi.core.entry",
+    location: "cmi.core.lesson_location",
+    suspendData: "cmi.suspend_data",
+    lessonStatus: "cmi.core.lesson_status",
+    scoreRaw: "cmi.core.score.raw",
+    scoreMin: "cmi.core.score.min",
+    scoreMax: "cmi.core.score.max",
+    exit: "cmi.core.exit",
+    sessionTime: "cmi.core.session_time",
+  },
+  [SCORM_2004]: {
+    entry: "cmi.entry",
+    location: "cmi.location",
+    suspendData: "cmi.suspend_data",
+    completionStatus: "cmi.completion_status",
+    successStatus: "cmi.success_status",
+    progressMeasure: "cmi.progress_measure",
+    scoreRaw: "cmi.score.raw",
+    scoreMin: "cmi.score.min",
+    scoreMax: "cmi.score.max",
+    scoreScaled: "cmi.score.scaled",
+    exit: "cmi.exit",
+    sessionTime: "cmi.session_time",
+  },
+};
+
+let session = null;
+
+/**
+ * Looks for the LMS API in a window and its parents.
+ * @private
+ * @param {Window} startWindow - Window to start from
+ * @returns {{api: Object, version: string}|null} The API and its SCORM version
+ */
+const findApiInParents = (startWindow) => {
+  let currentWindow = startWindow;
+
+  for (let depth = 0; currentWindow && depth <= MAX_API_SEARCH_DEPTH; depth++) {
+    try {
+      if (currentWindow.API_1484_11) return { api: currentWindow.API_1484_11, version: SCORM_2004 };
+      if (currentWindow.API) return { api: currentWindow.API, version: SCORM_12 };
+    } catch (error) {
+      // A cross-origin frame ends the search
+      return null;
+    }
+    if (currentWindow.parent === currentWindow) break;
+    currentWindow = currentWindow.parent;
+  }
+
+  return null;
+};
+
+/**
+ * Finds the LMS API in the frame hierarchy or, for pop-up launches, the opener.
+ * @private
+ * @returns {{api: Object, version: string}|null} The API and its SCORM version
+ */
+const findApi = () => {
+  const found = findApiInParents(window);
+  if (found) return found;
+
+  try {
+    return window.opener ? findApiInParents(window.opener) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Calls an API method by its role, logging LMS errors.
+ * @private
+ * @param {string} method - Key of API_METHODS
+ * @param {...string} args - Arguments for the LMS
+ * @returns {string} Value returned by the LMS ("" on failure)
+ */
+const callApi = (method, ...args) => {
+  const { api, version } = session;
+  try {
+    const result = api[API_METHODS[version][method]](...args);
+    if (result === "false") {
+      const errorCode = api[API_METHODS[version].getLastError]();
+      console.warn(`SCORM ${API_METHODS[version][method]}(${args.join(", ")}) failed with error ${errorCode}`);
+    }
+    return result === undefined || result === null ? "" : String(result);
+  } catch (error) {
+    console.error(`Error calling SCORM ${method}:`, error);
+    return "";
+  }
+};
+
+/**
+ * Reads a data model element.
+ * @private
+ * @param {string} element - Key of DATA_MODEL
+ * @returns {string} Value ("" when unset)
+ */
+const getValue = (element) => callApi("getValue", DATA_MODEL[session.version][element]);
+
+/**
+ * Writes a data model element. Elements not defined for the current version are skipped.
+ * @private
+ * @param {string} element - Key of DATA_MODEL
+ * @param {string|number} value - Value to write
+ */
+const setValue = (element, value) => {
+  const name = DATA_MODEL[session.version][element];
+  if (name) callApi("setValue", name, String(value));
+};
+
+/**
+ * Whether a storage key holds learner progress that should travel in suspend_data.
+ * @private
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+const isProgressKey = (key) => !EXCLUDED_KEY_PREFIXES.some((prefix) => key.startsWith(prefix));
+
+/**
+ * Whether a storage key records activity results (kept first when suspend_data is full).
+ * @private
+ * @param {string} key - Storage key
+ * @returns {boolean}
+ */
+const isResultKey = (key) =>
+  key.endsWith("_success") || key.endsWith("-intentos") || key === "completedActivities" || key === "visitedPages";
+
+/**
+ * Serializes the saved progress, dropping the least important keys when it does not
+ * fit in the suspend_data limit of the LMS.
+ * @private
+ * @returns {string} suspend_data value
+ */
+const buildSuspendData = () => {
+  const limit = SUSPEND_DATA_LIMITS[session.version];
+  const keys = storage.keys().filter(isProgressKey);
+  const orderedKeys = [...keys.filter(isResultKey), ...keys.filter((key) => !isResultKey(key))];
+
+  const data = {};
+  const skippedKeys = [];
+  orderedKeys.forEach((key) => {
+    data[key] = storage.getItem(key);
+    if (JSON.stringify({ v: SUSPEND_DATA_VERSION, data }).length > limit) {
+      delete data[key];
+      skippedKeys.push(key);
+    }
+  });
+
+  if (skippedKeys.length > 0) {
+    console.warn(`SCORM suspend_data is limited to ${limit} characters; not saved:`, skippedKeys);
+  }
+  return JSON.stringify({ v: SUSPEND_DATA_VERSION, data });
+};
+
+/**
+ * Restores progress saved in suspend_data, e.g. when the learner resumes on another
+ * device. Values already on this device are kept.
+ * @private
+ * @param {string} suspendData - suspend_data value
+ */
+const restoreSuspendData = (suspendData) => {
+  if (!suspendData) return;
+
+  try {
+    const { data } = JSON.parse(suspendData);
+    Object.entries(data || {}).forEach(([key, value]) => {
+      if (isProgressKey(key) && storage.getItem(key) === null) {
+        storage.setItem(key, value);
+      }
+    });
+  } catch (error) {
+    console.error("Error restoring SCORM suspend_data:", error);
+  }
+};
+
+/**
+ * Reports score, completion and success aggregated over all activities. Books without
+ * activities are completed once every page of the reading order has been visited.
+ * @private
+ */
+const reportProgress = () => {
+  const activityIds = [...getActivityIds()];
+  const passedCount = activityIds.filter(isActivityCompleted).length;
+  const pages = getPages();
+  const visitedPages = getVisitedPages();
+  const visitedCount = pages.filter((page) => visitedPages.includes(page.href)).length;
+
+  const hasActivities = activityIds.length > 0;
+  const progress = hasActivities ? passedCount / activityIds.length : visitedCount / (pages.length || 1);
+  const isComplete = progress >= 1;
+
+  if (hasActivities) {
+    setValue("scoreMin", 0);
+    setValue("scoreMax", 100);
+    setValue("scoreRaw", Math.round(progress * 100));
+    setValue("scoreScaled", Math.round(progress * 100) / 100);
+  }
+
+  if (session.version === SCORM_12) {
+    const completeStatus = hasActivities ? "passed" : "completed";
+    setValue("lessonStatus", isComplete ? completeStatus : "incomplete");
+  } else {
+    setValue("progressMeasure", Math.round(progress * 100) / 100);
+    setValue("completionStatus", isComplete ? "completed" : "incomplete");
+    setValue("successStatus", hasActivities && isComplete ? "passed" : "unknown");
+  }
+};
+
+/**
+ * Formats a duration in the session_time format of the SCORM version.
+ * @private
+ * @param {number} milliseconds - Duration
+ * @returns {string} "HHHH:MM:SS.SS" (1.2) or an ISO 8601 duration (2004)
+ */
+const formatSessionTime = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.round(milliseconds / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (session.version === SCORM_12) {
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${pad(hours, 4)}:${pad(minutes)}:${pad(seconds)}.00`;
+  }
+  return `PT${hours}H${minutes}M${seconds}S`;
+};
+
+/**
+ * Saves progress and commits it to the LMS.
+ * @private
+ */
+const saveProgress = () => {
+  setValue("suspendData", buildSuspendData());
+  reportProgress();
+  callApi("commit", "");
+};
+
+/**
+ * Saves everything and closes the LMS session. The exit mode is "suspend" so the
+ * learner resumes where they left off.
+ * @private
+ */
+const terminateSession = () => {
+  if (!session || session.terminated) return;
+  session.terminated = true;
+
+  setValue("exit", "suspend");
+  setValue("sessionTime", formatSessionTime(Date.now() - session.startTime));
+  saveProgress();
+  callApi("terminate", "");
+};
+
+/**
+ * Saves everything but keeps the LMS session open for the page of the book the browser
+ * is loading, which picks it up instead of initializing a new one.
+ * @private
+ */
+const handOverSession = () => {
+  if (!session || session.terminated) return;
+
+  saveProgress();
+  sessionStore.setJSON(OPEN_SESSION_KEY, { version: session.version, startTime: session.startTime });
+};
+
+/**
+ * Closes the session when the learner leaves the book, and hands it over when the page
+ * unloads to open another page of the book (full loads outside single-page navigation).
+ * @private
+ */
+const handlePageHide = () => {
+  const pendingPageUrl = getPendingPageUrl();
+  if (pendingPageUrl && getPageIndex(pendingPageUrl) >= 0) {
+    handOverSession();
+  } else {
+    terminateSession();
+  }
+};
+
+/**
+ * Takes over the session a previous page of the book left open, if the LMS still has it.
+ * @private
+ * @returns {boolean} True when the session was taken over
+ */
+const takeOverSession = () => {
+  const openSession = sessionStore.getJSON(OPEN_SESSION_KEY);
+  sessionStore.removeItem(OPEN_SESSION_KEY);
+  if (!openSession || openSession.version !== session.version) return false;
+
+  // Reading an element fails when the LMS has closed the session in the meantime
+  getValue("location");
+  if (callApi("getLastError") !== "0") return false;
+
+  session.startTime = openSession.startTime;
+  return true;
+};
+
+/**
+ * Whether the book is running inside an LMS SCORM session.
+ * @returns {boolean}
+ */
+export const isScormSession = () => Boolean(session && !session.terminated);
+
+/**
+ * Connects to the LMS if one launched the book: restores suspend_data into storage and
+ * starts reporting location, progress and results. Must run after initializeStorage and
+ * before activities read their saved state.
+ * @returns {boolean} True when an LMS session was started
+ */
+export const initializeScorm = () => {
+  if (session) return true;
+
+  const found = findApi();
+  if (!found) return false;
+
+  try {
+    session = {
+      ...found,
+      startTime: Date.now(),
+      resumeLocation: null,
+      terminated: false,
+    };
+
+    if (!takeOverSession()) {
+      if (callApi("initialize", "") !== "true") {
+        console.warn("The LMS did not start a SCORM session, continuing without it");
+        session = null;
+        return false;
+      }
+
+      if (getValue("entry") === "resume") {
+        restoreSuspendData(getValue("suspendData"));
+        session.resumeLocation = getValue("location") || null;
+      }
+    }
+
+    subscribe("currentPageUrl", () => {
+      const page = getPages()[getPageIndex()];
+      if (page) setValue("location", page.href);
+      reportProgress();
+    });
+
+    subscribe("lastActivityResult", (result) => {
+      if (result) saveProgress();
+    });
+
+    window.addEventListener("pagehide", handlePageHide);
+    console.log(`SCORM ${session.version} session started`);
+    return true;
+  } catch (error) {
+    console.error("Error initializing SCORM:", error);
+    session = null;
+    return false;
+  }
+};
+
+/**
+ * Opens the page saved as lesson location when the learner resumes an attempt from the
+ * first page. Called once the interface is ready; the cover has a #content container, so
+ * the page is swapped in without unloading the SCO.
+ */
+export const resumeScormLocation = () => {
+  if (!isScormSession() || !session.resumeLocation) return;
+
+  const savedLocation = session.resumeLocation;
+  session.resumeLocation = null;
+  if (getPageIndex() !== 0) return;
+
+  const page = getPages().find((candidate) => candidate.href === savedLocation);
+  if (page && page.index !== 0) loadPageContent(page.url);
+};
@@ -0,0 +1,401 @@
+/**
+ * @module search
+ * @description
+ * Full-text search across the book in the current language. Indexes texts.json (with the
+ * `_easy_read` and `_eli5` variants) and glossary.json, maps every key back to its page
+ * through the data-ids of the reading order pages, and renders the "Search" panel of the
+ * sidebar. Matching ignores case and accents, so "cancion" finds "canción".
+ */
+
+import { state, subscribe } from "./state.js";
+import { getPages, getPageIndex } from "./publication.js";
+import { translateText } from "./translations.js";
+import { navigateToPage, scrollToFragment } from "./navigation.js";
+
+// Results shown at most, and characters of context around the first match in a snippet
+const MAX_RESULTS = 50;
+const SNIPPET_CONTEXT = 60;
+
+// Shortest query that is searched
+const MIN_QUERY_LENGTH = 2;
+
+let searchInitialized = false;
+// data-id -> page of the reading order, built once from the pages themselves
+let pageMapPromise = null;
+// Index of the current language: { language, entries }
+let indexPromise = null;
+let searchTimeout = null;
+
+/**
+ * Returns the path of the content folder from the current page.
+ * @returns {string}
+ */
+export const getContentPath = () => (window.location.pathname.includes("/content/") ? "../content/" : "./PNLD/content/");
+
+/**
+ * Folds a text for matching: lower case, without accents. Returns the folded text and,
+ * for each of its characters, the index of the character it came from in the original,
+ * so matches can be highlighted in the original text.
+ * @param {string} text - Text to fold
+ * @returns {{folded: string, positions: number[]}}
+ */
+export const foldText = (text) => {
+  let folded = "";
+  const positions = [];
+  let index = 0;
+
+  for (const character of text) {
+    const base = character.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+    for (let i = 0; i < base.length; i++) positions.push(index);
+    folded += base;
+    index += character.length;
+  }
+  positions.push(index);
+
+  return { folded, positions };
+};
+
+/**
+ * Removes markup from a translated text.
+ * @private
+ * @param {string} html - Text that may contain HTML
+ * @returns {string}
+ */
+const toPlainText = (html) =>
+  new DOMParser().parseFromString(String(html), "text/html").body.textContent.replace(/\s+/g, " ").trim();
+
+/**
+ * Maps every data-id of the book to the page it is on, by loading the pages of the
+ * reading order (they are cached by the service worker when offline reading is on).
+ * The map is built once and shared with the flashcards.
+ * @returns {Promise<Map<string, Object>>}
+ */
+export const loadPageMap = () => {
+  if (!pageMapPromise) {
+    pageMapPromise = Promise.all(
+      getPages().map(async (page) => {
+        try {
+          const response = await fetch(page.url);
+          if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+          const pageDocument = new DOMParser().parseFromString(await response.text(), "text/html");
+          return [page, Array.from(pageDocument.querySelectorAll("[data-id]"), (element) => element.getAttribute("data-id"))];
+        } catch (error) {
+          console.warn(`Search could not index ${page.href}:`, error);
+          return [page, []];
+        }
+      })
+    ).then((pages) => {
+      const pageMap = new Map();
+      pages.forEach(([page, dataIds]) => {
+        dataIds.forEach((dataId) => {
+          if (!pageMap.has(dataId)) pageMap.set(dataId, page);
+        });
+      });
+      return pageMap;
+    });
+  }
+  return pageMapPromise;
+};
+
+/**
+ * Fetches a JSON file of the current language.
+ * @param {string} language - Language code
+ * @param {string} fileName - e.g. "texts.json"
+ * @returns {Promise<Object>} Parsed file, or an empty object when it is missing
+ */
+export const fetchLanguageFile = async (language, fileName) => {
+  try {
+    const response = await fetch(`${getContentPath()}i18n/${language}/${fileName}`);
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    console.warn(`Could not load ${fileName} for ${language}:`, error);
+    return {};
+  }
+};
+
+/**
+ * Builds the search entries of a language.
+ * @private
+ * @param {string} language - Language code
+ * @returns {Promise<Array<Object>>} Entries: { kind, dataId, page, text, folded, positions }
+ */
+const buildIndex = async (language) => {
+  const [pageMap, texts, glossary] = await Promise.all([
+    loadPageMap(),
+    fetchLanguageFile(language, "texts.json"),
+    fetchLanguageFile(language, "glossary.json"),
+  ]);
+
+  const entries = [];
+  const addEntry = (kind, dataId, page, text) => {
+    if (!text) return;
+    entries.push({ kind, dataId, page, text, ...foldText(text) });
+  };
+
+  Object.entries(texts).forEach(([key, value]) => {
+    let kind = "text";
+    let dataId = key;
+    if (key.endsWith("_easy_read")) {
+      kind = "easyRead";
+      dataId = key.slice(0, -"_easy_read".length);
+    } else if (key.endsWith("_eli5")) {
+      kind = "eli5";
+      dataId = key.slice(0, -"_eli5".length);
+    }
+
+    const page = pageMap.get(dataId);
+    if (page) addEntry(kind, dataId, page, toPlainText(value));
+  });
+
+  // Glossary terms lead to the first paragraph that uses them
+  const textEntries = entries.filter((entry) => entry.kind === "text");
+  Object.values(glossary).forEach((term) => {
+    if (!term?.word) return;
+    const forms = [term.word, ...(term.variations || [])].map((form) => foldText(form).folded);
+    const firstUse = textEntries.find((entry) => forms.some((form) => entry.folded.includes(form)));
+    addEntry("glossary", firstUse?.dataId || null, firstUse?.page || null, `${term.word}: ${term.definition || ""}`);
+  });
+
+  return entries;
+};
+
+/**
+ * Returns the index of the current language, building it on first use.
+ * @private
+ * @returns {Promise<Array<Object>>}
+ */
+const getIndex = () => {
+  const language = state.currentLanguage;
+  if (!indexPromise || indexPromise.language !== language) {
+    indexPromise = { language, entries: buildIndex(language) };
+  }
+  return indexPromise.entries;
+};
+
+/**
+ * Finds the ranges of every query word in a folded text.
+ * @private
+ * @param {string} folded - Folded text
+ * @param {string[]} words - Folded query words
+ * @returns {Array<[number, number]>|null} Sorted ranges, or null when a word is missing
+ */
+const findMatches = (folded, words) => {
+  const ranges = [];
+  for (const word of words) {
+    let index = folded.indexOf(word);
+    if (index === -1) return null;
+    while (index !== -1) {
+      ranges.push([index, index + word.length]);
+      index = folded.indexOf(word, index + word.length);
+    }
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Searches the book in the current language. Every word of the query has to appear.
+ * When a paragraph matches in both its regular and easy-read text, only the text of the
+ * current reading mode is returned.
+ * @param {string} query - Search text
+ * @returns {Promise<Array<Object>>} Results in reading order: { kind, dataId, page, text, ranges }
+ */
+export const searchBook = async (query) => {
+  const words = foldText(query).folded.split(/\s+/).filter(Boolean);
+  if (words.join(" ").length < MIN_QUERY_LENGTH) return [];
+
+  const entries = await getIndex();
+  const preferredKind = state.easyReadMode ? "easyRead" : "text";
+  const results = new Map();
+
+  entries.forEach((entry) => {
+    const matches = findMatches(entry.folded, words);
+    if (!matches) return;
+
+    const ranges = matches.map(([start, end]) => [entry.positions[start], entry.positions[end]]);
+    const isParagraph = entry.kind === "text" || entry.kind === "easyRead";
+    const resultKey = isParagraph ? `paragraph:${entry.dataId}` : `${entry.kind}:${entry.dataId}:${entry.text}`;
+    const existing = results.get(resultKey);
+    if (!existing || entry.kind === preferredKind) {
+      results.set(resultKey, { ...entry, ranges });
+    }
+  });
+
+  const order = (result) => (result.page ? result.page.index : Number.MAX_SAFE_INTEGER);
+  return [...results.values()].sort((a, b) => order(a) - order(b)).slice(0, MAX_RESULTS);
+};
+
+/**
+ * Builds the snippet of a result: the text around the first match, with every match in
+ * it wrapped in <mark>.
+ * @private
+ * @param {Object} result - Search result
+ * @returns {DocumentFragment}
+ */
+const renderSnippet = ({ text, ranges }) => {
+  const snippetStart = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+  const snippetEnd = Math.min(text.length, ranges[0][1] + SNIPPET_CONTEXT * 2);
+  const fragment = document.createDocumentFragment();
+
+  let position = snippetStart;
+  if (snippetStart > 0) fragment.append("…");
+  ranges
+    .filter(([start, end]) => start >= position && end <= snippetEnd)
+    .forEach(([start, end]) => {
+      if (start < position) return;
+      fragment.append(text.slice(position, start));
+      const mark = document.createElement("mark");
+      mark.className = "bg-yellow-300 rounded";
+      mark.textContent = text.slice(start, end);
+      fragment.append(mark);
+      position = end;
+    });
+  fragment.append(text.slice(position, snippetEnd));
+  if (snippetEnd < text.length) fragment.append("…");
+
+  return fragment;
+};
+
+/**
+ * Opens the page of a result and brings its paragraph into view.
+ * @private
+ * @param {Object} result - Search result
+ */
+const openResult = (result) => {
+  const url = result.dataId ? `${result.page.url}#${result.dataId}` : result.page.url;
+  if (result.page.index === getPageIndex()) {
+    scrollToFragment(url);
+  } else {
+    navigateToPage(url);
+  }
+};
+
+/**
+ * Builds the list item of one result.
+ * @private
+ * @param {Object} result - Search result
+ * @returns {HTMLLIElement}
+ */
+const renderResultItem = (result) => {
+  const item = document.createElement("li");
+  item.className = "py-3 border-b border-gray-300";
+
+  const labels = [
+    result.page ? translateText("search-page-number", { number: result.page.index }) : "",
+    result.kind === "text" ? "" : translateText(`search-kind-${result.kind}`),
+  ].filter(Boolean);
+
+  const snippet = document.createElement("p");
+  snippet.className = "text-gray-800";
+  snippet.appendChild(renderSnippet(result));
+
+  if (result.page) {
+    const link = document.createElement("a");
+    link.className = "text-lg text-blue-700 hover:underline";
+    link.href = result.dataId ? `${result.page.url}#${result.dataId}` : result.page.url;
+    link.textContent = labels.join(" · ");
+    if (result.page.index === getPageIndex()) link.setAttribute("aria-current", "page");
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      openResult(result);
+    });
+    item.appendChild(link);
+  } else {
+    const label = document.createElement("p");
+    label.className = "text-lg text-gray-700";
+    label.textContent = labels.join(" · ");
+    item.appendChild(label);
+  }
+
+  item.appendChild(snippet);
+  return item;
+};
+
+/**
+ * Runs the query typed in the search panel and renders the results.
+ * @returns {Promise<void>}
+ */
+export const runSearch = async () => {
+  const input = document.getElementById("search-input");
+  const list = document.getElementById("search-results");
+  const status = document.getElementById("search-status");
+  if (!input || !list) return;
+
+  const query = input.value.trim();
+  if (foldText(query).folded.replace(/\s+/g, "").length < MIN_QUERY_LENGTH) {
+    list.replaceChildren();
+    if (status) status.textContent = "";
+    return;
+  }
+
+  try {
+    if (status) status.textContent = translateText("search-searching");
+    const results = await searchBook(query);
+    // A newer query may have finished first
+    if (input.value.trim() !== query) return;
+
+    list.replaceChildren(...results.map(renderResultItem));
+    if (status) {
+      status.textContent =
+        results.length === 0
+          ? translateText("search-no-results", { query })
+          : translateText("search-result-count", { count: results.length });
+    }
+  } catch (error) {
+    console.error("Error searching the book:", error);
+    if (status) status.textContent = translateText("search-failed");
+  }
+};
+
+/**
+ * Shows or hides the search panel in place of the sidebar tabs.
+ * @private
+ * @param {boolean} open - Whether to show the panel
+ */
+const setSearchOpen = (open) => {
+  const sidebarContent = document.getElementById("sidebar-content");
+  const searchContent = document.getElementById("search-content");
+  if (!sidebarContent || !searchContent) return;
+
+  sidebarContent.classList.toggle("hidden", open);
+  searchContent.classList.toggle("hidden", !open);
+  document.getElementById("search-button")?.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    document.getElementById("search-input")?.focus();
+    // Start loading the index while the learner types
+    getIndex();
+  } else {
+    document.getElementById("search-button")?.focus();
+  }
+};
+
+/**
+ * Shows the "Search" entry in the sidebar and wires the search panel.
+ */
+export const initializeSearch = () => {
+  const searchButton = document.getElementById("search-button");
+  const backButton = document.getElementById("search-back-to-sidebar");
+  const form = document.getElementById("search-form");
+  const input = document.getElementById("search-input");
+  if (!searchButton || !backButton || !form || !input || searchInitialized) return;
+  searchInitialized = true;
+
+  searchButton.closest(".search-button-row")?.classList.remove("hidden");
+  searchButton.addEventListener("click", () => setSearchOpen(true));
+  backButton.addEventListener("click", () => setSearchOpen(false));
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearTimeout(searchTimeout);
+    runSearch();
+  });
+  input.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(runSearch, 300);
+  });
+
+  // Search again in the new language (once its texts are loaded) or reading mode
+  subscribe("translations", () => runSearch());
+  subscribe("easyReadMode", () => runSearch());
+};
@@ -0,0 +1,214 @@
+/**
+ * @module speech
+ * @description
+ * Web Speech API fallback for read-aloud, used for texts without recorded narration
+ * (e.g. languages that have no audio files yet). A SpeechPlayer reads a text with a voice
+ * of the current language and behaves like the HTMLAudioElement parts the read-aloud queue
+ * relies on (play, pause, playbackRate, currentTime, onended/onerror and events), so
+ * audio.js can keep it in state.currentAudio. It also emits a "boundary" event with the
+ * character offset of every spoken word, which drives the word-by-word highlighter.
+ */
+
+// Limits of SpeechSynthesisUtterance.rate
+const MIN_RATE = 0.1;
+const MAX_RATE = 10;
+
+let voices = [];
+let voicesRequested = false;
+const voiceListeners = new Set();
+
+/**
+ * Whether the browser can synthesize speech.
+ * @returns {boolean}
+ */
+export const isSpeechSupported = () => "speechSynthesis" in window && "SpeechSynthesisUtterance" in window;
+
+/**
+ * Converts a book language code to a BCP 47 tag ("es_uy" -> "es-UY").
+ * @private
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+const toLanguageTag = (language) => {
+  const [code, region] = String(language || "").split(/[-_]/);
+  return region ? `${code.toLowerCase()}-${region.toUpperCase()}` : code.toLowerCase();
+};
+
+/**
+ * Loads the voice list, which some browsers only fill after "voiceschanged".
+ * @private
+ */
+const requestVoices = () => {
+  if (voicesRequested || !isSpeechSupported()) return;
+  voicesRequested = true;
+
+  voices = window.speechSynthesis.getVoices();
+  window.speechSynthesis.addEventListener("voiceschanged", () => {
+    voices = window.speechSynthesis.getVoices();
+    voiceListeners.forEach((listener) => listener());
+  });
+};
+
+/**
+ * Calls a function whenever the list of voices changes (it is often empty at first).
+ * @param {Function} listener - Called without arguments
+ */
+export const onVoicesChanged = (listener) => {
+  requestVoices();
+  voiceListeners.add(listener);
+};
+
+/**
+ * Finds the best voice for a language: the exact regional variant first, then any variant
+ * of the language, preferring voices that work offline and the browser default.
+ * @param {string} language - Language code of the book (e.g. "pt", "es_uy")
+ * @returns {SpeechSynthesisVoice|null}
+ */
+export const findVoice = (language) => {
+  requestVoices();
+  const tag = toLanguageTag(language).toLowerCase();
+  const [code] = tag.split("-");
+  const voiceTag = (voice) => voice.lang.toLowerCase().replace("_", "-");
+  const rank = (voice) => (voice.localService ? 0 : 2) + (voice.default ? 0 : 1);
+
+  const candidates = voices.filter((voice) => voiceTag(voice) === tag);
+  const fallbacks = candidates.length > 0 ? candidates : voices.filter((voice) => voiceTag(voice).split("-")[0] === code);
+  return [...fallbacks].sort((a, b) => rank(a) - rank(b))[0] || null;
+};
+
+/**
+ * Whether texts in a language can be read with speech synthesis.
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+export const canSpeak = (language) => isSpeechSupported() && findVoice(language) !== null;
+
+/**
+ * Reads one text aloud with speech synthesis, with an audio-element-like interface.
+ * Changing playbackRate while speaking restarts from the current word at the new rate.
+ */
+export class SpeechPlayer extends EventTarget {
+  /**
+   * @param {string} text - Text to read
+   * @param {string} language - Language code of the book
+   */
+  constructor(text, language) {
+    super();
+    this.text = text;
+    this.voice = findVoice(language);
+    this.lang = this.voice?.lang || toLanguageTag(language);
+    this.isSpeech = true;
+    this.onended = null;
+    this.onerror = null;
+    this._rate = 1;
+    this._offset = 0;
+    this._utterance = null;
+    this._paused = true;
+  }
+
+  get playbackRate() {
+    return this._rate;
+  }
+
+  set playbackRate(rate) {
+    const changed = rate !== this._rate;
+    this._rate = rate;
+    if (changed && !this._paused) this._speakFrom(this._offset);
+  }
+
+  /**
+   * Only rewinding to the start is supported (as stopAudio does).
+   */
+  get currentTime() {
+    return 0;
+  }
+
+  set currentTime(value) {
+    if (value === 0) this._offset = 0;
+  }
+
+  get paused() {
+    return this._paused;
+  }
+
+  /**
+   * Starts or resumes reading.
+   * @returns {Promise<void>}
+   */
+  play() {
+    this._paused = false;
+    this._speakFrom(this._offset);
+    return Promise.resolve();
+  }
+
+  /**
+   * Stops reading; play() continues from the last word.
+   */
+  pause() {
+    this._paused = true;
+    this._cancel();
+  }
+
+  /**
+   * Dispatches an event and calls the matching on<type> handler, like media elements do.
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} [detail] - Event details
+   */
+  _emit(type, detail) {
+    const event = new CustomEvent(type, { detail });
+    this.dispatchEvent(event);
+    this[`on${type}`]?.(event);
+  }
+
+  /**
+   * Cancels the utterance being spoken without reporting it as ended.
+   * @private
+   */
+  _cancel() {
+    if (this._utterance) {
+      this._utterance.onend = null;
+      this._utterance.onerror = null;
+      this._utterance.onboundary = null;
+      this._utterance = null;
+    }
+    window.speechSynthesis.cancel();
+  }
+
+  /**
+   * Speaks the text from a character offset.
+   * @private
+   * @param {number} offset - Character offset in the text
+   */
+  _speakFrom(offset) {
+    this._cancel();
+
+    const utterance = new SpeechSynthesisUtterance(this.text.slice(offset));
+    utterance.lang = this.lang;
+    if (this.voice) utterance.voice = this.voice;
+    utterance.rate = Math.min(MAX_RATE, Math.max(MIN_RATE, parseFloat(this._rate) || 1));
+
+    utterance.onstart = () => this._emit("play");
+    utterance.onboundary = (event) => {
+      if (event.name && event.name !== "word") return;
+      this._offset = offset + event.charIndex;
+      this._emit("boundary", { charIndex: this._offset, charLength: event.charLength });
+    };
+    utterance.onend = () => {
+      this._utterance = null;
+      this._paused = true;
+      this._offset = 0;
+      this._emit("ended");
+    };
+    utterance.onerror = (event) => {
+      // Cancelling (pause, a new utterance) is not an error
+      if (event.error === "interrupted" || event.error === "canceled") return;
+      this._utterance = null;
+      this._paused = true;
+      this._emit("error", { error: event.error });
+    };
+
+    this._utterance = utterance;
+    window.speechSynthesis.speak(utterance);
+  }
+}
@@ -1,9 +1,11 @@
 /**
  * @module state
  * @description
- * Centralized state management for UI and activity modules. Provides helpers to get, set, update, and reset state, as well as initialize state from cookies.
+ * Centralized state management for UI and activity modules. Provides helpers to get, set, update, and reset state, as well as initialize state from stored preferences.
  */
 
+import { getPreference } from './storage.js';
+
 /**
  * The main application state object. All UI and activity modules should use this for shared state.
  * @type {Object}
@@ -25,6 +27,7 @@ const initialState = {
     navScrollPosition: 0,
     easyReadMode: false,
     autoplayMode: false,
+    readBookMode: false,
     describeImagesMode: false,
     syllablesMode: false,
     glossaryMode: false,
@@ -33,6 +36,7 @@ const initialState = {
     selectedWord: null,
     inCategoryNavigation: false,
     currentWord: null,
+    selectedSequenceCard: null,
     translations: {},
     audioFiles: {},
     validateHandler: null,
@@ -52,12 +56,80 @@ const initialState = {
     characterName: null,
     characterGreeting: null,
     notepadOpen: false,
-    navigationDirection: 'forward'
+    navigationDirection: 'forward',
+    offlineStatus: 'idle',
+    currentPageUrl: "",
+    lastActivityResult: null
 };
 
 // State management
 export const state = { ...initialState };
 
+// Subscribers by state key ("*" receives every change)
+const keyListeners = new Map();
+// Subscribers to derived values: { selector, handler, equals, lastValue }
+const selectorListeners = new Set();
+
+// Changes collected while a batch is open, by key
+let batchDepth = 0;
+const pendingChanges = new Map();
+
+/**
+ * Calls a subscriber, logging instead of throwing so one failing handler does not
+ * stop the others or the code that changed the state.
+ * @private
+ * @param {Function} handler - Subscriber to call.
+ * @param {Array} args - Arguments for the subscriber.
+ */
+const callListener = (handler, args) => {
+    try {
+        handler(...args);
+    } catch (error) {
+        console.error('Error in state subscriber:', error);
+    }
+};
+
+/**
+ * Notifies key, wildcard and selector subscribers of a set of changes.
+ * @private
+ * @param {Array<Object>} changes - Changes as { key, value, previousValue, origin }.
+ */
+const notify = (changes) => {
+    changes.forEach((change) => {
+        const { key, value, previousValue } = change;
+        [...(keyListeners.get(key) || [])].forEach((handler) => callListener(handler, [value, previousValue, change]));
+        [...(keyListeners.get('*') || [])].forEach((handler) => callListener(handler, [value, previousValue, change]));
+    });
+
+    const origin = changes[changes.length - 1].origin;
+    const keys = changes.map((change) => change.key);
+    [...selectorListeners].forEach((listener) => {
+        const selected = listener.selector(state);
+        if (listener.equals(selected, listener.lastValue)) return;
+        const previousSelected = listener.lastValue;
+        listener.lastValue = selected;
+        callListener(listener.handler, [selected, previousSelected, { keys, origin }]);
+    });
+};
+
+/**
+ * Records a change and notifies subscribers, or queues it while a batch is open.
+ * @private
+ * @param {string} key - State key that changed.
+ * @param {*} previousValue - Value before the change.
+ * @param {string} origin - Where the change came from (see setState).
+ */
+const recordChange = (key, previousValue, origin) => {
+    if (batchDepth > 0) {
+        const pending = pendingChanges.get(key);
+        pendingChanges.set(key, { key, previousValue: pending ? pending.previousValue : previousValue, origin });
+        return;
+    }
+
+    if (Object.is(state[key], previousValue)) return;
+    notify([{ key, value: state[key], previousValue, origin }]);
+};
+
 /**
  * Gets the value of a state property by key.
  * @param {string} key - The state property to retrieve.
@@ -66,34 +138,104 @@ export const state = { ...initialState };
 export const getState = (key) => state[key];
 
 /**
- * Sets the value of a state property by key.
+ * Sets the value of a state property by key and notifies subscribers when it changed.
  * @param {string} key - The state property to set.
  * @param {*} value - The value to set.
+ * @param {Object} [options]
+ * @param {string} [options.origin="user"] - Source of the change. Use "restore" when loading
+ * saved preferences so subscribers can skip persistence and analytics.
  * @returns {*} The new value of the state property.
  */
-export const setState = (key, value) => {
+export const setState = (key, value, { origin = 'user' } = {}) => {
     if (!(key in state)) {
         console.warn(`Creating new state key: ${key}`);
     }
+    const previousValue = state[key];
     state[key] = value;
+    recordChange(key, previousValue, origin);
     return state[key];
 };
 
 /**
- * Updates multiple state properties at once.
+ * Updates multiple state properties at once. Subscribers are notified once, after all
+ * properties have been updated.
  * @param {Object} updates - An object with key-value pairs to update in state.
+ * @param {Object} [options] - Same options as setState.
  */
-export const updateState = (updates) => {
-    Object.entries(updates).forEach(([key, value]) => {
-        state[key] = value;
+export const updateState = (updates, options = {}) => {
+    batch(() => {
+        Object.entries(updates).forEach(([key, value]) => {
+            setState(key, value, options);
+        });
     });
 };
 
+/**
+ * Runs a function with notifications deferred until it returns, so subscribers see
+ * the final values once instead of every intermediate step. Batches can be nested.
+ * @param {Function} fn - Function that changes state.
+ * @returns {*} The return value of fn.
+ */
+export const batch = (fn) => {
+    batchDepth++;
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+        if (batchDepth === 0 && pendingChanges.size > 0) {
+            const changes = [...pendingChanges.values()]
+                .filter(({ key, previousValue }) => !Object.is(state[key], previousValue))
+                .map((change) => ({ ...change, value: state[change.key] }));
+            pendingChanges.clear();
+            if (changes.length > 0) notify(changes);
+        }
+    }
+};
+
+/**
+ * Subscribes to changes of a state key, of every key ("*"), or of a value derived
+ * with a selector function. Direct assignments to `state` are not observed.
+ * @param {string|Function} keyOrSelector - State key, "*" or a selector `(state) => value`.
+ * @param {Function} handler - Called as `handler(value, previousValue, change)`.
+ * @param {Object} [options]
+ * @param {Function} [options.equals=Object.is] - Equality check for selector results.
+ * @param {boolean} [options.immediate=false] - Also call the handler right away with the current value.
+ * @returns {Function} Function that removes the subscription.
+ */
+export const subscribe = (keyOrSelector, handler, { equals = Object.is, immediate = false } = {}) => {
+    if (typeof keyOrSelector === 'function') {
+        const listener = { selector: keyOrSelector, handler, equals, lastValue: keyOrSelector(state) };
+        selectorListeners.add(listener);
+        if (immediate) callListener(handler, [listener.lastValue, undefined, { keys: [], origin: 'subscribe' }]);
+        return () => selectorListeners.delete(listener);
+    }
+
+    if (!keyListeners.has(keyOrSelector)) {
+        keyListeners.set(keyOrSelector, new Set());
+    }
+    keyListeners.get(keyOrSelector).add(handler);
+    if (immediate && keyOrSelector !== '*') {
+        callListener(handler, [state[keyOrSelector], undefined, { key: keyOrSelector, origin: 'subscribe' }]);
+    }
+    return () => keyListeners.get(keyOrSelector)?.delete(handler);
+};
+
+/**
+ * Returns a value derived from state.
+ * @param {Function} selector - Function `(state) => value`.
+ * @returns {*} The selected value.
+ */
+export const select = (selector) => selector(state);
+
 /**
  * Resets the state object to its initial values.
  */
 export const resetState = () => {
-    Object.assign(state, initialState);
+    batch(() => {
+        Object.entries(initialState).forEach(([key, value]) => {
+            setState(key, value);
+        });
+    });
 };
 
 /**
@@ -103,30 +245,31 @@ export const resetState = () => {
 export const getFullState = () => ({ ...state });
 
 /**
- * Initializes state properties from cookies, using defaults for toggles.
- * Should be called on app load to sync persisted state.
+ * Initializes state properties from stored preferences, using defaults for toggles.
+ * Should be called on app load (after initializeStorage) to sync persisted state.
  */
-export const initializeStateFromCookies = () => {
-    const cookieKeys = {
+export const initializeStateFromStorage = () => {
+    const preferenceKeys = {
         readAloudMode: false,
         easyReadMode: false,
         eli5Mode: false,
         autoplayMode: false,
+        readBookMode: false,
         describeImagesMode: false,
         syllablesMode: false,
         audioSpeed: 1,
         currentLanguage: document.documentElement.lang || 'en'
     };
 
-    Object.entries(cookieKeys).forEach(([stateKey, defaultValue]) => {
-        const cookieValue = getCookie(stateKey);
-        if (cookieValue !== null) {
+    Object.entries(preferenceKeys).forEach(([stateKey, defaultValue]) => {
+        const storedValue = getPreference(stateKey);
+        if (storedValue !== null) {
             if (stateKey === 'audioSpeed') {
-                setState(stateKey, parseFloat(cookieValue) || 1);
+                setState(stateKey, parseFloat(storedValue) || 1);
             } else if (typeof defaultValue === 'boolean') {
-                setState(stateKey, cookieValue === 'true');
+                setState(stateKey, storedValue === 'true');
             } else {
-                setState(stateKey, cookieValue || defaultValue);
+                setState(stateKey, storedValue || defaultValue);
             }
         } else {
             setState(stateKey, defaultValue);
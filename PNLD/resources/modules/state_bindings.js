@@ -0,0 +1,132 @@
+/**
+ * @module state_bindings
+ * @description
+ * Declarative reactions to state changes: persisting preferences, syncing the sidebar
+ * toggle switches and quick-toggle buttons, reporting toggles to analytics and recording
+ * visited pages and activity results. Toggle functions only call setState; everything
+ * listed here follows automatically.
+ */
+
+import { state, subscribe } from "./state.js";
+import { setPreference, storage } from "./storage.js";
+import { toggleButtonState, toggleButtonColor } from "./utils.js";
+import { trackToggleEvent } from "./analytics.js";
+import { recordPageVisit } from "./publication.js";
+
+/**
+ * State keys saved as preferences whenever they change.
+ * @type {string[]}
+ */
+const PERSISTED_KEYS = [
+  "readAloudMode",
+  "easyReadMode",
+  "eli5Mode",
+  "autoplayMode",
+  "readBookMode",
+  "describeImagesMode",
+  "syllablesMode",
+  "glossaryMode",
+  "signLanguageMode",
+  "stateMode",
+  "audioSpeed",
+];
+
+/**
+ * Sidebar toggle switch for each boolean state key.
+ * @type {Object<string, string>}
+ */
+const TOGGLE_SWITCHES = {
+  readAloudMode: "toggle-read-aloud",
+  easyReadMode: "toggle-easy-read",
+  eli5Mode: "toggle-eli5",
+  autoplayMode: "toggle-autoplay",
+  readBookMode: "toggle-read-book",
+  describeImagesMode: "toggle-describe-images",
+  syllablesMode: "toggle-syllables",
+  glossaryMode: "toggle-glossary",
+  signLanguageMode: "toggle-sign-language",
+  stateMode: "toggle-state",
+};
+
+/**
+ * Floating quick-toggle button for each boolean state key.
+ * @type {Object<string, string>}
+ */
+const QUICK_TOGGLE_BUTTONS = {
+  readAloudMode: "tts-quick-toggle-button",
+  signLanguageMode: "sl-quick-toggle-button",
+};
+
+/**
+ * Analytics event name for each tracked toggle.
+ * @type {Object<string, string>}
+ */
+const TRACKED_TOGGLES = {
+  readAloudMode: "ReadAloud",
+  easyReadMode: "EasyReadMode",
+  eli5Mode: "Eli5Mode",
+  signLanguageMode: "SignLanguageMode",
+};
+
+let bindingsInitialized = false;
+
+/**
+ * Whether a change was made by the learner (as opposed to restoring saved preferences).
+ * @private
+ * @param {Object} change - Change details passed to subscribers.
+ * @returns {boolean}
+ */
+const isUserChange = (change) => change.origin !== "restore";
+
+/**
+ * Applies the current state to every bound toggle switch and quick-toggle button.
+ * Used once the interface is injected, since subscribers only run on changes.
+ */
+export const syncBoundControls = () => {
+  Object.entries(TOGGLE_SWITCHES).forEach(([key, buttonId]) => {
+    if (document.getElementById(buttonId)) toggleButtonState(buttonId, Boolean(state[key]));
+  });
+  Object.entries(QUICK_TOGGLE_BUTTONS).forEach(([key, buttonId]) => {
+    toggleButtonColor(buttonId, Boolean(state[key]));
+  });
+};
+
+/**
+ * Subscribes the persistence, UI and analytics reactions. Safe to call more than once.
+ */
+export const initializeStateBindings = () => {
+  if (bindingsInitialized) return;
+  bindingsInitialized = true;
+
+  PERSISTED_KEYS.forEach((key) => {
+    subscribe(key, (value, previousValue, change) => {
+      if (isUserChange(change)) setPreference(key, value);
+    });
+  });
+
+  Object.entries(TOGGLE_SWITCHES).forEach(([key, buttonId]) => {
+    subscribe(key, (value) => {
+      if (document.getElementById(buttonId)) toggleButtonState(buttonId, Boolean(value));
+    });
+  });
+
+  Object.entries(QUICK_TOGGLE_BUTTONS).forEach(([key, buttonId]) => {
+    subscribe(key, (value) => toggleButtonColor(buttonId, Boolean(value)));
+  });
+
+  Object.entries(TRACKED_TOGGLES).forEach(([key, eventName]) => {
+    subscribe(key, (value, previousValue, change) => {
+      if (isUserChange(change)) trackToggleEvent(eventName, Boolean(value));
+    });
+  });
+
+  subscribe("currentPageUrl", (url) => recordPageVisit(url));
+
+  // Latest result of every activity, for answer submissions and progress reports
+  subscribe("lastActivityResult", (result) => {
+    if (!result?.activityId) return;
+    const results = storage.getJSON("activityResults", {});
+    results[result.activityId] = { ...result, submittedAt: new Date().toISOString() };
+    storage.setJSON("activityResults", results);
+  });
+};
@@ -0,0 +1,343 @@
+/**
+ * @module storage
+ * @description
+ * Single persistence layer for preferences and learner data. Keys are namespaced by the
+ * publication identifier from manifest.json, the layout carries a schema version with
+ * migrations, quota errors are handled, and everything falls back to memory when the
+ * browser blocks storage (private mode, sandboxed iframes, file://).
+ */
+
+import { showErrorToast } from "./error_utils.js";
+
+/**
+ * Current version of the stored data layout. Bump it and add a migration when the
+ * shape of stored data changes.
+ * @type {number}
+ */
+export const STORAGE_SCHEMA_VERSION = 1;
+
+const ROOT_PREFIX = "adt";
+const SCHEMA_KEY = "__schema";
+const PREFERENCE_PREFIX = "pref:";
+
+// Legacy keys that describe the device rather than the learner; they stay un-namespaced
+const DEVICE_KEYS = ["simpleZoomLevel", "pageZoomLevel", "hasSeenScalingNotice"];
+
+let namespace = `${ROOT_PREFIX}:default:`;
+let initialized = false;
+let quotaWarningShown = false;
+
+/**
+ * Returns a Web Storage area if the browser allows using it.
+ * @private
+ * @param {string} areaName - "localStorage" or "sessionStorage"
+ * @returns {Storage|null} The storage area, or null when blocked
+ */
+const getBackend = (areaName) => {
+    try {
+        const area = window[areaName];
+        const probeKey = `${ROOT_PREFIX}:probe`;
+        area.setItem(probeKey, "1");
+        area.removeItem(probeKey);
+        return area;
+    } catch (error) {
+        console.warn(`${areaName} is not available, keeping data in memory only:`, error);
+        return null;
+    }
+};
+
+/**
+ * Whether an error is a storage quota error (names differ between browsers).
+ * @private
+ * @param {Error} error - Error thrown by setItem
+ * @returns {boolean}
+ */
+const isQuotaError = (error) =>
+    error instanceof DOMException &&
+    (error.name === "QuotaExceededError" ||
+        error.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+        error.code === 22 ||
+        error.code === 1014);
+
+/**
+ * Tells the learner once per page that their progress can no longer be saved.
+ * @private
+ */
+const warnQuotaExceeded = () => {
+    if (quotaWarningShown) return;
+    quotaWarningShown = true;
+    // Loaded lazily: translations.js depends on state.js, which depends on this module
+    import("./translations.js")
+        .then(({ translateText }) => showErrorToast(translateText("storage-quota-exceeded")))
+        .catch(() => showErrorToast("Storage is full. Your progress will not be saved after you close this page."));
+};
+
+/**
+ * Creates a namespaced store over a Web Storage area. Values that cannot be written
+ * (blocked storage or full quota) are kept in memory for the rest of the page session.
+ * @private
+ * @param {string} areaName - "localStorage" or "sessionStorage"
+ * @returns {Object} Store with a localStorage-like API plus JSON helpers
+ */
+const createStore = (areaName) => {
+    const memory = new Map();
+    let backend;
+
+    const getArea = () => {
+        if (backend === undefined) backend = getBackend(areaName);
+        return backend;
+    };
+
+    const store = {
+        /**
+         * Reads a value.
+         * @param {string} key - Un-namespaced key
+         * @returns {string|null} The stored string, or null
+         */
+        getItem(key) {
+            const fullKey = namespace + key;
+            if (memory.has(fullKey)) return memory.get(fullKey);
+            return getArea()?.getItem(fullKey) ?? null;
+        },
+
+        /**
+         * Writes a value (stored as a string, like localStorage).
+         * @param {string} key - Un-namespaced key
+         * @param {*} value - Value to store
+         */
+        setItem(key, value) {
+            const fullKey = namespace + key;
+            const area = getArea();
+            const stringValue = String(value);
+
+            if (!area) {
+                memory.set(fullKey, stringValue);
+                return;
+            }
+
+            try {
+                area.setItem(fullKey, stringValue);
+                memory.delete(fullKey);
+            } catch (error) {
+                if (!isQuotaError(error)) throw error;
+                console.error(`Storage quota exceeded while saving "${key}":`, error);
+                memory.set(fullKey, stringValue);
+                warnQuotaExceeded();
+            }
+        },
+
+        /**
+         * Removes a value.
+         * @param {string} key - Un-namespaced key
+         */
+        removeItem(key) {
+            const fullKey = namespace + key;
+            memory.delete(fullKey);
+            getArea()?.removeItem(fullKey);
+        },
+
+        /**
+         * Lists the keys stored for this publication.
+         * @returns {string[]} Un-namespaced keys
+         */
+        keys() {
+            const area = getArea();
+            const fullKeys = new Set(memory.keys());
+            if (area) {
+                for (let i = 0; i < area.length; i++) {
+                    fullKeys.add(area.key(i));
+                }
+            }
+
+            return [...fullKeys]
+                .filter((fullKey) => fullKey?.startsWith(namespace))
+                .map((fullKey) => fullKey.substring(namespace.length))
+                .filter((key) => key !== SCHEMA_KEY);
+        },
+
+        /**
+         * Removes every key stored for this publication. The schema version is kept so
+         * legacy data is not imported again.
+         */
+        clear() {
+            store.keys().forEach((key) => store.removeItem(key));
+        },
+
+        /**
+         * Reads and parses a JSON value.
+         * @param {string} key - Un-namespaced key
+         * @param {*} [fallback=null] - Returned when the key is missing or invalid
+         * @returns {*} Parsed value or fallback
+         */
+        getJSON(key, fallback = null) {
+            const raw = store.getItem(key);
+            if (raw === null) return fallback;
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                console.warn(`Invalid JSON stored under "${key}"`, error);
+                return fallback;
+            }
+        },
+
+        /**
+         * Serializes and writes a JSON value.
+         * @param {string} key - Un-namespaced key
+         * @param {*} value - Serializable value
+         */
+        setJSON(key, value) {
+            store.setItem(key, JSON.stringify(value));
+        },
+
+        /**
+         * Whether values survive a reload (false when running on the memory fallback).
+         * @returns {boolean}
+         */
+        isPersistent() {
+            return getArea() !== null;
+        },
+
+        /**
+         * Access to the raw area for migrations.
+         * @private
+         * @returns {Storage|null}
+         */
+        _area: getArea,
+    };
+
+    return store;
+};
+
+/**
+ * Learner data and preferences that should survive the session.
+ * @type {Object}
+ */
+export const storage = createStore("localStorage");
+
+/**
+ * Per-tab data (e.g. scroll positions between pages).
+ * @type {Object}
+ */
+export const sessionStore = createStore("sessionStorage");
+
+/**
+ * Reads a preference (replaces the former cookies).
+ * @param {string} name - Preference name, e.g. "easyReadMode"
+ * @returns {string|null} Stored value or null
+ */
+export const getPreference = (name) => storage.getItem(PREFERENCE_PREFIX + name);
+
+/**
+ * Writes a preference.
+ * @param {string} name - Preference name
+ * @param {*} value - Value to store
+ */
+export const setPreference = (name, value) => storage.setItem(PREFERENCE_PREFIX + name, value ?? "");
+
+/**
+ * Removes a preference.
+ * @param {string} name - Preference name
+ */
+export const removePreference = (name) => storage.removeItem(PREFERENCE_PREFIX + name);
+
+/**
+ * Parses document.cookie into name/value pairs.
+ * @private
+ * @returns {Array<[string, string]>}
+ */
+const readLegacyCookies = () => {
+    try {
+        return document.cookie
+            .split(";")
+            .map((cookie) => cookie.trim())
+            .filter(Boolean)
+            .map((cookie) => {
+                const separator = cookie.indexOf("=");
+                return [cookie.substring(0, separator), cookie.substring(separator + 1)];
+            });
+    } catch (error) {
+        return [];
+    }
+};
+
+/**
+ * Ordered migrations. Each one upgrades the stored data to its `version`.
+ * @private
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+const migrations = [
+    {
+        version: 1,
+        description: "Import un-namespaced localStorage keys and preference cookies",
+        migrate: () => {
+            const area = storage._area();
+            if (!area) return;
+
+            const legacyKeys = [];
+            for (let i = 0; i < area.length; i++) {
+                legacyKeys.push(area.key(i));
+            }
+
+            // Copy rather than move: other books on the same origin may share these keys
+            legacyKeys
+                .filter((key) => key && !key.startsWith(`${ROOT_PREFIX}:`))
+                .filter((key) => !DEVICE_KEYS.includes(key) && !key.startsWith("MathJax"))
+                .forEach((key) => {
+                    if (storage.getItem(key) === null) {
+                        storage.setItem(key, area.getItem(key));
+                    }
+                });
+
+            readLegacyCookies().forEach(([name, value]) => {
+                if (getPreference(name) === null) {
+                    setPreference(name, decodeURIComponent(value));
+                }
+            });
+        },
+    },
+];
+
+/**
+ * Runs the migrations needed to bring the stored data up to STORAGE_SCHEMA_VERSION.
+ * @private
+ */
+const runMigrations = () => {
+    const storedVersion = parseInt(storage.getItem(SCHEMA_KEY), 10) || 0;
+    if (storedVersion >= STORAGE_SCHEMA_VERSION) return;
+
+    migrations
+        .filter(({ version }) => version > storedVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(({ version, description, migrate }) => {
+            try {
+                migrate();
+                storage.setItem(SCHEMA_KEY, version);
+                console.log(`Storage migrated to v${version}: ${description}`);
+            } catch (error) {
+                console.error(`Storage migration to v${version} failed:`, error);
+            }
+        });
+};
+
+/**
+ * Selects the namespace for a publication and migrates its data. Must run before any
+ * other module reads storage (base.js calls it first during core initialization).
+ * @param {string} [identifier] - Publication identifier from manifest.json metadata
+ */
+export const initializeStorage = (identifier) => {
+    namespace = `${ROOT_PREFIX}:${identifier || "default"}:`;
+    initialized = true;
+    runMigrations();
+};
+
+/**
+ * Whether initializeStorage has been called.
+ * @returns {boolean}
+ */
+export const isStorageInitialized = () => initialized;
+
+/**
+ * Returns the schema version of the stored data.
+ * @returns {number}
+ */
+export const getStorageSchemaVersion = () => parseInt(storage.getItem(SCHEMA_KEY), 10) || 0;
@@ -0,0 +1,568 @@
+/**
+ * @module submission
+ * @description
+ * Sends the learner's answers to their teacher when an activity is completed. The
+ * destination is configured under `submission` in config.json: an HTTP endpoint (queued
+ * and retried while offline), an email draft (mailto) or a file download. Every method
+ * uses the same JSON payload and a report rendered in the current interface language.
+ */
+
+import { state } from "./state.js";
+import { storage } from "./storage.js";
+import { getPublication, getPages } from "./publication.js";
+import { translateText } from "./translations.js";
+import { showErrorToast } from "./error_utils.js";
+import { announceToScreenReader } from "./ui_utils.js";
+
+const PAYLOAD_SCHEMA = "adt-submission/1";
+const QUEUE_KEY = "submission:queue";
+const RESULTS_KEY = "activityResults";
+const MAX_QUEUE_LENGTH = 200;
+// Most mail clients truncate or reject longer mailto URLs
+const MAX_MAILTO_BODY_LENGTH = 1800;
+
+const SUBMISSION_METHODS = ["http", "mailto", "download"];
+
+let flushPromise = null;
+let listenersAttached = false;
+
+/**
+ * Returns the submission section of config.json.
+ * @private
+ * @returns {Object} Submission settings (empty when not configured)
+ */
+const getSubmissionConfig = () => window.appConfig?.submission || {};
+
+/**
+ * Whether answers should be submitted, i.e. submission is enabled and the chosen
+ * method has the settings it needs.
+ * @returns {boolean}
+ */
+export const isSubmissionEnabled = () => {
+  const { enabled, method, endpoint, email } = getSubmissionConfig();
+  if (enabled !== true || !SUBMISSION_METHODS.includes(method)) return false;
+  if (method === "http") return Boolean(endpoint);
+  if (method === "mailto") return Boolean(email);
+  return true;
+};
+
+/**
+ * Escapes text for use in the HTML report.
+ * @private
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Returns the id of the current activity page (its file name without extension).
+ * @private
+ * @returns {string} Activity id
+ */
+const getCurrentActivityId = () => location.pathname.substring(location.pathname.lastIndexOf("/") + 1).split(".")[0];
+
+/**
+ * Returns the reading order page of an activity.
+ * @private
+ * @param {string} activityId - Activity id
+ * @returns {Object|undefined} Page from the publication model
+ */
+const findActivityPage = (activityId) =>
+  getPages().find((page) => page.href.split("/").pop().split(".")[0] === activityId);
+
+/**
+ * Reads the completion entries written by the activities
+ * ("<activityId>-<page title>-<attempts>-<time>").
+ * @private
+ * @returns {Map<string, {title: string, completedAt: string}>} Entries by activity id
+ */
+const getCompletionEntries = () => {
+  const entries = new Map();
+  storage.getJSON("completedActivities", []).forEach((entry) => {
+    const match = String(entry).match(/^([^-]+)-(.*)-(\d+)-(.+)$/);
+    if (match) entries.set(match[1], { title: match[2], completedAt: match[4] });
+  });
+  return entries;
+};
+
+/**
+ * Collects the saved answers of one activity: every storage key of the activity
+ * other than its attempt counter and success flag.
+ * @private
+ * @param {string} activityId - Activity id
+ * @returns {Object<string, string>} Answers by storage key
+ */
+const getSavedAnswers = (activityId) => {
+  const answers = {};
+  storage.keys().forEach((key) => {
+    const suffix = key.substring(activityId.length);
+    if (!key.startsWith(activityId) || !/^[^A-Za-z0-9]/.test(suffix)) return;
+    if (suffix === "-intentos" || suffix === "_success") return;
+    answers[key] = storage.getItem(key);
+  });
+  return answers;
+};
+
+/**
+ * Builds one record per activity the learner has attempted, in reading order.
+ * @private
+ * @returns {Array<Object>} Activity records
+ */
+const buildActivityRecords = () => {
+  const results = storage.getJSON(RESULTS_KEY, {});
+  const completions = getCompletionEntries();
+  const ids = new Set([...Object.keys(results), ...completions.keys()]);
+
+  storage.keys().forEach((key) => {
+    const match = key.match(/^(.+?)(?:-intentos|_success)$/);
+    if (match) ids.add(match[1]);
+  });
+
+  return [...ids]
+    .map((id) => {
+      const page = findActivityPage(id);
+      const result = results[id] || {};
+      return {
+        id,
+        page: page?.href || null,
+        pageIndex: page ? page.index : null,
+        title: completions.get(id)?.title || page?.title || id,
+        type: result.activityType || null,
+        attempts: parseInt(storage.getItem(`${id}-intentos`), 10) || 0,
+        completed: storage.getItem(`${id}_success`) === "true" || result.success === true,
+        completedAt: completions.get(id)?.completedAt || null,
+        score: result.score || null,
+        response: result.response ?? null,
+        answers: getSavedAnswers(id),
+      };
+    })
+    .sort((a, b) => (a.pageIndex ?? Infinity) - (b.pageIndex ?? Infinity));
+};
+
+/**
+ * Returns the learner as shown in the settings panel.
+ * @private
+ * @returns {{studentId: string|null, name: string|null, character: string|null}}
+ */
+const buildLearner = () => {
+  let character = null;
+  try {
+    character = JSON.parse(storage.getItem("characterInfo"))?.emoji || null;
+  } catch (error) {
+    console.warn("Invalid character information in storage:", error);
+  }
+
+  return {
+    studentId: storage.getItem("studentID"),
+    name: storage.getItem("nameUser"),
+    character,
+  };
+};
+
+/**
+ * Reads the instructions shown on the current activity page.
+ * @private
+ * @returns {string[]} Instruction texts
+ */
+const getPageInstructions = () =>
+  [...document.querySelectorAll(".fa-pen-to-square.text-blue-700.mr-2")]
+    .map((icon) => icon.parentElement?.querySelector("span")?.innerText?.trim())
+    .filter(Boolean);
+
+/**
+ * Builds the structured payload sent by every submission method.
+ * @param {string} activityType - Type of the activity that triggered the submission
+ * @returns {Object} Submission payload
+ */
+export const buildSubmissionPayload = (activityType) => {
+  const metadata = getPublication()?.metadata || {};
+  const activityId = getCurrentActivityId();
+
+  return {
+    schema: PAYLOAD_SCHEMA,
+    id: window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`,
+    createdAt: new Date().toISOString(),
+    language: state.currentLanguage,
+    publication: {
+      identifier: metadata.identifier || null,
+      title: metadata.title || document.title,
+      modified: metadata.modified || null,
+    },
+    learner: buildLearner(),
+    trigger: {
+      activityId,
+      activityType,
+      page: findActivityPage(activityId)?.href || null,
+      url: window.location.href,
+      title: document.querySelector("h1")?.innerText?.trim() || document.title,
+      instructions: getPageInstructions(),
+    },
+    activities: buildActivityRecords(),
+  };
+};
+
+/**
+ * Formats a stored answer for the report.
+ * @private
+ * @param {*} value - Answer value
+ * @returns {string} Readable text
+ */
+const formatAnswer = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map((item) => (Array.isArray(item) ? item.join(" → ") : item)).join(", ");
+  return String(value);
+};
+
+/**
+ * Whether a stored answer is a drawing (a PNG data URL, see activities/drawing.js).
+ * @private
+ * @param {*} value - Answer value
+ * @returns {boolean}
+ */
+const isDrawing = (value) => typeof value === "string" && value.startsWith("data:image/png;base64,");
+
+/**
+ * Formats the saved answers of an activity for the report. Drawings are shown as images in
+ * the HTML report and named in the text one, where they would not fit.
+ * @private
+ * @param {Object} activity - Activity record
+ * @param {boolean} asHtml - Whether the result goes in the HTML report
+ * @returns {string} Escaped HTML or plain text
+ */
+const formatActivityAnswers = (activity, asHtml) => {
+  if (activity.response !== null) {
+    return asHtml ? escapeHtml(formatAnswer(activity.response)) : formatAnswer(activity.response);
+  }
+  return Object.values(activity.answers)
+    .map((value) => {
+      if (isDrawing(value)) {
+        const label = translateText("submission-report-drawing");
+        return asHtml
+          ? `<img src="${escapeHtml(value)}" alt="${escapeHtml(label)}" style="max-width: 320px; border: 1px solid #ddd;">`
+          : `[${label}]`;
+      }
+      return asHtml ? escapeHtml(value) : value;
+    })
+    .join(", ");
+};
+
+/**
+ * Renders the payload as a report in the current interface language.
+ * @param {Object} payload - Payload from buildSubmissionPayload
+ * @returns {{subject: string, html: string, text: string}} Localized report
+ */
+export const renderSubmissionReport = (payload) => {
+  const learnerName = [payload.learner.character, payload.learner.name].filter(Boolean).join(" ");
+  const variables = {
+    student: learnerName || payload.learner.studentId || "",
+    studentId: payload.learner.studentId || "",
+    activity: payload.trigger.title,
+    book: payload.publication.title,
+  };
+
+  const subject = translateText("submission-report-subject", variables);
+  const heading = translateText("submission-report-heading", variables);
+  const statusText = (activity) =>
+    translateText(activity.completed ? "submission-report-completed" : "submission-report-not-completed");
+
+  const htmlActivities = payload.activities
+    .map((activity) => {
+      return `<tr>
+  <td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(activity.title)}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(statusText(activity))}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${activity.attempts}</td>
+  <td style="padding: 8px; border: 1px solid #ddd;">${formatActivityAnswers(activity, true)}</td>
+</tr>`;
+    })
+    .join("\n");
+
+  const html = `<h2 style="color: #4CAF50;">${escapeHtml(heading)}</h2>
+<p>${escapeHtml(translateText("submission-report-book", variables))}</p>
+<p>${escapeHtml(translateText("submission-report-activity", variables))}</p>
+${payload.trigger.instructions.map((text) => `<p><strong>${escapeHtml(text)}</strong></p>`).join("\n")}
+<table style="width: 100%; border-collapse: collapse; border: 1px solid #ddd;">
+  <tr style="background-color: #4CAF50; color: white;">
+    <th style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(translateText("submission-report-column-activity"))}</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(translateText("submission-report-column-status"))}</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(translateText("submission-report-column-attempts"))}</th>
+    <th style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(translateText("submission-report-column-answers"))}</th>
+  </tr>
+${htmlActivities || `<tr><td colspan="4">${escapeHtml(translateText("submission-report-no-activities"))}</td></tr>`}
+</table>`;
+
+  const textActivities = payload.activities.map((activity) => {
+    const answers = formatActivityAnswers(activity, false);
+    const attempts = translateText("submission-report-column-attempts");
+    return `- ${activity.title}: ${statusText(activity)} (${attempts}: ${activity.attempts})${answers ? `\n  ${answers}` : ""}`;
+  });
+
+  const text = [
+    heading,
+    translateText("submission-report-book", variables),
+    translateText("submission-report-activity", variables),
+    ...payload.trigger.instructions,
+    "",
+    ...(textActivities.length > 0 ? textActivities : [translateText("submission-report-no-activities")]),
+  ].join("\n");
+
+  return { subject, html, text };
+};
+
+/**
+ * Adds a submission to the offline queue.
+ * @private
+ * @param {Object} submission - Payload and report
+ */
+const enqueueSubmission = (submission) => {
+  const queue = storage.getJSON(QUEUE_KEY, []);
+  queue.push(submission);
+  storage.setJSON(QUEUE_KEY, queue.slice(-MAX_QUEUE_LENGTH));
+};
+
+/**
+ * Removes a sent submission from the queue.
+ * @private
+ * @param {string} id - Payload id
+ */
+const removeFromQueue = (id) => {
+  const queue = storage.getJSON(QUEUE_KEY, []);
+  storage.setJSON(QUEUE_KEY, queue.filter((submission) => submission.payload.id !== id));
+};
+
+/**
+ * Posts one submission to the configured endpoint.
+ * @private
+ * @param {Object} submission - Payload and report
+ * @returns {Promise<void>}
+ */
+const postSubmission = async ({ payload, report }) => {
+  const config = getSubmissionConfig();
+  const response = await fetch(config.endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(config.headers || {}) },
+    body: JSON.stringify({ ...payload, report }),
+  });
+
+  // A submission the server cannot accept would block the queue forever
+  if (response.status === 400 || response.status === 422) {
+    console.error("Submission endpoint rejected the answers, dropping them:", await response.text());
+    return;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+};
+
+/**
+ * Sends queued submissions. Does nothing while offline; failures keep the remaining
+ * submissions queued.
+ * @returns {Promise<number>} Number of submissions still queued
+ */
+export const flushSubmissions = () => {
+  if (!isSubmissionEnabled() || getSubmissionConfig().method !== "http" || navigator.onLine === false) {
+    return Promise.resolve(getPendingSubmissionCount());
+  }
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    try {
+      for (const submission of storage.getJSON(QUEUE_KEY, [])) {
+        await postSubmission(submission);
+        removeFromQueue(submission.payload.id);
+      }
+    } catch (error) {
+      console.warn("Could not send answers, keeping them queued:", error);
+    } finally {
+      flushPromise = null;
+    }
+    return getPendingSubmissionCount();
+  })();
+
+  return flushPromise;
+};
+
+/**
+ * Returns the number of submissions waiting to be sent.
+ * @returns {number}
+ */
+export const getPendingSubmissionCount = () => storage.getJSON(QUEUE_KEY, []).length;
+
+/**
+ * Opens an email draft to the teacher. Long reports are shortened to fit in a mailto link.
+ * @private
+ * @param {Object} report - Localized report
+ */
+const openMailDraft = (report) => {
+  const body =
+    report.text.length > MAX_MAILTO_BODY_LENGTH ? `${report.text.substring(0, MAX_MAILTO_BODY_LENGTH)}…` : report.text;
+  const link = document.createElement("a");
+  link.href = `mailto:${encodeURIComponent(getSubmissionConfig().email)}?subject=${encodeURIComponent(
+    report.subject
+  )}&body=${encodeURIComponent(body)}`;
+  link.click();
+};
+
+/**
+ * Downloads the submission as a JSON file, or as the HTML report when
+ * `downloadFormat` is "html".
+ * @private
+ * @param {Object} payload - Submission payload
+ * @param {Object} report - Localized report
+ */
+const downloadSubmission = (payload, report) => {
+  const asHtml = getSubmissionConfig().downloadFormat === "html";
+  const content = asHtml
+    ? `<!DOCTYPE html><html lang="${escapeHtml(payload.language)}"><head><meta charset="utf-8"><title>${escapeHtml(
+        report.subject
+      )}</title></head><body>${report.html}</body></html>`
+    : JSON.stringify(payload, null, 2);
+  const blob = new Blob([content], { type: asHtml ? "text/html" : "application/json" });
+  const learner = (payload.learner.studentId || "learner").replace(/[^\w-]+/g, "_");
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `answers-${learner}-${payload.trigger.activityId}.${asHtml ? "html" : "json"}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+/**
+ * Sends a submission with the configured method.
+ * @private
+ * @param {Object} payload - Submission payload
+ * @returns {Promise<string>} Translation key of the outcome message
+ */
+const deliverSubmission = async (payload) => {
+  const report = renderSubmissionReport(payload);
+  const { method } = getSubmissionConfig();
+
+  if (method === "mailto") {
+    openMailDraft(report);
+    return "submission-mail-opened";
+  }
+
+  if (method === "download") {
+    downloadSubmission(payload, report);
+    return "submission-downloaded";
+  }
+
+  enqueueSubmission({ payload, report });
+  const pending = await flushSubmissions();
+  return pending > 0 ? "submission-queued" : "submission-sent";
+};
+
+/**
+ * Asks the learner to confirm the submission and shows the outcome in the same dialog.
+ * @private
+ * @param {Object} payload - Submission payload
+ * @returns {Promise<void>}
+ */
+const confirmAndDeliver = (payload) =>
+  new Promise((resolve) => {
+    const previousFocus = document.activeElement;
+    const dialog = document.createElement("dialog");
+    dialog.id = "submission-dialog";
+    dialog.className = "rounded-lg shadow-xl p-6 max-w-md w-full";
+    dialog.setAttribute("aria-labelledby", "submission-dialog-title");
+    dialog.setAttribute("aria-describedby", "submission-dialog-message");
+
+    const title = document.createElement("h2");
+    title.id = "submission-dialog-title";
+    title.className = "text-xl font-bold mb-2";
+    title.textContent = translateText("submission-confirm-title");
+
+    const message = document.createElement("p");
+    message.id = "submission-dialog-message";
+    message.className = "mb-4 text-gray-700";
+    message.setAttribute("aria-live", "polite");
+    message.textContent = translateText(`submission-confirm-${getSubmissionConfig().method}`, {
+      activity: payload.trigger.title,
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "flex justify-end gap-2";
+
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.className = "px-4 py-2 rounded-md bg-gray-200 text-gray-800 hover:bg-gray-300";
+    cancelButton.textContent = translateText("submission-confirm-cancel");
+
+    const sendButton = document.createElement("button");
+    sendButton.type = "button";
+    sendButton.className = "px-4 py-2 rounded-md bg-blue-700 text-white hover:bg-blue-800";
+    sendButton.textContent = translateText("submission-confirm-send");
+
+    actions.append(cancelButton, sendButton);
+    dialog.append(title, message, actions);
+    document.body.appendChild(dialog);
+
+    dialog.addEventListener("close", () => {
+      dialog.remove();
+      previousFocus?.focus?.();
+      resolve();
+    });
+    cancelButton.addEventListener("click", () => dialog.close());
+    sendButton.addEventListener("click", async () => {
+      sendButton.disabled = true;
+      cancelButton.disabled = true;
+      message.textContent = translateText("submission-sending");
+      try {
+        message.textContent = translateText(await deliverSubmission(payload));
+      } catch (error) {
+        console.error("Error submitting answers:", error);
+        message.textContent = translateText("submission-failed");
+      }
+      sendButton.remove();
+      cancelButton.disabled = false;
+      cancelButton.textContent = translateText("submission-close");
+      cancelButton.focus();
+    });
+
+    dialog.showModal();
+    sendButton.focus();
+  });
+
+/**
+ * Submits the learner's answers after an activity is completed. Asks for confirmation
+ * first unless `confirm` is false in config.json. Does nothing when submission is off.
+ * @param {string} activityType - Type of the completed activity (see ActivityTypes)
+ * @returns {Promise<void>}
+ */
+export const submitAnswers = async (activityType) => {
+  if (!isSubmissionEnabled()) return;
+
+  try {
+    const payload = buildSubmissionPayload(activityType);
+
+    if (getSubmissionConfig().confirm !== false) {
+      await confirmAndDeliver(payload);
+      return;
+    }
+
+    announceToScreenReader(translateText(await deliverSubmission(payload)));
+  } catch (error) {
+    console.error("Error submitting answers:", error);
+    showErrorToast(translateText("submission-failed"));
+  }
+};
+
+/**
+ * Sends answers queued on a previous visit and retries when the connection comes back.
+ */
+export const initializeSubmission = () => {
+  if (!isSubmissionEnabled()) return;
+
+  if (!listenersAttached) {
+    listenersAttached = true;
+    window.addEventListener("online", () => flushSubmissions());
+  }
+
+  flushSubmissions();
+};
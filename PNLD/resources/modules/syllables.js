@@ -0,0 +1,258 @@
+/**
+ * @module syllables
+ * @description
+ * Syllables mode: colors the syllables of every word on the page in two alternating colors.
+ * Words are split with Liang's algorithm and the hyphenation patterns of the current language
+ * (`resources/hyphenation/<lang>.json`, TeX pattern syntax). The colors are drawn with the CSS
+ * Custom Highlight API, so the text, glossary terms, annotations and TTS word spans are left
+ * untouched; browsers without it get `<span class="syllable">` wrappers instead. The syllables
+ * are drawn again whenever the text of the page changes (see scheduleSyllables).
+ */
+
+import { state, subscribe } from "./state.js";
+import { translateText } from "./translations.js";
+import { showErrorToast } from "./error_utils.js";
+
+const HIGHLIGHT_NAMES = ["syllable-a", "syllable-b"];
+const WORD_PATTERN = /\p{L}+/gu;
+
+// Text that is not read as words of the page
+const SKIPPED_SELECTOR = "script, style, textarea, .glossary-popup, #annotation-toolbar, .sr-only";
+
+const patternSets = new Map(); // language -> Promise<pattern set|null>
+let pendingFrame = null;
+
+/**
+ * Compiles hyphenation data into a lookup table.
+ * @param {{patterns: string, exceptions?: string, leftmin?: number, rightmin?: number}} data -
+ *   Patterns and exceptions as space-separated TeX strings ("1b2l", "ta-ble")
+ * @returns {{patterns: Map<string, number[]>, exceptions: Map<string, string[]>, maxLength: number, leftmin: number, rightmin: number}}
+ */
+export const compilePatterns = (data) => {
+  const patterns = new Map();
+  let maxLength = 0;
+
+  (data.patterns || "").split(/\s+/).filter(Boolean).forEach((pattern) => {
+    const letters = pattern.replace(/\d/g, "");
+    const values = new Array(letters.length + 1).fill(0);
+    let position = 0;
+    for (const char of pattern) {
+      if (char >= "0" && char <= "9") {
+        values[position] = Number(char);
+      } else {
+        position++;
+      }
+    }
+    patterns.set(letters, values);
+    maxLength = Math.max(maxLength, letters.length);
+  });
+
+  const exceptions = new Map(
+    (data.exceptions || "").split(/\s+/).filter(Boolean).map((word) => [word.replace(/-/g, ""), word.split("-")])
+  );
+
+  return { patterns, exceptions, maxLength, leftmin: data.leftmin ?? 1, rightmin: data.rightmin ?? 1 };
+};
+
+/**
+ * Splits a word into syllables (Liang's algorithm: odd values between letters are breaks).
+ * @param {string} word - A word (letters only)
+ * @param {Object} patternSet - Result of compilePatterns
+ * @returns {string[]} Syllables, keeping the word's case
+ */
+export const syllabify = (word, patternSet) => {
+  const lower = word.toLowerCase();
+  const exception = patternSet.exceptions.get(lower);
+  if (exception && lower.length === word.length) {
+    let start = 0;
+    return exception.map((part) => word.slice(start, (start += part.length)));
+  }
+
+  const text = `.${lower}.`;
+  const points = new Array(text.length + 1).fill(0);
+  for (let i = 0; i < text.length; i++) {
+    for (let j = i + 1; j <= Math.min(text.length, i + patternSet.maxLength); j++) {
+      const values = patternSet.patterns.get(text.slice(i, j));
+      if (values) {
+        values.forEach((value, k) => {
+          points[i + k] = Math.max(points[i + k], value);
+        });
+      }
+    }
+  }
+
+  // points[k + 1] is the value between word[k - 1] and word[k]
+  const syllables = [];
+  let start = 0;
+  for (let k = Math.max(1, patternSet.leftmin); k <= word.length - patternSet.rightmin; k++) {
+    if (points[k + 1] % 2 === 1) {
+      syllables.push(word.slice(start, k));
+      start = k;
+    }
+  }
+  syllables.push(word.slice(start));
+  return syllables;
+};
+
+/**
+ * Loads the patterns of a language (regional variants use the base language).
+ * @private
+ * @param {string} language - Language code (e.g. "es_uy")
+ * @returns {Promise<Object|null>} Pattern set, or null when the language has none
+ */
+const loadPatterns = (language) => {
+  const baseLanguage = String(language || "").split(/[-_]/)[0].toLowerCase();
+  if (!patternSets.has(baseLanguage)) {
+    const resourcePath = window.location.pathname.includes("/content/") ? "../resources/" : "./PNLD/resources/";
+    patternSets.set(
+      baseLanguage,
+      fetch(`${resourcePath}hyphenation/${baseLanguage}.json`)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((data) => (data ? compilePatterns(data) : null))
+        .catch((error) => {
+          console.warn(`No hyphenation patterns for ${baseLanguage}:`, error);
+          return null;
+        })
+    );
+  }
+  return patternSets.get(baseLanguage);
+};
+
+/**
+ * Whether syllables are drawn with the CSS Custom Highlight API.
+ * @private
+ * @returns {boolean}
+ */
+const supportsHighlights = () => typeof CSS !== "undefined" && "highlights" in CSS && typeof Highlight === "function";
+
+/**
+ * Adds the syllable colors to the page once.
+ * @private
+ */
+const injectStyles = () => {
+  if (document.getElementById("syllable-styles")) return;
+  const style = document.createElement("style");
+  style.id = "syllable-styles";
+  style.textContent = `
+    ::highlight(syllable-a), .syllable-a { color: #1d4ed8; }
+    ::highlight(syllable-b), .syllable-b { color: #b91c1c; }
+  `;
+  document.head.appendChild(style);
+};
+
+/**
+ * Collects the text nodes of the page content that hold words.
+ * @private
+ * @param {HTMLElement} root
+ * @returns {Text[]}
+ */
+const getTextNodes = (root) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (!node.textContent.trim() || node.parentElement?.closest(SKIPPED_SELECTOR)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    },
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+};
+
+/**
+ * Removes the syllable colors from the page.
+ */
+export const removeSyllables = () => {
+  if (supportsHighlights()) {
+    HIGHLIGHT_NAMES.forEach((name) => CSS.highlights.delete(name));
+  }
+
+  const parents = new Set();
+  document.querySelectorAll("span.syllable").forEach((span) => {
+    parents.add(span.parentNode);
+    span.replaceWith(document.createTextNode(span.textContent));
+  });
+  parents.forEach((parent) => parent?.normalize());
+};
+
+/**
+ * Colors the syllables of the words on the page, or removes them when syllables mode is off.
+ * @returns {Promise<boolean>} False when the current language has no patterns
+ */
+export const applySyllables = async () => {
+  const language = state.currentLanguage;
+  const patternSet = state.syllablesMode ? await loadPatterns(language) : null;
+  removeSyllables();
+
+  // The mode or the language changed while the patterns were loading
+  if (!patternSet || !state.syllablesMode || state.currentLanguage !== language) {
+    return patternSet !== null || !state.syllablesMode;
+  }
+
+  const content = document.getElementById("content");
+  if (!content) return true;
+
+  const useHighlights = supportsHighlights();
+  const ranges = [[], []];
+  getTextNodes(content).forEach((node) => {
+    const nodeRanges = [];
+    for (const match of node.textContent.matchAll(WORD_PATTERN)) {
+      let offset = match.index;
+      syllabify(match[0], patternSet).forEach((syllable, index) => {
+        const range = document.createRange();
+        range.setStart(node, offset);
+        range.setEnd(node, offset + syllable.length);
+        nodeRanges.push({ range, color: index % 2 });
+        offset += syllable.length;
+      });
+    }
+
+    if (useHighlights) {
+      nodeRanges.forEach(({ range, color }) => ranges[color].push(range));
+    } else {
+      // Wrap from the end so the offsets of the earlier syllables stay valid
+      nodeRanges.reverse().forEach(({ range, color }) => {
+        const span = document.createElement("span");
+        span.className = `syllable ${HIGHLIGHT_NAMES[color]}`;
+        range.surroundContents(span);
+      });
+    }
+  });
+
+  if (useHighlights) {
+    HIGHLIGHT_NAMES.forEach((name, color) => CSS.highlights.set(name, new Highlight(...ranges[color])));
+  }
+  return true;
+};
+
+/**
+ * Draws the syllables again on the next frame, after the text of the page has changed
+ * (translations, glossary highlights, TTS word spans). Several calls in a row draw once.
+ */
+export const scheduleSyllables = () => {
+  if (!state.syllablesMode && pendingFrame === null) return;
+  cancelAnimationFrame(pendingFrame);
+  pendingFrame = requestAnimationFrame(() => {
+    pendingFrame = null;
+    applySyllables();
+  });
+};
+
+/**
+ * Shows the syllables switch and follows syllables mode and the language.
+ */
+export const initializeSyllables = () => {
+  injectStyles();
+  document.getElementById("syllables-container")?.classList.remove("hidden");
+
+  subscribe("syllablesMode", async (enabled, previous, { origin }) => {
+    const available = await applySyllables();
+    if (enabled && !available && origin !== "restore") {
+      showErrorToast(translateText("syllables-unavailable"));
+    }
+  });
+  subscribe("currentLanguage", scheduleSyllables);
+
+  if (state.syllablesMode) scheduleSyllables();
+};
@@ -0,0 +1,143 @@
+/**
+ * @module timeline
+ * @description
+ * Word timelines for read-aloud highlighting: parsing of timecode entries and WebVTT files, and
+ * lookup of the word to highlight at a playback time or speech boundary. Pure functions of plain
+ * data without browser dependencies, so they also run in node (see tools/timeline.test.mjs).
+ */
+
+const TOLERANCE = 0.2; // 200ms tolerance
+
+/**
+ * Normalizes word timestamps to `{text, start, end}` objects in seconds, dropping invalid ones.
+ * @private
+ * @param {Array<Object>} words - Word timestamps ({text|word, start, end})
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function normalizeWords(words) {
+  return words
+    .map(word => ({
+      text: String(word.text ?? word.word ?? "").trim(),
+      start: Number(word.start),
+      end: Number(word.end)
+    }))
+    .filter(word => word.text && Number.isFinite(word.start) && Number.isFinite(word.end))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Reads the word timeline of a timecode entry. Entries of timecode_output.json keep the words
+ * in `timecodes[1].word_timestamps`; per-element files may also give `word_timestamps` or the
+ * word array directly.
+ * @param {Object|Array} entry - Timecode entry
+ * @returns {Array<{text: string, start: number, end: number}>} Words (empty when there are none)
+ */
+export function parseTimecodeEntry(entry) {
+  if (!entry) return [];
+  if (Array.isArray(entry)) return normalizeWords(entry);
+  if (Array.isArray(entry.word_timestamps)) return normalizeWords(entry.word_timestamps);
+
+  const timecodes = Array.isArray(entry.timecodes) ? entry.timecodes : [];
+  const withWords = timecodes[1]?.word_timestamps ? timecodes[1] : timecodes.find(timecode => timecode?.word_timestamps);
+  return withWords ? normalizeWords(withWords.word_timestamps) : [];
+}
+
+/**
+ * Converts a WebVTT timestamp ("00:01.500" or "00:00:01.500") to seconds.
+ * @private
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseVttTime(timestamp) {
+  return timestamp.trim().split(":").reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Reads word timings from a WebVTT file. Each cue is a word, or a group of words with karaoke
+ * timestamps (`<00:00:01.200>`) before the words that start later. Words of a cue without such
+ * timestamps share its duration in proportion to their length.
+ * @param {string} text - WebVTT file content
+ * @returns {Array<{text: string, start: number, end: number}>} Words (empty when there are none)
+ */
+export function parseWebVTT(text) {
+  if (!/^\uFEFF?WEBVTT/.test(text || "")) return [];
+
+  const words = [];
+  String(text).replace(/\r\n?/g, "\n").split(/\n{2,}/).forEach(block => {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex(line => line.includes("-->"));
+    if (timingIndex < 0) return;
+
+    const [startText, endText] = lines[timingIndex].split("-->");
+    const cueStart = parseVttTime(startText);
+    const cueEnd = parseVttTime(endText.trim().split(/\s+/)[0]);
+    const payload = lines.slice(timingIndex + 1).join(" ");
+
+    // Split the payload at karaoke timestamps, then into words, dropping other tags
+    const segments = [];
+    let segmentStart = cueStart;
+    payload.split(/<(\d{2}:[\d:.]+)>/).forEach((part, index) => {
+      if (index % 2 === 1) {
+        segmentStart = parseVttTime(part);
+      } else {
+        const segmentWords = part.replace(/<[^>]*>/g, "").split(/\s+/).filter(Boolean);
+        if (segmentWords.length > 0) segments.push({ start: segmentStart, words: segmentWords });
+      }
+    });
+
+    segments.forEach((segment, index) => {
+      const segmentEnd = index < segments.length - 1 ? segments[index + 1].start : cueEnd;
+      const totalLength = segment.words.reduce((sum, word) => sum + word.length, 0);
+      let wordStart = segment.start;
+      segment.words.forEach(word => {
+        const wordEnd = wordStart + (segmentEnd - segment.start) * (word.length / totalLength);
+        words.push({ text: word, start: wordStart, end: wordEnd });
+        wordStart = wordEnd;
+      });
+    });
+  });
+
+  return normalizeWords(words);
+}
+
+/**
+ * Finds the word to highlight at a playback time.
+ * @param {Array<{start: number, end: number}>} words - Word timeline in seconds
+ * @param {number} time - Playback time in seconds
+ * @param {number} [tolerance=TOLERANCE] - Seconds a word stays highlighted after its end
+ *   and is highlighted before its start
+ * @returns {number} Index of the word, or -1 between words and after the last one
+ */
+export function findActiveWordIndex(words, time, tolerance = TOLERANCE) {
+  if (!words || words.length === 0) return -1;
+
+  const lastIndex = words.length - 1;
+  if (time > words[lastIndex].end + tolerance) return -1;
+  if (time < words[0].start) return 0;
+
+  let index = 0;
+  while (index < lastIndex && words[index + 1].start <= time) {
+    index++;
+  }
+
+  // Catch up with a word that is about to start, so short words are not skipped
+  if (index < lastIndex && time > words[index + 1].start - tolerance) return index + 1;
+  // Silence between two words
+  if (index < lastIndex && time > words[index].end + tolerance) return -1;
+  return index;
+}
+
+/**
+ * Finds the word containing a character offset of the spoken text (speech synthesis boundaries).
+ * @param {Array<{start: number}>} words - Words with their character offsets
+ * @param {number} charIndex - Character offset reported by the boundary event
+ * @returns {number} Index of the word, or -1 when there are no words
+ */
+export function findSpokenWordIndex(words, charIndex) {
+  if (!words || words.length === 0) return -1;
+  let index = 0;
+  while (index < words.length - 1 && words[index + 1].start <= charIndex) {
+    index++;
+  }
+  return index;
+}
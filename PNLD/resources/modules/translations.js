@@ -10,6 +10,8 @@ import { showErrorToast } from './error_utils.js';
 import { highlightGlossaryTerms, removeGlossaryHighlights, loadGlossaryTerms } from './interface.js';
 import { loadCurrentSLVideo } from './video.js';
 import { announceToScreenReader } from './ui_utils.js';
+import { applyAnnotations } from './annotations.js';
+import { scheduleSyllables } from './syllables.js';
 
 /**
  * Set up translations and audio files for the application.
@@ -155,6 +157,9 @@ export const applyTranslations = async () => {
     loadCurrentSLVideo();
     handleEli5Translation();
 
+    // Redraw the learner's highlights and bookmarks over the new text
+    applyAnnotations();
+
     // Re-apply glossary highlighting if it's active
     // This ensures highlights are maintained when easy-read mode changes
     if (state.glossaryMode && typeof highlightGlossaryTerms === 'function') {
@@ -174,6 +179,9 @@ export const applyTranslations = async () => {
         }
     }
 
+    // Color the syllables of the new text
+    scheduleSyllables();
+
     // Change the title of the page
     const titleMeta = document.querySelector('meta[name="title-id"]');
     if (titleMeta) {
@@ -1,208 +1,388 @@
 /**
  * @module tts_highlighter
  * @description
- * Provides word-by-word highlighting for TTS audio playback, including subtitle popups for images and glossary integration.
+ * Word-by-word highlighting for read-aloud, including subtitle popups for images and glossary integration.
+ * Word timings come from the book-wide `timecode/timecode_output.json`, from per-element files
+ * (`timecode/<key>.json` with the same entry format, or `timecode/<key>.vtt` with WebVTT word cues)
+ * or, for speech synthesis, from the player's word boundary events. The highlighter attaches when
+ * state.currentAudio changes and follows the audio with requestAnimationFrame while it plays.
+ * Parsing and timing of the timelines live in timeline.js.
+ * Once a text is wrapped into word spans, tapping a word (or pressing Enter on it) plays only that
+ * word: its slice of the narration, or speech synthesis when there are no timecodes.
  */
-import { state } from "./state.js";
+import { state, subscribe } from "./state.js";
 import { stopAudio } from "./audio.js";
+import { SpeechPlayer, canSpeak } from "./speech.js";
+import { scheduleSyllables } from "./syllables.js";
 import { unhighlightAllElements } from './ui_utils.js';
 import { showGlossaryDefinition } from './interface.js';
+import { showSaveWordPopup } from './word_bank.js';
+import { parseTimecodeEntry, parseWebVTT, findActiveWordIndex, findSpokenWordIndex } from "./timeline.js";
 
-let timecodeData = null;
-let monitorInterval = null;
-let currentListener = null;
-let endedListener = null;
-const TOLERANCE = 0.2; // 200ms tolerance
+const WORD_PADDING = 0.15; // Seconds of narration kept around a tapped word
+const HIGHLIGHT_CLASSES = ["bg-yellow-300", "rounded-lg", "text-black"];
 
+let bookTimecodes = null; // timecode_output.json of bookTimecodesLanguage (false when missing)
+let bookTimecodesLanguage = null;
+const timelineCache = new Map(); // "<language>/<key>" -> words (null when there are none)
+
+let attachment = null; // { audio, listeners: [type, listener][], frame }
+let wordAudio = null; // Audio or speech player of a tapped word
 let subtitlePopup = null;
 let lastHighlightedImage = null;
 
 /**
- * Loads the timecode JSON for the current language and starts monitoring the current audio for word highlighting.
- * @async
+ * Splits a text into words with their character offsets.
+ * @private
+ * @param {string} text
+ * @returns {Array<{text: string, start: number, end: number}>}
  */
-export async function initializeWordByWordHighlighter() {
-  // Determine the correct content path based on current location
-  const currentPath = window.location.pathname;
-  const contentPath = currentPath.includes('/content/') ? '../content/' : './content/';
-  const timecodeJsonUrl = `${contentPath}i18n/${state.currentLanguage}/timecode/timecode_output.json`;
+function splitWords(text) {
+  return Array.from(String(text || "").matchAll(/\S+/g), match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Returns the URL of the timecode folder for a language.
+ * @private
+ * @param {string} language
+ * @returns {string}
+ */
+function getTimecodeBaseUrl(language) {
+  const contentPath = window.location.pathname.includes('/content/') ? '../content/' : './content/';
+  return `${contentPath}i18n/${language}/timecode/`;
+}
+
+/**
+ * Fetches a timecode file, returning null when it does not exist.
+ * @private
+ * @param {string} url
+ * @param {"json"|"text"} type - How to read the response
+ * @returns {Promise<Object|string|null>}
+ */
+async function fetchTimecodeFile(url, type) {
   try {
-    const response = await fetch(timecodeJsonUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to load timecode JSON: ${response.statusText}`);
-    }
-    timecodeData = await response.json();
-    startMonitoring();
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    return type === "json" ? await response.json() : await response.text();
   } catch (error) {
-    console.error("Error initializing word-by-word highlighter:", error);
+    console.warn(`Could not load timecodes from ${url}:`, error);
+    return null;
   }
 }
 
 /**
- * Starts monitoring the current audio for word highlighting.
- * Sets up a timer to check the audio's currentTime.
+ * Loads timecode_output.json for the current language (once per language).
  * @private
+ * @returns {Promise<Object|false>} The timecode map, or false when the book has none
  */
-function startMonitoring() {
-  if (monitorInterval) return;
-  // Check the audio's currentTime every 50ms for more responsive updates
-  monitorInterval = setInterval(checkCurrentAudio, 50);
+async function loadBookTimecodes() {
+  const language = state.currentLanguage;
+  if (bookTimecodesLanguage !== language) {
+    bookTimecodesLanguage = language;
+    bookTimecodes = fetchTimecodeFile(`${getTimecodeBaseUrl(language)}timecode_output.json`, "json")
+      .then(data => data || false);
+  }
+  return bookTimecodes;
 }
 
 /**
- * Checks the current audio and attaches or detaches the word highlighter as needed.
+ * Loads the word timeline of a narration key: from timecode_output.json, else from
+ * `<key>.json`, else from `<key>.vtt`.
  * @private
+ * @param {string} key - Key of the narration (e.g. "p-3" or "p-3_easy_read")
+ * @returns {Promise<Array|null>} Words, or null when no timecodes exist for the key
  */
-function checkCurrentAudio() {
-  const audio = state.currentAudio;
-  if (audio && !audio._wordHighlighterAttached) {
-    attachWordHighlighter(audio);
-  } else if (!audio && currentListener) {
-    detachCurrentListener();
-    clearHighlights();
+async function loadTimeline(key) {
+  const language = state.currentLanguage;
+  const cacheKey = `${language}/${key}`;
+  if (timelineCache.has(cacheKey)) return timelineCache.get(cacheKey);
+
+  const baseUrl = getTimecodeBaseUrl(language);
+  let words = parseTimecodeEntry((await loadBookTimecodes())?.[key]);
+  if (words.length === 0) {
+    words = parseTimecodeEntry(await fetchTimecodeFile(`${baseUrl}${encodeURIComponent(key)}.json`, "json"));
+  }
+  if (words.length === 0) {
+    words = parseWebVTT(await fetchTimecodeFile(`${baseUrl}${encodeURIComponent(key)}.vtt`, "text"));
   }
+
+  const timeline = words.length > 0 ? words : null;
+  timelineCache.set(cacheKey, timeline);
+  return timeline;
 }
 
 /**
- * Attaches the word highlighter to the current audio element.
- * Handles easy-read mode, glossary terms, and subtitle popups for images.
+ * Loads the timecodes of the current language and highlights words of every narration
+ * from now on.
+ * @async
+ */
+export async function initializeWordByWordHighlighter() {
+  subscribe('currentAudio', handleAudioChange);
+  // Capture phase, so a tapped word does not also start its whole paragraph, and the arrow
+  // keys move between words before the page-turn shortcuts see them
+  document.addEventListener('click', handleWordClick, true);
+  document.addEventListener('keydown', handleWordKeydown, true);
+  if (state.currentAudio) handleAudioChange(state.currentAudio);
+  await loadBookTimecodes();
+}
+
+/**
+ * Moves the highlighter to a new current audio.
  * @private
- * @param {HTMLAudioElement} audio - The audio element to attach the highlighter to.
+ * @param {HTMLAudioElement|SpeechPlayer|null} audio - The new state.currentAudio
  */
-function attachWordHighlighter(audio) {
-  // Get the current text element (from state.audioElements and state.currentIndex).
-  const audioElements = state.audioElements;
-  if (!audioElements || audioElements.length === 0) return;
-  const currentIndex = state.currentIndex;
-  if (currentIndex < 0 || currentIndex >= audioElements.length) return;
-  const { element, id: dataId } = audioElements[currentIndex];
-  
-  // Get the translation key with proper easy-read handling
-  let translationKey = dataId;
-  let timecodeKey = dataId;
-  
-  if (state.easyReadMode) {
-    // Check if element is a header
-    const isHeader = element.tagName.toLowerCase().match(/^h[1-6]$/);
-    
-    // Check if element is inside excluded areas
-    const wordCard = element.closest('.word-card');
-    const activityItem = element.closest('[data-activity-item]');
-    const navList = element.closest('.nav__list');
-    const activityText = element.closest('.activity-text');
-    const isExcluded = wordCard !== null || activityItem !== null || 
-                        navList !== null || activityText !== null;
-    
-    // Use easyread translation if not a header and not in excluded areas
-    if (!isHeader && !isExcluded) {
-      const easyReadKey = `easyread-${dataId}`;
-      if (state.translations && state.translations.hasOwnProperty(easyReadKey)) {
-        translationKey = easyReadKey;
-        
-        // FALLBACK MECHANISM: Try to use easyReadKey for timecode first
-        // If that doesn't exist in timecodeData, fall back to original dataId
-        timecodeKey = (timecodeData && timecodeData[easyReadKey]) ? easyReadKey : dataId;
-        
-        // Log which timecode data we're using
-        if (timecodeKey !== easyReadKey) {
-          console.log(`Using fallback timecode data for ${easyReadKey} -> ${dataId}`);
-        }
-      }
-    }
+function handleAudioChange(audio) {
+  detachHighlighter();
+  if (audio) stopWord();
+  if (!audio) {
+    clearHighlights();
+    return;
   }
-  
-  if (!timecodeData || !timecodeData[timecodeKey]) return;
-  const entry = timecodeData[timecodeKey];
-  
-  const wordTimestamps = (entry.timecodes && entry.timecodes[1] && entry.timecodes[1].word_timestamps) || [];
-  if (wordTimestamps.length === 0) return;
-  
-  const translatedText = state.translations && state.translations[translationKey] 
-                         ? state.translations[translationKey] 
-                         : element.textContent;
+  attachWordHighlighter(audio).catch(error => {
+    console.error("Error attaching word-by-word highlighter:", error);
+  });
+}
 
-  console.log(`Audio highlighter using text: "${translatedText}" for element with data-id: ${dataId} (timecode key: ${timecodeKey})`);
-  
-  // Check if this is an image element - if so, create a subtitle popup
+/**
+ * Attaches the word highlighter to an audio element or speech player.
+ * @private
+ * @param {HTMLAudioElement|SpeechPlayer} audio - The audio to follow.
+ */
+async function attachWordHighlighter(audio) {
+  const item = state.audioElements?.[state.currentIndex];
+  if (!item) return;
+  const { element } = item;
+  // Text fields cannot hold word spans
+  if (['textarea', 'input'].includes(element.tagName.toLowerCase())) return;
+
+  // The narration key names the text, the audio and the timecodes alike (easy-read ones end in "_easy_read")
+  const key = item.audioKey || item.id;
+  const words = audio.isSpeech ? splitWords(audio.text) : await loadTimeline(key);
+  // Playback moved on while the timecodes were loading
+  if (state.currentAudio !== audio || !words || words.length === 0) return;
+
+  const text = audio.isSpeech ? audio.text : (state.translations?.[key] || element.textContent);
   const isImage = element.tagName.toLowerCase() === 'img';
   if (isImage) {
-    createSubtitlePopup(element, translatedText);
+    createSubtitlePopup(element, text);
     lastHighlightedImage = element;
-  } else {
-    // If we're not highlighting an image, hide any existing subtitle popup
-    if (subtitlePopup) {
-      hideSubtitlePopup();
-    }
+  } else if (subtitlePopup) {
+    hideSubtitlePopup();
   }
 
-  // Get the target element for highlighting (either the original element or the subtitle popup content)
   const targetElement = isImage ? subtitlePopup.querySelector('.subtitle-content') : element;
-
-  // Wrap the text in spans (if not already wrapped).
-  if (!targetElement.dataset.wordsWrapped) {
-    wrapTextInSpans(targetElement, wordTimestamps, translatedText);
+  // applyTranslations() replaces the spans, so check for them rather than trusting a flag
+  if (!targetElement.querySelector('span[data-word-index]')) {
+    wrapTextInSpans(targetElement, words, text);
     targetElement.dataset.wordsWrapped = "true";
+    makeWordsFocusable(targetElement);
+    scheduleSyllables();
   }
-  
-  // Clear highlights on other text elements.
-  document.querySelectorAll('[data-words-wrapped="true"]').forEach(el => {
-    if (el !== element) {
-      el.querySelectorAll("span[data-word-index]").forEach(span => {
-        span.classList.remove("bg-yellow-300");
-        span.classList.remove("rounded-lg");
-        span.classList.remove("text-black");
-      });
+  targetElement.dataset.wordsKey = key;
+
+  clearHighlights();
+  attachment = { audio, listeners: [], frame: null };
+  const listen = (type, listener) => {
+    audio.addEventListener(type, listener);
+    attachment.listeners.push([type, listener]);
+  };
+
+  if (audio.isSpeech) {
+    highlightWord(targetElement, 0);
+    listen("boundary", (event) => highlightWord(targetElement, findSpokenWordIndex(words, event.detail.charIndex)));
+  } else {
+    const update = () => highlightWord(targetElement, findActiveWordIndex(words, audio.currentTime));
+    const tick = () => {
+      update();
+      attachment.frame = requestAnimationFrame(tick);
+    };
+    const stopTicking = () => {
+      cancelAnimationFrame(attachment.frame);
+      attachment.frame = null;
+    };
+    const startTicking = () => {
+      if (attachment.frame === null) tick();
+    };
+
+    listen("play", startTicking);
+    listen("pause", stopTicking);
+    // Still fires when animation frames are throttled (background tab) and after seeking
+    listen("timeupdate", update);
+    if (audio.paused) {
+      highlightWord(targetElement, 0);
+    } else {
+      startTicking();
     }
-  });
-  
-  // Highlight the first word when we start
-  const firstSpan = element.querySelector('span[data-word-index="0"]');
-  if (firstSpan) {
-    element.querySelectorAll("span[data-word-index]").forEach(span => {
-      span.classList.remove("bg-yellow-300");
-      span.classList.remove("rounded-lg");
-      span.classList.remove("text-black");
-    });
-    firstSpan.classList.add("bg-yellow-300");
-    firstSpan.classList.add("rounded-lg");
-    firstSpan.classList.add("text-black");
   }
-  
-  // Detach any existing listeners first to avoid duplicates
-  detachCurrentListener();
-  
-  // Attach a timeupdate listener
-  currentListener = () => updateWordHighlighting(audio, targetElement, wordTimestamps);
-  audio.addEventListener("timeupdate", currentListener);
-  
-  // Add an ended listener to clear highlights when audio finishes
-  endedListener = () => {
+
+  listen("ended", () => {
+    detachHighlighter();
     clearHighlights();
     if (isImage && subtitlePopup) {
       hideSubtitlePopup();
     }
-  };
-  audio.addEventListener("ended", endedListener);
-  
-  // Also listen for play event to ensure first word gets highlighted
-  audio.addEventListener("play", () => {
-    const firstSpan = element.querySelector('span[data-word-index="0"]');
-    if (firstSpan && audio.currentTime < wordTimestamps[0].end + TOLERANCE) {
-      element.querySelectorAll("span[data-word-index]").forEach(span => {
-        span.classList.remove("bg-yellow-300");
-        span.classList.remove("rounded-lg");
-        span.classList.remove("text-black");
-      });
-      firstSpan.classList.add("bg-yellow-300");
-      firstSpan.classList.add("rounded-lg");
-      firstSpan.classList.add("text-black");
+  });
+}
+
+/**
+ * Removes the listeners and animation loop of the current attachment.
+ * @private
+ */
+function detachHighlighter() {
+  if (!attachment) return;
+  if (attachment.frame !== null) cancelAnimationFrame(attachment.frame);
+  attachment.listeners.forEach(([type, listener]) => attachment.audio.removeEventListener(type, listener));
+  attachment = null;
+}
+
+/**
+ * Highlights one word span of an element (or none).
+ * A multi-word glossary term is a single span carrying the index of its first word.
+ * @private
+ * @param {HTMLElement} element - Element containing the word spans.
+ * @param {number} activeIndex - Index of the word, or -1 to clear.
+ */
+function highlightWord(element, activeIndex) {
+  const spans = Array.from(element.querySelectorAll("span[data-word-index]"));
+  const activeSpan = activeIndex < 0
+    ? null
+    : spans.filter(span => Number(span.dataset.wordIndex) <= activeIndex).pop();
+
+  spans.forEach(span => {
+    if (span === activeSpan) {
+      span.classList.add(...HIGHLIGHT_CLASSES);
+    } else {
+      span.classList.remove(...HIGHLIGHT_CLASSES);
     }
   });
-  
-  // Listen for index changes to clear highlights when moving to next item
-  document.addEventListener("audioIndexChanged", clearHighlights);
-  
-  audio._wordHighlighterAttached = true;
+}
+
+/**
+ * Gives the word spans of an element a single tab stop (the first word); the arrow keys
+ * move between words.
+ * @private
+ * @param {HTMLElement} element - Element containing the word spans.
+ */
+function makeWordsFocusable(element) {
+  element.querySelectorAll('span[data-word-index]:not([data-glossary-term])').forEach(span => {
+    span.setAttribute('tabindex', span.dataset.wordIndex === '0' ? '0' : '-1');
+  });
+}
+
+/**
+ * Returns the word span a click or key press is on, when words can be tapped.
+ * @private
+ * @param {EventTarget} target
+ * @returns {HTMLElement|null}
+ */
+function getTappableWord(target) {
+  if (!state.readAloudMode || !(target instanceof Element)) return null;
+  const span = target.closest('span[data-word-index]');
+  if (!span || span.hasAttribute('data-glossary-term') || !span.closest('[data-words-key]')) return null;
+  return span;
+}
+
+/**
+ * Plays the tapped word and offers to add it to "My words".
+ * @private
+ * @param {MouseEvent} event
+ */
+function handleWordClick(event) {
+  const span = getTappableWord(event.target);
+  if (!span) return;
+  event.stopPropagation();
+  playWord(span);
+  showSaveWordPopup(span);
+}
+
+/**
+ * Plays the focused word on Enter or Space (offering to add it to "My words") and moves
+ * between words with the arrow keys.
+ * @private
+ * @param {KeyboardEvent} event
+ */
+function handleWordKeydown(event) {
+  const span = getTappableWord(event.target);
+  if (!span || event.target !== span) return;
+
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    event.stopPropagation();
+    playWord(span);
+    showSaveWordPopup(span, { focus: true });
+  } else if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+    // Arrow keys would otherwise turn the page
+    event.stopPropagation();
+    const spans = Array.from(span.closest('[data-words-key]').querySelectorAll('span[data-word-index]'));
+    const next = spans[spans.indexOf(span) + (event.key === 'ArrowRight' ? 1 : -1)];
+    if (next) {
+      event.preventDefault();
+      span.setAttribute('tabindex', '-1');
+      next.setAttribute('tabindex', '0');
+      next.focus();
+    }
+  }
+}
+
+/**
+ * Stops the word being played and removes its highlight.
+ * @private
+ */
+function stopWord() {
+  if (!wordAudio) return;
+  const { audio, element } = wordAudio;
+  wordAudio = null;
+  audio.onended = null;
+  audio.onpause = null;
+  audio.pause();
+  highlightWord(element, -1);
+}
+
+/**
+ * Plays a single word: its slice of the narration of the text (with a little padding) when
+ * the text has timecodes and an audio file, otherwise the word through speech synthesis.
+ * @param {HTMLElement} span - Word span created by the highlighter
+ * @returns {Promise<void>}
+ */
+export async function playWord(span) {
+  const element = span.closest('[data-words-key]');
+  const key = element.dataset.wordsKey;
+  const index = Number(span.dataset.wordIndex);
+  const item = state.audioElements.find(audioElement => (audioElement.audioKey || audioElement.id) === key);
+
+  stopAudio();
+  stopWord();
+
+  const word = item?.audioSrc ? (await loadTimeline(key))?.[index] : null;
+  let audio;
+  if (word) {
+    const start = Math.max(0, word.start - WORD_PADDING);
+    const end = word.end + WORD_PADDING;
+    // Media fragment: the browser seeks to the start and pauses at the end
+    audio = new Audio(`${item.audioSrc}#t=${start.toFixed(2)},${end.toFixed(2)}`);
+    audio.onpause = () => stopWord();
+  } else if (canSpeak(state.currentLanguage)) {
+    audio = new SpeechPlayer(span.textContent.trim(), state.currentLanguage);
+  } else {
+    console.warn(`No narration or voice to read the word "${span.textContent.trim()}"`);
+    return;
+  }
+
+  wordAudio = { audio, element };
+  audio.playbackRate = parseFloat(state.audioSpeed) || 1;
+  audio.onended = () => stopWord();
+  highlightWord(element, index);
+
+  try {
+    await audio.play();
+  } catch (error) {
+    console.warn('Word playback failed:', error);
+    stopWord();
+  }
 }
 
 /**
@@ -350,27 +530,6 @@ function clearHighlights() {
   });
 }
 
-/**
- * Detaches the current audio event listeners for word highlighting.
- * @private
- */
-function detachCurrentListener() {
-  const audio = state.currentAudio;
-  if (audio) {
-    if (currentListener) {
-      audio.removeEventListener("timeupdate", currentListener);
-      currentListener = null;
-    }
-    if (endedListener) {
-      audio.removeEventListener("ended", endedListener);
-      endedListener = null;
-    }
-    audio._wordHighlighterAttached = false;
-  }
-  
-  // Remove the index change listener
-  document.removeEventListener("audioIndexChanged", clearHighlights);
-}
 
 /**
  * Wraps the text content of an element in <span> tags for each word, handling glossary terms.
@@ -525,82 +684,3 @@ function wrapTextInSpans(element, wordTimestamps, translatedText) {
   });
 }
 
-/**
- * Updates the highlighted word based on the current audio time.
- * @private
- * @param {HTMLAudioElement} audio - The audio element.
- * @param {HTMLElement} element - The element containing the word spans.
- * @param {Array} wordTimestamps - Array of word timestamp objects.
- */
-function updateWordHighlighting(audio, element, wordTimestamps) {
-  const currentTime = audio.currentTime;
-  let activeIndex = -1;
-  
-  // Check if we're past the last word's end time
-  const lastWord = wordTimestamps[wordTimestamps.length - 1];
-  if (lastWord && currentTime > lastWord.end + TOLERANCE) {
-    // We're past the last word, clear all highlights
-    clearHighlights();
-    return;
-  }
-  
-  // Special case for before the first word
-  if (currentTime < wordTimestamps[0].start) {
-    activeIndex = 0;
-  }
-  // Special case for after the last word but still within tolerance
-  else if (currentTime >= wordTimestamps[wordTimestamps.length - 1].start) {
-    activeIndex = wordTimestamps.length - 1;
-  }
-  // Find the right word based on position between start times
-  else {
-    // Find the last word whose start time is before or equal to the current time
-    for (let i = 0; i < wordTimestamps.length; i++) {
-      if (currentTime >= wordTimestamps[i].start) {
-        activeIndex = i;
-        
-        // Check if we're very close to the next word's start time
-        // This helps catch small words that might be skipped
-        if (i < wordTimestamps.length - 1 && 
-            currentTime > wordTimestamps[i + 1].start - TOLERANCE) {
-          activeIndex = i + 1;
-        }
-        
-        // Check if we're past the current word's end time
-        if (currentTime > wordTimestamps[i].end + TOLERANCE) {
-          // If we're between words, clear highlighting
-          const isInGap = i < wordTimestamps.length - 1 && 
-                         currentTime < wordTimestamps[i + 1].start - TOLERANCE;
-          if (isInGap) {
-            clearHighlights();
-            return;
-          }
-        }
-      } else {
-        break;
-      }
-    }
-  }
-  
-  // If no suitable word was found, default to the first word
-  if (activeIndex === -1) {
-    activeIndex = 0;
-  }
-  
-  // Remove highlight from all spans.
-  const spans = element.querySelectorAll("span[data-word-index]");
-  spans.forEach(span => {
-    span.classList.remove("bg-yellow-300");
-    span.classList.remove("rounded-lg");
-    span.classList.remove("text-black");
-  });
-  
-  // Highlight the active word.
-  const activeSpan = element.querySelector(`span[data-word-index="${activeIndex}"]`);
-  if (activeSpan) {
-    activeSpan.classList.add("bg-yellow-300");
-    activeSpan.classList.add("rounded-lg");
-    activeSpan.classList.add("text-black");
-  }
-}
-
@@ -5,6 +5,7 @@
  */
 import { translateText } from './translations.js'; // Import translation function
 import { announceToScreenReader } from './ui_utils.js'; // Import screen reader utility
+import { storage } from './storage.js';
 
 // Tutorial module for onboarding new users
 const TUTORIAL_SEEN_KEY = 'tutorial_completed';
@@ -49,7 +50,7 @@ let popupContainer;
  */
 export const showWelcome = () => {
   //Check if user has already seen the tutorial
-  if (localStorage.getItem(TUTORIAL_SEEN_KEY) === 'true') {
+  if (storage.getItem(TUTORIAL_SEEN_KEY) === 'true') {
     return;
   }
 
@@ -113,7 +114,7 @@ export const showWelcome = () => {
   exitButton.addEventListener('click', () => {
     // Close the welcome popup
     tutorialOverlay.remove();
-    localStorage.setItem(TUTORIAL_SEEN_KEY, 'true'); // Mark tutorial as seen
+    storage.setItem(TUTORIAL_SEEN_KEY, 'true'); // Mark tutorial as seen
     
     // Announce to screen readers that the tutorial is closed, but remind about shortcuts
     announceToScreenReader(
@@ -496,8 +497,8 @@ const updatePopupPosition = (position, targetElement) => {
  * @private
  */
 const completeTutorial = () => {
-  // Mark as seen in localStorage
-  localStorage.setItem(TUTORIAL_SEEN_KEY, 'true');
+  // Mark as seen in storage
+  storage.setItem(TUTORIAL_SEEN_KEY, 'true');
 
   // Remove overlay with a fade-out effect
   tutorialOverlay.style.opacity = '0';
@@ -542,10 +543,10 @@ const completeTutorial = () => {
 }
 
 /**
- * Resets the tutorial completion status in localStorage (for testing/development).
+ * Resets the tutorial completion status in storage (for testing/development).
  */
 export const resetTutorial = () => {
-  localStorage.removeItem(TUTORIAL_SEEN_KEY);
+  storage.removeItem(TUTORIAL_SEEN_KEY);
 }
 
 /**
@@ -13,11 +13,12 @@ import {
     playAudioSequentially
 } from './audio.js';
 import { setPlayPauseIcon, loadGlossaryTerms, highlightGlossaryTerms, removeGlossaryHighlights, cacheInterfaceElements } from './interface.js'
-import { toggleButtonColor, toggleButtonState } from './utils.js';
+import { syncBoundControls } from './state_bindings.js';
 import { extractPageTerms } from './interface.js';
 import { translateText } from './translations.js';
-import { trackToggleEvent, trackEvent } from './analytics.js';
+import { trackEvent } from './analytics.js';
 import { isFeatureEnabled } from '../base.js';
+import { storage } from './storage.js';
 
 document.addEventListener('click', (event) => {
   // Check for clicks on any element with glossary-term class or data-glossary-term attribute
@@ -54,8 +55,7 @@ document.addEventListener('click', (event) => {
 export const loadAutoplayState = () => {
     const autoplayModeCookie = getCookie("autoplayMode");
     if (autoplayModeCookie !== null) {
-        setState('autoplayMode', autoplayModeCookie === "true");
-        toggleButtonState("toggle-autoplay", state.autoplayMode);
+        setState('autoplayMode', autoplayModeCookie === "true", { origin: 'restore' });
     }
 };
 
@@ -65,17 +65,13 @@ export const loadAutoplayState = () => {
 export const loadDescribeImagesState = () => {
     const describeImagesModeCookie = getCookie("describeImagesMode");
     if (describeImagesModeCookie !== null) {
-        // Cookie exists, use its value
-        setState('describeImagesMode', describeImagesModeCookie === "true");
+        // Preference exists, use its value
+        setState('describeImagesMode', describeImagesModeCookie === "true", { origin: 'restore' });
     } else {
-        // Cookie doesn't exist, set a default value (false)
-        setState('describeImagesMode', false);
-        setCookie("describeImagesMode", "false", 7);
+        // No preference saved, describe images is off by default
+        setState('describeImagesMode', false, { origin: 'restore' });
     }
     
-    // Always sync UI with state (this line was commented out)
-    toggleButtonState("toggle-describe-images", state.describeImagesMode);
-    
     // Regather audio elements to ensure correct initial state
     if (state.describeImagesMode){
         gatherAudioElements();
@@ -88,8 +84,7 @@ export const loadDescribeImagesState = () => {
 export const loadSyllablesState = () => {
     const syllablesModeCookie = getCookie("syllablesMode");
     if (syllablesModeCookie !== null) {
-        setState('syllablesMode', syllablesModeCookie === "true");
-        toggleButtonState("toggle-syllables", state.syllablesMode);
+        setState('syllablesMode', syllablesModeCookie === "true", { origin: 'restore' });
     }
 };
 
@@ -99,21 +94,18 @@ export const loadSyllablesState = () => {
 export const loadGlossaryState = () => {
     const glossaryModeCookie = getCookie("glossaryMode");
     if (glossaryModeCookie !== null) {
-        setState('glossaryMode', glossaryModeCookie === "true");
-        toggleButtonState("toggle-glossary", state.glossaryMode);
+        setState('glossaryMode', glossaryModeCookie === "true", { origin: 'restore' });
     }
 };
 
 /**
- * Toggles autoplay mode, updates state, UI, and cookies, and starts playback if needed.
+ * Toggles autoplay mode and starts playback if needed.
  */
 export const toggleAutoplay = () => {
     stopAudio();
     unhighlightAllElements();
 
     setState('autoplayMode', !state.autoplayMode);
-    toggleButtonState("toggle-autoplay", state.autoplayMode);
-    setCookie("autoplayMode", state.autoplayMode, 7);
 
     if (state.readAloudMode && state.autoplayMode) {
         setState('currentIndex', 0);
@@ -124,15 +116,13 @@ export const toggleAutoplay = () => {
 };
 
 /**
- * Toggles describe images mode, updates state, UI, and cookies, and starts playback if needed.
+ * Toggles describe images mode and starts playback if needed.
  */
 export const toggleDescribeImages = () => {
     stopAudio();
     unhighlightAllElements();
 
     setState('describeImagesMode', !state.describeImagesMode);
-    toggleButtonState("toggle-describe-images", state.describeImagesMode);
-    setCookie("describeImagesMode", state.describeImagesMode, 7);
 
     // Regather audio elements to update the sequence with or without images
     // gatherAudioElements();
@@ -186,11 +176,8 @@ export const loadToggleButtonState = () => {
     updateTtsOptionsContainerVisibility(state.readAloudMode);
     // setEli5ContainerVisibility(state.eli5Mode);
 
-    // Optionally, update button states/colors as before
-    toggleButtonState("toggle-read-aloud", state.readAloudMode);
-    toggleButtonColor("tts-quick-toggle-button", state.readAloudMode);
-    toggleButtonState("toggle-eli5", state.eli5Mode);
-    toggleButtonState("toggle-easy-read", state.easyReadMode);
+    // Sync every bound toggle switch with the restored state
+    syncBoundControls();
     handleEli5State();
 };
 
@@ -405,8 +392,7 @@ const handleEli5State = () => {
     const explainButton = document.getElementById('explain-me-button');
     const eli5ModeCookie = getCookie("eli5Mode");
     if (isFeatureEnabled("eli5") && eli5ModeCookie) {
-        setState('eli5Mode', eli5ModeCookie === "true");
-        toggleButtonState("toggle-eli5", state.eli5Mode);
+        setState('eli5Mode', eli5ModeCookie === "true", { origin: 'restore' });
 
         if (state.eli5Mode && state.translations) {
             displayEli5Content();
@@ -470,15 +456,10 @@ const displayEli5Content = () => {
 };
 
 /**
- * Toggles ELI5 mode, updates state, cookies, and UI.
+ * Toggles ELI5 mode and updates the ELI5 content.
  */
 export const toggleEli5Mode = () => {
     setState('eli5Mode', !state.eli5Mode);
-    setCookie("eli5Mode", state.eli5Mode, 7);
-    toggleButtonState("toggle-eli5", state.eli5Mode);
-
-    // Track the toggle event
-    trackToggleEvent('Eli5Mode', state.eli5Mode);
 
     if (state.isPlaying) stopAudio();
     unhighlightAllElements();
@@ -529,11 +510,11 @@ export const handleEli5Popup = () => {
         return;
     }
     
-    const eli5Id = mainSection.getAttribute("data-eli5-id");
-
     // Toggle the visibility when the button is clicked
     explainButton.addEventListener('click', function () {
         const isVisible = !eli5Content.classList.contains('hidden');
+        // Read the id on click: single-page navigation can swap the section
+        const eli5Id = document.querySelector('section[data-eli5-id]')?.getAttribute("data-eli5-id");
 
         if (isVisible) {
             eli5Content.classList.add('hidden');
@@ -568,9 +549,9 @@ export const handleEli5Popup = () => {
 /**
  * Handles toggling of ELI5 mode, updating content and explain button visibility.
  * Clears content and hides the button if ELI5 mode is off.
- * @private
+ * Also used to refresh the explanation after the page content is swapped.
  */
-const handleEli5ModeToggle = () => {
+export const handleEli5ModeToggle = () => {
     const explainButton = document.getElementById('explain-me-button');
     if (state.eli5Mode) {
         const mainSection = document.querySelector('section[data-eli5-id]');
@@ -1312,8 +1293,8 @@ export const initializeTabs = () => {
  * Also clears originating page if we're back at the original page
  */
 export const checkIfReferencePage = () => {
-    // Get the originating page from localStorage
-    const originatingPage = localStorage.getItem('originatingPage');
+    // Get the originating page from storage
+    const originatingPage = storage.getItem('originatingPage');
     
     // If no originating page exists, this isn't a reference context
     if (!originatingPage) {
@@ -1326,7 +1307,7 @@ export const checkIfReferencePage = () => {
     if (originatingPage === currentUrl) {
         console.log("We're back at the originating page, clearing reference data");
         // Clear the originating page data since we're back at the source
-        localStorage.removeItem('originatingPage');
+        storage.removeItem('originatingPage');
         setState('originatingPage', null);
         setState('isReferencePage', false);
         return false;
@@ -1349,7 +1330,7 @@ export const checkIfReferencePage = () => {
 export const initializeReferencePage = () => {
     console.log("Initializing reference page functionality");
     
-    // Check if we should display a return button (based on localStorage)
+    // Check if we should display a return button (based on storage)
     const shouldShowReturnButton = checkIfReferencePage();
     
     if (shouldShowReturnButton) {
@@ -1424,8 +1405,8 @@ export const displayReturnButton = () => {
     returnButton.addEventListener('click', () => {
         console.log("Return button clicked, navigating to:", originatingPage);
         
-        // Clear the originating page from localStorage and state
-        localStorage.removeItem('originatingPage');
+        // Clear the originating page from storage and state
+        storage.removeItem('originatingPage');
         setState('originatingPage', null);
         setState('isReferencePage', false);
         
@@ -1481,7 +1462,7 @@ export const updateTtsOptionsContainerVisibility = (show) => {
     const ttsOptionsContainer = document.getElementById('tts-options-container');
     if (!ttsOptionsContainer) return;
 
-    if (show && (isFeatureEnabled('autoplay') || isFeatureEnabled('describeImages'))) {
+    if (show && (isFeatureEnabled('autoplay') || isFeatureEnabled('describeImages') || isFeatureEnabled('readBook'))) {
         ttsOptionsContainer.classList.remove('hidden');
     } else {
         ttsOptionsContainer.classList.add('hidden');
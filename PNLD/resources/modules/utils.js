@@ -11,6 +11,7 @@ import { nextPage } from './navigation.js';
 import { playActivitySound } from './audio.js';
 import { trackActivityCompletion } from './analytics.js';
 import { updateResetButtonVisibility } from '../activity.js';
+import { storage } from './storage.js';
 
 /**
  * Enum for supported activity types.
@@ -25,6 +26,10 @@ export const ActivityTypes = Object.freeze({
     MATCHING: "activity_matching",
     TRUE_FALSE: "activity_true_false",
     FILL_IN_A_TABLE: "activity_fill_in_a_table",
+    SEQUENCING: "activity_sequencing",
+    WORD_BANK_CLOZE: "activity_word_bank_cloze",
+    IMAGE_HOTSPOT: "activity_image_hotspot",
+    DRAWING: "activity_drawing",
 });
 
 window.utils = {
@@ -110,6 +115,15 @@ export const updateSubmitButtonAndToast = (
     // Merge defaults with provided options
     const mergedOptions = {...defaultOptions, ...options};
 
+    // Feedback written for a declarative activity (see activities/definition_renderer.js)
+    if (!mergedOptions.message && (isCorrect || unfilledCount === 0)) {
+        const feedbackKey = document.querySelector('section[role="activity"]')
+            ?.getAttribute(isCorrect ? "data-feedback-correct" : "data-feedback-incorrect");
+        if (feedbackKey) {
+            mergedOptions.message = translateText(feedbackKey);
+        }
+    }
+
     // Remove previous event listeners
     checkCurrentActivityCompletion(isCorrect);
     submitButton.removeEventListener("click", state.validateHandler);
@@ -125,7 +139,11 @@ export const updateSubmitButtonAndToast = (
             activityType === ActivityTypes.FILL_IN_THE_BLANK || 
             activityType === ActivityTypes.SORTING ||
             activityType === ActivityTypes.FILL_IN_A_TABLE ||
-            activityType === ActivityTypes.MATCHING) {
+            activityType === ActivityTypes.MATCHING ||
+            activityType === ActivityTypes.SEQUENCING ||
+            activityType === ActivityTypes.WORD_BANK_CLOZE ||
+            activityType === ActivityTypes.IMAGE_HOTSPOT ||
+            activityType === ActivityTypes.DRAWING) {
             resetButton.classList.remove("hidden");
         } else {
             resetButton.classList.add("hidden");
@@ -146,7 +164,8 @@ export const updateSubmitButtonAndToast = (
             // Determine message and emoji based on options or defaults
             const message = mergedOptions.message || 
                            ((activityType === ActivityTypes.OPEN_ENDED_ANSWER || 
-                             activityType === ActivityTypes.FILL_IN_A_TABLE) 
+                             activityType === ActivityTypes.FILL_IN_A_TABLE ||
+                             activityType === ActivityTypes.DRAWING) 
                              ? translateText("answers-submitted")
                              : translateText("correct-answer"));
             
@@ -170,7 +189,7 @@ export const updateSubmitButtonAndToast = (
             const activityId = location.pathname
                 .substring(location.pathname.lastIndexOf("/") + 1)
                 .split(".")[0];
-            localStorage.setItem(`${activityId}_success`, "true");
+            storage.setItem(`${activityId}_success`, "true");
         }
 
         // Set timeout to hide toast
@@ -259,7 +278,9 @@ const updateToastForIncorrectSubmission = (toast, activityType, unfilledCount, o
     if (!message || !emoji || !toastType) {
         if (activityType === ActivityTypes.OPEN_ENDED_ANSWER ||
             activityType === ActivityTypes.FILL_IN_THE_BLANK ||
-            activityType === ActivityTypes.FILL_IN_A_TABLE) {
+            activityType === ActivityTypes.FILL_IN_A_TABLE ||
+            activityType === ActivityTypes.WORD_BANK_CLOZE ||
+            activityType === ActivityTypes.IMAGE_HOTSPOT) {
             
             if (unfilledCount > 0) {
                 // Warning for incomplete fields
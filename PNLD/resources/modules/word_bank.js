@@ -0,0 +1,341 @@
+/**
+ * @module word_bank
+ * @description
+ * "My words": a personal word bank. Learners save glossary terms from the definition popup
+ * and words they tap during read-aloud, then find them in a panel of the sidebar with their
+ * definition and emoji, listen to them and remove the ones they know. Words are kept in
+ * storage with the rest of the learner data, so they travel in backups and SCORM suspend data.
+ */
+
+import { state, subscribe } from "./state.js";
+import { storage } from "./storage.js";
+import { translateText } from "./translations.js";
+import { announceToScreenReader } from "./ui_utils.js";
+import { canPlayTerm, playTerm, stopTerm } from "./flashcards.js";
+
+const STORAGE_KEY = "wordBank";
+
+let wordBankInitialized = false;
+let wordPopup = null;
+
+/**
+ * Normalizes a word for comparison (as the glossary popup does).
+ * @private
+ * @param {string} word
+ * @returns {string}
+ */
+const normalizeWord = (word) =>
+  String(word)
+    .toLowerCase()
+    .trim()
+    .replace(/[.,;:!?()¡¿"'«»]/g, "");
+
+/**
+ * Finds the glossary entry of a word or one of its variations in the current language.
+ * @private
+ * @param {string} word
+ * @returns {[string, Object]|null} Term key and entry
+ */
+const findGlossaryEntry = (word) => {
+  const normalized = normalizeWord(word);
+  return (
+    Object.entries(state.glossaryTerms || {}).find(
+      ([key, entry]) =>
+        normalizeWord(key) === normalized || (entry.variations || []).some((form) => normalizeWord(form) === normalized)
+    ) || null
+  );
+};
+
+/**
+ * Returns the storage key of a word in the current language. Forms of a glossary term share
+ * the key of the term.
+ * @private
+ * @param {string} word
+ * @returns {string}
+ */
+const getWordKey = (word) => {
+  const glossaryEntry = findGlossaryEntry(word);
+  return `${state.currentLanguage}:${normalizeWord(glossaryEntry ? glossaryEntry[0] : word)}`;
+};
+
+/**
+ * Returns the saved words of the current language, most recent first.
+ * @returns {Array<Object>} Words: { key, word, language, term, definition, emoji, audio, added }
+ */
+export const getSavedWords = () => {
+  const words = storage.getJSON(STORAGE_KEY, {});
+  return Object.entries(words)
+    .map(([key, entry]) => ({ key, ...entry }))
+    .filter((entry) => entry.language === state.currentLanguage)
+    .sort((a, b) => b.added - a.added);
+};
+
+/**
+ * Whether a word (or its glossary term) is in "My words".
+ * @param {string} word
+ * @returns {boolean}
+ */
+export const isWordSaved = (word) => getWordKey(word) in storage.getJSON(STORAGE_KEY, {});
+
+/**
+ * Saves a word to "My words", with its definition and emoji when it is a glossary term.
+ * @param {string} word - Glossary term or word of the page
+ * @returns {boolean} False when the word was already saved
+ */
+export const saveWord = (word) => {
+  const key = getWordKey(word);
+  const words = storage.getJSON(STORAGE_KEY, {});
+  if (key in words) return false;
+
+  const glossaryEntry = findGlossaryEntry(word);
+  const [term, entry] = glossaryEntry || [null, {}];
+  words[key] = {
+    word: term ? entry.word || term : String(word).trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""),
+    language: state.currentLanguage,
+    term,
+    definition: entry.definition || "",
+    emoji: entry.emoji || "",
+    audio: entry.audio || null,
+    added: Date.now(),
+  };
+  storage.setJSON(STORAGE_KEY, words);
+
+  announceToScreenReader(translateText("word-bank-added", { word: words[key].word }));
+  if (isPanelOpen()) renderWordBank();
+  return true;
+};
+
+/**
+ * Removes a word from "My words".
+ * @param {string} key - Storage key of the word (see getSavedWords)
+ */
+export const removeWord = (key) => {
+  const words = storage.getJSON(STORAGE_KEY, {});
+  const removed = words[key];
+  if (!removed) return;
+
+  delete words[key];
+  storage.setJSON(STORAGE_KEY, words);
+
+  announceToScreenReader(translateText("word-bank-removed", { word: removed.word }));
+  if (isPanelOpen()) renderWordBank();
+};
+
+/**
+ * Creates the "Add to My words" button of a popup. It turns into a disabled "In My words"
+ * once the word is saved.
+ * @param {string} word - Word or glossary term
+ * @returns {HTMLButtonElement|null} Null when the word bank is disabled
+ */
+export const createSaveWordButton = (word) => {
+  if (!wordBankInitialized) return null;
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className =
+    "word-bank-save px-4 py-2 border border-green-700 text-green-700 bg-transparent rounded hover:bg-green-50 transition-colors flex items-center gap-2 mx-auto disabled:opacity-60 disabled:hover:bg-transparent";
+
+  const update = () => {
+    const saved = isWordSaved(word);
+    button.disabled = saved;
+    button.innerHTML = `<i class="fas ${saved ? "fa-check" : "fa-plus"}" aria-hidden="true"></i> <span></span>`;
+    button.querySelector("span").textContent = translateText(saved ? "word-bank-saved" : "word-bank-save");
+  };
+
+  button.addEventListener("click", (event) => {
+    event.stopPropagation();
+    saveWord(word);
+    update();
+  });
+  update();
+  return button;
+};
+
+/**
+ * Closes the popup of a tapped word.
+ * @private
+ */
+const hideWordPopup = () => {
+  if (!wordPopup) return;
+  wordPopup.cleanup();
+  wordPopup.element.remove();
+  wordPopup = null;
+};
+
+/**
+ * Shows a small popup under a word tapped during read-aloud, with the "Add to My words"
+ * button. Opened from the keyboard, the button takes the focus and Escape gives it back.
+ * @param {HTMLElement} span - Word span
+ * @param {{focus?: boolean}} [options]
+ */
+export const showSaveWordPopup = (span, { focus = false } = {}) => {
+  hideWordPopup();
+  const word = span.textContent.trim();
+  const button = createSaveWordButton(word);
+  if (!button) return;
+
+  const element = document.createElement("div");
+  element.className = "word-bank-popup absolute z-50 bg-white rounded-lg border border-gray-300 shadow-xl p-2";
+  element.setAttribute("role", "dialog");
+  element.setAttribute("aria-label", translateText("word-bank-popup", { word }));
+  element.appendChild(button);
+  document.body.appendChild(element);
+
+  const rect = span.getBoundingClientRect();
+  element.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  element.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - element.offsetWidth - 4) + window.scrollX)}px`;
+
+  const handleClickOutside = (event) => {
+    if (!element.contains(event.target)) hideWordPopup();
+  };
+  const handleEscape = (event) => {
+    if (event.key !== "Escape") return;
+    hideWordPopup();
+    span.focus();
+  };
+  // Added after the tap that opened the popup has been handled
+  const timer = setTimeout(() => {
+    document.addEventListener("click", handleClickOutside);
+    document.addEventListener("keydown", handleEscape);
+  }, 0);
+
+  wordPopup = {
+    element,
+    cleanup: () => {
+      clearTimeout(timer);
+      document.removeEventListener("click", handleClickOutside);
+      document.removeEventListener("keydown", handleEscape);
+    },
+  };
+
+  if (focus) button.focus();
+};
+
+/**
+ * Renders one saved word.
+ * @private
+ * @param {Object} entry - Saved word
+ * @returns {HTMLLIElement}
+ */
+const renderWordItem = (entry) => {
+  const item = document.createElement("li");
+  item.className = "word-bank-item flex items-start gap-3 py-3 border-b border-gray-200";
+
+  const emoji = document.createElement("span");
+  emoji.className = "text-3xl flex-shrink-0 w-10 text-center";
+  emoji.setAttribute("aria-hidden", "true");
+  emoji.textContent = entry.emoji;
+
+  const details = document.createElement("div");
+  details.className = "flex-grow min-w-0";
+  const word = document.createElement("p");
+  word.className = "text-xl font-bold";
+  word.textContent = entry.word;
+  details.appendChild(word);
+  if (entry.definition) {
+    const definition = document.createElement("p");
+    definition.className = "text-gray-700";
+    definition.textContent = entry.definition;
+    details.appendChild(definition);
+  }
+
+  const actions = document.createElement("div");
+  actions.className = "flex flex-shrink-0 gap-1";
+
+  if (canPlayTerm(entry)) {
+    const listenButton = document.createElement("button");
+    listenButton.type = "button";
+    listenButton.className =
+      "p-2 rounded-md text-blue-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500";
+    listenButton.setAttribute("aria-label", translateText("word-bank-listen", { word: entry.word }));
+    listenButton.innerHTML = '<i class="fas fa-volume-up" aria-hidden="true"></i>';
+    listenButton.addEventListener("click", () => playTerm(entry));
+    actions.appendChild(listenButton);
+  }
+
+  const removeButton = document.createElement("button");
+  removeButton.type = "button";
+  removeButton.className =
+    "p-2 rounded-md text-green-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500";
+  removeButton.setAttribute("aria-label", translateText("word-bank-remove", { word: entry.word }));
+  removeButton.innerHTML = '<i class="fas fa-check" aria-hidden="true"></i>';
+  removeButton.addEventListener("click", () => {
+    const next = item.nextElementSibling || item.previousElementSibling;
+    removeWord(entry.key);
+    // Keep the focus in the list after the item is gone
+    const nextKey = next?.dataset.key;
+    const target = nextKey && document.querySelector(`.word-bank-item[data-key="${CSS.escape(nextKey)}"] button`);
+    (target || document.getElementById("word-bank-title"))?.focus();
+  });
+  actions.appendChild(removeButton);
+
+  item.dataset.key = entry.key;
+  item.append(emoji, details, actions);
+  return item;
+};
+
+/**
+ * Renders the "My words" panel.
+ */
+export const renderWordBank = () => {
+  const list = document.getElementById("word-bank-list");
+  if (!list) return;
+
+  const words = getSavedWords();
+  document.getElementById("word-bank-empty")?.classList.toggle("hidden", words.length > 0);
+  list.replaceChildren(...words.map(renderWordItem));
+};
+
+/**
+ * Whether the "My words" panel is visible.
+ * @private
+ * @returns {boolean}
+ */
+const isPanelOpen = () => {
+  const wordBankContent = document.getElementById("word-bank-content");
+  return Boolean(wordBankContent && !wordBankContent.classList.contains("hidden"));
+};
+
+/**
+ * Shows or hides the "My words" panel in place of the sidebar tabs.
+ * @private
+ * @param {boolean} open - Whether to show the panel
+ */
+const setPanelOpen = (open) => {
+  const sidebarContent = document.getElementById("sidebar-content");
+  const wordBankContent = document.getElementById("word-bank-content");
+  if (!sidebarContent || !wordBankContent) return;
+
+  sidebarContent.classList.toggle("hidden", open);
+  wordBankContent.classList.toggle("hidden", !open);
+  document.getElementById("word-bank-button")?.setAttribute("aria-expanded", String(open));
+
+  if (open) {
+    renderWordBank();
+    document.getElementById("word-bank-title")?.focus();
+  } else {
+    stopTerm();
+    document.getElementById("word-bank-button")?.focus();
+  }
+};
+
+/**
+ * Shows the "My words" entry in the sidebar, wires the panel and enables the "Add to My
+ * words" buttons. The panel is refreshed when the language changes.
+ */
+export const initializeWordBank = () => {
+  const wordBankButton = document.getElementById("word-bank-button");
+  const backButton = document.getElementById("word-bank-back-to-sidebar");
+  if (!wordBankButton || !backButton || wordBankInitialized) return;
+  wordBankInitialized = true;
+
+  wordBankButton.closest(".word-bank-button-row")?.classList.remove("hidden");
+  wordBankButton.addEventListener("click", () => setPanelOpen(true));
+  backButton.addEventListener("click", () => setPanelOpen(false));
+
+  subscribe("translations", () => {
+    hideWordPopup();
+    if (isPanelOpen()) renderWordBank();
+  });
+  subscribe("currentPageUrl", hideWordPopup);
+};
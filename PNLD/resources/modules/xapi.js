@@ -0,0 +1,372 @@
+/**
+ * @module xapi
+ * @description
+ * Emits xAPI statements (attempted, answered, passed/failed, completed) for activity
+ * attempts. Statements are queued in storage and sent in batches to the LRS configured
+ * under `xapi` in config.json; the queue survives reloads and is flushed again when the
+ * browser comes back online.
+ */
+
+import { state, setState } from "./state.js";
+import { storage } from "./storage.js";
+import { getPublication, getRootPath } from "./publication.js";
+
+const XAPI_VERSION = "1.0.3";
+const QUEUE_KEY = "xapi:queue";
+const LEARNER_KEY = "xapi:learner";
+const REGISTRATION_KEY = "xapi:registration";
+const MAX_QUEUE_LENGTH = 1000;
+const DEFAULT_BATCH_SIZE = 25;
+
+const VERBS = {
+  attempted: "http://adlnet.gov/expapi/verbs/attempted",
+  answered: "http://adlnet.gov/expapi/verbs/answered",
+  completed: "http://adlnet.gov/expapi/verbs/completed",
+  passed: "http://adlnet.gov/expapi/verbs/passed",
+  failed: "http://adlnet.gov/expapi/verbs/failed",
+};
+
+// xAPI interaction type for each activity type (see ActivityTypes in utils.js)
+const INTERACTION_TYPES = {
+  activity_multiple_choice: "choice",
+  activity_true_false: "true-false",
+  activity_fill_in_the_blank: "fill-in",
+  activity_fill_in_a_table: "fill-in",
+  activity_open_ended_answer: "long-fill-in",
+  activity_sorting: "matching",
+  activity_matching: "matching",
+  activity_sequencing: "sequencing",
+  activity_word_bank_cloze: "fill-in",
+  activity_image_hotspot: "matching",
+  activity_drawing: "other",
+};
+
+let flushPromise = null;
+let listenersAttached = false;
+
+/**
+ * Returns the xapi section of config.json.
+ * @private
+ * @returns {Object} xAPI settings (empty when not configured)
+ */
+const getXapiConfig = () => window.appConfig?.xapi || {};
+
+/**
+ * Whether statements should be recorded.
+ * @returns {boolean}
+ */
+export const isXapiEnabled = () => getXapiConfig().enabled === true && Boolean(getXapiConfig().endpoint);
+
+/**
+ * Creates a random UUID (statement ids and registrations).
+ * @private
+ * @returns {string} UUID v4
+ */
+const createUuid = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    return (char === "x" ? random : (random & 0x3) | 0x8).toString(16);
+  });
+};
+
+/**
+ * Reads a stored id, creating it on first use.
+ * @private
+ * @param {string} key - Storage key
+ * @returns {string} Stored id
+ */
+const getOrCreateId = (key) => {
+  let id = storage.getItem(key);
+  if (!id) {
+    id = createUuid();
+    storage.setItem(key, id);
+  }
+  return id;
+};
+
+/**
+ * Returns the id of the current activity page (its file name without extension).
+ * @private
+ * @returns {string} Activity id
+ */
+const getActivityId = () => location.pathname.substring(location.pathname.lastIndexOf("/") + 1).split(".")[0];
+
+/**
+ * Returns the IRI of the publication, used as the parent of every activity.
+ * @private
+ * @returns {string} Publication IRI
+ */
+const getPublicationIri = () => {
+  const configuredBase = getXapiConfig().activityBaseIri;
+  if (configuredBase) return configuredBase.replace(/\/?$/, "/");
+
+  return new URL(getRootPath(), location.href).href;
+};
+
+/**
+ * Builds the learner (actor) from the student id shown in the settings panel.
+ * @private
+ * @returns {Object} xAPI Agent
+ */
+const buildActor = () => {
+  const accountName = storage.getItem("studentID") || getOrCreateId(LEARNER_KEY);
+  return {
+    objectType: "Agent",
+    name: storage.getItem("nameUser") || accountName,
+    account: {
+      homePage: getXapiConfig().homePage || location.origin,
+      name: accountName,
+    },
+  };
+};
+
+/**
+ * Builds the activity (object) for the current page.
+ * @private
+ * @param {string} activityType - One of ActivityTypes
+ * @returns {Object} xAPI Activity
+ */
+const buildActivity = (activityType) => {
+  const language = state.currentLanguage || document.documentElement.lang || "en";
+  const title = document.querySelector("h1")?.innerText?.trim() || document.title;
+
+  return {
+    objectType: "Activity",
+    id: `${getPublicationIri()}activities/${encodeURIComponent(getActivityId())}`,
+    definition: {
+      type: "http://adlnet.gov/expapi/activities/cmi.interaction",
+      name: { [language]: title },
+      interactionType: INTERACTION_TYPES[activityType] || "other",
+    },
+  };
+};
+
+/**
+ * Builds the statement context (registration, publication and language).
+ * @private
+ * @returns {Object} xAPI Context
+ */
+const buildContext = () => {
+  const metadata = getPublication()?.metadata || {};
+  const publication = {
+    objectType: "Activity",
+    id: getPublicationIri(),
+    definition: { type: "http://id.tincanapi.com/activitytype/book" },
+  };
+  if (metadata.title) {
+    publication.definition.name = { [metadata.language || "en"]: metadata.title };
+  }
+
+  return {
+    registration: getOrCreateId(REGISTRATION_KEY),
+    platform: "Accessible Digital Textbook",
+    language: state.currentLanguage || document.documentElement.lang || "en",
+    contextActivities: { parent: [publication] },
+  };
+};
+
+/**
+ * Formats a learner response using the xAPI delimiters: lists are joined with "[,]"
+ * and pairs (e.g. matching item and target) with "[.]".
+ * @private
+ * @param {string|Array<string|string[]>} response - Response to format
+ * @returns {string|undefined} Formatted response
+ */
+const formatResponse = (response) => {
+  if (response === undefined || response === null) return undefined;
+  if (!Array.isArray(response)) return String(response);
+  return response.map((item) => (Array.isArray(item) ? item.join("[.]") : String(item))).join("[,]");
+};
+
+/**
+ * Builds a result object with an optional score.
+ * @private
+ * @param {Object} details
+ * @returns {Object} xAPI Result
+ */
+const buildResult = ({ success, completion, response, score }) => {
+  const result = {};
+  if (success !== undefined) result.success = success;
+  if (completion !== undefined) result.completion = completion;
+  const formattedResponse = formatResponse(response);
+  if (formattedResponse !== undefined) result.response = formattedResponse;
+  if (score && score.max > 0) {
+    result.score = {
+      raw: score.raw,
+      min: 0,
+      max: score.max,
+      scaled: Math.round((score.raw / score.max) * 100) / 100,
+    };
+  }
+  return result;
+};
+
+/**
+ * Creates a statement and adds it to the queue.
+ * @private
+ * @param {string} verb - Key of VERBS
+ * @param {string} activityType - One of ActivityTypes
+ * @param {Object} [result] - xAPI Result
+ */
+const enqueueStatement = (verb, activityType, result) => {
+  const statement = {
+    id: createUuid(),
+    actor: buildActor(),
+    verb: { id: VERBS[verb], display: { "en-US": verb } },
+    object: buildActivity(activityType),
+    context: buildContext(),
+    timestamp: new Date().toISOString(),
+  };
+  if (result && Object.keys(result).length > 0) statement.result = result;
+
+  const queue = storage.getJSON(QUEUE_KEY, []);
+  queue.push(statement);
+  // Keep the newest statements if the device stays offline for a very long time
+  storage.setJSON(QUEUE_KEY, queue.slice(-MAX_QUEUE_LENGTH));
+};
+
+/**
+ * Records that the learner started an activity.
+ * @param {string} activityType - One of ActivityTypes
+ */
+export const recordActivityAttempt = (activityType) => {
+  if (!isXapiEnabled()) return;
+
+  try {
+    enqueueStatement("attempted", activityType);
+    flushStatements();
+  } catch (error) {
+    console.error("Error recording xAPI attempt:", error);
+  }
+};
+
+/**
+ * Records a submitted answer: "answered", then "passed" and "completed" when the
+ * answer is correct, or "failed" when it is not. The result is also published as the
+ * `lastActivityResult` state so other reporters (e.g. SCORM) see it without xAPI.
+ * @param {Object} details
+ * @param {string} details.activityType - One of ActivityTypes
+ * @param {boolean} details.success - Whether the submission was correct
+ * @param {string|Array} [details.response] - Learner response (see formatResponse)
+ * @param {{raw: number, max: number}} [details.score] - Items correct out of total
+ */
+export const recordActivityResult = ({ activityType, success, response, score }) => {
+  setState("lastActivityResult", { activityId: getActivityId(), activityType, success, response, score });
+  if (!isXapiEnabled()) return;
+
+  try {
+    enqueueStatement("answered", activityType, buildResult({ success, response, score }));
+    if (success) {
+      enqueueStatement("passed", activityType, buildResult({ success: true, score }));
+      enqueueStatement("completed", activityType, buildResult({ completion: true }));
+    } else {
+      enqueueStatement("failed", activityType, buildResult({ success: false, score }));
+    }
+    flushStatements();
+  } catch (error) {
+    console.error("Error recording xAPI result:", error);
+  }
+};
+
+/**
+ * Returns the number of statements waiting to be sent.
+ * @returns {number}
+ */
+export const getPendingStatementCount = () => storage.getJSON(QUEUE_KEY, []).length;
+
+/**
+ * Sends one batch of queued statements to the LRS.
+ * @private
+ * @param {Object} config - xAPI settings
+ * @param {boolean} keepalive - Allow the request to outlive the page
+ * @returns {Promise<boolean>} True when more statements may be waiting
+ */
+const sendBatch = async (config, keepalive) => {
+  const queue = storage.getJSON(QUEUE_KEY, []);
+  if (queue.length === 0) return false;
+
+  const batch = queue.slice(0, config.batchSize || DEFAULT_BATCH_SIZE);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Experience-API-Version": XAPI_VERSION,
+  };
+  if (config.auth) headers.Authorization = config.auth;
+
+  const response = await fetch(`${config.endpoint.replace(/\/?$/, "/")}statements`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(batch),
+    keepalive,
+  });
+
+  // 409 means the LRS already has these statement ids
+  if (response.ok || response.status === 409) {
+    removeFromQueue(batch);
+    return queue.length > batch.length;
+  }
+
+  if (response.status === 400) {
+    // A malformed batch would block the queue forever
+    console.error("LRS rejected xAPI statements, dropping batch:", await response.text());
+    removeFromQueue(batch);
+    return queue.length > batch.length;
+  }
+
+  throw new Error(`HTTP error! status: ${response.status}`);
+};
+
+/**
+ * Removes sent statements from the queue (new ones may have been added meanwhile).
+ * @private
+ * @param {Array<Object>} sent - Statements that were sent
+ */
+const removeFromQueue = (sent) => {
+  const sentIds = new Set(sent.map((statement) => statement.id));
+  const queue = storage.getJSON(QUEUE_KEY, []);
+  storage.setJSON(QUEUE_KEY, queue.filter((statement) => !sentIds.has(statement.id)));
+};
+
+/**
+ * Sends queued statements to the LRS. Does nothing while offline; failures leave the
+ * statements in the queue for the next attempt.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepalive=false] - Use when the page is being hidden or unloaded
+ * @returns {Promise<void>}
+ */
+export const flushStatements = ({ keepalive = false } = {}) => {
+  if (!isXapiEnabled() || navigator.onLine === false) return Promise.resolve();
+  if (flushPromise) return flushPromise;
+
+  const config = getXapiConfig();
+  flushPromise = (async () => {
+    try {
+      while (await sendBatch(config, keepalive)) {
+        // Keep sending until the queue is empty
+      }
+    } catch (error) {
+      console.warn("Could not send xAPI statements, keeping them queued:", error);
+    } finally {
+      flushPromise = null;
+    }
+  })();
+
+  return flushPromise;
+};
+
+/**
+ * Starts sending queued statements and retries when the connection comes back.
+ */
+export const initializeXapi = () => {
+  if (!isXapiEnabled()) return;
+
+  if (!listenersAttached) {
+    listenersAttached = true;
+    window.addEventListener("online", () => flushStatements());
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flushStatements({ keepalive: true });
+    });
+  }
+
+  flushStatements();
+};
@@ -0,0 +1,333 @@
+/**
+ * @module sw
+ * @description
+ * Offline-first service worker for the publication. It reads the Readium manifest.json
+ * (readingOrder and resources) plus the configured languages in config.json, precaches
+ * every page, image, audio, timecode and translation file, and serves them cache-first.
+ * Caches are versioned by the manifest `metadata.modified` date so a republished book
+ * replaces the previous copy.
+ */
+
+const CACHE_PREFIX = "adt-offline";
+const COMPLETE_MARKER = "__precache-complete__";
+const MAX_PARALLEL_DOWNLOADS = 4;
+
+const MANIFEST_URL = new URL("manifest.json", self.registration.scope).href;
+const CONFIG_URL = new URL("PNLD/resources/config.json", self.registration.scope).href;
+
+// Files every page fetches on startup (see base.js fetchAndInjectComponents)
+const SHELL_FILES = [
+  "index.html",
+  "manifest.json",
+  "PNLD/resources/interface.html",
+  "PNLD/resources/config.json",
+  "PNLD/content/navigation/nav.html",
+];
+
+// Per-language content files loaded by translations.js and tts_highlighter.js
+const LANGUAGE_FILES = ["texts.json", "audios.json", "glossary.json", "videos.json"];
+const OPTIONAL_LANGUAGE_FILES = ["timecode/timecode_output.json"];
+
+let currentCacheName = null;
+const inFlightPrecaches = new Map();
+
+/**
+ * Resolves a path relative to the publication root (the service worker scope).
+ * @private
+ * @param {string} path - Relative path or absolute URL
+ * @returns {string} Absolute URL
+ */
+const toAbsoluteUrl = (path) => new URL(path, self.registration.scope).href;
+
+/**
+ * Builds the cache name prefix shared by every version of this publication.
+ * @private
+ * @param {Object} manifest - Parsed Readium manifest
+ * @returns {string} Cache name prefix
+ */
+const getBookPrefix = (manifest) => `${CACHE_PREFIX}-${manifest?.metadata?.identifier || "book"}-`;
+
+/**
+ * Builds the versioned cache name for a manifest.
+ * @private
+ * @param {Object} manifest - Parsed Readium manifest
+ * @returns {string} Cache name
+ */
+const getCacheName = (manifest) => `${getBookPrefix(manifest)}${manifest?.metadata?.modified || "0"}`;
+
+/**
+ * Fetches a JSON file from the network, falling back to any cached copy when offline.
+ * @private
+ * @param {string} url - Absolute URL of the JSON file
+ * @returns {Promise<Object|null>} Parsed JSON or null when unavailable
+ */
+const fetchJson = async (url) => {
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (response.ok) return await response.json();
+  } catch (error) {
+    console.warn(`Network unavailable for ${url}, trying cache`);
+  }
+
+  const cached = await caches.match(url);
+  return cached ? cached.json() : null;
+};
+
+/**
+ * Returns the name of the cache for the current manifest version.
+ * @private
+ * @returns {Promise<string|null>} Cache name or null if the manifest cannot be read
+ */
+const resolveCacheName = async () => {
+  if (currentCacheName) return currentCacheName;
+
+  const manifest = await fetchJson(MANIFEST_URL);
+  if (manifest) {
+    currentCacheName = getCacheName(manifest);
+  }
+  return currentCacheName;
+};
+
+/**
+ * Collects every URL that must be available offline.
+ * @private
+ * @param {Object} manifest - Parsed Readium manifest
+ * @param {string[]} extraUrls - URLs reported by the page (already loaded scripts and styles)
+ * @returns {Promise<{required: string[], optional: string[]}>} URLs to precache
+ */
+const buildPrecacheList = async (manifest, extraUrls = []) => {
+  const required = new Set(SHELL_FILES.map(toAbsoluteUrl));
+  const optional = new Set();
+
+  [...(manifest.readingOrder || []), ...(manifest.resources || [])].forEach((link) => {
+    if (link?.href) required.add(toAbsoluteUrl(link.href));
+  });
+
+  const config = await fetchJson(CONFIG_URL);
+  const languages = config?.languages?.available || [config?.languages?.default || "en"];
+
+  for (const language of languages) {
+    required.add(toAbsoluteUrl(`PNLD/resources/interface_translations/${language}/interface_translations.json`));
+
+    const languagePath = `PNLD/content/i18n/${language}/`;
+    LANGUAGE_FILES.forEach((file) => required.add(toAbsoluteUrl(languagePath + file)));
+    OPTIONAL_LANGUAGE_FILES.forEach((file) => optional.add(toAbsoluteUrl(languagePath + file)));
+    // Syllables mode patterns (shared by the regional variants of a language)
+    optional.add(toAbsoluteUrl(`PNLD/resources/hyphenation/${language.split(/[-_]/)[0]}.json`));
+
+    // Every narration file referenced by the audio map
+    const audioFiles = await fetchJson(toAbsoluteUrl(`${languagePath}audios.json`));
+    Object.values(audioFiles || {}).forEach((file) => {
+      if (file) required.add(toAbsoluteUrl(`${languagePath}audio/${file}`));
+    });
+
+    // Sign language videos, when the book ships them
+    const videoFiles = await fetchJson(toAbsoluteUrl(`${languagePath}videos.json`));
+    Object.values(videoFiles || {}).forEach((file) => {
+      if (file) optional.add(toAbsoluteUrl(`${languagePath}video/${file}`));
+    });
+  }
+
+  extraUrls
+    .filter((url) => url.startsWith(self.registration.scope))
+    .forEach((url) => required.add(url.split("#")[0]));
+
+  optional.forEach((url) => required.delete(url));
+
+  return { required: [...required], optional: [...optional] };
+};
+
+/**
+ * Sends a message to every window of the publication.
+ * @private
+ * @param {Object} message - Message payload
+ */
+const broadcast = async (message) => {
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage(message));
+};
+
+/**
+ * Deletes caches left behind by previous versions of this publication.
+ * @private
+ * @param {Object} manifest - Parsed Readium manifest of the current version
+ */
+const deleteStaleCaches = async (manifest) => {
+  const bookPrefix = getBookPrefix(manifest);
+  const keepName = getCacheName(manifest);
+  const names = await caches.keys();
+
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(bookPrefix) && name !== keepName)
+      .map((name) => caches.delete(name))
+  );
+};
+
+/**
+ * Downloads a single URL into the cache unless it is already there.
+ * @private
+ * @param {Cache} cache - Target cache
+ * @param {string} url - Absolute URL
+ * @returns {Promise<boolean>} True when the file is cached
+ */
+const cacheUrl = async (cache, url) => {
+  if (await cache.match(url)) return true;
+
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (!response.ok) return false;
+    await cache.put(url, response);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Precaches the whole publication, reporting progress to all open pages.
+ * @private
+ * @param {string[]} extraUrls - URLs reported by the page
+ * @returns {Promise<void>}
+ */
+const precachePublication = async (extraUrls) => {
+  const manifest = await fetchJson(MANIFEST_URL);
+  if (!manifest) {
+    await broadcast({ type: "precache-error", done: 0, total: 0 });
+    return;
+  }
+
+  const cacheName = getCacheName(manifest);
+  currentCacheName = cacheName;
+  const cache = await caches.open(cacheName);
+
+  if (await cache.match(COMPLETE_MARKER)) {
+    // Pick up files that were added to the page since the last download
+    await Promise.all(
+      extraUrls
+        .filter((url) => url.startsWith(self.registration.scope))
+        .map((url) => cacheUrl(cache, url.split("#")[0]))
+    );
+    await broadcast({ type: "precache-complete", version: manifest.metadata?.modified });
+    return;
+  }
+
+  const { required, optional } = await buildPrecacheList(manifest, extraUrls);
+  const total = required.length;
+  let done = 0;
+  let failed = 0;
+
+  await broadcast({ type: "precache-progress", done, total });
+
+  const queue = [...required];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      const cached = await cacheUrl(cache, url);
+      if (cached) {
+        done++;
+      } else {
+        failed++;
+        console.warn(`Could not cache ${url}`);
+      }
+      await broadcast({ type: "precache-progress", done, total });
+    }
+  };
+
+  await Promise.all(Array.from({ length: MAX_PARALLEL_DOWNLOADS }, worker));
+  await Promise.all(optional.map((url) => cacheUrl(cache, url)));
+
+  if (failed > 0) {
+    await broadcast({ type: "precache-error", done, total });
+    return;
+  }
+
+  await cache.put(COMPLETE_MARKER, new Response(new Date().toISOString()));
+  await deleteStaleCaches(manifest);
+  await broadcast({ type: "precache-complete", version: manifest.metadata?.modified });
+};
+
+/**
+ * Serves manifest.json network-first so a new `modified` date is noticed while online.
+ * @private
+ * @param {Request} request - Manifest request
+ * @returns {Promise<Response>}
+ */
+const handleManifestRequest = async (request) => {
+  try {
+    const response = await fetch(request, { cache: "no-cache" });
+    if (response.ok) {
+      const manifest = await response.clone().json();
+      currentCacheName = getCacheName(manifest);
+      const cache = await caches.open(currentCacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Serves publication files cache-first and stores anything fetched on the way.
+ * @private
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>}
+ */
+const handleAssetRequest = async (request) => {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+
+  // Partial (range) responses cannot be stored
+  if (response.status === 200 && response.type === "basic") {
+    const cacheName = await resolveCacheName();
+    if (cacheName) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone()).catch((error) => {
+        console.warn("Could not store response in cache:", error);
+      });
+    }
+  }
+  return response;
+};
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "precache") return;
+
+  // Several pages may ask at once; share a single download
+  if (!inFlightPrecaches.has("publication")) {
+    const task = precachePublication(event.data.urls || [])
+      .catch(async (error) => {
+        console.error("Error precaching publication:", error);
+        await broadcast({ type: "precache-error", done: 0, total: 0 });
+      })
+      .finally(() => inFlightPrecaches.delete("publication"));
+    inFlightPrecaches.set("publication", task);
+  }
+
+  event.waitUntil(inFlightPrecaches.get("publication"));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(self.registration.scope)) return;
+
+  if (request.url.split("?")[0] === MANIFEST_URL) {
+    event.respondWith(handleManifestRequest(request));
+    return;
+  }
+
+  event.respondWith(handleAssetRequest(request));
+});
@@ -0,0 +1,181 @@
+/**
+ * Packages the publication as a SCORM package for an LMS such as Moodle.
+ *
+ *   node tools/build-scorm.mjs [--scorm 1.2|2004] [--out dist/book-scorm.zip]
+ *   node tools/build-scorm.mjs --dir dist/book-scorm
+ *
+ * The imsmanifest.xml is built from manifest.json: the organization is titled after the
+ * publication and the launch page is the first entry of the readingOrder. The whole book
+ * is a single SCO so progress, score and suspend_data span all pages (see
+ * PNLD/resources/modules/scorm.js). Files are those referenced by readingOrder, resources
+ * and links, plus the folders they live in, manifest.json and sw.js.
+ *
+ * Zipping uses the system `zip` command; use --dir to write an unzipped package instead.
+ */
+
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const { values: options } = parseArgs({
+  options: {
+    scorm: { type: "string", default: "1.2" },
+    out: { type: "string" },
+    dir: { type: "string" },
+  },
+});
+
+if (!["1.2", "2004"].includes(options.scorm)) {
+  console.error(`Unknown SCORM version "${options.scorm}", use 1.2 or 2004`);
+  process.exit(1);
+}
+
+const manifest = JSON.parse(fs.readFileSync(path.join(root, "manifest.json"), "utf8"));
+const metadata = manifest.metadata || {};
+const readingOrder = (manifest.readingOrder || []).filter((link) => link.href);
+
+if (readingOrder.length === 0) {
+  console.error("manifest.json has no readingOrder to launch");
+  process.exit(1);
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// SCORM identifiers must be XML IDs
+const toIdentifier = (value) => String(value).replace(/[^A-Za-z0-9_.-]/g, "_").replace(/^([^A-Za-z_])/, "_$1");
+
+const listFiles = (relativePath) => {
+  const absolutePath = path.join(root, relativePath);
+  if (!fs.existsSync(absolutePath)) return [];
+  if (!fs.statSync(absolutePath).isDirectory()) return [relativePath];
+
+  return fs
+    .readdirSync(absolutePath)
+    .filter((name) => !name.startsWith("."))
+    .flatMap((name) => listFiles(path.posix.join(relativePath, name)));
+};
+
+/**
+ * Top-level files and folders of the publication: everything the manifest points into,
+ * in reading order first so the launch page leads the file list.
+ */
+const collectFiles = () => {
+  const hrefs = [...readingOrder, ...(manifest.resources || []), ...(manifest.links || [])]
+    .map((link) => link.href)
+    .filter((href) => href && !/^[a-z]+:/i.test(href))
+    .map((href) => decodeURI(href.split(/[?#]/)[0]));
+
+  const entries = new Set([...hrefs.map((href) => href.split("/")[0]), "manifest.json", "sw.js"]);
+  const files = new Set([...hrefs, ...[...entries].flatMap(listFiles)]);
+  return [...files].filter((file) => fs.existsSync(path.join(root, file)));
+};
+
+const buildImsManifest = (files) => {
+  const identifier = toIdentifier(metadata.identifier || "adt-publication");
+  const title = escapeXml(metadata.title || "Accessible Digital Textbook");
+  const launch = escapeXml(readingOrder[0].href);
+  const fileElements = files.map((file) => `      <file href="${escapeXml(file)}"/>`).join("\n");
+
+  if (options.scorm === "2004") {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="ORG-${identifier}">
+    <organization identifier="ORG-${identifier}">
+      <title>${title}</title>
+      <item identifier="ITEM-${identifier}" identifierref="RES-${identifier}">
+        <title>${title}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="RES-${identifier}" type="webcontent" adlcp:scormType="sco" href="${launch}">
+${fileElements}
+    </resource>
+  </resources>
+</manifest>
+`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="ORG-${identifier}">
+    <organization identifier="ORG-${identifier}">
+      <title>${title}</title>
+      <item identifier="ITEM-${identifier}" identifierref="RES-${identifier}" isvisible="true">
+        <title>${title}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="RES-${identifier}" type="webcontent" adlcp:scormtype="sco" href="${launch}">
+${fileElements}
+    </resource>
+  </resources>
+</manifest>
+`;
+};
+
+const files = collectFiles();
+const imsManifest = buildImsManifest(files);
+
+if (options.dir) {
+  const outDir = path.resolve(options.dir);
+  files.forEach((file) => {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(root, file), target);
+  });
+  fs.writeFileSync(path.join(outDir, "imsmanifest.xml"), imsManifest);
+  console.log(`SCORM ${options.scorm} package written to ${outDir} (${files.length} files)`);
+} else {
+  const outFile = path.resolve(options.out || path.join(root, "dist", `${toIdentifier(metadata.identifier || "book")}-scorm-${options.scorm}.zip`));
+  const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), "adt-scorm-"));
+
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.rmSync(outFile, { force: true });
+  fs.writeFileSync(path.join(stagingDir, "imsmanifest.xml"), imsManifest);
+
+  // imsmanifest.xml has to sit at the root of the archive, next to the book files
+  const steps = [
+    spawnSync("zip", ["-q", "-X", outFile, "-@"], { cwd: root, input: files.join("\n") }),
+    spawnSync("zip", ["-q", "-X", "-j", outFile, path.join(stagingDir, "imsmanifest.xml")]),
+  ];
+  fs.rmSync(stagingDir, { recursive: true, force: true });
+
+  const failed = steps.find((step) => step.error || step.status !== 0);
+  if (failed) {
+    console.error("Could not create the zip file:", failed.error?.message || failed.stderr.toString());
+    console.error("Install zip or use --dir to write an unzipped package.");
+    process.exit(1);
+  }
+  console.log(`SCORM ${options.scorm} package written to ${outFile} (${files.length} files)`);
+}
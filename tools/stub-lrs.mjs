@@ -0,0 +1,79 @@
+/**
+ * Minimal stand-in for a Learning Record Store, for trying the xAPI integration locally.
+ *
+ *   node tools/stub-lrs.mjs [port]
+ *
+ * Then set `xapi.enabled` to true and `xapi.endpoint` to "http://localhost:8787/xapi/" in
+ * PNLD/resources/config.json. Received statements are printed and can be listed with
+ * GET /xapi/statements. Set STUB_LRS_FAIL=1 to answer 503 and exercise the offline queue.
+ */
+
+import http from "node:http";
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const statements = new Map();
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Experience-API-Version",
+  "X-Experience-API-Version": "1.0.3",
+};
+
+const send = (response, status, body) => {
+  response.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    request.on("data", (chunk) => (data += chunk));
+    request.on("end", () => resolve(data));
+    request.on("error", reject);
+  });
+
+const describe = (statement) => {
+  const verb = statement.verb?.display?.["en-US"] || statement.verb?.id;
+  const result = statement.result
+    ? ` success=${statement.result.success ?? "-"} score=${statement.result.score?.raw ?? "-"}/${statement.result.score?.max ?? "-"}`
+    : "";
+  return `${statement.actor?.account?.name} ${verb} ${statement.object?.id}${result}`;
+};
+
+const server = http.createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://localhost:${port}`);
+
+  if (request.method === "OPTIONS") return send(response, 204);
+  if (!pathname.replace(/\/$/, "").endsWith("/statements")) return send(response, 404, { error: "Not found" });
+
+  if (request.method === "GET") {
+    return send(response, 200, { statements: [...statements.values()], more: "" });
+  }
+
+  if (request.method !== "POST") return send(response, 405, { error: "Method not allowed" });
+  if (process.env.STUB_LRS_FAIL === "1") return send(response, 503, { error: "Unavailable" });
+
+  try {
+    const body = JSON.parse(await readBody(request));
+    const received = Array.isArray(body) ? body : [body];
+
+    if (received.some((statement) => !statement.actor || !statement.verb || !statement.object)) {
+      return send(response, 400, { error: "Statements need actor, verb and object" });
+    }
+
+    const ids = received.map((statement) => {
+      const id = statement.id || crypto.randomUUID();
+      statements.set(id, { ...statement, id, stored: new Date().toISOString() });
+      console.log(describe(statement));
+      return id;
+    });
+    return send(response, 200, ids);
+  } catch (error) {
+    return send(response, 400, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Stub LRS listening on http://localhost:${port}/xapi/`);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests of the read-aloud word timelines (PNLD/resources/modules/timeline.js).
+ *
+ *   node --test tools/
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseTimecodeEntry,
+  parseWebVTT,
+  findActiveWordIndex,
+  findSpokenWordIndex,
+} from "../PNLD/resources/modules/timeline.js";
+
+const words = [
+  { text: "Era", start: 0.0, end: 0.3 },
+  { text: "uma", start: 0.35, end: 0.6 },
+  { text: "vez", start: 1.5, end: 1.9 },
+];
+
+test("parseTimecodeEntry reads timecode_output.json entries", () => {
+  const entry = {
+    timecodes: [
+      { start: 0, end: 2 },
+      {
+        word_timestamps: [
+          { word: "vez", start: "1.5", end: "1.9" },
+          { word: "Era", start: 0, end: 0.3 },
+          { word: " ", start: 0.3, end: 0.35 },
+          { word: "uma", start: 0.35, end: "x" },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(parseTimecodeEntry(entry), [
+    { text: "Era", start: 0, end: 0.3 },
+    { text: "vez", start: 1.5, end: 1.9 },
+  ]);
+});
+
+test("parseTimecodeEntry reads per-element files", () => {
+  assert.deepEqual(parseTimecodeEntry(words), words);
+  assert.deepEqual(parseTimecodeEntry({ word_timestamps: words }), words);
+  assert.deepEqual(parseTimecodeEntry(null), []);
+  assert.deepEqual(parseTimecodeEntry({ timecodes: [] }), []);
+});
+
+test("parseWebVTT reads one word per cue", () => {
+  const vtt = "WEBVTT\r\n\r\n1\r\n00:00.000 --> 00:00.300\r\nEra\r\n\r\n00:00:00.350 --> 00:00:00.600 align:start\r\n<b>uma</b>\r\n";
+  assert.deepEqual(parseWebVTT(vtt), [
+    { text: "Era", start: 0, end: 0.3 },
+    { text: "uma", start: 0.35, end: 0.6 },
+  ]);
+});
+
+test("parseWebVTT splits cues at karaoke timestamps and by word length", () => {
+  const vtt = "WEBVTT\n\n00:01.000 --> 00:03.000\nab abcd <00:02.000>vez\n";
+  assert.deepEqual(parseWebVTT(vtt), [
+    { text: "ab", start: 1, end: 1 + 1 / 3 },
+    { text: "abcd", start: 1 + 1 / 3, end: 2 },
+    { text: "vez", start: 2, end: 3 },
+  ]);
+});
+
+test("parseWebVTT ignores text that is not WebVTT", () => {
+  assert.deepEqual(parseWebVTT(""), []);
+  assert.deepEqual(parseWebVTT(null), []);
+  assert.deepEqual(parseWebVTT("00:01.000 --> 00:02.000\nEra\n"), []);
+});
+
+test("findActiveWordIndex follows the playback time", () => {
+  assert.equal(findActiveWordIndex(words, 0), 0);
+  assert.equal(findActiveWordIndex(words, 0.2), 1); // uma starts within the tolerance
+  assert.equal(findActiveWordIndex(words, 0.5), 1);
+  assert.equal(findActiveWordIndex(words, 1.0), -1); // silence between uma and vez
+  assert.equal(findActiveWordIndex(words, 1.35), 2);
+  assert.equal(findActiveWordIndex(words, 2.05), 2);
+  assert.equal(findActiveWordIndex(words, 2.2), -1); // after the last word
+  assert.equal(findActiveWordIndex(words, 1.0, 0), -1);
+  assert.equal(findActiveWordIndex([], 1), -1);
+});
+
+test("findSpokenWordIndex finds the word at a character offset", () => {
+  const spoken = [
+    { text: "Era", start: 0, end: 3 },
+    { text: "uma", start: 4, end: 7 },
+    { text: "vez", start: 8, end: 11 },
+  ];
+  assert.equal(findSpokenWordIndex(spoken, 0), 0);
+  assert.equal(findSpokenWordIndex(spoken, 5), 1);
+  assert.equal(findSpokenWordIndex(spoken, 20), 2);
+  assert.equal(findSpokenWordIndex([], 3), -1);
+});